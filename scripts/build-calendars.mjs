@@ -0,0 +1,64 @@
+// Writes each team's subscribable calendar feed to build/calendars/{leagueId}/{teamId}.ics, run by
+// `npm run build` after the app is built. Calendar apps poll these static files, so a feed picks up
+// schedule changes with the next deploy.
+//
+// Reads the public teams, schedule and settings of every league in src/lib/leagues.mjs with the web
+// SDK, no sign-in needed. FIREBASE_CONFIG holds the project's web config as JSON (the same object the
+// app is given); without it the feeds are quietly skipped and the build carries on. Otherwise it prints
+// one line listing the feeds written per league.
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { initializeApp } from 'firebase/app';
+import { getFirestore, collection, doc, getDoc, getDocs, query, orderBy } from 'firebase/firestore';
+import { LEAGUES, defaultLeagueSettings } from '../src/lib/leagues.mjs';
+import { scheduleEvents, toIcs, calendarName, teamCalendarPath } from '../src/lib/ics.mjs';
+
+const buildDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'build');
+
+const readLeague = async (db, leagueId) => {
+  const dataPath = `artifacts/${leagueId}/public/data`;
+  const [settingsDoc, teamsSnapshot, scheduleSnapshot] = await Promise.all([
+    getDoc(doc(db, `${dataPath}/leagueSettings/document`)),
+    getDocs(collection(db, `${dataPath}/teams`)),
+    // Same order as the Schedule tab
+    getDocs(query(collection(db, `${dataPath}/schedule`), orderBy('week'))),
+  ]);
+  return {
+    settings: { ...defaultLeagueSettings(leagueId), ...(settingsDoc.exists() ? settingsDoc.data() : {}) },
+    teams: teamsSnapshot.docs.map(snapshot => ({ id: snapshot.id, ...snapshot.data() })),
+    schedule: scheduleSnapshot.docs.map(snapshot => ({ id: snapshot.id, ...snapshot.data() })),
+  };
+};
+
+const main = async () => {
+  if (!process.env.FIREBASE_CONFIG) {
+    return;
+  }
+  const db = getFirestore(initializeApp(JSON.parse(process.env.FIREBASE_CONFIG)));
+
+  const results = [];
+  for (const league of LEAGUES) {
+    const { settings, teams, schedule } = await readLeague(db, league.id);
+    if (!settings.seasonStartDate) {
+      results.push(`${league.id} skipped (no seasonStartDate)`);
+      continue;
+    }
+    await mkdir(path.join(buildDir, 'calendars', league.id), { recursive: true });
+    await Promise.all(teams.map(team => {
+      const events = scheduleEvents({ teams, schedule, settings, leagueId: league.id, teamId: team.id });
+      const ics = toIcs({ name: calendarName(settings.name, settings.season, team), events });
+      return writeFile(path.join(buildDir, teamCalendarPath(league.id, team.id)), ics);
+    }));
+    results.push(`${league.id} ${teams.length}`);
+  }
+  console.log(`Team calendar feeds: ${results.join(', ')}`);
+};
+
+main()
+  // The Firestore client keeps the process alive, so exit once the files are written
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error building calendar feeds:", error);
+    process.exit(1);
+  });
@@ -1,54 +1,151 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, query, orderBy, onSnapshot, addDoc, setDoc, doc, getDoc, serverTimestamp } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, isSignInWithEmailLink, signInWithEmailLink } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import { computeTeamRecords } from './lib/records';
+import { computeStandings } from './lib/standings';
+import { memberDocId, canEditConstitution, canManageLeague } from './lib/permissions';
+import SignInPanel, { EMAIL_FOR_SIGN_IN_KEY } from './components/SignInPanel';
+import Navbar from './components/Navbar';
+import NotFound from './components/NotFound';
+import Dashboard, { DASHBOARD_NEWS_FETCH_COUNT } from './components/Dashboard';
+import Standings from './components/Standings';
+import Schedule from './components/Schedule';
+import Teams, { TeamDetail } from './components/Teams';
+import LeagueHistory, { HistorySeason } from './components/LeagueHistory';
+import { ArchivedStandings, ArchivedSchedule, ArchivedConstitution } from './components/ArchivedSeason';
+import LeagueConstitution from './components/LeagueConstitution';
+import NewsPostPage from './components/NewsPostPage';
+import LeagueNews from './components/LeagueNews';
+import Playoffs from './components/Playoffs';
+import RecordsBook from './components/RecordsBook';
+import HeadToHeadPage from './components/HeadToHeadPage';
+import SeasonImporter from './components/SeasonImporter';
+import ManagerProfile from './components/ManagerProfile';
+import WeeklyAnalytics from './components/WeeklyAnalytics';
+import PlayoffOddsView from './components/PlayoffOddsView';
+import ScheduleGenerator from './components/ScheduleGenerator';
+import Transactions from './components/Transactions';
+import DraftRoom from './components/DraftRoom';
+import { DraftArchive } from './components/DraftGrid';
+import Ledger from './components/Ledger';
+import MatchupPage from './components/MatchupPage';
+import LineupImporter from './components/LineupImporter';
+import RecapDraft from './components/RecapDraft';
+import SeasonRollover from './components/SeasonRollover';
+import LeagueSwitcher from './components/LeagueSwitcher';
+import { DataStatusPage } from './components/DataStatus';
+import SyncStatus from './components/SyncStatus';
+import InstallButton from './components/InstallButton';
+import { createFirestoreRepository } from './data/repository';
+import { useLiveData, combineStatus } from './data/useLiveData';
+import { useSyncStatus } from './data/useSyncStatus';
+import { LEAGUES, SELECTED_LEAGUE_KEY, initialLeagueId, defaultLeagueSettings, seasonOptions } from './lib/leagues.mjs';
+import { runPlayoffOdds } from './workers/runPlayoffOdds';
+import { createManagerIdentifier } from './lib/managers';
+import { PROPOSAL_STATUS, proposalOutcome, groupVotesByProposal, applyProposal } from './lib/proposals';
+import { TRANSACTION_STATUS, TRANSACTION_TYPES, tradeOutcome, groupVotesByTransaction, tradeNewsPost } from './lib/transactions';
 
 // Define global variables for Firebase configuration, provided by the Canvas environment
 // These variables are automatically injected by the environment where this code runs.
 // If running locally, you might need to mock them or provide your own Firebase config.
-// UPDATED: Set appId to your manually created Firebase project ID "party-ponies"
-const appId = "party-ponies"; // typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+/* global __firebase_config, __initial_auth_token */
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
-// Main App component
-const App = () => {
-  // State to manage which tab is currently active (e.g., 'dashboard', 'standings')
-  const [activeTab, setActiveTab] = useState('dashboard');
+// setTimeout fires at once for longer delays
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Calls `onWake` when the earliest of `deadlines` (Firestore timestamps or dates) passes, so a vote or
+// trade review that closes without any new votes still gets resolved. Returns a cleanup for useEffect.
+const wakeAtNextDeadline = (deadlines, onWake) => {
+  const times = deadlines
+    .filter(Boolean)
+    .map(deadline => (typeof deadline.toDate === 'function' ? deadline.toDate() : new Date(deadline)).getTime());
+  if (times.length === 0) {
+    return undefined;
+  }
+  const timer = setTimeout(onWake, Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_TIMEOUT_MS));
+  return () => clearTimeout(timer);
+};
+
+// Constitution links shared before the site had routes look like /#article-4-section-2
+const Home = ({ children }) => {
+  const location = useLocation();
+  if (location.hash.startsWith('#article-')) {
+    return <Navigate to={`/constitution${location.hash}`} replace />;
+  }
+  return children;
+};
 
+// Main App component. `openRepository` (league id → repository) and `session` ({ userId, email })
+// replace Firebase for the tests, which run the site against the in-memory repository. `leagues` are
+// the leagues in the league selector, by default the ones configured in lib/leagues.
+const App = ({ openRepository = null, session = null, leagues = LEAGUES }) => {
   // Firebase related states
   const [db, setDb] = useState(null); // Firestore database instance
   const [auth, setAuth] = useState(null); // Firebase Auth instance
-  const [userId, setUserId] = useState(null); // Current authenticated user's ID
-  const [isAuthReady, setIsAuthReady] = useState(false); // Flag to indicate if Firebase Auth has initialized
-
-  // State for storing news items fetched from Firestore
-  const [news, setNews] = useState([]);
-  // States for the input fields when adding a new news item
-  const [newNewsTitle, setNewNewsTitle] = useState('');
-  const [newNewsContent, setNewNewsContent] = useState('');
-
-  // New states for historical data and constitution
-  const [historicalStandings, setHistoricalStandings] = useState([]);
-  const [constitutionContent, setConstitutionContent] = useState('');
+  const [userId, setUserId] = useState(session ? session.userId : null); // Current authenticated user's ID
+  const [isAuthReady, setIsAuthReady] = useState(Boolean(openRepository)); // Flag to indicate if Firebase Auth has initialized
+  const [userEmail, setUserEmail] = useState(session ? session.email : null); // Email of a signed-in owner (null for anonymous visitors)
+
+  // The league being shown. Every Firestore path is built from its id (see lib/leagues).
+  const [appId, setAppId] = useState(() => initialLeagueId(window.location.search, window.localStorage.getItem(SELECTED_LEAGUE_KEY), leagues));
+  const [viewedSeason, setViewedSeason] = useState(null); // A past season picked in the season selector; null for the current one
+
   const [isEditingConstitution, setIsEditingConstitution] = useState(false);
-  const [newConstitutionContent, setNewConstitutionContent] = useState('');
+  const [isShowingConstitutionHistory, setIsShowingConstitutionHistory] = useState(false);
+  const [constitutionError, setConstitutionError] = useState('');
+  const [setupError, setSetupError] = useState(null); // Firebase failed to start
+  const [authError, setAuthError] = useState(null); // Signing in, anonymously or with an email link, failed
+  const [resolveError, setResolveError] = useState(''); // Recording a finished vote or trade review failed
+  const [now, setNow] = useState(() => new Date()); // When open votes and trade reviews were last checked against their deadlines
+  const [playoffOdds, setPlayoffOdds] = useState(null); // Simulated odds by team id, null while running
 
   // useEffect hook to initialize Firebase and set up authentication listener.
-  // This runs only once when the component mounts due to the empty dependency array [].
+  // This runs only once when the component mounts, and not at all when a repository is passed in.
   useEffect(() => {
+    if (openRepository) {
+      return undefined;
+    }
     try {
       const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      // Keep league data in IndexedDB so pages load from it with no connection, and queue writes made
+      // offline until the connection returns. Open tabs share the one cache.
+      const firestore = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
       const firebaseAuth = getAuth(app);
 
+      // Point the site at the local Firestore emulator, e.g. REACT_APP_FIRESTORE_EMULATOR=localhost:8080
+      if (process.env.REACT_APP_FIRESTORE_EMULATOR) {
+        const [host, port] = process.env.REACT_APP_FIRESTORE_EMULATOR.split(':');
+        connectFirestoreEmulator(firestore, host, Number(port));
+      }
+
       setDb(firestore);
       setAuth(firebaseAuth);
 
+      // Complete an email-link sign-in when the user returns from the link in their inbox
+      const isCompletingEmailLink = isSignInWithEmailLink(firebaseAuth, window.location.href);
+      if (isCompletingEmailLink) {
+        const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt('Please confirm your email to finish signing in');
+        signInWithEmailLink(firebaseAuth, email, window.location.href)
+          .then(() => {
+            window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+            // Strip the one-time sign-in code from the address bar
+            window.history.replaceState(null, '', window.location.pathname);
+          })
+          .catch(setAuthError);
+      }
+
       const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
         if (user) {
           setUserId(user.uid);
-        } else {
+          setUserEmail(user.email || null);
+        } else if (!isCompletingEmailLink) {
+          setUserEmail(null);
           try {
             if (initialAuthToken) {
               await signInWithCustomToken(firebaseAuth, initialAuthToken);
@@ -56,7 +153,7 @@ const App = () => {
               await signInAnonymously(firebaseAuth);
             }
           } catch (error) {
-            console.error("Firebase authentication error:", error);
+            setAuthError(error);
           }
         }
         setIsAuthReady(true);
@@ -64,525 +161,470 @@ const App = () => {
 
       return () => unsubscribe();
     } catch (error) {
-      console.error("Failed to initialize Firebase:", error);
+      setSetupError(error);
     }
-  }, []); // Empty dependency array means this effect runs once on mount
-
-  // Fetch news items from Firestore
-  useEffect(() => {
-    if (db && isAuthReady) {
-      const newsCollectionPath = `artifacts/${appId}/public/data/news`;
-      const newsQuery = query(collection(db, newsCollectionPath), orderBy('timestamp', 'desc'));
-
-      const unsubscribe = onSnapshot(newsQuery, (snapshot) => {
-        const newsData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setNews(newsData);
-      }, (error) => {
-        console.error("Error fetching news:", error);
-      });
-
-      return () => unsubscribe();
-    }
-  }, [db, isAuthReady, appId]);
-
-  // Fetch historical standings from Firestore
-  useEffect(() => {
-    if (db && isAuthReady) {
-      const historicalStandingsCollectionPath = `artifacts/${appId}/public/data/historicalStandings`;
-      // Order by year in descending order to show most recent first
-      const historicalStandingsQuery = query(collection(db, historicalStandingsCollectionPath), orderBy('year', 'desc'));
-
-      const unsubscribe = onSnapshot(historicalStandingsQuery, (snapshot) => {
-        const standingsData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setHistoricalStandings(standingsData);
-      }, (error) => {
-        console.error("Error fetching historical standings:", error);
-      });
-
-      return () => unsubscribe();
-    }
-  }, [db, isAuthReady, appId]);
-
-  // Fetch league constitution from Firestore
-  useEffect(() => {
-    if (db && isAuthReady) {
-      const constitutionDocPath = `artifacts/${appId}/public/data/leagueConstitution/document`;
-      const docRef = doc(db, constitutionDocPath);
-
-      const unsubscribe = onSnapshot(docRef, (docSnap) => {
-        if (docSnap.exists()) {
-          setConstitutionContent(docSnap.data().content || '');
-          setNewConstitutionContent(docSnap.data().content || ''); // Initialize editor with current content
-        } else {
-          setConstitutionContent('No constitution found. Click "Edit" to add one!');
-          setNewConstitutionContent('');
-        }
-      }, (error) => {
-        console.error("Error fetching constitution:", error);
-      });
+  }, [openRepository]); // The openRepository prop never changes, so this runs once on mount
 
-      return () => unsubscribe();
+  // League data, read through the repository: Firestore once auth is ready, or the one passed in
+  const repository = useMemo(() => {
+    if (openRepository) {
+      return openRepository(appId);
     }
-  }, [db, isAuthReady, appId]);
-
+    return db && isAuthReady ? createFirestoreRepository(db, appId) : null;
+  }, [openRepository, db, isAuthReady, appId]);
+  const syncStatus = useSyncStatus(repository);
+
+  // The signed-in owner's member document (role and team)
+  const memberId = memberDocId(userEmail);
+  const { data: member } = useLiveData(repository, (repo, onData, onError) => (
+    memberId ? repo.watchMember(memberId, onData, onError) : null
+  ), null, memberId);
+
+  // News shown on the Dashboard: the latest posts (the News tab pages through the rest) plus every pinned post
+  const { data: news, ...newsStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchLatestNews(DASHBOARD_NEWS_FETCH_COUNT, onData, onError), []);
+  const { data: pinnedNews, ...pinnedNewsStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchPinnedNews(onData, onError), []);
+
+  // Past seasons (most recent first) and the constitution
+  const { data: historicalStandings, ...historyStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchSeasons(onData, onError), []);
+  const { data: constitutionDoc, ...constitutionStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchConstitution(onData, onError), null);
+  const constitutionContent = (constitutionDoc && constitutionDoc.content) || '';
+
+  // The current season, kept in Firestore instead of hardcoded placeholder data
+  const { data: teams, ...teamsStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchTeams(onData, onError), []);
+  const { data: schedule, ...scheduleStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchSchedule(onData, onError), []);
+  const { data: settingsDoc, ...settingsStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchSettings(onData, onError), null);
+  const leagueSettings = useMemo(() => ({ ...defaultLeagueSettings(appId, leagues), ...(settingsDoc || {}) }), [appId, leagues, settingsDoc]);
+  const leagueStatus = combineStatus(teamsStatus, scheduleStatus, settingsStatus);
+
+  // Constitution amendment proposals and the teams' votes on them
+  const { data: proposals } = useLiveData(repository, (repo, onData, onError) => repo.watchProposals(onData, onError), []);
+  const { data: proposalVotes } = useLiveData(repository, (repo, onData, onError) => repo.watchProposalVotes(onData, onError), []);
+  const votesByProposal = useMemo(() => groupVotesByProposal(proposalVotes), [proposalVotes]);
+
+  // Playoff brackets (one document per season) and managers (one person across every team name they've used)
+  const { data: playoffBrackets } = useLiveData(repository, (repo, onData, onError) => repo.watchPlayoffBrackets(onData, onError), []);
+  const { data: managers } = useLiveData(repository, (repo, onData, onError) => repo.watchManagers(onData, onError), []);
+
+  // Trades, adds and drops, and the league's veto votes on trades under review
+  const { data: transactions, ...transactionsStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchTransactions(onData, onError), []);
+  const { data: transactionVotes } = useLiveData(repository, (repo, onData, onError) => repo.watchTransactionVotes(onData, onError), []);
+  const votesByTransaction = useMemo(() => groupVotesByTransaction(transactionVotes), [transactionVotes]);
+  const teamNameById = useMemo(() => Object.fromEntries(teams.map(team => [team.id, team.name])), [teams]);
+
+  // Drafts (one document per season: the live board, then its archive)
+  const { data: drafts, ...draftsStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchDrafts(onData, onError), []);
+
+  // The dues and payouts ledger; only league members can read it
+  const isSignedInMember = Boolean(member);
+  const { data: ledgerEntries, ...ledgerStatus } = useLiveData(repository, (repo, onData, onError) => (
+    isSignedInMember ? repo.watchLedger(onData, onError) : null
+  ), [], String(isSignedInMember));
+
+
+  // Who a constitution revision is credited to
+  const constitutionAuthor = useMemo(
+    () => ({ authorId: userId, authorName: (member && member.displayName) || userEmail }),
+    [userId, member, userEmail]
+  );
 
-  // Handle adding a new news item
-  const handleAddNews = async () => {
-    if (!newNewsTitle || !newNewsContent) {
-      console.log("Title and content cannot be empty.");
+  // Handle saving the constitution
+  const handleSaveConstitution = async ({ content, summary }) => {
+    if (!repository || !userId) {
+      setConstitutionError("Couldn't save the constitution: you're not signed in.");
       return;
     }
-    if (!db || !userId) {
-      console.log("Firestore not initialized or user not authenticated.");
+    if (!canEditConstitution(member)) {
+      setConstitutionError('Only the commissioner can edit the constitution.');
       return;
     }
 
     try {
-      const newsCollectionRef = collection(db, `artifacts/${appId}/public/data/news`);
-      await addDoc(newsCollectionRef, {
-        title: newNewsTitle,
-        content: newNewsContent,
-        timestamp: serverTimestamp(),
-        authorId: userId,
-      });
-      setNewNewsTitle('');
-      setNewNewsContent('');
-      console.log("News added successfully!");
+      await repository.saveConstitutionRevision({ content, summary }, constitutionAuthor);
+      setIsEditingConstitution(false);
+      setConstitutionError('');
     } catch (error) {
-      console.error("Error adding news:", error);
+      setConstitutionError(`Couldn't save the constitution: ${error.message}`);
     }
   };
 
-  // Handle saving the constitution
-  const handleSaveConstitution = async () => {
-    if (!db || !userId) {
-      console.log("Firestore not initialized or user not authenticated.");
+  // Handle restoring an older constitution revision (saved as a new revision, so nothing is lost)
+  const handleRestoreConstitution = async (revision) => {
+    if (!repository || !userId || !canEditConstitution(member)) {
+      setConstitutionError('Only the commissioner can restore the constitution.');
       return;
     }
 
     try {
-      const constitutionDocRef = doc(db, `artifacts/${appId}/public/data/leagueConstitution/document`);
-      await setDoc(constitutionDocRef, {
-        content: newConstitutionContent,
-        lastUpdated: serverTimestamp(),
-        updatedBy: userId,
-      });
-      setIsEditingConstitution(false);
-      console.log("Constitution saved successfully!");
+      await repository.saveConstitutionRevision({
+        content: revision.content,
+        summary: `Restored revision ${revision.revision}`,
+        restoredFrom: revision.revision,
+      }, constitutionAuthor);
+      setConstitutionError('');
     } catch (error) {
-      console.error("Error saving constitution:", error);
+      setConstitutionError(`Couldn't restore revision ${revision.revision}: ${error.message}`);
     }
   };
 
-  // Placeholder data for the current league season (can be replaced by Firestore data later)
-  const leagueData = {
-    name: "Party Ponies FF League", // Changed to your league name!
-    currentWeek: 1,
-    teams: [
-      { id: 1, name: "Team A", manager: "Alice", wins: 1, losses: 0, ties: 0, pointsFor: 120, pointsAgainst: 90 },
-      { id: 2, name: "Team B", manager: "Bob", wins: 0, losses: 1, ties: 0, pointsFor: 95, pointsAgainst: 110 },
-      { id: 3, name: "Team C", manager: "Charlie", wins: 1, losses: 0, ties: 0, pointsFor: 115, pointsAgainst: 85 },
-      { id: 4, name: "Team D", manager: "Diana", wins: 0, losses: 1, ties: 0, pointsFor: 88, pointsAgainst: 105 },
-    ],
-    schedule: [
-      { week: 1, homeTeam: "Team A", awayTeam: "Team B", homeScore: 120, awayScore: 95 },
-      { week: 1, homeTeam: "Team C", awayTeam: "Team D", homeScore: 115, awayScore: 88 },
-    ]
-  };
+  // Record the outcome of a proposal whose vote has finished. A passing proposal is written into the
+  // constitution as a new revision that links back to it. Runs from the commissioner's session,
+  // since only the commissioner may change the constitution.
+  const handleResolveProposal = useCallback(async (proposal, outcome) => {
+    try {
+      await repository.resolveProposal(proposal.id, (stored, constitution) => {
+        const resolution = { status: outcome.status, yesVotes: outcome.yes, noVotes: outcome.no };
+        if (outcome.status !== PROPOSAL_STATUS.PASSED) {
+          return { resolution, amendment: null };
+        }
+        const amendedContent = applyProposal((constitution && constitution.content) || '', stored);
+        if (amendedContent === null) {
+          resolution.applyError = `${stored.sectionLabel} (${stored.sectionTitle}) was changed or removed after this proposal was made; the commissioner needs to apply it by hand.`;
+          return { resolution, amendment: null };
+        }
+        return { resolution, amendment: { content: amendedContent, summary: `Amendment passed: ${stored.title}` } };
+      }, constitutionAuthor);
+    } catch (error) {
+      setResolveError(`Couldn't record the result of the proposal "${proposal.title}": ${error.message}`);
+    }
+  }, [repository, constitutionAuthor]);
 
-  // Navbar component
-  const Navbar = () => (
-    <nav className="bg-gray-800 p-4 rounded-t-lg shadow-lg">
-      <div className="container mx-auto flex justify-between items-center">
-        <h1 className="text-white text-2xl font-bold">
-          {leagueData.name}
-        </h1>
-        <div className="flex space-x-4">
-          <NavItem tabName="dashboard" label="Dashboard" />
-          <NavItem tabName="standings" label="Current Standings" />
-          <NavItem tabName="schedule" label="Current Schedule" />
-          <NavItem tabName="teams" label="Teams & Managers" />
-          <NavItem tabName="news" label="League News" />
-          <NavItem tabName="history" label="League History" /> {/* New Nav Item */}
-          <NavItem tabName="constitution" label="Constitution" /> {/* New Nav Item */}
-        </div>
-      </div>
-    </nav>
-  );
+  // As commissioner, resolve any proposals whose vote has finished, and check again when the next
+  // open vote's deadline passes
+  useEffect(() => {
+    if (!repository || !canEditConstitution(member)) {
+      return undefined;
+    }
+    const stillOpen = proposals
+      .filter(proposal => proposal.status === PROPOSAL_STATUS.OPEN)
+      .filter(proposal => {
+        const outcome = proposalOutcome(proposal, votesByProposal[proposal.id] || [], teams.length, now);
+        if (outcome.status !== PROPOSAL_STATUS.OPEN) {
+          handleResolveProposal(proposal, outcome);
+          return false;
+        }
+        return true;
+      });
+    return wakeAtNextDeadline(stillOpen.map(proposal => proposal.deadline), () => setNow(new Date()));
+  }, [repository, member, proposals, votesByProposal, teams.length, now, handleResolveProposal]);
 
-  // NavItem component
-  const NavItem = ({ tabName, label }) => (
-    <button
-      onClick={() => setActiveTab(tabName)}
-      className={`px-4 py-2 rounded-md transition-colors duration-200
-        ${activeTab === tabName ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700 hover:text-white'}`}
-    >
-      {label}
-    </button>
-  );
+  // Record the outcome of a trade whose review has finished. An approved trade is announced with a
+  // post in League News, written in the same transaction. Runs from the commissioner's session, like
+  // proposal resolution.
+  const handleResolveTrade = useCallback(async (trade, outcome) => {
+    try {
+      await repository.resolveTrade(trade.id, (stored) => ({
+        resolution: { status: outcome.status, vetoes: outcome.vetoes, allows: outcome.allows },
+        newsPost: outcome.status === TRANSACTION_STATUS.APPROVED ? {
+          ...tradeNewsPost(stored, teamNameById),
+          season: Number(leagueSettings.season),
+          pinned: false,
+          authorId: userId,
+          authorName: member.displayName || member.id,
+        } : null,
+      }));
+    } catch (error) {
+      setResolveError(`Couldn't record the result of the trade review: ${error.message}`);
+    }
+  }, [repository, teamNameById, leagueSettings.season, userId, member]);
 
-  // Dashboard component
-  const Dashboard = () => (
-    <div className="p-6 bg-white rounded-b-lg shadow-lg">
-      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League Dashboard</h2>
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        <StatCard title="Current Week" value={leagueData.currentWeek} />
-        <StatCard title="Total Teams" value={leagueData.teams.length} />
-        <StatCard title="Upcoming Games" value={leagueData.schedule.filter(s => s.week === leagueData.currentWeek).length} />
-      </div>
-      <div className="mt-8">
-        <h3 className="text-2xl font-semibold text-gray-800 mb-4">Latest News & Updates</h3>
-        {news.length > 0 ? (
-          <ul className="list-disc list-inside text-gray-700">
-            {news.slice(0, 3).map((item) => (
-              <li key={item.id} className="mb-2">
-                <span className="font-semibold">{item.title}:</span> {item.content}
-                <span className="text-sm text-gray-500 ml-2">
-                  ({item.timestamp ? new Date(item.timestamp.toDate()).toLocaleDateString() : 'N/A'})
-                </span>
-              </li>
-            ))}
-            {news.length > 3 && (
-              <li className="text-blue-600 hover:underline cursor-pointer" onClick={() => setActiveTab('news')}>
-                View all news...
-              </li>
-            )}
-          </ul>
-        ) : (
-          <p className="text-gray-600">No news updates yet. Be the first to add one!</p>
-        )}
-      </div>
-    </div>
-  );
+  // As commissioner, resolve any trades whose review has finished, and check again when the next
+  // review's deadline passes
+  useEffect(() => {
+    if (!repository || !canManageLeague(member)) {
+      return undefined;
+    }
+    const stillInReview = transactions
+      .filter(transaction => transaction.type === TRANSACTION_TYPES.TRADE && transaction.status === TRANSACTION_STATUS.REVIEW)
+      .filter(trade => {
+        const outcome = tradeOutcome(trade, votesByTransaction[trade.id] || [], teams.length, now);
+        if (outcome.status !== TRANSACTION_STATUS.REVIEW) {
+          handleResolveTrade(trade, outcome);
+          return false;
+        }
+        return true;
+      });
+    return wakeAtNextDeadline(stillInReview.map(trade => trade.reviewDeadline), () => setNow(new Date()));
+  }, [repository, member, transactions, votesByTransaction, teams.length, now, handleResolveTrade]);
 
-  // Reusable Stat Card component
-  const StatCard = ({ title, value }) => (
-    <div className="bg-blue-50 p-6 rounded-lg shadow-md text-center">
-      <h4 className="text-lg font-medium text-blue-700 mb-2">{title}</h4>
-      <p className="text-4xl font-bold text-blue-900">{value}</p>
-    </div>
-  );
+  // Re-simulate the playoff odds in a Web Worker whenever scores, teams or settings change
+  useEffect(() => {
+    if (teams.length < 2) {
+      return undefined;
+    }
+    setPlayoffOdds(null);
+    return runPlayoffOdds({ teams, schedule, settings: leagueSettings }, setPlayoffOdds);
+  }, [teams, schedule, leagueSettings]);
 
-  // Standings component
-  const Standings = () => {
-    const sortedTeams = [...leagueData.teams].sort((a, b) => {
-      if (b.wins !== a.wins) {
-        return b.wins - a.wins;
-      }
-      return b.pointsFor - a.pointsFor;
-    });
-
-    return (
-      <div className="p-6 bg-white rounded-b-lg shadow-lg">
-        <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Current League Standings</h2>
-        <div className="overflow-x-auto">
-          <table className="min-w-full bg-white border border-gray-200 rounded-lg">
-            <thead>
-              <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
-                <th className="py-3 px-6 text-left">Rank</th>
-                <th className="py-3 px-6 text-left">Team Name</th>
-                <th className="py-3 px-6 text-left">Manager</th>
-                <th className="py-3 px-6 text-left">W</th>
-                <th className="py-3 px-6 text-left">L</th>
-                <th className="py-3 px-6 text-left">T</th>
-                <th className="py-3 px-6 text-left">PF</th>
-                <th className="py-3 px-6 text-left">PA</th>
-              </tr>
-            </thead>
-            <tbody className="text-gray-700 text-sm font-light">
-              {sortedTeams.map((team, index) => (
-                <tr key={team.id} className="border-b border-gray-200 hover:bg-gray-50">
-                  <td className="py-3 px-6 text-left whitespace-nowrap">{index + 1}</td>
-                  <td className="py-3 px-6 text-left">{team.name}</td>
-                  <td className="py-3 px-6 text-left">{team.manager}</td>
-                  <td className="py-3 px-6 text-left">{team.wins}</td>
-                  <td className="py-3 px-6 text-left">{team.losses}</td>
-                  <td className="py-3 px-6 text-left">{team.ties}</td>
-                  <td className="py-3 px-6 text-left">{team.pointsFor}</td>
-                  <td className="py-3 px-6 text-left">{team.pointsAgainst}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </div>
-    );
+  // Current league season, with each team's regular-season record computed from the recorded scores
+  const teamsWithRecords = computeTeamRecords(teams, schedule.filter(game => !game.playoffRound));
+  const identifyManager = createManagerIdentifier(managers);
+  const leagueData = {
+    name: leagueSettings.name,
+    currentWeek: leagueSettings.currentWeek,
+    teams: teamsWithRecords,
+    standings: computeStandings(teams, schedule, leagueSettings),
+    schedule,
   };
 
-  // Schedule component
-  const Schedule = () => (
-    <div className="p-6 bg-white rounded-b-lg shadow-lg">
-      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Current Schedule & Results</h2>
-      <div className="overflow-x-auto">
-        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
-          <thead>
-            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
-              <th className="py-3 px-6 text-left">Week</th>
-              <th className="py-3 px-6 text-left">Home Team</th>
-              <th className="py-3 px-6 text-left">Score</th>
-              <th className="py-3 px-6 text-left">Away Team</th>
-              <th className="py-3 px-6 text-left">Score</th>
-            </tr>
-          </thead>
-          <tbody className="text-gray-700 text-sm font-light">
-            {leagueData.schedule.map((game, index) => (
-              <tr key={index} className="border-b border-gray-200 hover:bg-gray-50">
-                <td className="py-3 px-6 text-left">{game.week}</td>
-                <td className="py-3 px-6 text-left">{game.homeTeam}</td>
-                <td className="py-3 px-6 text-left font-bold">{game.homeScore}</td>
-                <td className="py-3 px-6 text-left">{game.awayTeam}</td>
-                <td className="py-3 px-6 text-left font-bold">{game.awayScore}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  );
-
-  // Teams component
-  const Teams = () => (
-    <div className="p-6 bg-white rounded-b-lg shadow-lg">
-      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Teams & Managers</h2>
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {leagueData.teams.map(team => (
-          <div key={team.id} className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
-            <h3 className="text-xl font-semibold text-gray-800 mb-2">{team.name}</h3>
-            <p className="text-gray-700">Manager: <span className="font-medium">{team.manager}</span></p>
-            <p className="text-gray-600 text-sm mt-2">
-              Record: {team.wins}-{team.losses}-{team.ties}
-            </p>
-            <p className="text-gray-600 text-sm">
-              Points For: {team.pointsFor}, Points Against: {team.pointsAgainst}
-            </p>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-
-  // LeagueNews component
-  const LeagueNews = () => (
-    <div className="p-6 bg-white rounded-b-lg shadow-lg">
-      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League News & Updates</h2>
-
-      {userId && (
-        <p className="text-sm text-gray-500 mb-4">
-          Current User ID: <span className="font-mono bg-gray-100 p-1 rounded">{userId}</span>
-        </p>
-      )}
-
-      <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
-        <h3 className="text-2xl font-semibold text-blue-800 mb-4">Add New News Item</h3>
-        <input
-          type="text"
-          placeholder="News Title"
-          value={newNewsTitle}
-          onChange={(e) => setNewNewsTitle(e.target.value)}
-          className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-        />
-        <textarea
-          placeholder="News Content"
-          value={newNewsContent}
-          onChange={(e) => setNewNewsContent(e.target.value)}
-          rows="4"
-          className="w-full p-3 mb-4 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
-        ></textarea>
-        <button
-          onClick={handleAddNews}
-          className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
-        >
-          Publish News
-        </button>
-      </div>
-
-      <div className="mt-8">
-        {news.length > 0 ? (
-          <div className="space-y-6">
-            {news.map((item) => (
-              <div key={item.id} className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
-                <h3 className="text-xl font-semibold text-gray-800 mb-2">{item.title}</h3>
-                <p className="text-gray-700 mb-3">{item.content}</p>
-                <p className="text-sm text-gray-500">
-                  Published: {item.timestamp ? new Date(item.timestamp.toDate()).toLocaleString() : 'N/A'}
-                </p>
-              </div>
-            ))}
-          </div>
-        ) : (
-          <p className="text-gray-600">No news items found. Add one above!</p>
-        )}
-      </div>
-    </div>
-  );
-
-  // New Component: League History (for historical standings)
-  const LeagueHistory = () => (
-    <div className="p-6 bg-white rounded-b-lg shadow-lg">
-      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League History (Past Standings)</h2>
-
-      {/* Instructions for adding historical data */}
-      <div className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 rounded">
-        <p className="font-bold">How to Add Historical Data:</p>
-        <p className="text-sm">
-          Currently, you'll need to add historical standings directly via the Firebase Console.
-          Go to your Firestore database, find the collection `artifacts/{appId}/public/data/historicalStandings`,
-          and add documents. Each document should represent a year and contain an array of team objects.
-        </p>
-        <p className="text-sm mt-2">
-          **Example Document Structure for a year (e.g., "2023"):**
-        </p>
-        <pre className="bg-yellow-100 p-2 rounded text-xs mt-1 overflow-x-auto">
-          {`{
-  "year": 2023,
-  "standings": [
-    { "name": "Party Ponies", "manager": "You", "wins": 10, "losses": 3, "ties": 0, "championship": true },
-    { "name": "Gridiron Gurus", "manager": "Alex", "wins": 9, "losses": 4, "ties": 0, "championship": false }
-    // ... more teams
-  ],
-  "championshipTeam": "Party Ponies" // Optional: Name of the champion for quick display
-}`}
-        </pre>
-      </div>
-
-      {historicalStandings.length > 0 ? (
-        <div className="space-y-8">
-          {historicalStandings.map((yearData) => (
-            <div key={yearData.id} className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
-              <h3 className="text-2xl font-semibold text-gray-800 mb-4 border-b pb-2">
-                {yearData.year} Season
-                {yearData.championshipTeam && (
-                  <span className="ml-3 text-green-600 text-xl font-bold">
-                    Champion: {yearData.championshipTeam}
-                  </span>
-                )}
-              </h3>
-              <div className="overflow-x-auto">
-                <table className="min-w-full bg-white border border-gray-200 rounded-lg">
-                  <thead>
-                    <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
-                      <th className="py-3 px-6 text-left">Rank</th>
-                      <th className="py-3 px-6 text-left">Team Name</th>
-                      <th className="py-3 px-6 text-left">Manager</th>
-                      <th className="py-3 px-6 text-left">W</th>
-                      <th className="py-3 px-6 text-left">L</th>
-                      <th className="py-3 px-6 text-left">T</th>
-                      {/* Add more columns as needed for historical data */}
-                    </tr>
-                  </thead>
-                  <tbody className="text-gray-700 text-sm font-light">
-                    {yearData.standings && yearData.standings.sort((a,b) => b.wins - a.wins).map((team, index) => (
-                      <tr key={index} className="border-b border-gray-200 hover:bg-gray-50">
-                        <td className="py-3 px-6 text-left whitespace-nowrap">{index + 1}</td>
-                        <td className="py-3 px-6 text-left">{team.name}</td>
-                        <td className="py-3 px-6 text-left">{team.manager}</td>
-                        <td className="py-3 px-6 text-left">{team.wins}</td>
-                        <td className="py-3 px-6 text-left">{team.losses}</td>
-                        <td className="py-3 px-6 text-left">{team.ties || 0}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-          ))}
-        </div>
-      ) : (
-        <p className="text-gray-600">No historical standings found. Add some via Firebase Console!</p>
-      )}
-    </div>
-  );
-
-  // New Component: League Constitution
-  const LeagueConstitution = () => (
-    <div className="p-6 bg-white rounded-b-lg shadow-lg">
-      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Party Ponies FF League Constitution</h2>
-
-      {userId && (
-        <p className="text-sm text-gray-500 mb-4">
-          Current User ID: <span className="font-mono bg-gray-100 p-1 rounded">{userId}</span>
-        </p>
-      )}
-
-      {isEditingConstitution ? (
-        <div className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner">
-          <h3 className="text-2xl font-semibold text-green-800 mb-4">Edit Constitution</h3>
-          <textarea
-            value={newConstitutionContent}
-            onChange={(e) => setNewConstitutionContent(e.target.value)}
-            rows="15"
-            className="w-full p-3 mb-4 border border-green-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 resize-y"
-            placeholder="Write your league's constitution here..."
-          ></textarea>
-          <div className="flex space-x-4">
-            <button
-              onClick={handleSaveConstitution}
-              className="flex-1 bg-green-600 text-white py-3 rounded-md hover:bg-green-700 transition-colors duration-200 font-bold shadow-md"
-            >
-              Save Constitution
-            </button>
-            <button
-              onClick={() => {
-                setIsEditingConstitution(false);
-                setNewConstitutionContent(constitutionContent); // Revert changes
-              }}
-              className="flex-1 bg-gray-400 text-white py-3 rounded-md hover:bg-gray-500 transition-colors duration-200 font-bold shadow-md"
-            >
-              Cancel
-            </button>
-          </div>
-        </div>
-      ) : (
-        <div className="mb-8 p-6 bg-gray-50 rounded-lg shadow-md border border-gray-200 whitespace-pre-wrap">
-          {constitutionContent || <p className="text-gray-600">No constitution content available. Click "Edit" to add it!</p>}
-          <div className="mt-6 text-right">
-            <button
-              onClick={() => setIsEditingConstitution(true)}
-              className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
-            >
-              Edit Constitution
-            </button>
-          </div>
-        </div>
-      )}
-    </div>
-  );
-
-
-  // Function to render the correct component based on the active tab
-  const renderContent = () => {
-    switch (activeTab) {
-      case 'dashboard':
-        return <Dashboard />;
-      case 'standings':
-        return <Standings />;
-      case 'schedule':
-        return <Schedule />;
-      case 'teams':
-        return <Teams />;
-      case 'news':
-        return <LeagueNews />;
-      case 'history':
-        return <LeagueHistory />; // New case for League History
-      case 'constitution':
-        return <LeagueConstitution />; // New case for League Constitution
-      default:
-        return <Dashboard />; // Default to Dashboard
-    }
+  // The season shown on Standings, Schedule, News and Constitution: the current season, or a past one
+  // from its historicalStandings archive
+  const currentSeason = Number(leagueSettings.season);
+  const archivedSeason = viewedSeason !== null && viewedSeason !== currentSeason
+    ? historicalStandings.find(season => Number(season.year) === viewedSeason) || null
+    : null;
+
+  // Switching leagues rescopes every subscription
+  const handleLeagueChange = (leagueId) => {
+    window.localStorage.setItem(SELECTED_LEAGUE_KEY, leagueId);
+    setAppId(leagueId);
+    setViewedSeason(null);
+    setIsEditingConstitution(false);
   };
 
+  const notFound = <NotFound />;
+  // Props shared by the past-season views picked in the season selector
+  const archivedProps = { season: archivedSeason, currentSeason, onBack: () => setViewedSeason(null) };
+  // Props shared by every standings table of a past season
+  const seasonCardProps = { settings: leagueSettings, identify: identifyManager, playoffBrackets };
+
   // Main App component rendering
   return (
     <div className="min-h-screen bg-gray-100 font-sans p-4">
       <div className="max-w-4xl mx-auto bg-white rounded-lg shadow-xl overflow-hidden">
-        <Navbar />
-        {renderContent()}
+        <Navbar
+          leagueName={leagueData.name}
+          controls={(
+            <>
+              <LeagueSwitcher
+                leagues={leagues}
+                leagueId={appId}
+                onLeagueChange={handleLeagueChange}
+                seasons={seasonOptions(currentSeason, historicalStandings)}
+                season={archivedSeason ? Number(archivedSeason.year) : currentSeason}
+                currentSeason={currentSeason}
+                onSeasonChange={(year) => setViewedSeason(year === currentSeason ? null : year)}
+              />
+              <InstallButton />
+            </>
+          )}
+        >
+          <SignInPanel auth={auth} userEmail={userEmail} member={member} />
+        </Navbar>
+        <SyncStatus {...syncStatus} />
+        {setupError && (
+          <p className="m-4 p-3 bg-red-50 border border-red-300 rounded-md text-sm text-red-700" role="alert">
+            The site couldn't connect to the league database: {setupError.message}
+          </p>
+        )}
+        {authError && (
+          <p className="m-4 p-3 bg-red-50 border border-red-300 rounded-md text-sm text-red-700" role="alert">
+            Signing in failed: {authError.message}
+          </p>
+        )}
+        {resolveError && (
+          <p className="m-4 p-3 bg-red-50 border border-red-300 rounded-md text-sm text-red-700" role="alert">{resolveError}</p>
+        )}
+        <Routes>
+          <Route path="/" element={(
+            <Home>
+              <Dashboard
+                leagueData={leagueData}
+                leagueStatus={leagueStatus}
+                teams={teams}
+                schedule={schedule}
+                proposals={proposals}
+                votesByProposal={votesByProposal}
+                news={news}
+                pinnedNews={pinnedNews}
+                newsStatus={combineStatus(newsStatus, pinnedNewsStatus)}
+              />
+            </Home>
+          )} />
+          <Route path="/standings" element={archivedSeason ? <ArchivedStandings {...archivedProps} {...seasonCardProps} /> : (
+            <DataStatusPage status={leagueStatus} label="the standings">
+              <Standings standings={leagueData.standings} settings={leagueSettings} playoffOdds={playoffOdds} />
+            </DataStatusPage>
+          )} />
+          <Route path="/standings/odds" element={(
+            <DataStatusPage status={leagueStatus} label="the standings">
+              <PlayoffOddsView teams={teams} standings={leagueData.standings} schedule={schedule} settings={leagueSettings} odds={playoffOdds} />
+            </DataStatusPage>
+          )} />
+          <Route path="/schedule" element={archivedSeason ? <ArchivedSchedule {...archivedProps} /> : (
+            <DataStatusPage status={leagueStatus} label="the schedule">
+              <Schedule leagueId={appId} teams={teams} schedule={schedule} settings={leagueSettings} member={member} />
+            </DataStatusPage>
+          )} />
+          <Route path="/schedule/generate" element={canManageLeague(member) ? (
+            <ScheduleGenerator repository={repository} teams={teams} schedule={schedule} settings={leagueSettings} />
+          ) : notFound} />
+          <Route path="/schedule/lineups" element={canManageLeague(member) ? (
+            <LineupImporter repository={repository} teams={teams} schedule={schedule} settings={leagueSettings} />
+          ) : notFound} />
+          <Route path="/schedule/:gameId" element={(
+            <DataStatusPage status={leagueStatus} label="the schedule">
+              <MatchupPage repository={repository} teams={teams} schedule={schedule} member={member} notFound={notFound} />
+            </DataStatusPage>
+          )} />
+          <Route path="/power-rankings" element={(
+            <DataStatusPage status={leagueStatus} label="the power rankings"><WeeklyAnalytics teams={teams} schedule={schedule} /></DataStatusPage>
+          )} />
+          <Route path="/playoffs" element={(
+            <DataStatusPage status={leagueStatus} label="the playoffs">
+              <Playoffs
+                repository={repository}
+                teams={teams}
+                schedule={schedule}
+                standings={leagueData.standings}
+                settings={leagueSettings}
+                member={member}
+                playoffBrackets={playoffBrackets}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="/teams" element={(
+            <DataStatusPage status={leagueStatus} label="the teams">
+              <Teams
+                repository={repository}
+                teams={leagueData.teams}
+                member={member}
+                managers={managers}
+                seasons={historicalStandings}
+                identify={identifyManager}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="/teams/:teamId" element={(
+            <DataStatusPage status={leagueStatus} label="the teams">
+              <TeamDetail teams={leagueData.teams} schedule={schedule} identify={identifyManager} notFound={notFound} />
+            </DataStatusPage>
+          )} />
+          <Route path="/news" element={(
+            <LeagueNews
+              repository={repository}
+              member={member}
+              userId={userId}
+              currentSeason={currentSeason}
+              season={archivedSeason ? Number(archivedSeason.year) : null}
+            />
+          )} />
+          <Route path="/transactions" element={(
+            <DataStatusPage status={combineStatus(leagueStatus, transactionsStatus)} label="transactions">
+              <Transactions
+                repository={repository}
+                teams={teams}
+                member={member}
+                userId={userId}
+                settings={leagueSettings}
+                transactions={transactions}
+                votesByTransaction={votesByTransaction}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="/draft" element={(
+            <DataStatusPage status={combineStatus(leagueStatus, draftsStatus)} label="the draft">
+              <DraftRoom
+                repository={repository}
+                teams={teams}
+                seasons={historicalStandings}
+                identify={identifyManager}
+                settings={leagueSettings}
+                member={member}
+                drafts={drafts}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="/draft/:season" element={(
+            <DataStatusPage status={draftsStatus} label="the draft"><DraftArchive drafts={drafts} notFound={notFound} /></DataStatusPage>
+          )} />
+          <Route path="/ledger" element={(
+            <DataStatusPage status={combineStatus(leagueStatus, ledgerStatus)} label="the ledger">
+              <Ledger
+                repository={repository}
+                teams={teams}
+                schedule={schedule}
+                standings={leagueData.standings}
+                settings={leagueSettings}
+                member={member}
+                playoffBrackets={playoffBrackets}
+                entries={ledgerEntries}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="/news/recap" element={canManageLeague(member) ? (
+            <RecapDraft repository={repository} teams={teams} schedule={schedule} settings={leagueSettings} member={member} userId={userId} />
+          ) : notFound} />
+          <Route path="/news/:postId" element={<NewsPostPage repository={repository} member={member} userId={userId} notFound={notFound} />} />
+          <Route path="/history" element={(
+            <DataStatusPage status={historyStatus} label="league history">
+              <LeagueHistory seasons={historicalStandings} member={member} {...seasonCardProps} />
+            </DataStatusPage>
+          )} />
+          <Route path="/history/rollover" element={canManageLeague(member) ? (
+            <DataStatusPage status={combineStatus(leagueStatus, historyStatus)} label="the season">
+              <SeasonRollover
+                repository={repository}
+                teams={teams}
+                schedule={schedule}
+                settings={leagueSettings}
+                playoffBrackets={playoffBrackets}
+                seasons={historicalStandings}
+                constitution={constitutionContent}
+              />
+            </DataStatusPage>
+          ) : notFound} />
+          <Route path="/history/import" element={canManageLeague(member) ? <SeasonImporter repository={repository} seasons={historicalStandings} teams={teams} /> : notFound} />
+          <Route path="/history/:year" element={(
+            <DataStatusPage status={historyStatus} label="league history">
+              <HistorySeason seasons={historicalStandings} {...seasonCardProps} notFound={notFound} />
+            </DataStatusPage>
+          )} />
+          <Route path="/records" element={(
+            <DataStatusPage status={historyStatus} label="the record book"><RecordsBook seasons={historicalStandings} identify={identifyManager} /></DataStatusPage>
+          )} />
+          <Route path="/records/head-to-head/:manager/:opponent" element={(
+            <DataStatusPage status={historyStatus} label="league history">
+              <HeadToHeadPage seasons={historicalStandings} identify={identifyManager} notFound={notFound} />
+            </DataStatusPage>
+          )} />
+          <Route path="/managers/:managerId" element={(
+            <DataStatusPage status={historyStatus} label="league history">
+              <ManagerProfile
+                managers={managers}
+                seasons={historicalStandings}
+                teams={teams}
+                identify={identifyManager}
+                playoffBrackets={playoffBrackets}
+                settings={leagueSettings}
+                notFound={notFound}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="/constitution" element={archivedSeason ? <ArchivedConstitution {...archivedProps} leagueName={leagueData.name} /> : (
+            <DataStatusPage status={constitutionStatus} label="the constitution">
+              <LeagueConstitution
+                repository={repository}
+                leagueName={leagueData.name}
+                userId={userId}
+                member={member}
+                constitutionContent={constitutionContent}
+                constitutionError={constitutionError}
+                isEditing={isEditingConstitution}
+                onEdit={() => setIsEditingConstitution(true)}
+                onCancelEdit={() => setIsEditingConstitution(false)}
+                onSave={handleSaveConstitution}
+                isShowingHistory={isShowingConstitutionHistory}
+                onToggleHistory={() => setIsShowingConstitutionHistory(!isShowingConstitutionHistory)}
+                onRestore={handleRestoreConstitution}
+                proposals={proposals}
+                votesByProposal={votesByProposal}
+                teams={teams}
+                settings={leagueSettings}
+              />
+            </DataStatusPage>
+          )} />
+          <Route path="*" element={notFound} />
+        </Routes>
       </div>
     </div>
   );
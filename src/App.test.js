@@ -1,8 +1,350 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import { createMemoryRepository } from './data/repository';
+import { leagueSeed, commissionerSession } from './data/fixtures/league';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The whole site against the in-memory repository, one test per tab
+const renderApp = (path, { seed = leagueSeed(), session = null, failures } = {}) => {
+  const repository = createMemoryRepository(seed, { failures });
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <App openRepository={() => repository} session={session} />
+    </MemoryRouter>
+  );
+  return { repository };
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('the dashboard shows league stats and pinned news first', async () => {
+  renderApp('/');
+  expect(await screen.findByText('Test Ponies League')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'League Dashboard' })).toBeInTheDocument();
+  await screen.findByRole('link', { name: 'Trade Deadline Moved:' });
+  expect(screen.getAllByRole('link', { name: /:$/ }).map(link => link.textContent)).toEqual(['Trade Deadline Moved:', 'Week 1 Thoughts:']);
+  expect(screen.getByTitle('Pinned')).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Total Teams' })).toBeInTheDocument();
+});
+
+test('standings are computed from the seeded results', async () => {
+  renderApp('/standings');
+  const rows = within(await screen.findByRole('table')).getAllByRole('row');
+  expect(rows[1]).toHaveTextContent('Party Ponies');
+  expect(rows[2]).toHaveTextContent('Sharks');
+  expect(rows).toHaveLength(5);
+});
+
+test('the schedule lists every game with its score', async () => {
+  renderApp('/schedule');
+  const rows = within(await screen.findByRole('table')).getAllByRole('row');
+  expect(rows).toHaveLength(5);
+  expect(rows[1]).toHaveTextContent('Party Ponies130.5Gridiron Gurus90.2');
+  expect(rows[4]).toHaveTextContent('Gridiron Gurus-Taco Corp-');
+});
+
+test('the schedule exports a calendar once the season start date is set, with a feed per team', async () => {
+  const seed = leagueSeed();
+  seed.leagueSettings[0].seasonStartDate = '2026-09-10';
+  renderApp('/schedule', { seed });
+  expect(await screen.findByRole('button', { name: 'Export Calendar' })).toBeInTheDocument();
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Calendar team' }), 'team-c');
+  expect(screen.getByRole('link', { name: 'Subscribe' })).toHaveAttribute('href', 'webcal://localhost/calendars/party-ponies/team-c.ics');
+});
+
+test('power rankings order the teams by the seeded results and hand out the awards', async () => {
+  renderApp('/power-rankings');
+  expect(await screen.findByRole('heading', { name: 'Through Week 1' })).toBeInTheDocument();
+  const rows = within(screen.getByRole('table')).getAllByRole('row').slice(1);
+  expect(rows.map(row => within(row).getByRole('link').textContent)).toEqual(['Party Ponies', 'Sharks', 'Taco Corp', 'Gridiron Gurus']);
+  expect(rows[1]).toHaveTextContent('1-02-1 (.667)');
+  expect(screen.getByText('Party Ponies beat Gridiron Gurus by 40.3')).toBeInTheDocument();
+  expect(screen.getByText('Taco Corp scored 101.4 and still lost to Sharks')).toBeInTheDocument();
+});
+
+// Bracket slots in page order, round by round: each team with its seed, a bye, or TBD
+const bracketSlots = () => screen.getAllByText(/^(Party Ponies|Gridiron Gurus|Sharks|Taco Corp|Bye|TBD)$/).map(slot => slot.textContent);
+
+test('the playoffs tab projects the bracket from the current standings', async () => {
+  renderApp('/playoffs');
+  expect(await screen.findByText('4 teams. Projected from the current standings.')).toBeInTheDocument();
+  expect(bracketSlots()).toEqual([
+    // Semifinals
+    '1Party Ponies', '4Gridiron Gurus', '2Sharks', '3Taco Corp',
+    // Final
+    'TBD', 'TBD',
+  ]);
+});
+
+test('with an odd number of playoff teams the top seed gets a bye', async () => {
+  const seed = leagueSeed();
+  seed.leagueSettings[0].playoffTeams = 3;
+  renderApp('/playoffs', { seed });
+  expect(await screen.findByText(/^3 teams, .*first-round bye/)).toBeInTheDocument();
+  expect(bracketSlots()).toEqual([
+    '1Party Ponies', 'Bye', '2Sharks', '3Taco Corp',
+    // The top seed is already through to the final
+    '1Party Ponies', 'TBD',
+  ]);
+});
+
+test('teams list their managers and records, and link to their own pages', async () => {
+  renderApp('/teams');
+  await screen.findByRole('heading', { name: 'Taco Corp', level: 3 });
+  expect(screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent)).toEqual(['Gridiron Gurus', 'Party Ponies', 'Sharks', 'Taco Corp']);
+  expect(screen.getAllByText(/^Manager:/).map(line => line.textContent)).toEqual(['Manager: Blake', 'Manager: Alex', 'Manager: Casey', 'Manager: Devon']);
+  expect(screen.getAllByText(/^Record:/).map(line => line.textContent)).toEqual(['Record: 0-1-0', 'Record: 1-0-0', 'Record: 1-0-0', 'Record: 0-1-0']);
+  expect(screen.getByText('Points For: 130.5, Points Against: 90.2')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Taco Corp' })).toHaveAttribute('href', '/teams/team-d');
+});
+
+test("the commissioner sees each owner's account next to their team", async () => {
+  renderApp('/teams', { session: commissionerSession });
+  await screen.findByText('owner@example.com');
+  const members = screen.getAllByRole('listitem').filter(item => item.textContent.includes('@example.com'));
+  expect(members.map(item => item.textContent)).toEqual([
+    'Commishcommish@example.comcommissioner(Party Ponies)Remove',
+    'Ownerowner@example.comowner(Gridiron Gurus)Remove',
+  ]);
+});
+
+test('league news lists posts, and a member can publish one', async () => {
+  renderApp('/news', { session: commissionerSession });
+  expect(await screen.findByRole('link', { name: 'Week 1 Thoughts' })).toBeInTheDocument();
+
+  userEvent.type(screen.getByPlaceholderText('News Title'), 'Waivers Run Tuesday');
+  userEvent.type(screen.getByPlaceholderText('News Content'), 'Claims process overnight.');
+  userEvent.click(screen.getByRole('button', { name: 'Publish News' }));
+  expect(await screen.findByRole('link', { name: 'Waivers Run Tuesday' })).toBeInTheDocument();
+});
+
+test('news published offline shows up at once and syncs when the connection returns', async () => {
+  const { repository } = renderApp('/news', { session: commissionerSession });
+  expect(await screen.findByRole('link', { name: 'Week 1 Thoughts' })).toBeInTheDocument();
+
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+  repository.setOnline(false);
+  act(() => { window.dispatchEvent(new Event('offline')); });
+  expect(screen.getByRole('status')).toHaveTextContent("You're offline.");
+
+  userEvent.type(screen.getByPlaceholderText('News Title'), 'Tailgate Plans');
+  userEvent.type(screen.getByPlaceholderText('News Content'), 'Lot C at noon.');
+  userEvent.click(screen.getByRole('button', { name: 'Publish News' }));
+  expect(await screen.findByRole('link', { name: 'Tailgate Plans' })).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('1 change will sync when you reconnect');
+
+  onLine.mockReturnValue(true);
+  act(() => { window.dispatchEvent(new Event('online')); });
+  expect(screen.getByRole('status')).toHaveTextContent('Syncing 1 change...');
+  await act(async () => repository.setOnline(true));
+  expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  onLine.mockRestore();
+});
+
+test('any write made offline waits in the sync queue, not just news', async () => {
+  const { repository } = renderApp('/transactions', { session: commissionerSession });
+  userEvent.click(await screen.findByRole('button', { name: 'Log a Move' }));
+
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+  repository.setOnline(false);
+  act(() => { window.dispatchEvent(new Event('offline')); });
+  expect(screen.getByRole('status')).toHaveTextContent('Draft picks and constitution edits need a connection.');
+
+  userEvent.type(screen.getByPlaceholderText('Players (one per line)'), 'Backup Kicker');
+  userEvent.click(screen.getByRole('button', { name: 'Log Move' }));
+  expect(await screen.findByText('Party Ponies add Backup Kicker')).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('1 change will sync when you reconnect');
+
+  onLine.mockReturnValue(true);
+  act(() => { window.dispatchEvent(new Event('online')); });
+  await act(async () => repository.setOnline(true));
+  expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  onLine.mockRestore();
+});
+
+test('a news post page shows its comments', async () => {
+  renderApp('/news/post-2');
+  expect(await screen.findByRole('link', { name: 'Week 1 Thoughts' })).toBeInTheDocument();
+  expect(await screen.findByText('Bold take.')).toBeInTheDocument();
+});
+
+test('an unknown news post is not found', async () => {
+  renderApp('/news/missing');
+  expect(await screen.findByRole('heading', { name: 'Page Not Found' })).toBeInTheDocument();
+});
+
+test('the transaction log shows completed moves', async () => {
+  renderApp('/transactions');
+  expect(await screen.findByText('Gridiron Gurus add Rookie Receiver')).toBeInTheDocument();
+});
+
+test('the draft tab says when the draft has not been set up', async () => {
+  renderApp('/draft');
+  expect(await screen.findByText("The 2026 draft hasn't been set up yet.")).toBeInTheDocument();
+});
+
+test('the commissioner sets up the draft in reverse of last season, with new teams first', async () => {
+  renderApp('/draft', { session: commissionerSession });
+  expect(await screen.findByRole('heading', { name: 'First-Round Order' })).toBeInTheDocument();
+  const teamNames = ['Party Ponies', 'Gridiron Gurus', 'Sharks', 'Taco Corp'];
+  const order = screen.getAllByRole('listitem').map(item => item.textContent).filter(name => teamNames.includes(name));
+  expect(order).toEqual(['Gridiron Gurus', 'Taco Corp', 'Party Ponies', 'Sharks']);
+});
+
+test("autopick skips a pick whose clock ran out with nobody left in the team's queue", async () => {
+  const seed = leagueSeed();
+  seed.drafts = [{
+    id: '2026', season: 2026, status: 'live', rounds: 1, snake: true, pickSeconds: 60,
+    teams: [{ id: 'team-a', name: 'Party Ponies' }, { id: 'team-b', name: 'Gridiron Gurus' }],
+    pickOrder: ['team-a', 'team-b'], openPicks: [1, 2], picks: [], keepers: [],
+    onClockTeamId: 'team-a', clockStartedAt: new Date(Date.now() - 120000),
+  }];
+  seed.draftQueues = [{ id: '2026_team-a', season: 2026, teamId: 'team-a', players: [] }];
+  renderApp('/draft', { seed, session: commissionerSession });
+  expect(await screen.findByText('Skipped', {}, { timeout: 3000 })).toBeInTheDocument();
+  expect(screen.getByText(/Gridiron Gurus\s+on the clock/)).toBeInTheDocument();
+});
+
+test('the ledger is for members only', async () => {
+  renderApp('/ledger');
+  expect(await screen.findByText('Sign in as a league member to see dues and payouts.')).toBeInTheDocument();
+});
+
+test('members see the ledger', async () => {
+  renderApp('/ledger', { session: commissionerSession });
+  expect(await screen.findByRole('heading', { name: '2026 League Ledger' })).toBeInTheDocument();
+});
+
+test('the commissioner records a ledger entry and it shows on the team', async () => {
+  renderApp('/ledger', { session: commissionerSession });
+  userEvent.click(await screen.findByRole('button', { name: 'Record an Entry' }));
+  userEvent.selectOptions(screen.getByDisplayValue('Team...'), 'team-b');
+  userEvent.type(screen.getByPlaceholderText('Amount'), '50');
+  userEvent.type(screen.getByPlaceholderText('Note (optional)'), 'Cash at the draft');
+  userEvent.click(screen.getByRole('button', { name: 'Record Entry' }));
+  expect(await screen.findByRole('button', { name: 'Record an Entry' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('cell', { name: /Gridiron Gurus/ }));
+  expect(await screen.findByText('Payment received: Cash at the draft')).toBeInTheDocument();
+});
+
+test('a ledger entry without an amount explains what is missing', async () => {
+  renderApp('/ledger', { session: commissionerSession });
+  userEvent.click(await screen.findByRole('button', { name: 'Record an Entry' }));
+  userEvent.selectOptions(screen.getByDisplayValue('Team...'), 'team-b');
+  userEvent.click(screen.getByRole('button', { name: 'Record Entry' }));
+  expect(screen.getByRole('alert')).toHaveTextContent('Choose a team and enter an amount.');
+});
+
+test('a trade review the commissioner cannot record offline shows why', async () => {
+  const seed = leagueSeed();
+  seed.transactions.push({
+    id: 'trade-1', type: 'trade', season: 2026, status: 'review', teamId: 'team-a', counterpartyTeamId: 'team-b',
+    players: ['Star Back'], receives: ['Deep Threat'], reviewDeadline: new Date('2026-09-20T12:00:00Z'),
+    createdAt: new Date('2026-09-18T12:00:00Z'), proposedBy: 'owner-uid', proposedByName: 'Owner',
+  });
+  const repository = createMemoryRepository(seed);
+  repository.setOnline(false);
+  render(
+    <MemoryRouter initialEntries={['/transactions']}>
+      <App openRepository={() => repository} session={commissionerSession} />
+    </MemoryRouter>
+  );
+  expect(await screen.findByRole('alert')).toHaveTextContent("Couldn't record the result of the trade review: Failed to get document because the client is offline.");
+  expect(screen.getByText('League review')).toBeInTheDocument();
+});
+
+test('the commissioner records a vote that closes without new votes once its deadline passes', async () => {
+  const seed = leagueSeed();
+  seed.proposals = [{
+    id: 'p1', title: 'Trade deadline week 12', status: 'open', threshold: 2 / 3, deadline: new Date(Date.now() + 500),
+    sectionAnchor: 'article-1', sectionLabel: 'Article 1', sectionTitle: 'Purpose', originalText: 'Old', proposedText: 'New',
+    authorId: 'owner-uid', authorName: 'Owner', createdAt: new Date(),
+  }];
+  const { repository } = renderApp('/constitution', { seed, session: commissionerSession });
+  expect(await screen.findByText('Trade deadline week 12')).toBeInTheDocument();
+
+  let stored = [];
+  const unsubscribe = repository.watchProposals(proposals => { stored = proposals; }, () => {});
+  await waitFor(() => expect(stored[0].status).toBe('failed'), { timeout: 3000 });
+  unsubscribe();
+});
+
+test('the commissioner approves a trade once its review deadline passes without enough vetoes', async () => {
+  const seed = leagueSeed();
+  seed.transactions.push({
+    id: 'trade-1', type: 'trade', season: 2026, status: 'review', teamId: 'team-a', counterpartyTeamId: 'team-b',
+    players: ['Star Back'], receives: ['Deep Threat'], reviewDeadline: new Date(Date.now() + 500),
+    createdAt: new Date(), proposedBy: 'owner-uid', proposedByName: 'Owner',
+  });
+  const { repository } = renderApp('/transactions', { seed, session: commissionerSession });
+  expect(await screen.findByText('League review')).toBeInTheDocument();
+
+  let stored = [];
+  const unsubscribe = repository.watchTransactions(transactions => { stored = transactions; }, () => {});
+  await waitFor(() => expect(stored.find(transaction => transaction.id === 'trade-1').status).toBe('approved'), { timeout: 3000 });
+  unsubscribe();
+});
+
+test('league history lists archived seasons', async () => {
+  renderApp('/history');
+  expect(await screen.findByText('Champion: Sharks')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: '2025 Season' })).toBeInTheDocument();
+});
+
+test('the records book uses the archived seasons', async () => {
+  renderApp('/records');
+  expect(await screen.findByRole('heading', { name: 'Records Book' })).toBeInTheDocument();
+});
+
+test('the constitution renders and the commissioner can save a new revision', async () => {
+  renderApp('/constitution', { session: commissionerSession });
+  expect(await screen.findByText('We play for the trophy.')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Edit Constitution' }));
+  userEvent.type(screen.getByPlaceholderText("Write your league's constitution here..."), '{enter}{enter}Trash talk is mandatory.');
+  userEvent.type(screen.getByPlaceholderText(/Summary of changes/), 'Added trash talk');
+  userEvent.click(screen.getByRole('button', { name: 'Save Constitution' }));
+  expect(await screen.findByRole('button', { name: 'Edit Constitution' })).toBeInTheDocument();
+  expect(screen.getByText('Trash talk is mandatory.')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Show revision history' }));
+  expect(await screen.findByText('Added trash talk')).toBeInTheDocument();
+  expect(screen.getByText(/^Revision 2/, { selector: 'p' })).toHaveTextContent('Revision 2(current)');
+});
+
+test('a failed subscription shows an error instead of the page', async () => {
+  renderApp('/standings', { failures: { teams: new Error('Missing or insufficient permissions.') } });
+  expect(await screen.findByRole('alert')).toHaveTextContent("Couldn't load the standings: Missing or insufficient permissions.");
+  expect(screen.queryByRole('table')).not.toBeInTheDocument();
+});
+
+test('a site with two leagues lets visitors switch between them', async () => {
+  const leagues = [{ id: 'party-ponies', name: 'Party Ponies FF League' }, { id: 'dynasty', name: 'Dynasty League' }];
+  const dynastySeed = leagueSeed();
+  dynastySeed.leagueSettings[0].name = 'Test Dynasty League';
+  dynastySeed.teams = dynastySeed.teams.map(team => ({ ...team, name: `Dynasty ${team.name}` }));
+  const repositories = { 'party-ponies': createMemoryRepository(leagueSeed()), dynasty: createMemoryRepository(dynastySeed) };
+  render(
+    <MemoryRouter initialEntries={['/teams']}>
+      <App openRepository={(leagueId) => repositories[leagueId]} leagues={leagues} />
+    </MemoryRouter>
+  );
+  expect(await screen.findByText('Taco Corp')).toBeInTheDocument();
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'League' }), 'dynasty');
+  expect(screen.queryByText('Taco Corp')).not.toBeInTheDocument();
+  expect(await screen.findByText('Dynasty Taco Corp')).toBeInTheDocument();
+  expect(screen.getByText('Test Dynasty League')).toBeInTheDocument();
+  expect(window.localStorage.getItem('selectedLeague')).toBe('dynasty');
+});
+
+test('pages show a loading message until their data arrives', async () => {
+  renderApp('/history');
+  expect(screen.getByRole('status')).toHaveTextContent('Loading league history...');
+  expect(await screen.findByText('Champion: Sharks')).toBeInTheDocument();
 });
@@ -0,0 +1,79 @@
+import React from 'react';
+import ConstitutionView from './ConstitutionView';
+import { SeasonCard } from './LeagueHistory';
+
+// The Standings, Schedule and Constitution tabs for a past season picked in the season selector.
+// `onBack` returns the tabs to the current season.
+
+// Shown above a past season's Standings, Schedule and Constitution
+const PastSeasonNotice = ({ year, currentSeason, onBack }) => (
+  <p className="mb-6 p-3 bg-yellow-50 border border-yellow-300 rounded-md text-sm text-gray-700">
+    You're looking at the {year} season from League History.{' '}
+    <button onClick={onBack} className="text-blue-600 hover:underline">Back to {currentSeason}</button>
+  </p>
+);
+
+// Final standings of the past season picked in the season selector
+export const ArchivedStandings = ({ season, currentSeason, onBack, settings, identify, playoffBrackets }) => (
+  <div className="p-6 bg-white rounded-b-lg shadow-lg">
+    <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">{season.year} Final Standings</h2>
+    <PastSeasonNotice year={season.year} currentSeason={currentSeason} onBack={onBack} />
+    <SeasonCard yearData={season} settings={settings} identify={identify} playoffBrackets={playoffBrackets} />
+  </div>
+);
+
+// Every archived game of the past season picked in the season selector
+export const ArchivedSchedule = ({ season, currentSeason, onBack }) => {
+  const games = [...(season.games || [])].sort((a, b) => a.week - b.week);
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">{season.year} Schedule & Results</h2>
+      <PastSeasonNotice year={season.year} currentSeason={currentSeason} onBack={onBack} />
+      {games.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+            <thead>
+              <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+                <th className="py-3 px-6 text-left">Week</th>
+                <th className="py-3 px-6 text-left">Home Team</th>
+                <th className="py-3 px-6 text-left">Score</th>
+                <th className="py-3 px-6 text-left">Away Team</th>
+                <th className="py-3 px-6 text-left">Score</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700 text-sm font-light">
+              {games.map((game, index) => (
+                <tr key={index} className="border-b border-gray-200 hover:bg-gray-50">
+                  <td className="py-3 px-6 text-left">
+                    {game.week}
+                    {game.playoffRound && <span className="ml-2 text-xs text-blue-600 font-semibold">Playoffs</span>}
+                  </td>
+                  <td className="py-3 px-6 text-left">{game.home}</td>
+                  <td className="py-3 px-6 text-left font-bold">{game.homeScore ?? '-'}</td>
+                  <td className="py-3 px-6 text-left">{game.away}</td>
+                  <td className="py-3 px-6 text-left font-bold">{game.awayScore ?? '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-600">No games were archived for {season.year}.</p>
+      )}
+    </div>
+  );
+};
+
+// The constitution as it stood when the past season picked in the season selector was archived
+export const ArchivedConstitution = ({ season, currentSeason, onBack, leagueName }) => (
+  <div className="p-6 bg-white rounded-b-lg shadow-lg">
+    <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">{leagueName} Constitution, {season.year}</h2>
+    <PastSeasonNotice year={season.year} currentSeason={currentSeason} onBack={onBack} />
+    <div className="p-6 bg-white rounded-lg shadow-md border border-gray-200">
+      {season.constitution
+        ? <ConstitutionView content={season.constitution} />
+        : <p className="text-gray-600">The constitution wasn't archived with the {season.year} season.</p>}
+    </div>
+  </div>
+);
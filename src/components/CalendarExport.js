@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { scheduleEvents, toIcs, calendarName, teamCalendarPath } from '../lib/ics.mjs';
+import { downloadFile } from '../lib/csv';
+
+// Schedule tab calendar export: downloads the whole schedule, or one team's games, as an .ics file.
+// With a team picked it also links the team's feed, which the build publishes so calendar apps can
+// subscribe and pick up schedule changes on each deploy.
+const CalendarExport = ({ leagueId, teams, schedule, settings }) => {
+  const [teamId, setTeamId] = useState('');
+
+  if (!settings.seasonStartDate) {
+    return (
+      <p className="text-sm text-gray-500 mb-6">
+        Calendar export needs the league's season start date (<code>seasonStartDate</code> in the league settings).
+      </p>
+    );
+  }
+
+  const team = teams.find(t => t.id === teamId) || null;
+  const feedUrl = team ? `${window.location.origin}${process.env.PUBLIC_URL}/${teamCalendarPath(leagueId, team.id)}` : null;
+
+  const handleDownload = () => {
+    const events = scheduleEvents({ teams, schedule, settings, leagueId, teamId: team ? team.id : null });
+    const name = calendarName(settings.name, settings.season, team);
+    downloadFile(`${team ? team.id : leagueId}-${settings.season}.ics`, toIcs({ name, events }), 'text/calendar');
+  };
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center gap-3">
+      <select
+        aria-label="Calendar team"
+        value={teamId}
+        onChange={(e) => setTeamId(e.target.value)}
+        className="p-2 border border-gray-300 rounded-md"
+      >
+        <option value="">All teams</option>
+        {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+      </select>
+      <button
+        onClick={handleDownload}
+        className="bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md"
+      >
+        Export Calendar
+      </button>
+      {feedUrl && (
+        <span className="text-sm text-gray-600">
+          <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="text-blue-600 hover:underline">Subscribe</a>
+          {' '}or add <code className="break-all">{feedUrl}</code> to your calendar app.
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CalendarExport;
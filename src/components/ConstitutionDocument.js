@@ -0,0 +1,109 @@
+import React from 'react';
+
+// Wraps case-insensitive matches of term in <mark> so in-page search results stand out
+const highlight = (text, term) => {
+  if (!term) {
+    return text;
+  }
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.split(new RegExp(`(${escaped})`, 'gi')).map((part, index) => (
+    part.toLowerCase() === term.toLowerCase()
+      ? <mark key={index} className="bg-yellow-200">{part}</mark>
+      : part
+  ));
+};
+
+const Inline = ({ tokens, term }) => tokens.map((token, index) => {
+  const text = highlight(token.text, term);
+  switch (token.type) {
+    case 'strong':
+      return <strong key={index}>{text}</strong>;
+    case 'em':
+      return <em key={index}>{text}</em>;
+    case 'code':
+      return <code key={index} className="bg-gray-100 px-1 rounded">{text}</code>;
+    case 'link':
+      return (
+        <a key={index} href={token.href} className="text-blue-600 hover:underline" rel="noopener noreferrer">
+          {text}
+        </a>
+      );
+    default:
+      return <React.Fragment key={index}>{text}</React.Fragment>;
+  }
+});
+
+const Blocks = ({ blocks, term }) => blocks.map((block, index) => {
+  if (block.type === 'list') {
+    const ListTag = block.ordered ? 'ol' : 'ul';
+    return (
+      <ListTag key={index} className={`${block.ordered ? 'list-decimal' : 'list-disc'} list-inside mb-3 text-gray-700`}>
+        {block.items.map((item, itemIndex) => (
+          <li key={itemIndex}><Inline tokens={item} term={term} /></li>
+        ))}
+      </ListTag>
+    );
+  }
+  if (block.type === 'heading') {
+    return (
+      <h5 key={index} className="font-semibold text-gray-800 mt-3 mb-2">
+        <Inline tokens={block.inline} term={term} />
+      </h5>
+    );
+  }
+  return (
+    <p key={index} className="mb-3 text-gray-700">
+      <Inline tokens={block.inline} term={term} />
+    </p>
+  );
+});
+
+// Heading with a copy-link button for sharing a specific article or section
+const AnchorHeading = ({ as: Tag, item, term, className, onCopyLink }) => (
+  <Tag id={item.anchor} className={`group scroll-mt-4 ${className}`}>
+    <span className="text-gray-500 mr-2">{item.label}</span>
+    {highlight(item.title, term)}
+    {onCopyLink && (
+      <button
+        onClick={() => onCopyLink(item)}
+        title={`Copy link to ${item.label}`}
+        className="ml-2 text-sm text-blue-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+      >
+        #
+      </button>
+    )}
+  </Tag>
+);
+
+// Renders a parsed constitution (see src/lib/constitution.js)
+const ConstitutionDocument = ({ doc, term, onCopyLink }) => (
+  <div>
+    <Blocks blocks={doc.preamble} term={term} />
+    {doc.articles.map(article => (
+      <section key={article.anchor} className="mb-6">
+        <AnchorHeading
+          as="h3"
+          item={article}
+          term={term}
+          onCopyLink={onCopyLink}
+          className="text-2xl font-semibold text-gray-800 mb-3 border-b pb-2"
+        />
+        <Blocks blocks={article.blocks} term={term} />
+        {article.sections.map(section => (
+          <div key={section.anchor} className="ml-2 mb-4">
+            <AnchorHeading
+              as="h4"
+              item={section}
+              term={term}
+              onCopyLink={onCopyLink}
+              className="text-lg font-semibold text-gray-800 mb-2"
+            />
+            <Blocks blocks={section.blocks} term={term} />
+          </div>
+        ))}
+      </section>
+    ))}
+  </div>
+);
+
+export default ConstitutionDocument;
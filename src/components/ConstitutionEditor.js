@@ -0,0 +1,56 @@
+import React, { useState, useMemo } from 'react';
+import { parseConstitution } from '../lib/constitution';
+import ConstitutionDocument from './ConstitutionDocument';
+
+// Editor for the league constitution. Keeps its own draft so typing doesn't re-render the whole App.
+const ConstitutionEditor = ({ initialContent, onSave, onCancel }) => {
+  const [content, setContent] = useState(initialContent);
+  const [summary, setSummary] = useState('');
+  const previewDoc = useMemo(() => parseConstitution(content), [content]);
+
+  return (
+    <div className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner">
+      <h3 className="text-2xl font-semibold text-green-800 mb-4">Edit Constitution</h3>
+      <p className="text-sm text-green-800 mb-3">
+        Write in Markdown. Use <code># Title</code> for articles and <code>## Title</code> for sections;
+        they are numbered automatically.
+      </p>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-4">
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          rows="20"
+          className="w-full p-3 border border-green-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500 resize-y font-mono text-sm"
+          placeholder="Write your league's constitution here..."
+        ></textarea>
+        <div className="p-3 bg-white border border-green-200 rounded-md overflow-y-auto max-h-[32rem]">
+          <p className="text-xs uppercase text-gray-400 mb-2">Preview</p>
+          <ConstitutionDocument doc={previewDoc} />
+        </div>
+      </div>
+      <input
+        type="text"
+        value={summary}
+        onChange={(e) => setSummary(e.target.value)}
+        className="w-full p-3 mb-4 border border-green-300 rounded-md focus:outline-none focus:ring-2 focus:ring-green-500"
+        placeholder="Summary of changes (optional), e.g. Moved trade deadline to week 12"
+      />
+      <div className="flex space-x-4">
+        <button
+          onClick={() => onSave({ content, summary })}
+          className="flex-1 bg-green-600 text-white py-3 rounded-md hover:bg-green-700 transition-colors duration-200 font-bold shadow-md"
+        >
+          Save Constitution
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 bg-gray-400 text-white py-3 rounded-md hover:bg-gray-500 transition-colors duration-200 font-bold shadow-md"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConstitutionEditor;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { diffLines } from '../lib/diff';
+import { useLiveData } from '../data/useLiveData';
+import DataStatus from './DataStatus';
+
+const diffLineStyles = {
+  same: 'text-gray-700',
+  added: 'bg-green-100 text-green-900',
+  removed: 'bg-red-100 text-red-900 line-through',
+};
+
+const diffLinePrefix = { same: ' ', added: '+', removed: '-' };
+
+// Revision history for the constitution, with a line diff between any two revisions
+const ConstitutionHistory = ({ repository, canRestore, onRestore }) => {
+  const { data: revisions, ...revisionsStatus } = useLiveData(repository, (repo, onData, onError) => (
+    repo.watchConstitutionRevisions(onData, onError)
+  ), []);
+  const [fromRevision, setFromRevision] = useState(null);
+  const [toRevision, setToRevision] = useState(null);
+
+  if (revisionsStatus.isLoading || revisionsStatus.error) {
+    return <div className="mb-4"><DataStatus status={revisionsStatus} label="the revision history" /></div>;
+  }
+
+  if (revisions.length === 0) {
+    return <p className="text-gray-600">No revisions saved yet.</p>;
+  }
+
+  // Default to comparing the latest revision against the one before it
+  const latest = revisions[0].revision;
+  const toNumber = toRevision ?? latest;
+  const fromNumber = fromRevision ?? (revisions[1] ? revisions[1].revision : latest);
+  const from = revisions.find(r => r.revision === fromNumber);
+  const to = revisions.find(r => r.revision === toNumber);
+  const diff = diffLines(from ? from.content : '', to ? to.content : '');
+
+  const revisionOptions = revisions.map(r => (
+    <option key={r.id} value={r.revision}>Revision {r.revision}</option>
+  ));
+
+  return (
+    <div className="p-6 bg-gray-50 rounded-lg shadow-md border border-gray-200">
+      <h3 className="text-2xl font-semibold text-gray-800 mb-4">Revision History</h3>
+      <ul className="divide-y divide-gray-200 mb-6">
+        {revisions.map(revision => (
+          <li key={revision.id} className="py-3 flex justify-between items-start text-sm">
+            <div>
+              <p className="font-semibold text-gray-800">
+                Revision {revision.revision}
+                {revision.revision === latest && <span className="ml-2 text-green-600">(current)</span>}
+              </p>
+              <p className="text-gray-600">
+                {revision.authorName || revision.authorId} ·{' '}
+                {revision.timestamp ? new Date(revision.timestamp.toDate()).toLocaleString() : 'N/A'}
+              </p>
+              {revision.summary && <p className="text-gray-700 italic">{revision.summary}</p>}
+              {revision.proposalId && (
+                <a href={`#proposal-${revision.proposalId}`} className="text-blue-600 hover:underline">
+                  View the vote on this amendment
+                </a>
+              )}
+              {revision.restoredFrom && (
+                <p className="text-gray-500">Restored from revision {revision.restoredFrom}</p>
+              )}
+            </div>
+            {canRestore && revision.revision !== latest && (
+              <button
+                onClick={() => onRestore(revision)}
+                className="text-blue-600 hover:underline whitespace-nowrap ml-4"
+              >
+                Restore
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex items-center space-x-3 mb-4 text-sm text-gray-700">
+        <span>Compare</span>
+        <select
+          value={fromNumber}
+          onChange={(e) => setFromRevision(Number(e.target.value))}
+          className="p-2 border border-gray-300 rounded-md"
+        >
+          {revisionOptions}
+        </select>
+        <span>to</span>
+        <select
+          value={toNumber}
+          onChange={(e) => setToRevision(Number(e.target.value))}
+          className="p-2 border border-gray-300 rounded-md"
+        >
+          {revisionOptions}
+        </select>
+      </div>
+      <pre className="bg-white border border-gray-200 rounded p-3 text-xs overflow-x-auto">
+        {diff.map((line, index) => (
+          <div key={index} className={diffLineStyles[line.type]}>
+            {diffLinePrefix[line.type]} {line.text}
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+};
+
+export default ConstitutionHistory;
@@ -0,0 +1,81 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { parseConstitution, countMatches } from '../lib/constitution';
+import ConstitutionDocument from './ConstitutionDocument';
+
+// Read view of the constitution: sticky table of contents, in-page search and shareable section links
+const ConstitutionView = ({ content }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [copiedLabel, setCopiedLabel] = useState('');
+  const [copyError, setCopyError] = useState('');
+  const doc = useMemo(() => parseConstitution(content), [content]);
+  const matchCount = countMatches(doc, searchTerm);
+
+  // Jump to the linked article/section when the page is opened from a shared link
+  useEffect(() => {
+    const anchor = window.location.hash.slice(1);
+    const element = anchor && document.getElementById(anchor);
+    if (element) {
+      element.scrollIntoView();
+    }
+  }, [doc]);
+
+  const handleCopyLink = async (item) => {
+    const url = `${window.location.origin}${window.location.pathname}#${item.anchor}`;
+    window.history.replaceState(null, '', `#${item.anchor}`);
+    setCopyError('');
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedLabel(item.label);
+    } catch (error) {
+      setCopiedLabel('');
+      setCopyError(`Couldn't copy the link; it's in the address bar instead. ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="flex flex-col lg:flex-row lg:space-x-6">
+      <aside className="lg:w-64 mb-6 lg:mb-0">
+        <div className="lg:sticky lg:top-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <input
+            type="search"
+            placeholder="Search the constitution"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full p-2 mb-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {searchTerm && (
+            <p className="text-xs text-gray-500 mb-2">{matchCount} {matchCount === 1 ? 'match' : 'matches'}</p>
+          )}
+          <h4 className="font-semibold text-gray-800 mb-2">Contents</h4>
+          <ol className="text-sm space-y-1">
+            {doc.articles.map(article => (
+              <li key={article.anchor}>
+                <a href={`#${article.anchor}`} className="text-blue-600 hover:underline">
+                  {article.label}. {article.title}
+                </a>
+                {article.sections.length > 0 && (
+                  <ol className="ml-4 mt-1 space-y-1">
+                    {article.sections.map(section => (
+                      <li key={section.anchor}>
+                        <a href={`#${section.anchor}`} className="text-gray-600 hover:underline">
+                          §{section.number} {section.title}
+                        </a>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </li>
+            ))}
+          </ol>
+          {copiedLabel && <p className="text-xs text-green-600 mt-3">Copied link to {copiedLabel}</p>}
+          {copyError && <p className="text-xs text-red-600 mt-3" role="alert">{copyError}</p>}
+        </div>
+      </aside>
+      <div className="flex-1 min-w-0">
+        <ConstitutionDocument doc={doc} term={searchTerm} onCopyLink={handleCopyLink} />
+      </div>
+    </div>
+  );
+};
+
+export default ConstitutionView;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import DataStatus from './DataStatus';
+import { AwardsPanel, PowerRankingsTable } from './WeeklyAnalytics';
+import { completedWeeks } from '../lib/analytics';
+import { dashboardFeed } from '../lib/news';
+import { PROPOSAL_STATUS, proposalOutcome } from '../lib/proposals';
+
+// Number of unpinned news items shown on the Dashboard. App fetches a few extra because
+// pinned posts can also be among the latest ones.
+export const DASHBOARD_NEWS_COUNT = 3;
+export const DASHBOARD_NEWS_FETCH_COUNT = 10;
+
+// Reusable Stat Card component
+const StatCard = ({ title, value }) => (
+  <div className="bg-blue-50 p-6 rounded-lg shadow-md text-center">
+    <h4 className="text-lg font-medium text-blue-700 mb-2">{title}</h4>
+    <p className="text-4xl font-bold text-blue-900">{value}</p>
+  </div>
+);
+
+// Dashboard: league stats, the latest awards and power rankings, open rule proposals and the news
+const Dashboard = ({ leagueData, leagueStatus, teams, schedule, proposals, votesByProposal, news, pinnedNews, newsStatus }) => {
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+  const scoredWeeks = completedWeeks(schedule);
+  const latestScoredWeek = scoredWeeks[scoredWeeks.length - 1];
+  const rankedWeeks = completedWeeks(schedule.filter(game => !game.playoffRound));
+  const latestRankedWeek = rankedWeeks[rankedWeeks.length - 1];
+  const dashboardNews = dashboardFeed(pinnedNews, news, DASHBOARD_NEWS_COUNT);
+  const openProposals = proposals.filter(proposal => (
+    proposal.status === PROPOSAL_STATUS.OPEN
+    && proposalOutcome(proposal, votesByProposal[proposal.id] || [], teams.length).status === PROPOSAL_STATUS.OPEN
+  ));
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League Dashboard</h2>
+      <DataStatus status={leagueStatus} label="league data">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          <StatCard title="Current Week" value={leagueData.currentWeek} />
+          <StatCard title="Total Teams" value={leagueData.teams.length} />
+          <StatCard title="Upcoming Games" value={leagueData.schedule.filter(s => s.week === leagueData.currentWeek).length} />
+        </div>
+      </DataStatus>
+      {latestScoredWeek && (
+        <div className="mt-8">
+          <h3 className="text-2xl font-semibold text-gray-800 mb-4">Week {latestScoredWeek} Awards</h3>
+          <AwardsPanel schedule={schedule} week={latestScoredWeek} teamNameById={teamNameById} />
+        </div>
+      )}
+      {latestRankedWeek && (
+        <div className="mt-8">
+          <h3 className="text-2xl font-semibold text-gray-800 mb-4">Power Rankings</h3>
+          <PowerRankingsTable teams={teams} schedule={schedule} week={latestRankedWeek} limit={5} />
+          <Link to="/power-rankings" className="inline-block mt-2 text-blue-600 hover:underline">Full rankings and past awards...</Link>
+        </div>
+      )}
+      {openProposals.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-2xl font-semibold text-gray-800 mb-4">Open Rule Proposals</h3>
+          <ul className="space-y-2">
+            {openProposals.map(proposal => {
+              const outcome = proposalOutcome(proposal, votesByProposal[proposal.id] || [], teams.length);
+              return (
+                <li key={proposal.id} className="p-3 bg-blue-50 rounded-md text-gray-700">
+                  <Link to={`/constitution#proposal-${proposal.id}`} className="font-semibold text-blue-700 hover:underline">
+                    {proposal.title}
+                  </Link>
+                  <span className="ml-2 text-sm">({proposal.sectionLabel})</span>
+                  <span className="block text-sm text-gray-500">
+                    {outcome.yes} yes / {outcome.no} no, {outcome.needed} needed · closes{' '}
+                    {proposal.deadline ? new Date(proposal.deadline.toDate()).toLocaleDateString() : 'N/A'}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+      <div className="mt-8">
+        <h3 className="text-2xl font-semibold text-gray-800 mb-4">Latest News & Updates</h3>
+        <DataStatus status={newsStatus} label="the news">
+          {dashboardNews.length > 0 ? (
+            <ul className="list-disc list-inside text-gray-700">
+              {dashboardNews.map((item) => (
+                <li key={item.id} className="mb-2">
+                  {item.pinned && <span className="mr-1" title="Pinned">📌</span>}
+                  <Link to={`/news/${item.id}`} className="font-semibold hover:underline">{item.title}:</Link> {item.content}
+                  <span className="text-sm text-gray-500 ml-2">
+                    ({item.timestamp ? new Date(item.timestamp.toDate()).toLocaleDateString() : 'N/A'})
+                  </span>
+                </li>
+              ))}
+              {news.length > DASHBOARD_NEWS_COUNT && (
+                <li className="text-blue-600 hover:underline">
+                  <Link to="/news">View all news...</Link>
+                </li>
+              )}
+            </ul>
+          ) : (
+            <p className="text-gray-600">No news updates yet. Be the first to add one!</p>
+          )}
+        </DataStatus>
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Loading and error messages for data that comes from a live subscription (see data/useLiveData).
+// Renders its children once the data has loaded.
+const DataStatus = ({ status, label, children }) => {
+  if (status.error) {
+    return (
+      <p className="p-3 bg-red-50 border border-red-300 rounded-md text-sm text-red-700" role="alert">
+        Couldn't load {label}: {status.error.message}
+      </p>
+    );
+  }
+  if (status.isLoading) {
+    return <p className="text-gray-600" role="status">Loading {label}...</p>;
+  }
+  return children;
+};
+
+// The same messages as a full page, for tabs whose data hasn't arrived yet
+export const DataStatusPage = ({ status, label, children }) => (
+  status.error || status.isLoading ? (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <DataStatus status={status} label={label} />
+    </div>
+  ) : children
+);
+
+export default DataStatus;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { DRAFT_STATUS, draftGrid } from '../lib/draft';
+
+// Draft board: one column per team in first-round order, one row per round. Keepers, autopicks and
+// skipped picks are marked; the pick on the clock is highlighted.
+const DraftGrid = ({ draft, onClockPick = null }) => (
+  <div className="overflow-x-auto">
+    <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+      <thead>
+        <tr className="bg-gray-100 text-left text-gray-600 uppercase text-xs leading-normal">
+          <th className="py-2 px-3">Rd</th>
+          {draft.teams.map(team => <th key={team.id} className="py-2 px-3">{team.name}</th>)}
+        </tr>
+      </thead>
+      <tbody className="text-gray-700">
+        {draftGrid(draft).map(row => (
+          <tr key={row.round} className="border-b border-gray-200">
+            <td className="py-2 px-3 font-semibold">{row.round}</td>
+            {row.cells.map(cell => (
+              <td
+                key={cell.pick}
+                className={`py-2 px-3 align-top ${cell.pick === onClockPick ? 'bg-yellow-100' : ''} ${cell.selection && cell.selection.keeper ? 'bg-blue-50' : ''}`}
+              >
+                <span className="block text-xs text-gray-400">{cell.round}.{String(cell.roundPick).padStart(2, '0')}</span>
+                {cell.selection ? (
+                  <span className="font-medium">
+                    {cell.selection.skipped ? <span className="italic text-gray-400">Skipped</span> : cell.selection.player}
+                    {cell.selection.keeper && <span className="ml-1 text-xs text-blue-600">K</span>}
+                    {cell.selection.auto && <span className="ml-1 text-xs text-gray-500">auto</span>}
+                  </span>
+                ) : (
+                  <span className="text-gray-300">-</span>
+                )}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Archived draft for one season (/draft/:season)
+export const DraftArchive = ({ drafts, notFound }) => {
+  const { season } = useParams();
+  const draft = drafts.find(d => String(d.season) === season);
+  if (!draft || draft.status === DRAFT_STATUS.SETUP) {
+    return notFound;
+  }
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/draft" className="text-sm text-blue-600 hover:underline">&larr; Draft</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-2 mb-2 border-b pb-3">{draft.season} Draft</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        {draft.rounds} rounds{draft.snake !== false ? ', snake order' : ''}
+        {draft.status === DRAFT_STATUS.LIVE && ' · in progress'}
+        {' · '}<span className="text-blue-600">K</span> keeper
+      </p>
+      <DraftGrid draft={draft} />
+    </div>
+  );
+};
+
+export default DraftGrid;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import DataStatus from './DataStatus';
+import { useLiveData } from '../data/useLiveData';
+import {
+  DRAFT_STATUS,
+  currentSlot,
+  applyPick,
+  skipPick,
+  undoLastPick,
+  autopickPlayer,
+  isPlayerTaken,
+  secondsLeft,
+} from '../lib/draft';
+import { isCommissioner } from '../lib/permissions';
+import DraftGrid from './DraftGrid';
+import DraftSetup from './DraftSetup';
+
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// The owner's autopick queue: players in the order they'd like them taken if their clock runs out
+const DraftQueue = ({ queue, draft, onChange }) => {
+  const [player, setPlayer] = useState('');
+
+  const move = (index, offset) => {
+    const next = [...queue];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (player.trim()) {
+      onChange([...queue, player.trim()]);
+      setPlayer('');
+    }
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <h4 className="font-semibold text-gray-800 mb-2">Your Queue</h4>
+      <p className="text-xs text-gray-500 mb-3">
+        When your clock runs out, the first available player here is picked for you, or your pick is skipped if
+        none are left. Autopick only runs while you or the commissioner have this page open.
+      </p>
+      <ol className="space-y-1 mb-3 text-sm">
+        {queue.map((queued, index) => (
+          <li key={`${queued}-${index}`} className={`flex items-center justify-between ${isPlayerTaken(draft, queued) ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+            <span>{index + 1}. {queued}</span>
+            <span className="space-x-1">
+              <button onClick={() => move(index, -1)} disabled={index === 0} className="px-1 text-gray-500 disabled:opacity-30">&uarr;</button>
+              <button onClick={() => move(index, 1)} disabled={index === queue.length - 1} className="px-1 text-gray-500 disabled:opacity-30">&darr;</button>
+              <button onClick={() => onChange(queue.filter((_, i) => i !== index))} className="px-1 text-red-500">&times;</button>
+            </span>
+          </li>
+        ))}
+      </ol>
+      <form onSubmit={handleAdd} className="flex space-x-2">
+        <input type="text" value={player} onChange={(e) => setPlayer(e.target.value)} placeholder="Add a player" className="flex-1 p-2 border border-gray-300 rounded-md text-sm" />
+        <button type="submit" className="px-3 py-2 bg-gray-700 text-white rounded-md text-sm hover:bg-gray-800">Add</button>
+      </form>
+    </div>
+  );
+};
+
+// Draft tab: setup for the commissioner, then the live board for this season with the pick clock,
+// autopick queues and undo, and links to past drafts. Everyone watching sees picks as they happen.
+// Autopick runs from the session of the team on the clock or the commissioner, so one of them needs
+// the page open; with nobody left in the team's queue it skips the pick.
+const DraftRoom = ({ repository, teams, seasons, identify, settings, member, drafts }) => {
+  const season = Number(settings.season);
+  const draft = drafts.find(d => Number(d.season) === season) || null;
+  const [now, setNow] = useState(Date.now());
+  const [player, setPlayer] = useState('');
+  const [error, setError] = useState('');
+  const autopickAttempt = useRef(null);
+  const isLive = Boolean(draft) && draft.status === DRAFT_STATUS.LIVE;
+  const myTeamId = member && member.teamId;
+
+  // Autopick queues for this season's draft, by team: every team's for the commissioner, who runs
+  // autopick for anyone, and only their own for an owner
+  const canReadAllQueues = isCommissioner(member);
+  const { data: queueDocs, ...queuesStatus } = useLiveData(repository, (repo, onData, onError) => {
+    if (canReadAllQueues) {
+      return repo.watchDraftQueues(season, onData, onError);
+    }
+    return myTeamId ? repo.watchDraftQueue(season, myTeamId, queue => onData(queue ? [queue] : []), onError) : null;
+  }, [], `${season}_${canReadAllQueues ? 'all' : myTeamId}`);
+  const queues = useMemo(() => Object.fromEntries(queueDocs.map(queue => [queue.teamId, queue.players || []])), [queueDocs]);
+
+  // Tick the pick clock while the draft is live
+  useEffect(() => {
+    if (!isLive) {
+      return undefined;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isLive]);
+
+  // Adds a pick in a transaction, so two people picking at once can't both take the same slot.
+  // `choose(draft)` makes the pick against the latest board, with applyPick or skipPick.
+  const makePick = useCallback(async (choose, expectedPick = null) => {
+    try {
+      await repository.updateLiveDraft(season, (data, now) => {
+        if (!data || data.status !== DRAFT_STATUS.LIVE) {
+          throw new Error('The draft is not live.');
+        }
+        if (expectedPick && currentSlot(data).pick !== expectedPick) {
+          return null; // Someone else already made this pick
+        }
+        const result = choose(data);
+        return {
+          picks: result.picks,
+          openPicks: result.openPicks,
+          onClockTeamId: result.onClockTeamId,
+          clockStartedAt: now,
+          ...(result.onClockTeamId ? {} : { status: DRAFT_STATUS.COMPLETE, completedAt: now }),
+        };
+      });
+      setPlayer('');
+      setError('');
+    } catch (e) {
+      setError(e.message);
+    }
+  }, [repository, season]);
+
+  const handleUndo = async () => {
+    setError('');
+    try {
+      await repository.updateLiveDraft(season, (data, now) => {
+        const result = data && undoLastPick(data);
+        if (!result) {
+          return null;
+        }
+        return {
+          picks: result.picks,
+          openPicks: result.openPicks,
+          onClockTeamId: result.onClockTeamId,
+          clockStartedAt: now,
+          status: DRAFT_STATUS.LIVE,
+          completedAt: null,
+        };
+      });
+      autopickAttempt.current = null;
+    } catch (e) {
+      setError(`Couldn't undo the pick: ${e.message}`);
+    }
+  };
+
+  const saveQueue = async (players) => {
+    setError('');
+    try {
+      await repository.saveDraftQueue(season, myTeamId, players);
+    } catch (e) {
+      setError(`Couldn't save your queue: ${e.message}`);
+    }
+  };
+
+  const slot = isLive ? currentSlot(draft) : null;
+  const remaining = isLive ? secondsLeft(draft, now) : null;
+  const canPick = Boolean(slot) && (isCommissioner(member) || myTeamId === slot.teamId);
+  const onClockPick = slot ? slot.pick : null;
+  const onClockTeamId = slot ? slot.teamId : null;
+  const areQueuesLoading = queuesStatus.isLoading;
+
+  // When the clock hits zero, pick the first available queued player for the team on the clock, or
+  // skip the pick if nobody is left in their queue
+  useEffect(() => {
+    if (!onClockPick || remaining > 0 || autopickAttempt.current === onClockPick || !canPick || areQueuesLoading) {
+      return;
+    }
+    autopickAttempt.current = onClockPick;
+    const queue = queues[onClockTeamId];
+    makePick((data) => {
+      const queued = autopickPlayer(queue, data);
+      return queued ? applyPick(data, queued, { auto: true }) : skipPick(data);
+    }, onClockPick);
+  }, [onClockPick, onClockTeamId, remaining, queues, canPick, areQueuesLoading, makePick]);
+
+  const teamName = (teamId) => ((draft && draft.teams.find(team => team.id === teamId)) || {}).name || teamId;
+  const pastDrafts = drafts.filter(d => d !== draft && d.status !== DRAFT_STATUS.SETUP);
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">{season} Draft</h2>
+
+      {isCommissioner(member) && (!draft || draft.status === DRAFT_STATUS.SETUP) && (
+        <DraftSetup
+          key={draft ? 'saved' : 'new'}
+          repository={repository}
+          teams={teams}
+          seasons={seasons}
+          identify={identify}
+          settings={settings}
+          draft={draft}
+        />
+      )}
+
+      {!draft && !isCommissioner(member) && <p className="text-gray-600 mb-6">The {season} draft hasn't been set up yet.</p>}
+
+      {draft && draft.status === DRAFT_STATUS.SETUP && !isCommissioner(member) && (
+        <div className="mb-6">
+          <p className="text-gray-600 mb-2">The draft hasn't started. Draft order:</p>
+          <ol className="list-decimal list-inside text-gray-700">
+            {draft.teams.map(team => <li key={team.id}>{team.name}</li>)}
+          </ol>
+        </div>
+      )}
+
+      {slot && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <p className="text-sm text-gray-600">Pick {slot.round}.{String(slot.roundPick).padStart(2, '0')} (#{slot.pick})</p>
+            <p className="text-xl font-semibold text-gray-800">{teamName(slot.teamId)} {slot.teamId === myTeamId ? '(you)' : ''} on the clock</p>
+          </div>
+          <div className="text-right">
+            <p className={`text-4xl font-bold ${remaining <= 10 ? 'text-red-600' : 'text-gray-800'}`}>
+              {remaining > 0 ? formatClock(remaining) : "Time's up"}
+            </p>
+            <p className="text-xs text-gray-500">Autopick needs someone from this team or the commissioner on this page.</p>
+          </div>
+          {canPick && (
+            <form onSubmit={(e) => { e.preventDefault(); makePick(data => applyPick(data, player)); }} className="flex space-x-2">
+              <input type="text" value={player} onChange={(e) => setPlayer(e.target.value)} placeholder="Player" className="p-2 border border-gray-300 rounded-md" />
+              <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 font-bold">Draft</button>
+            </form>
+          )}
+          {isCommissioner(member) && (
+            <button onClick={handleUndo} className="py-2 px-4 bg-gray-700 text-white rounded-md hover:bg-gray-800">Undo Last Pick</button>
+          )}
+        </div>
+      )}
+      {error && <p className="mb-4 text-sm text-red-700" role="alert">{error}</p>}
+
+      {draft && draft.status === DRAFT_STATUS.COMPLETE && (
+        <div className="mb-6 flex items-center justify-between">
+          <p className="text-green-700 font-semibold">The {season} draft is complete.</p>
+          {isCommissioner(member) && (
+            <button onClick={handleUndo} className="py-2 px-4 bg-gray-700 text-white rounded-md hover:bg-gray-800">Undo Last Pick</button>
+          )}
+        </div>
+      )}
+
+      {draft && draft.status !== DRAFT_STATUS.SETUP && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 mb-8">
+          <div className={isLive && myTeamId ? 'lg:col-span-3' : 'lg:col-span-4'}>
+            <DraftGrid draft={draft} onClockPick={slot && slot.pick} />
+          </div>
+          {isLive && myTeamId && (
+            <DataStatus status={queuesStatus} label="your queue">
+              <DraftQueue queue={queues[myTeamId] || []} draft={draft} onChange={saveQueue} />
+            </DataStatus>
+          )}
+        </div>
+      )}
+
+      {pastDrafts.length > 0 && (
+        <div>
+          <h3 className="text-2xl font-semibold text-gray-800 mb-3">Past Drafts</h3>
+          <ul className="flex flex-wrap gap-3">
+            {pastDrafts.map(past => (
+              <li key={past.id}>
+                <Link to={`/draft/${past.season}`} className="text-blue-600 hover:underline">{past.season}</Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DraftRoom;
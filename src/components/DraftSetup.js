@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import {
+  DRAFT_STATUS,
+  DEFAULT_DRAFT_ROUNDS,
+  DEFAULT_PICK_SECONDS,
+  draftOrderFromStandings,
+  runLottery,
+  validateKeepers,
+  keeperPicks,
+  pickOrder,
+  pickState,
+} from '../lib/draft';
+
+const inputClass = 'block w-full mt-1 p-2 border border-blue-300 rounded-md';
+
+// Commissioner setup for this season's draft: order from last season's final standings, an optional
+// lottery, keepers and their round costs. Saving stores drafts/{season} for later; starting also
+// fills in the keepers and puts the first team on the clock.
+const DraftSetup = ({ repository, teams, seasons, identify, settings, draft }) => {
+  const season = Number(settings.season);
+  const saved = draft || {};
+  const [rounds, setRounds] = useState(String(saved.rounds || DEFAULT_DRAFT_ROUNDS));
+  const [pickSeconds, setPickSeconds] = useState(String(saved.pickSeconds || DEFAULT_PICK_SECONDS));
+  const [snake, setSnake] = useState(saved.snake !== false);
+  const [lotteryTeams, setLotteryTeams] = useState(String((saved.lottery && saved.lottery.teams) || 0));
+  const [lotterySeed, setLotterySeed] = useState((saved.lottery && saved.lottery.seed) || String(season));
+  const [keepers, setKeepers] = useState(saved.keepers || []);
+  const [status, setStatus] = useState('');
+  const [writeError, setWriteError] = useState('');
+
+  const previousSeason = seasons
+    .filter(s => Number(s.year) < season)
+    .sort((a, b) => Number(b.year) - Number(a.year))[0] || null;
+  const baseOrder = draftOrderFromStandings(teams, previousSeason, { identify, settings });
+  const lottery = runLottery(baseOrder, lotteryTeams, lotterySeed);
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+  const keeperErrors = validateKeepers(keepers, teams.map(team => team.id), Number(rounds));
+  const isValid = teams.length >= 2 && Number(rounds) >= 1 && Number(pickSeconds) >= 10 && keeperErrors.length === 0;
+
+  const updateKeeper = (index, field, value) => {
+    setKeepers(keepers.map((keeper, i) => (i === index ? { ...keeper, [field]: value } : keeper)));
+  };
+
+  const draftDoc = () => ({
+    season,
+    status: DRAFT_STATUS.SETUP,
+    teams: lottery.order.map(id => ({ id, name: teamNameById[id] })),
+    rounds: Number(rounds),
+    snake,
+    pickSeconds: Number(pickSeconds),
+    keepers: keepers.map(keeper => ({ teamId: keeper.teamId, player: keeper.player.trim(), round: Number(keeper.round) })),
+    lottery: { teams: Number(lotteryTeams) || 0, seed: lotterySeed, draws: lottery.draws },
+    previousSeason: previousSeason ? Number(previousSeason.year) : null,
+    picks: [],
+    onClockTeamId: null,
+    clockStartedAt: null,
+  });
+
+  const save = async (data, message, options) => {
+    setWriteError('');
+    try {
+      await repository.saveDraft(season, { ...data, createdAt: saved.createdAt || null }, options);
+      setStatus(message);
+    } catch (e) {
+      setStatus('');
+      setWriteError(`Saving failed; try again. ${e.message}`);
+    }
+  };
+
+  const handleStart = () => {
+    if (!window.confirm(`Start the ${season} draft? The order and keepers are locked once it starts.`)) {
+      return;
+    }
+    const setup = draftDoc();
+    const picks = keeperPicks(setup);
+    save({
+      ...setup,
+      status: DRAFT_STATUS.LIVE,
+      pickOrder: pickOrder(setup),
+      ...pickState(setup, picks),
+    }, 'The draft is live.', { start: true });
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h3 className="text-2xl font-semibold text-blue-800 mb-2">Set Up the {season} Draft</h3>
+      <p className="text-sm text-gray-700 mb-4">
+        {previousSeason
+          ? `Order is the reverse of the ${previousSeason.year} final standings; the champion picks last.`
+          : 'No earlier season in League History, so the order follows the team list.'}
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <label className="text-sm text-gray-700">
+          Rounds
+          <input type="number" min="1" value={rounds} onChange={(e) => setRounds(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          Seconds per pick
+          <input type="number" min="10" value={pickSeconds} onChange={(e) => setPickSeconds(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          Lottery teams
+          <input type="number" min="0" max={teams.length} value={lotteryTeams} onChange={(e) => setLotteryTeams(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          Lottery seed
+          <input type="text" value={lotterySeed} onChange={(e) => setLotterySeed(e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <label className="flex items-center space-x-2 text-sm text-gray-700 mb-4">
+        <input type="checkbox" checked={snake} onChange={(e) => setSnake(e.target.checked)} />
+        <span>Snake order (even rounds run in reverse)</span>
+      </label>
+
+      <h4 className="font-semibold text-blue-800 mb-2">First-Round Order</h4>
+      <ol className="list-decimal list-inside text-sm text-gray-700 mb-4">
+        {lottery.order.map(teamId => {
+          const draw = lottery.draws.find(d => d.teamId === teamId);
+          return (
+            <li key={teamId}>
+              {teamNameById[teamId]}
+              {draw && <span className="ml-2 text-xs text-gray-500">lottery: {draw.chances} chance{draw.chances === 1 ? '' : 's'}, was pick {draw.previousPick}</span>}
+            </li>
+          );
+        })}
+      </ol>
+
+      <h4 className="font-semibold text-blue-800 mb-2">Keepers</h4>
+      {keepers.map((keeper, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+          <select value={keeper.teamId} onChange={(e) => updateKeeper(index, 'teamId', e.target.value)} className="p-2 border border-blue-300 rounded-md text-sm">
+            <option value="">Team...</option>
+            {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+          </select>
+          <input type="text" value={keeper.player} onChange={(e) => updateKeeper(index, 'player', e.target.value)} placeholder="Player" className="p-2 border border-blue-300 rounded-md text-sm" />
+          <label className="text-sm text-gray-700">
+            Round cost
+            <input type="number" min="1" value={keeper.round} onChange={(e) => updateKeeper(index, 'round', e.target.value)} className="ml-2 w-20 p-2 border border-blue-300 rounded-md" />
+          </label>
+          <button onClick={() => setKeepers(keepers.filter((_, i) => i !== index))} className="text-sm text-red-600 hover:underline">Remove</button>
+        </div>
+      ))}
+      <button onClick={() => setKeepers([...keepers, { teamId: '', player: '', round: '' }])} className="text-sm text-blue-600 hover:underline mb-3">
+        Add a keeper
+      </button>
+      {keeperErrors.map(error => <p key={error} className="text-sm text-red-700">{error}</p>)}
+
+      <div className="flex space-x-2 mt-4">
+        <button
+          onClick={() => save(draftDoc(), 'Draft setup saved.')}
+          disabled={!isValid}
+          className="py-2 px-4 bg-gray-700 text-white rounded-md hover:bg-gray-800 disabled:opacity-50"
+        >
+          Save Setup
+        </button>
+        <button
+          onClick={handleStart}
+          disabled={!isValid}
+          className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md disabled:opacity-50"
+        >
+          Start Draft
+        </button>
+      </div>
+      {status && <p className="mt-3 text-sm font-semibold text-gray-800">{status}</p>}
+      {writeError && <p className="mt-3 text-sm text-red-600" role="alert">{writeError}</p>}
+    </div>
+  );
+};
+
+export default DraftSetup;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { headToHead } from '../lib/history';
+import { managerPath } from './ManagerProfile';
+
+// Every recorded game between two managers, e.g. /records/head-to-head/alex/jordan
+const HeadToHeadPage = ({ seasons, identify, notFound }) => {
+  const { manager: managerId, opponent: opponentId } = useParams();
+  const { names, cells } = headToHead(seasons, identify);
+  const cell = cells[managerId] && cells[managerId][opponentId];
+  if (!cell) {
+    return notFound;
+  }
+  const manager = names[managerId];
+  const opponent = names[opponentId];
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/records" className="text-sm text-blue-600 hover:underline">&larr; Records Book</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-2 border-b pb-3">
+        <Link to={managerPath(managerId)} className="hover:underline">{manager}</Link> vs{' '}
+        <Link to={managerPath(opponentId)} className="hover:underline">{opponent}</Link>
+      </h2>
+      <p className="text-gray-700 mb-6">
+        {manager} is {cell.wins}-{cell.losses}{cell.ties ? `-${cell.ties}` : ''} all time.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-6 text-left">Season</th>
+              <th className="py-3 px-6 text-left">Week</th>
+              <th className="py-3 px-6 text-left">Home</th>
+              <th className="py-3 px-6 text-left">Score</th>
+              <th className="py-3 px-6 text-left">Away</th>
+              <th className="py-3 px-6 text-left">Score</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {cell.games.map(game => (
+              <tr key={game.id} className="border-b border-gray-200 hover:bg-gray-50">
+                <td className="py-3 px-6 text-left"><Link to={`/history/${game.year}`} className="hover:underline">{game.year}</Link></td>
+                <td className="py-3 px-6 text-left">
+                  {game.week}
+                  {game.playoffRound && <span className="ml-2 text-xs text-blue-600 font-semibold">Playoffs</span>}
+                </td>
+                <td className="py-3 px-6 text-left">{game.home} ({game.homeManager})</td>
+                <td className="py-3 px-6 text-left font-bold">{game.homeScore}</td>
+                <td className="py-3 px-6 text-left">{game.away} ({game.awayManager})</td>
+                <td className="py-3 px-6 text-left font-bold">{game.awayScore}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default HeadToHeadPage;
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+
+// "Install app" button for browsers that offer installing the site (Chrome, Edge, Android). It only
+// appears once the browser says the site can be installed, and goes away after it is.
+const InstallButton = () => {
+  const [installPrompt, setInstallPrompt] = useState(null);
+
+  useEffect(() => {
+    const handleBeforeInstall = (e) => {
+      // Keep the browser's own mini-infobar from showing; the button offers the same thing
+      e.preventDefault();
+      setInstallPrompt(e);
+    };
+    const handleInstalled = () => setInstallPrompt(null);
+    window.addEventListener('beforeinstallprompt', handleBeforeInstall);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', handleBeforeInstall);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  if (!installPrompt) {
+    return null;
+  }
+
+  const handleInstall = async () => {
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    // A prompt can only be shown once
+    setInstallPrompt(null);
+  };
+
+  return (
+    <button
+      onClick={handleInstall}
+      className="bg-gray-700 text-gray-200 text-sm rounded-md px-2 py-1 border border-gray-600 hover:bg-gray-600"
+    >
+      Install app
+    </button>
+  );
+};
+
+export default InstallButton;
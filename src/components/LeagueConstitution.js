@@ -0,0 +1,79 @@
+import React from 'react';
+import ConstitutionEditor from './ConstitutionEditor';
+import ConstitutionHistory from './ConstitutionHistory';
+import ConstitutionView from './ConstitutionView';
+import RuleProposals from './RuleProposals';
+import { canEditConstitution } from '../lib/permissions';
+
+// New Component: League Constitution. The editing and history toggles are kept by App, which also
+// saves and restores the text.
+const LeagueConstitution = ({
+  repository, leagueName, userId, member, constitutionContent, constitutionError,
+  isEditing, onEdit, onCancelEdit, onSave, isShowingHistory, onToggleHistory, onRestore,
+  proposals, votesByProposal, teams, settings,
+}) => (
+  <div className="p-6 bg-white rounded-b-lg shadow-lg">
+    <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">{leagueName} Constitution</h2>
+
+    {userId && (
+      <p className="text-sm text-gray-500 mb-4">
+        Current User ID: <span className="font-mono bg-gray-100 p-1 rounded">{userId}</span>
+      </p>
+    )}
+
+    {constitutionError && (
+      <p className="mb-4 p-3 bg-red-50 border border-red-300 rounded-md text-sm text-red-700" role="alert">{constitutionError}</p>
+    )}
+
+    {isEditing && canEditConstitution(member) ? (
+      <ConstitutionEditor
+        initialContent={constitutionContent}
+        onSave={onSave}
+        onCancel={onCancelEdit}
+      />
+    ) : (
+      <div className="mb-8 p-6 bg-white rounded-lg shadow-md border border-gray-200">
+        {constitutionContent
+          ? <ConstitutionView content={constitutionContent} />
+          : <p className="text-gray-600">No constitution content available. Click "Edit" to add it!</p>}
+        {canEditConstitution(member) && (
+          <div className="mt-6 text-right">
+            <button
+              onClick={onEdit}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+            >
+              Edit Constitution
+            </button>
+          </div>
+        )}
+      </div>
+    )}
+
+    <RuleProposals
+      repository={repository}
+      constitutionContent={constitutionContent}
+      proposals={proposals}
+      votesByProposal={votesByProposal}
+      teams={teams}
+      member={member}
+      userId={userId}
+      settings={settings}
+    />
+
+    <button
+      onClick={onToggleHistory}
+      className="mb-4 text-blue-600 hover:underline"
+    >
+      {isShowingHistory ? 'Hide revision history' : 'Show revision history'}
+    </button>
+    {isShowingHistory && (
+      <ConstitutionHistory
+        repository={repository}
+        canRestore={canEditConstitution(member)}
+        onRestore={onRestore}
+      />
+    )}
+  </div>
+);
+
+export default LeagueConstitution;
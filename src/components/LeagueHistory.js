@@ -0,0 +1,136 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import PlayoffBracket from './PlayoffBracket';
+import { ManagerLink } from './LeagueLinks';
+import { rankSeasonStandings, formatWinPct, seasonStandingsToCsv } from '../lib/standings';
+import { canManageLeague } from '../lib/permissions';
+import { BRACKETS, BRACKET_LABELS } from '../lib/playoffs';
+import { downloadFile } from '../lib/csv';
+
+// Archived playoff brackets for a past season, collapsed under its standings
+const SeasonPlayoffs = ({ year, playoffBrackets }) => {
+  const archived = playoffBrackets.find(bracket => String(bracket.season) === String(year) && bracket.brackets);
+  if (!archived) {
+    return null;
+  }
+
+  return (
+    <details className="mt-4">
+      <summary className="cursor-pointer text-blue-600 hover:underline">How the title was won</summary>
+      <div className="mt-4">
+        {Object.values(BRACKETS).filter(id => archived.brackets[id]).map(id => (
+          <PlayoffBracket key={id} bracket={archived.brackets[id]} title={BRACKET_LABELS[id]} />
+        ))}
+      </div>
+    </details>
+  );
+};
+
+// One season's final standings table, shown in League History and on the season's own page
+export const SeasonCard = ({ yearData, settings, identify, playoffBrackets }) => (
+  <div className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
+    <div className="flex flex-wrap justify-between items-center gap-3 mb-4 border-b pb-2">
+      <h3 className="text-2xl font-semibold text-gray-800">
+        <Link to={`/history/${yearData.year}`} className="hover:underline">{yearData.year} Season</Link>
+        {yearData.championshipTeam && (
+          <span className="ml-3 text-green-600 text-xl font-bold">
+            Champion: {yearData.championshipTeam}
+          </span>
+        )}
+      </h3>
+      <button
+        onClick={() => downloadFile(`standings-${yearData.year}.csv`, seasonStandingsToCsv(yearData.year, yearData.standings, settings))}
+        className="bg-gray-700 text-white text-sm py-1 px-3 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md"
+      >
+        Export CSV
+      </button>
+    </div>
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+        <thead>
+          <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+            <th className="py-3 px-6 text-left">Rank</th>
+            <th className="py-3 px-6 text-left">Team Name</th>
+            <th className="py-3 px-6 text-left">Manager</th>
+            <th className="py-3 px-6 text-left">W</th>
+            <th className="py-3 px-6 text-left">L</th>
+            <th className="py-3 px-6 text-left">T</th>
+            <th className="py-3 px-6 text-left">Pct</th>
+            {/* Add more columns as needed for historical data */}
+          </tr>
+        </thead>
+        <tbody className="text-gray-700 text-sm font-light">
+          {rankSeasonStandings(yearData.standings, settings).map((team) => (
+            <tr key={team.id} className="border-b border-gray-200 hover:bg-gray-50">
+              <td className="py-3 px-6 text-left whitespace-nowrap">{team.rank}</td>
+              <td className="py-3 px-6 text-left">{team.name}</td>
+              <td className="py-3 px-6 text-left"><ManagerLink entry={team} identify={identify} /></td>
+              <td className="py-3 px-6 text-left">{team.wins}</td>
+              <td className="py-3 px-6 text-left">{team.losses}</td>
+              <td className="py-3 px-6 text-left">{team.ties}</td>
+              <td className="py-3 px-6 text-left">{formatWinPct(team.winPct)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+    <SeasonPlayoffs year={yearData.year} playoffBrackets={playoffBrackets} />
+  </div>
+);
+
+// New Component: League History (for historical standings)
+const LeagueHistory = ({ seasons, member, settings, identify, playoffBrackets }) => (
+  <div className="p-6 bg-white rounded-b-lg shadow-lg">
+    <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League History (Past Standings)</h2>
+    <p className="mb-6 text-gray-700">
+      All-time records and head-to-head results are in the <Link to="/records" className="text-blue-600 hover:underline">Records Book</Link>.
+    </p>
+
+    {canManageLeague(member) && (
+      <div className="mb-6 space-x-2">
+        <Link
+          to="/history/import"
+          className="inline-block bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+        >
+          Import or Export Seasons
+        </Link>
+        <Link
+          to="/history/rollover"
+          className="inline-block bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md"
+        >
+          Start the Next Season
+        </Link>
+      </div>
+    )}
+
+    {seasons.length > 0 ? (
+      <div className="space-y-8">
+        {seasons.map((yearData) => (
+          <SeasonCard key={yearData.id} yearData={yearData} settings={settings} identify={identify} playoffBrackets={playoffBrackets} />
+        ))}
+      </div>
+    ) : (
+      <p className="text-gray-600">No historical standings found yet.</p>
+    )}
+  </div>
+);
+
+// Season detail page, e.g. /history/2023
+export const HistorySeason = ({ seasons, settings, identify, playoffBrackets, notFound }) => {
+  const { year } = useParams();
+  const yearData = seasons.find(season => String(season.year) === year);
+  if (!yearData) {
+    return notFound;
+  }
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/history" className="text-sm text-blue-600 hover:underline">&larr; All seasons</Link>
+      <div className="mt-4">
+        <SeasonCard yearData={yearData} settings={settings} identify={identify} playoffBrackets={playoffBrackets} />
+      </div>
+    </div>
+  );
+};
+
+export default LeagueHistory;
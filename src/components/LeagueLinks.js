@@ -0,0 +1,16 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { managerPath } from './ManagerProfile';
+
+// Team name linking to the team's page
+export const TeamLink = ({ teamId, teamNameById }) => (
+  teamNameById[teamId]
+    ? <Link to={`/teams/${teamId}`} className="hover:underline">{teamNameById[teamId]}</Link>
+    : 'TBD'
+);
+
+// Manager name linking to their profile, for a current team or a past season's standings row
+export const ManagerLink = ({ entry, identify }) => {
+  const identity = identify(entry);
+  return <Link to={managerPath(identity.id)} className="font-medium hover:underline">{entry.manager || identity.name}</Link>;
+};
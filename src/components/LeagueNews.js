@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { NEWS_CATEGORIES, NEWS_PAGE_SIZE, sortNewsForFeed } from '../lib/news';
+import { canPublishNews, canPinNews, canManageLeague } from '../lib/permissions';
+import { useLiveData } from '../data/useLiveData';
+import DataStatus from './DataStatus';
+import NewsPost from './NewsPost';
+
+// League News tab: publish form, category filter and a paginated, live-updating list of posts.
+// With a past `season` picked in the season selector, only that season's posts are listed.
+const LeagueNews = ({ repository, member, userId, currentSeason, season = null }) => {
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [pageCount, setPageCount] = useState(1);
+  const [publishError, setPublishError] = useState('');
+
+  // States for the input fields when adding a new news item
+  const [newNewsTitle, setNewNewsTitle] = useState('');
+  const [newNewsContent, setNewNewsContent] = useState('');
+  const [newNewsCategory, setNewNewsCategory] = useState('general');
+  const [newNewsPinned, setNewNewsPinned] = useState(false);
+
+  // Fetch one more page than we show, so we know whether "Load more" has anything to load
+  const pageLimit = pageCount * NEWS_PAGE_SIZE;
+  const { data: newsData, ...newsStatus } = useLiveData(repository, (repo, onData, onError) => (
+    repo.watchNews({ season, category: categoryFilter, max: pageLimit + 1 }, onData, onError)
+  ), [], `${season}-${categoryFilter}-${pageLimit}`);
+  const posts = newsData.slice(0, pageLimit);
+  const hasMore = newsData.length > pageLimit;
+
+  const handleFilterChange = (categoryId) => {
+    setCategoryFilter(categoryId);
+    setPageCount(1);
+  };
+
+  // Handle adding a new news item
+  // The post shows up straight away and, offline, is queued until the connection returns; a
+  // rejection by the server is reported when it arrives
+  const handleAddNews = () => {
+    if (!newNewsTitle || !newNewsContent) {
+      setPublishError('Title and content cannot be empty.');
+      return;
+    }
+    if (!repository || !userId || !canPublishNews(member)) {
+      setPublishError('Only league members can publish news.');
+      return;
+    }
+
+    const { saved } = repository.addNews({
+      title: newNewsTitle,
+      content: newNewsContent,
+      category: newNewsCategory,
+      season: currentSeason,
+      pinned: canPinNews(member) && newNewsPinned,
+      authorId: userId,
+      authorName: member.displayName || member.id,
+    });
+    setNewNewsTitle('');
+    setNewNewsContent('');
+    setNewNewsCategory('general');
+    setNewNewsPinned(false);
+    setPublishError('');
+    saved.catch((error) => setPublishError(`Couldn't publish the news item: ${error.message}`));
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League News & Updates</h2>
+
+      {season !== null ? (
+        <p className="mb-8 text-gray-600">Showing news from the {season} season.</p>
+      ) : canPublishNews(member) ? (
+        <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-2xl font-semibold text-blue-800">Add New News Item</h3>
+            {canManageLeague(member) && (
+              <Link to="/news/recap" className="text-sm text-blue-600 hover:underline">Draft a Weekly Recap</Link>
+            )}
+          </div>
+          <input
+            type="text"
+            placeholder="News Title"
+            value={newNewsTitle}
+            onChange={(e) => setNewNewsTitle(e.target.value)}
+            className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <textarea
+            placeholder="News Content"
+            value={newNewsContent}
+            onChange={(e) => setNewNewsContent(e.target.value)}
+            rows="4"
+            className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+          ></textarea>
+          <div className="flex items-center space-x-4 mb-4">
+            <select
+              value={newNewsCategory}
+              onChange={(e) => setNewNewsCategory(e.target.value)}
+              className="p-2 border border-blue-300 rounded-md"
+            >
+              {NEWS_CATEGORIES.map(category => (
+                <option key={category.id} value={category.id}>{category.label}</option>
+              ))}
+            </select>
+            {canPinNews(member) && (
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newNewsPinned}
+                  onChange={(e) => setNewNewsPinned(e.target.checked)}
+                  className="mr-2"
+                />
+                Pin to the top of the Dashboard
+              </label>
+            )}
+          </div>
+          <button
+            onClick={handleAddNews}
+            className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+          >
+            Publish News
+          </button>
+          {publishError && <p className="mt-3 text-sm text-red-600" role="alert">{publishError}</p>}
+        </div>
+      ) : (
+        <p className="mb-8 text-gray-600">Sign in as a league owner to publish news.</p>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {[{ id: 'all', label: 'All' }, ...NEWS_CATEGORIES].map(category => (
+          <button
+            key={category.id}
+            onClick={() => handleFilterChange(category.id)}
+            className={`px-3 py-1 rounded-full text-sm ${categoryFilter === category.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {category.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-8">
+        {/* Keep showing the loaded posts while "Load more" fetches the next page */}
+        <DataStatus status={newsData.length > 0 ? { ...newsStatus, isLoading: false } : newsStatus} label="the news">
+          {posts.length > 0 ? (
+            <div className="space-y-6">
+              {sortNewsForFeed(posts).map((post) => (
+                <NewsPost key={post.id} repository={repository} post={post} member={member} userId={userId} />
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-600">No news items found.</p>
+          )}
+        </DataStatus>
+        {hasMore && (
+          <button
+            onClick={() => setPageCount(pageCount + 1)}
+            className="mt-6 w-full py-2 text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeagueNews;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+const selectClass = 'bg-gray-700 text-gray-200 text-sm rounded-md px-2 py-1 border border-gray-600';
+
+// League and season selectors shown beside the league name. The league selector only appears when
+// the site hosts more than one league (REACT_APP_LEAGUES, see lib/leagues); the current season is listed first.
+const LeagueSwitcher = ({ leagues, leagueId, onLeagueChange, seasons, season, currentSeason, onSeasonChange }) => (
+  <div className="flex items-center space-x-2">
+    {leagues.length > 1 && (
+      <select value={leagueId} onChange={(e) => onLeagueChange(e.target.value)} className={selectClass} aria-label="League">
+        {leagues.map(league => <option key={league.id} value={league.id}>{league.name}</option>)}
+      </select>
+    )}
+    <select value={season} onChange={(e) => onSeasonChange(Number(e.target.value))} className={selectClass} aria-label="Season">
+      {seasons.map(year => (
+        <option key={year} value={year}>{year === currentSeason ? `${year} (current)` : year}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default LeagueSwitcher;
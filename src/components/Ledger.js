@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  LEDGER_ENTRY_TYPES,
+  LEDGER_ENTRY_LABELS,
+  LEDGER_CATEGORIES,
+  LEDGER_CATEGORY_LABELS,
+  PAYOUT_BASES,
+  PAYOUT_BASIS_LABELS,
+  awardPayouts,
+  ledgerLines,
+  ledgerSummary,
+  ledgerToCsv,
+  payoutWarnings,
+  formatMoney,
+} from '../lib/ledger';
+import { BRACKETS } from '../lib/playoffs';
+import { downloadFile } from '../lib/csv';
+import { isCommissioner } from '../lib/permissions';
+
+const inputClass = 'w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const balanceClass = (amount) => (amount < 0 ? 'text-red-700' : amount > 0 ? 'text-green-700' : 'text-gray-500');
+
+// Form for recording a payment, side-pot buy-in or winnings, money paid out or an adjustment
+const LedgerEntryForm = ({ repository, teams, settings, initialTeamId, onDone }) => {
+  const [teamId, setTeamId] = useState(initialTeamId || '');
+  const [type, setType] = useState(LEDGER_ENTRY_TYPES.PAYMENT);
+  const [amount, setAmount] = useState('');
+  const [pot, setPot] = useState('');
+  const [note, setNote] = useState('');
+  const [writeError, setWriteError] = useState('');
+  const isSidePot = [LEDGER_ENTRY_TYPES.SIDE_POT, LEDGER_ENTRY_TYPES.SIDE_POT_WIN].includes(type);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const value = Number(amount);
+    if (!teamId || !amount || Number.isNaN(value) || (type !== LEDGER_ENTRY_TYPES.ADJUSTMENT && value <= 0)) {
+      setWriteError('Choose a team and enter an amount.');
+      return;
+    }
+
+    setWriteError('');
+    try {
+      await repository.addLedgerEntry({
+        season: Number(settings.season),
+        teamId,
+        type,
+        amount: value,
+        ...(isSidePot ? { pot: pot.trim() } : {}),
+        note: note.trim(),
+      }).saved;
+      onDone();
+    } catch (error) {
+      setWriteError(`Couldn't record the entry: ${error.message}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h4 className="text-xl font-semibold text-blue-800 mb-4">Record an Entry</h4>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={inputClass}>
+          <option value="">Team...</option>
+          {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+        </select>
+        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+          {Object.values(LEDGER_ENTRY_TYPES).map(option => (
+            <option key={option} value={option}>{LEDGER_ENTRY_LABELS[option]}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="0.01"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className={inputClass}
+          placeholder={type === LEDGER_ENTRY_TYPES.ADJUSTMENT ? 'Amount (negative charges the manager)' : 'Amount'}
+        />
+      </div>
+      {isSidePot && (
+        <input type="text" value={pot} onChange={(e) => setPot(e.target.value)} className={inputClass} placeholder="Side pot (e.g. Survivor pool)" />
+      )}
+      <input type="text" value={note} onChange={(e) => setNote(e.target.value)} className={inputClass} placeholder="Note (optional)" />
+      <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+        Record Entry
+      </button>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+    </form>
+  );
+};
+
+// Commissioner form for the dues and payout rules in leagueSettings. These should match what the
+// constitution says about money.
+const PayoutRulesForm = ({ repository, settings, onDone }) => {
+  const [dues, setDues] = useState(String(settings.dues || ''));
+  const [bonus, setBonus] = useState(String(settings.weeklyHighScoreBonus || ''));
+  const [payouts, setPayouts] = useState(settings.payouts || []);
+  const [writeError, setWriteError] = useState('');
+
+  const updatePayout = (index, field, value) => {
+    setPayouts(payouts.map((payout, i) => (i === index ? { ...payout, [field]: value } : payout)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setWriteError('');
+    try {
+      await repository.updateSettings({
+        dues: Number(dues) || 0,
+        weeklyHighScoreBonus: Number(bonus) || 0,
+        payouts: payouts
+          .filter(payout => payout.label && Number(payout.amount) > 0)
+          .map(payout => ({ label: payout.label.trim(), basis: payout.basis, place: Number(payout.place) || 1, amount: Number(payout.amount) })),
+      });
+      onDone();
+    } catch (error) {
+      setWriteError(`Couldn't save the rules: ${error.message}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h4 className="text-xl font-semibold text-blue-800 mb-4">Dues &amp; Payout Rules</h4>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-sm text-gray-700">
+          Dues per team
+          <input type="number" min="0" step="0.01" value={dues} onChange={(e) => setDues(e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          Weekly high-score bonus
+          <input type="number" min="0" step="0.01" value={bonus} onChange={(e) => setBonus(e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      {payouts.map((payout, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+          <input type="text" value={payout.label} onChange={(e) => updatePayout(index, 'label', e.target.value)} placeholder="Label (e.g. Champion)" className="p-2 border border-blue-300 rounded-md text-sm" />
+          <select value={payout.basis} onChange={(e) => updatePayout(index, 'basis', e.target.value)} className="p-2 border border-blue-300 rounded-md text-sm">
+            {Object.values(PAYOUT_BASES).map(basis => <option key={basis} value={basis}>{PAYOUT_BASIS_LABELS[basis]}</option>)}
+          </select>
+          <label className="text-sm text-gray-700">
+            Place
+            <input type="number" min="1" value={payout.place} onChange={(e) => updatePayout(index, 'place', e.target.value)} className="ml-2 w-16 p-2 border border-blue-300 rounded-md" />
+          </label>
+          <label className="text-sm text-gray-700">
+            Amount
+            <input type="number" min="0" step="0.01" value={payout.amount} onChange={(e) => updatePayout(index, 'amount', e.target.value)} className="ml-2 w-24 p-2 border border-blue-300 rounded-md" />
+          </label>
+          <button type="button" onClick={() => setPayouts(payouts.filter((_, i) => i !== index))} className="text-sm text-red-600 hover:underline">Remove</button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setPayouts([...payouts, { label: '', basis: PAYOUT_BASES.FINAL, place: payouts.length + 1, amount: '' }])}
+        className="block text-sm text-blue-600 hover:underline mb-4"
+      >
+        Add a payout
+      </button>
+      <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+        Save Rules
+      </button>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+    </form>
+  );
+};
+
+// Ledger tab: every manager's balance for the current season from dues, payments, side pots,
+// weekly high-score bonuses and payouts, with an itemized view per team (?team=) and a CSV export.
+// League members only; the commissioner records entries and sets the rules.
+const Ledger = ({ repository, teams, schedule, standings, settings, member, playoffBrackets, entries }) => {
+  const [form, setForm] = useState(null);
+  const [writeError, setWriteError] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedTeamId = searchParams.get('team') || '';
+  const season = Number(settings.season);
+
+  if (!member) {
+    return (
+      <div className="p-6 bg-white rounded-b-lg shadow-lg">
+        <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">League Ledger</h2>
+        <p className="text-gray-600">Sign in as a league member to see dues and payouts.</p>
+      </div>
+    );
+  }
+
+  // Final finish comes from the archived championship bracket
+  const bracket = playoffBrackets.find(stored => Number(stored.season) === season && stored.status === 'complete');
+  const championship = bracket && bracket.brackets ? bracket.brackets[BRACKETS.CHAMPIONSHIP] : null;
+  const finish = {
+    championId: championship && championship.champion ? championship.champion.teamId : null,
+    runnerUpId: championship && championship.runnerUp ? championship.runnerUp.teamId : null,
+  };
+  const lines = ledgerLines({ teams, schedule, standings, settings, entries, ...finish });
+  const rows = ledgerSummary(teams, lines);
+  const payouts = awardPayouts(settings.payouts, { standings, schedule, ...finish });
+  const regularSeasonWeeks = new Set(schedule.filter(game => !game.playoffRound).map(game => game.week)).size;
+  const warnings = payoutWarnings(settings, teams.length, regularSeasonWeeks);
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+  const selectedLines = lines.filter(line => line.teamId === selectedTeamId);
+
+  const selectTeam = (teamId) => {
+    setSearchParams(teamId && teamId !== selectedTeamId ? { team: teamId } : {});
+  };
+
+  const handleDeleteEntry = async (entryId) => {
+    if (!window.confirm('Delete this ledger entry?')) {
+      return;
+    }
+    setWriteError('');
+    try {
+      await repository.deleteLedgerEntry(entryId);
+    } catch (error) {
+      setWriteError(`Couldn't delete the entry: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6 border-b pb-3">
+        <h2 className="text-3xl font-semibold text-gray-800">{season} League Ledger</h2>
+        <div className="space-x-2">
+          <button
+            onClick={() => downloadFile(`ledger-${season}.csv`, ledgerToCsv(rows, season))}
+            className="bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md"
+          >
+            Export CSV
+          </button>
+          {isCommissioner(member) && !form && (
+            <>
+              <button onClick={() => setForm('entry')} className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+                Record an Entry
+              </button>
+              <button onClick={() => setForm('rules')} className="bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md">
+                Edit Rules
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {form === 'entry' && <LedgerEntryForm repository={repository} teams={teams} settings={settings} initialTeamId={selectedTeamId} onDone={() => setForm(null)} />}
+      {form === 'rules' && <PayoutRulesForm repository={repository} settings={settings} onDone={() => setForm(null)} />}
+
+      <p className="text-sm text-gray-500 mb-4">
+        Dues {formatMoney(Number(settings.dues) || 0)} per team
+        {Number(settings.weeklyHighScoreBonus) > 0 && ` · ${formatMoney(Number(settings.weeklyHighScoreBonus))} to each week's high scorer`}
+        {' · '}A positive balance is owed to the manager; a negative one is owed to the league.
+      </p>
+      {warnings.map(warning => <p key={warning} className="mb-4 text-sm text-red-700">{warning}</p>)}
+
+      <div className="overflow-x-auto mb-8">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-4 text-left">Team</th>
+              {LEDGER_CATEGORIES.map(category => <th key={category} className="py-3 px-4 text-right">{LEDGER_CATEGORY_LABELS[category]}</th>)}
+              <th className="py-3 px-4 text-right">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {rows.map(row => (
+              <tr
+                key={row.teamId}
+                onClick={() => selectTeam(row.teamId)}
+                className={`border-b border-gray-200 cursor-pointer hover:bg-gray-50 ${row.teamId === selectedTeamId ? 'bg-blue-50' : ''} ${row.teamId === member.teamId ? 'font-semibold' : ''}`}
+              >
+                <td className="py-3 px-4 text-left">
+                  {row.name}
+                  {row.manager && <span className="block text-xs text-gray-500">{row.manager}</span>}
+                </td>
+                {LEDGER_CATEGORIES.map(category => (
+                  <td key={category} className="py-3 px-4 text-right">{row[category] ? formatMoney(row[category]) : '-'}</td>
+                ))}
+                <td className={`py-3 px-4 text-right font-bold ${balanceClass(row.balance)}`}>{formatMoney(row.balance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedTeamId && (
+        <div className="mb-8 p-6 bg-gray-50 rounded-lg border border-gray-200">
+          <h3 className="text-2xl font-semibold text-gray-800 mb-4">{teamNameById[selectedTeamId] || selectedTeamId}</h3>
+          {selectedLines.length > 0 ? (
+            <ul className="divide-y divide-gray-200">
+              {selectedLines.map((line, index) => (
+                <li key={line.entryId || `${line.category}-${index}`} className="py-2 flex justify-between items-center">
+                  <span className="text-gray-700">
+                    {line.label}
+                    <span className="ml-2 text-xs text-gray-400">{LEDGER_CATEGORY_LABELS[line.category]}</span>
+                  </span>
+                  <span className="flex items-center space-x-3">
+                    <span className={balanceClass(line.amount)}>{formatMoney(line.amount)}</span>
+                    {line.entryId && isCommissioner(member) && (
+                      <button onClick={() => handleDeleteEntry(line.entryId)} className="text-xs text-red-600 hover:underline">Delete</button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-600">Nothing on the ledger for this team yet.</p>
+          )}
+          {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+        </div>
+      )}
+
+      <h3 className="text-2xl font-semibold text-gray-800 mb-4">Payouts</h3>
+      {payouts.length > 0 ? (
+        <ul className="space-y-2">
+          {payouts.map((payout, index) => (
+            <li key={index} className="flex justify-between text-gray-700">
+              <span>
+                {payout.label}
+                <span className="ml-2 text-xs text-gray-400">{PAYOUT_BASIS_LABELS[payout.basis]} #{payout.place}</span>
+              </span>
+              <span>
+                {formatMoney(payout.amount)} · {payout.teamId ? teamNameById[payout.teamId] : <span className="text-gray-400">Not decided yet</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-600">No payout rules yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default Ledger;
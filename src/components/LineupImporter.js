@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { parseLineupImport, progressionPoint } from '../lib/lineups';
+
+const EXAMPLE = `[{ "gameId": "week-3-game-1",
+   "home": { "teamId": "team-a", "players": [{ "name": "Josh Allen", "position": "QB", "slot": "QB", "points": 24.3 }] },
+   "away": { "team": "Gridiron Gurus", "players": [{ "name": "Jaylen Warren", "position": "RB", "slot": "BN", "points": 15.1 }] } }]`;
+
+// Commissioner screen for loading lineups and player points from JSON. Each import replaces the
+// games' lineups and adds the current totals to their score progression.
+const LineupImporter = ({ repository, teams, schedule, settings }) => {
+  const [text, setText] = useState('');
+  const [status, setStatus] = useState('');
+  const [writeError, setWriteError] = useState('');
+
+  const preview = text.trim() ? parseLineupImport(text, { schedule, teams }) : null;
+  const canImport = Boolean(preview) && preview.errors.length === 0 && preview.lineups.every(lineup => lineup.errors.length === 0);
+  const teamName = (teamId) => (teams.find(team => team.id === teamId) || {}).name || teamId;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setText(await file.text());
+      setStatus('');
+    }
+  };
+
+  const handleImport = async () => {
+    const at = new Date();
+    setWriteError('');
+    try {
+      await repository.importLineups(preview.lineups.map(lineup => ({
+        gameId: lineup.gameId,
+        week: lineup.week,
+        season: settings.season,
+        home: lineup.home,
+        away: lineup.away,
+        point: progressionPoint(lineup, at),
+      })));
+      setStatus(`Imported lineups for ${preview.lineups.length} game${preview.lineups.length === 1 ? '' : 's'}.`);
+      setText('');
+    } catch (error) {
+      setStatus('');
+      setWriteError(`Import failed; nothing was saved. ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/schedule" className="text-sm text-blue-600 hover:underline">&larr; Schedule</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-6 border-b pb-3">Import Lineups</h2>
+
+      <div className="p-6 bg-blue-50 rounded-lg shadow-inner">
+        <p className="text-sm text-gray-700 mb-2">
+          Upload a JSON list of matchups. Each matchup names its game by <code className="bg-white px-1 rounded">gameId</code>, or
+          by <code className="bg-white px-1 rounded">week</code> and the two teams, and lists every rostered player with their
+          lineup <code className="bg-white px-1 rounded">slot</code> (<code className="bg-white px-1 rounded">BN</code> for the bench)
+          and points so far:
+        </p>
+        <pre className="bg-white p-2 rounded text-xs overflow-x-auto mb-4">{EXAMPLE}</pre>
+        <input type="file" accept=".json,application/json" onChange={handleFile} className="mb-3 block text-sm" />
+        <textarea
+          value={text}
+          onChange={(e) => { setText(e.target.value); setStatus(''); }}
+          placeholder="...or paste JSON here"
+          rows="6"
+          className="w-full p-2 border border-blue-300 rounded-md font-mono text-xs"
+        />
+
+        {preview && (
+          <div className="mt-4">
+            {preview.errors.map(error => <p key={error} className="text-sm text-red-700">{error}</p>)}
+            <ul className="mb-4 space-y-2">
+              {preview.lineups.map((lineup, index) => (
+                <li key={index} className={`p-3 rounded-md border ${lineup.errors.length ? 'border-red-300 bg-red-50' : 'border-green-300 bg-green-50'}`}>
+                  {lineup.home ? (
+                    <p className="text-sm text-gray-800">
+                      Week {lineup.week}: {teamName(lineup.home.teamId)} ({lineup.home.players.length} players)
+                      {' '}vs {teamName(lineup.away.teamId)} ({lineup.away.players.length} players)
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-800">Matchup {index + 1}</p>
+                  )}
+                  {lineup.errors.map(error => <p key={error} className="text-sm text-red-700">{error}</p>)}
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={handleImport}
+              disabled={!canImport}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md disabled:opacity-50"
+            >
+              Import {preview.lineups.length} Lineup{preview.lineups.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        )}
+        {status && <p className="mt-3 text-sm font-semibold text-gray-800">{status}</p>}
+        {writeError && <p className="mt-3 text-sm text-red-600" role="alert">{writeError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default LineupImporter;
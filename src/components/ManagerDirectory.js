@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { unlinkedManagers } from '../lib/managers';
+import { managerPath } from './ManagerProfile';
+
+// Team names are edited one per line as "Team Name | logo URL"
+const teamsToText = (teams = []) => teams.map(team => (team.logoUrl ? `${team.name} | ${team.logoUrl}` : team.name)).join('\n');
+const textToTeams = (text) => text.split('\n')
+  .map(line => line.split('|').map(part => part.trim()))
+  .filter(([name]) => name)
+  .map(([name, logoUrl]) => (logoUrl ? { name, logoUrl } : { name }));
+
+const inputClass = 'p-2 border border-blue-300 rounded-md text-sm';
+
+// Edit form for one managers document
+const ManagerForm = ({ manager, teams, onSave, onDelete }) => {
+  const [name, setName] = useState(manager.name || '');
+  const [aliases, setAliases] = useState((manager.aliases || []).join(', '));
+  const [teamNames, setTeamNames] = useState(teamsToText(manager.teams));
+  const [teamId, setTeamId] = useState(manager.teamId || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(manager.id, {
+      name: name.trim(),
+      aliases: aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+      teams: textToTeams(teamNames),
+      teamId: teamId || null,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-white rounded-md border border-blue-200 grid grid-cols-1 md:grid-cols-2 gap-2">
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" className={inputClass} />
+      <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={inputClass}>
+        <option value="">No current team</option>
+        {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+      </select>
+      <input
+        type="text"
+        value={aliases}
+        onChange={(e) => setAliases(e.target.value)}
+        placeholder="Other names, comma separated"
+        className={`${inputClass} md:col-span-2`}
+      />
+      <textarea
+        value={teamNames}
+        onChange={(e) => setTeamNames(e.target.value)}
+        placeholder="Team names, one per line: Team Name | logo URL"
+        rows="3"
+        className={`${inputClass} md:col-span-2`}
+      />
+      <p className="text-xs text-gray-500 md:col-span-2">
+        Platform accounts: {(manager.platformIds || []).join(', ') || 'none'} &middot;{' '}
+        <Link to={managerPath(manager.id)} className="text-blue-600 hover:underline">View profile</Link>
+      </p>
+      <div className="md:col-span-2 space-x-2">
+        <button type="submit" className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm">Save</button>
+        <button type="button" onClick={() => onDelete(manager.id)} className="px-3 py-1 text-red-600 hover:underline text-sm">Delete</button>
+      </div>
+    </form>
+  );
+};
+
+// Row for a name found in history or on a team that no manager document claims yet
+const UnlinkedManager = ({ entry, managers, onCreate, onLink }) => {
+  const [targetId, setTargetId] = useState('');
+
+  return (
+    <li className="p-3 bg-white rounded-md border border-yellow-200 flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-semibold">{entry.name}</span>
+      <span className="text-gray-500">
+        {entry.teamNames.join(', ')}{entry.years.length > 0 && ` (${entry.years.join(', ')})`}
+      </span>
+      <button onClick={() => onCreate(entry)} className="ml-auto px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+        New manager
+      </button>
+      {managers.length > 0 && (
+        <>
+          <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+            <option value="">Same person as...</option>
+            {managers.map(manager => <option key={manager.id} value={manager.id}>{manager.name}</option>)}
+          </select>
+          <button
+            onClick={() => onLink(entry, targetId)}
+            disabled={!targetId}
+            className="px-3 py-1 bg-gray-700 text-white rounded-md hover:bg-gray-800 disabled:opacity-50"
+          >
+            Link
+          </button>
+        </>
+      )}
+    </li>
+  );
+};
+
+// Commissioner panel for the managers collection: links every manager and team name in the
+// league's history to one person, so renames don't split their records
+const ManagerDirectory = ({ repository, managers, teams, seasons, identify }) => {
+  const unlinked = unlinkedManagers(seasons, teams, identify);
+  const [writeError, setWriteError] = useState('');
+
+  const handleSave = async (id, fields) => {
+    setWriteError('');
+    try {
+      await repository.updateManager(id, fields);
+    } catch (error) {
+      setWriteError(`Couldn't save the manager: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setWriteError('');
+    try {
+      await repository.deleteManager(id);
+    } catch (error) {
+      setWriteError(`Couldn't delete the manager: ${error.message}`);
+    }
+  };
+
+  const handleCreate = async (entry) => {
+    setWriteError('');
+    try {
+      await repository.saveManager(entry.id, {
+        name: entry.name,
+        aliases: [],
+        teams: entry.teamNames.map(name => ({ name })),
+        platformIds: entry.platformIds,
+        teamId: entry.teamId,
+      });
+    } catch (error) {
+      setWriteError(`Couldn't create the manager: ${error.message}`);
+    }
+  };
+
+  const handleLink = async (entry, managerId) => {
+    const manager = managers.find(m => m.id === managerId);
+    const knownTeams = new Set((manager.teams || []).map(team => team.name));
+    const newTeams = entry.teamNames.filter(name => !knownTeams.has(name)).map(name => ({ name }));
+    setWriteError('');
+    try {
+      await repository.linkManager(managerId, {
+        aliases: [entry.name],
+        platformIds: entry.platformIds,
+        teams: newTeams,
+        teamId: entry.teamId && !manager.teamId ? entry.teamId : null,
+      });
+    } catch (error) {
+      setWriteError(`Couldn't link ${entry.name}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="mt-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h3 className="text-2xl font-semibold text-blue-800 mb-2">Managers</h3>
+      <p className="text-sm text-gray-700 mb-4">
+        Each manager links every name and team name they've used, so their career stays together on their profile.
+      </p>
+      {writeError && <p className="mb-4 text-sm text-red-600" role="alert">{writeError}</p>}
+
+      {unlinked.length > 0 && (
+        <>
+          <h4 className="font-semibold text-gray-800 mb-2">Not linked yet</h4>
+          <ul className="space-y-2 mb-6">
+            {unlinked.map(entry => (
+              <UnlinkedManager key={entry.id} entry={entry} managers={managers} onCreate={handleCreate} onLink={handleLink} />
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="space-y-3">
+        {/* Keyed by content so a form picks up names added by linking */}
+        {managers.map(manager => (
+          <ManagerForm
+            key={`${manager.id}-${JSON.stringify(manager)}`}
+            manager={manager}
+            teams={teams}
+            onSave={handleSave}
+            onDelete={handleDelete}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ManagerDirectory;
@@ -0,0 +1,149 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { formatWinPct } from '../lib/standings';
+import { managerCareer } from '../lib/managers';
+
+export const managerPath = (managerId) => `/managers/${encodeURIComponent(managerId)}`;
+
+const recordText = ({ wins, losses, ties }) => `${wins}-${losses}-${ties}`;
+
+const TeamLogo = ({ url, name }) => (url
+  ? <img src={url} alt={`${name} logo`} className="w-10 h-10 rounded-full object-cover border border-gray-200" />
+  : <div className="w-10 h-10 rounded-full bg-gray-200 flex items-center justify-center text-gray-500 font-bold">{name.charAt(0)}</div>);
+
+const StatBox = ({ label, value }) => (
+  <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 text-center">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-2xl font-bold text-gray-800">{value}</p>
+  </div>
+);
+
+// Manager profile, e.g. /managers/jordan: career record, trophy case, best and worst seasons and
+// every team name they've played under
+const ManagerProfile = ({ managers, seasons, teams, identify, playoffBrackets, settings, notFound }) => {
+  const { managerId } = useParams();
+  const manager = managers.find(m => m.id === managerId) || null;
+  const currentTeam = teams.find(team => identify(team).id === managerId) || null;
+  const career = managerCareer(managerId, { seasons, identify, manager, playoffBrackets, settings });
+  if (!manager && !currentTeam && career.seasons.length === 0) {
+    return notFound;
+  }
+
+  const identity = [currentTeam, ...seasons.flatMap(season => season.standings || [])]
+    .filter(Boolean)
+    .map(identify)
+    .find(entry => entry.id === managerId);
+  const name = manager ? manager.name : identity.name;
+  const timeline = [...career.timeline];
+  if (currentTeam) {
+    const last = timeline[timeline.length - 1];
+    const linkedTeam = ((manager && manager.teams) || []).find(team => team.name === currentTeam.name);
+    if (last && last.teamName === currentTeam.name) {
+      last.current = true;
+    } else {
+      timeline.push({ teamName: currentTeam.name, logoUrl: (linkedTeam && linkedTeam.logoUrl) || null, from: settings.season, to: null, current: true });
+    }
+  }
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/records" className="text-sm text-blue-600 hover:underline">&larr; Records Book</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-2 mb-2">{name}</h2>
+      {currentTeam && (
+        <p className="text-gray-700 mb-6">
+          Current team: <Link to={`/teams/${currentTeam.id}`} className="text-blue-600 hover:underline">{currentTeam.name}</Link>
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        <StatBox label="Career Record" value={recordText(career.record)} />
+        <StatBox label="Win Pct" value={formatWinPct(career.record.winPct)} />
+        <StatBox label="Playoff Appearances" value={`${career.playoffAppearances} / ${career.seasons.length}`} />
+        <StatBox label="Championships" value={career.championships} />
+      </div>
+
+      <h3 className="text-2xl font-semibold text-gray-800 mb-3">Trophy Case</h3>
+      {career.trophies.length > 0 ? (
+        <ul className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-8">
+          {career.trophies.map(trophy => (
+            <li key={`${trophy.year}-${trophy.title}`} className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+              <span className="mr-2">{trophy.title === 'Toilet Bowl' ? '🚽' : '🏆'}</span>
+              <span className="font-semibold">{trophy.year} {trophy.title}</span>
+              <span className="text-sm text-gray-600"> &middot; {trophy.teamName}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-600 mb-8">The shelf is empty (for now).</p>
+      )}
+
+      {career.best && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+          <div className="p-4 bg-green-50 border border-green-200 rounded-md">
+            <p className="text-sm text-gray-500">Best season</p>
+            <p className="font-semibold">
+              <Link to={`/history/${career.best.year}`} className="hover:underline">{career.best.year}</Link> {career.best.teamName}: {recordText(career.best)}, finished #{career.best.rank}
+            </p>
+          </div>
+          {career.worst && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-gray-500">Worst season</p>
+              <p className="font-semibold">
+                <Link to={`/history/${career.worst.year}`} className="hover:underline">{career.worst.year}</Link> {career.worst.teamName}: {recordText(career.worst)}, finished #{career.worst.rank}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      <h3 className="text-2xl font-semibold text-gray-800 mb-3">Team Timeline</h3>
+      <ol className="border-l-2 border-gray-200 ml-5 mb-8">
+        {timeline.map(entry => (
+          <li key={`${entry.teamName}-${entry.from}`} className="flex items-center space-x-3 -ml-5 mb-4">
+            <TeamLogo url={entry.logoUrl} name={entry.teamName} />
+            <div>
+              <p className="font-semibold text-gray-800">{entry.teamName}</p>
+              <p className="text-sm text-gray-500">
+                {entry.from}{entry.current ? ' – present' : entry.to !== entry.from ? ` – ${entry.to}` : ''}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {career.seasons.length > 0 && (
+        <>
+          <h3 className="text-2xl font-semibold text-gray-800 mb-3">Season by Season</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+              <thead>
+                <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+                  <th className="py-3 px-6 text-left">Season</th>
+                  <th className="py-3 px-6 text-left">Team</th>
+                  <th className="py-3 px-6 text-left">W-L-T</th>
+                  <th className="py-3 px-6 text-left">Finish</th>
+                  <th className="py-3 px-6 text-left">Playoffs</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-700 text-sm font-light">
+                {[...career.seasons].reverse().map(season => (
+                  <tr key={season.year} className="border-b border-gray-200 hover:bg-gray-50">
+                    <td className="py-3 px-6 text-left"><Link to={`/history/${season.year}`} className="hover:underline">{season.year}</Link></td>
+                    <td className="py-3 px-6 text-left">{season.teamName}</td>
+                    <td className="py-3 px-6 text-left">{recordText(season)}</td>
+                    <td className="py-3 px-6 text-left">{season.rank} of {season.teamCount}</td>
+                    <td className="py-3 px-6 text-left">
+                      {season.champion ? 'Champion' : season.runnerUp ? 'Runner-up' : season.madePlayoffs ? 'Yes' : 'No'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ManagerProfile;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import DataStatus from './DataStatus';
+import { useLiveData } from '../data/useLiveData';
+import { sideReport } from '../lib/lineups';
+import { isGameFinal } from '../lib/records';
+import { canManageLeague } from '../lib/permissions';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+
+const formatPoints = (points) => (typeof points === 'number' ? points.toFixed(2) : '-');
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+// Both teams' totals at each lineup import during the week, as two lines
+const ScoreProgression = ({ progression, homeName, awayName }) => {
+  const points = [...progression].sort((a, b) => toDate(a.at) - toDate(b.at));
+  const maxScore = Math.max(1, ...points.flatMap(point => [point.home, point.away]));
+  const x = (index) => (index / (points.length - 1)) * CHART_WIDTH;
+  const y = (score) => CHART_HEIGHT - (score / maxScore) * CHART_HEIGHT;
+  const line = (side) => points.map((point, index) => `${x(index)},${y(point[side])}`).join(' ');
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-2xl font-semibold text-gray-800 mb-2">Score Progression</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        <span className="text-blue-600 font-semibold">{homeName}</span> vs <span className="text-red-600 font-semibold">{awayName}</span>,
+        {' '}from {toDate(points[0].at).toLocaleString()} to {toDate(points[points.length - 1].at).toLocaleString()}
+      </p>
+      <svg viewBox={`-10 -10 ${CHART_WIDTH + 20} ${CHART_HEIGHT + 20}`} className="w-full max-w-2xl bg-gray-50 rounded-lg border border-gray-200" role="img" aria-label="Score progression">
+        <polyline points={line('home')} fill="none" stroke="#2563eb" strokeWidth="3" />
+        <polyline points={line('away')} fill="none" stroke="#dc2626" strokeWidth="3" />
+      </svg>
+    </div>
+  );
+};
+
+// One team's box score: starters by lineup slot, then the bench by position
+const SideBoxScore = ({ name, report }) => (
+  <div>
+    <h3 className="text-xl font-semibold text-gray-800 mb-3">{name}</h3>
+    <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm mb-4">
+      <thead>
+        <tr className="bg-gray-100 text-left text-gray-600 uppercase text-xs leading-normal">
+          <th className="py-2 px-3">Slot</th>
+          <th className="py-2 px-3">Player</th>
+          <th className="py-2 px-3">Pos</th>
+          <th className="py-2 px-3 text-right">Pts</th>
+        </tr>
+      </thead>
+      <tbody className="text-gray-700">
+        {report.starters.map((player, index) => (
+          <tr key={`${player.name}-${index}`} className="border-b border-gray-200">
+            <td className="py-2 px-3 font-semibold">{player.slot}</td>
+            <td className="py-2 px-3">{player.name}</td>
+            <td className="py-2 px-3">{player.position}</td>
+            <td className="py-2 px-3 text-right font-bold">{formatPoints(player.points)}</td>
+          </tr>
+        ))}
+        <tr className="bg-gray-50 font-semibold">
+          <td className="py-2 px-3" colSpan="3">Starters</td>
+          <td className="py-2 px-3 text-right">{formatPoints(report.startersPoints)}</td>
+        </tr>
+        {report.bench.map((player, index) => (
+          <tr key={`bench-${player.name}-${index}`} className={`border-b border-gray-200 text-gray-500 ${report.shouldHaveStarted.includes(player) ? 'bg-yellow-50' : ''}`}>
+            <td className="py-2 px-3">BN</td>
+            <td className="py-2 px-3">{player.name}</td>
+            <td className="py-2 px-3">{player.position}</td>
+            <td className="py-2 px-3 text-right">{formatPoints(player.points)}</td>
+          </tr>
+        ))}
+        <tr className="bg-gray-50 text-gray-600">
+          <td className="py-2 px-3" colSpan="3">Bench</td>
+          <td className="py-2 px-3 text-right">{formatPoints(report.benchPoints)}</td>
+        </tr>
+      </tbody>
+    </table>
+    <p className="text-sm text-gray-700">
+      Optimal lineup: <span className="font-bold">{formatPoints(report.optimal.points)}</span>
+      {report.pointsLeft > 0
+        ? <> · <span className="text-red-700">{formatPoints(report.pointsLeft)} left on the bench</span></>
+        : ' · Started the best possible lineup'}
+    </p>
+    {report.shouldHaveStarted.length > 0 && (
+      <p className="text-xs text-gray-500 mt-1">
+        Should have started {report.shouldHaveStarted.map(player => player.name).join(', ')}
+        {' '}over {report.shouldHaveSat.map(player => player.name).join(', ')}.
+      </p>
+    )}
+  </div>
+);
+
+// Matchup page for one schedule game (/schedule/:gameId): the final or current score and, once
+// lineups are imported, both box scores and the week's score progression
+const MatchupPage = ({ repository, teams, schedule, member, notFound }) => {
+  const { gameId } = useParams();
+  const { data: lineup, ...lineupStatus } = useLiveData(repository, (repo, onData, onError) => (
+    repo.watchLineup(gameId, onData, onError)
+  ), null, gameId);
+  const game = schedule.find(g => g.id === gameId);
+
+  if (!game) {
+    return notFound;
+  }
+
+  const teamName = (teamId) => (teams.find(team => team.id === teamId) || {}).name || 'Unknown Team';
+  const homeName = teamName(game.homeTeamId);
+  const awayName = teamName(game.awayTeamId);
+  const progression = (lineup && lineup.progression) || [];
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/schedule" className="text-sm text-blue-600 hover:underline">&larr; Schedule</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-1">
+        <Link to={`/teams/${game.homeTeamId}`} className="hover:underline">{homeName}</Link>
+        {' '}<span className="text-blue-700">{game.homeScore ?? '-'}</span>
+        <span className="text-gray-400 mx-3">vs</span>
+        <span className="text-blue-700">{game.awayScore ?? '-'}</span>{' '}
+        <Link to={`/teams/${game.awayTeamId}`} className="hover:underline">{awayName}</Link>
+      </h2>
+      <p className="text-sm text-gray-500 mb-6 border-b pb-3">
+        Week {game.week}{game.playoffRound && ' · Playoffs'} · {isGameFinal(game) ? 'Final' : 'In progress'}
+        {canManageLeague(member) && (
+          <> · <Link to="/schedule/lineups" className="text-blue-600 hover:underline">Import lineups</Link></>
+        )}
+      </p>
+
+      <DataStatus status={lineupStatus} label="the lineups">
+        {progression.length >= 2 && <ScoreProgression progression={progression} homeName={homeName} awayName={awayName} />}
+
+        {lineup ? (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <SideBoxScore name={homeName} report={sideReport(lineup.home)} />
+            <SideBoxScore name={awayName} report={sideReport(lineup.away)} />
+          </div>
+        ) : (
+          <p className="text-gray-600">No lineups have been imported for this game yet.</p>
+        )}
+      </DataStatus>
+    </div>
+  );
+};
+
+export default MatchupPage;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import DataStatus from './DataStatus';
+import { useLiveData } from '../data/useLiveData';
+import { ROLES, memberDocId } from '../lib/permissions';
+
+// Commissioner-only panel for mapping owners (by sign-in email) to their teams and roles
+const MemberManager = ({ repository, teams }) => {
+  const { data: members, ...membersStatus } = useLiveData(repository, (repo, onData, onError) => repo.watchMembers(onData, onError), []);
+  const [email, setEmail] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [role, setRole] = useState(ROLES.OWNER);
+  const [teamId, setTeamId] = useState('');
+  const [writeError, setWriteError] = useState('');
+
+  const handleSaveMember = async (e) => {
+    e.preventDefault();
+    const id = memberDocId(email);
+    if (!id) {
+      setWriteError('Email cannot be empty.');
+      return;
+    }
+
+    setWriteError('');
+    try {
+      await repository.saveMember(id, {
+        displayName,
+        role,
+        teamId: teamId || null,
+      });
+      setEmail('');
+      setDisplayName('');
+      setRole(ROLES.OWNER);
+      setTeamId('');
+    } catch (error) {
+      setWriteError(`Couldn't save the member: ${error.message}`);
+    }
+  };
+
+  const handleRemoveMember = async (id) => {
+    setWriteError('');
+    try {
+      await repository.removeMember(id);
+    } catch (error) {
+      setWriteError(`Couldn't remove the member: ${error.message}`);
+    }
+  };
+
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+
+  return (
+    <div className="mt-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h3 className="text-2xl font-semibold text-blue-800 mb-4">League Members</h3>
+      <form onSubmit={handleSaveMember} className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+        <input
+          type="email"
+          placeholder="Owner email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="p-2 border border-blue-300 rounded-md"
+        />
+        <input
+          type="text"
+          placeholder="Display name"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          className="p-2 border border-blue-300 rounded-md"
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)} className="p-2 border border-blue-300 rounded-md">
+          <option value={ROLES.OWNER}>Owner</option>
+          <option value={ROLES.COMMISSIONER}>Commissioner</option>
+        </select>
+        <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className="p-2 border border-blue-300 rounded-md">
+          <option value="">No team</option>
+          {teams.map(team => (
+            <option key={team.id} value={team.id}>{team.name}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="md:col-span-2 bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+        >
+          Save Member
+        </button>
+      </form>
+      {writeError && <p className="mb-4 text-sm text-red-600" role="alert">{writeError}</p>}
+      <DataStatus status={membersStatus} label="the members">
+        <ul className="divide-y divide-blue-100">
+          {members.map(member => (
+            <li key={member.id} className="py-2 flex justify-between items-center text-sm text-gray-700">
+              <span>
+                <span className="font-medium">{member.displayName || member.id}</span>
+                <span className="text-gray-500 ml-2">{member.id}</span>
+                <span className="ml-2 uppercase text-xs text-blue-700">{member.role}</span>
+                {member.teamId && <span className="ml-2">({teamNameById[member.teamId] || 'Unknown team'})</span>}
+              </span>
+              <button onClick={() => handleRemoveMember(member.id)} className="text-red-600 hover:underline">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      </DataStatus>
+    </div>
+  );
+};
+
+export default MemberManager;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { NavLink } from 'react-router-dom';
+
+// Top-level sections of the site, in Navbar order
+export const NAV_ITEMS = [
+  { path: '/', label: 'Dashboard', end: true },
+  { path: '/standings', label: 'Current Standings' },
+  { path: '/schedule', label: 'Current Schedule' },
+  { path: '/power-rankings', label: 'Power Rankings' },
+  { path: '/playoffs', label: 'Playoffs' },
+  { path: '/teams', label: 'Teams & Managers' },
+  { path: '/news', label: 'League News' },
+  { path: '/transactions', label: 'Transactions' },
+  { path: '/draft', label: 'Draft' },
+  { path: '/ledger', label: 'Ledger' },
+  { path: '/history', label: 'League History' },
+  { path: '/records', label: 'Records' },
+  { path: '/constitution', label: 'Constitution' },
+];
+
+// NavItem component; highlights itself when its route (or one of its detail pages) is active
+const NavItem = ({ path, label, end, onClick }) => (
+  <NavLink
+    to={path}
+    end={end}
+    onClick={onClick}
+    className={({ isActive }) => `block px-4 py-2 rounded-md transition-colors duration-200
+      ${isActive ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700 hover:text-white'}`}
+  >
+    {label}
+  </NavLink>
+);
+
+// Navbar component. On small screens the links collapse behind a menu button. `controls` (the
+// league and season selectors, the install button) sit beside the league name.
+const Navbar = ({ leagueName, controls, children }) => {
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+
+  return (
+    <nav className="bg-gray-800 p-4 rounded-t-lg shadow-lg">
+      <div className="container mx-auto flex flex-wrap justify-between items-center">
+        <div className="flex flex-wrap items-center gap-3">
+          <h1 className="text-white text-2xl font-bold">
+            {leagueName}
+          </h1>
+          {controls}
+        </div>
+        <button
+          onClick={() => setIsMenuOpen(!isMenuOpen)}
+          className="md:hidden text-gray-300 hover:text-white px-3 py-2 border border-gray-600 rounded-md"
+          aria-expanded={isMenuOpen}
+          aria-label="Toggle navigation menu"
+        >
+          ☰
+        </button>
+        <div className={`${isMenuOpen ? 'block' : 'hidden'} w-full md:w-auto md:flex md:items-center md:space-x-4 mt-3 md:mt-0`}>
+          <div className="md:flex md:space-x-2 space-y-1 md:space-y-0">
+            {NAV_ITEMS.map(item => (
+              <NavItem key={item.path} {...item} onClick={() => setIsMenuOpen(false)} />
+            ))}
+          </div>
+          <div className="mt-3 md:mt-0">
+            {children}
+          </div>
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export default Navbar;
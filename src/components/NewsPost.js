@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { REACTION_EMOJI, NEWS_CATEGORIES, buildCommentTree, categoryLabel, hasReacted, reactionCounts, newsCategory } from '../lib/news';
+import { canManagePost, canPinNews, canPublishNews } from '../lib/permissions';
+import { useLiveData } from '../data/useLiveData';
+import DataStatus from './DataStatus';
+
+const formatDate = (value) => (value ? new Date(value.toDate()).toLocaleString() : 'N/A');
+
+// Reply box used for top-level comments and for replies
+const CommentForm = ({ onSubmit, placeholder, onCancel }) => {
+  const [content, setContent] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) {
+      return;
+    }
+    await onSubmit(content.trim());
+    setContent('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex space-x-2 mt-2">
+      <input
+        type="text"
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        placeholder={placeholder}
+        className="flex-1 p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <button type="submit" className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700">Post</button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-600 hover:underline">Cancel</button>
+      )}
+    </form>
+  );
+};
+
+const Comment = ({ comment, member, userId, onReply, onDelete }) => {
+  const [isReplying, setIsReplying] = useState(false);
+
+  return (
+    <li className="mt-3">
+      <div className="text-sm">
+        <span className="font-semibold text-gray-800">{comment.authorName}</span>
+        <span className="text-gray-400 ml-2 text-xs">{formatDate(comment.timestamp)}</span>
+        <p className="text-gray-700">{comment.content}</p>
+        <div className="flex space-x-3 text-xs">
+          {canPublishNews(member) && (
+            <button onClick={() => setIsReplying(!isReplying)} className="text-blue-600 hover:underline">Reply</button>
+          )}
+          {canManagePost(member, comment, userId) && (
+            <button onClick={() => onDelete(comment)} className="text-red-600 hover:underline">Delete</button>
+          )}
+        </div>
+        {isReplying && (
+          <CommentForm
+            placeholder={`Reply to ${comment.authorName}`}
+            onSubmit={async (content) => {
+              await onReply(content, comment.id);
+              setIsReplying(false);
+            }}
+            onCancel={() => setIsReplying(false)}
+          />
+        )}
+      </div>
+      {comment.replies.length > 0 && (
+        <ul className="ml-6 border-l border-gray-200 pl-3">
+          {comment.replies.map(reply => (
+            <Comment key={reply.id} comment={reply} member={member} userId={userId} onReply={onReply} onDelete={onDelete} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Threaded comments for one post, loaded when the thread is opened
+const CommentThread = ({ repository, post, member, userId }) => {
+  const { data: comments, ...commentsStatus } = useLiveData(repository, (repo, onData, onError) => (
+    repo.watchComments(post.id, onData, onError)
+  ), [], post.id);
+  const [writeError, setWriteError] = useState('');
+
+  // Comments show up straight away (and queue while offline); failures are reported when the server answers
+  const handleAddComment = (content, parentId = null) => {
+    const { saved } = repository.addComment({
+      postId: post.id,
+      parentId,
+      content,
+      authorId: userId,
+      authorName: member.displayName || member.id,
+    });
+    setWriteError('');
+    saved.catch((error) => setWriteError(`Couldn't post your comment: ${error.message}`));
+  };
+
+  const handleDeleteComment = (comment) => {
+    setWriteError('');
+    repository.deleteComment(comment.id).catch((error) => setWriteError(`Couldn't delete the comment: ${error.message}`));
+  };
+
+  const tree = buildCommentTree(comments);
+
+  return (
+    <div className="mt-4 border-t border-gray-200 pt-3">
+      <DataStatus status={commentsStatus} label="comments">
+        {tree.length === 0 && <p className="text-sm text-gray-500">No comments yet.</p>}
+        <ul>
+          {tree.map(comment => (
+            <Comment
+              key={comment.id}
+              comment={comment}
+              member={member}
+              userId={userId}
+              onReply={handleAddComment}
+              onDelete={handleDeleteComment}
+            />
+          ))}
+        </ul>
+      </DataStatus>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+      {canPublishNews(member) && <CommentForm placeholder="Add a comment" onSubmit={handleAddComment} />}
+    </div>
+  );
+};
+
+// A single news post with edit/delete/pin controls, emoji reactions and comments
+const NewsPost = ({ repository, post, member, userId, defaultShowComments = false }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [writeError, setWriteError] = useState('');
+  const [isShowingComments, setIsShowingComments] = useState(defaultShowComments);
+  const [title, setTitle] = useState(post.title);
+  const [content, setContent] = useState(post.content);
+  const [category, setCategory] = useState(newsCategory(post));
+
+  const startEditing = () => {
+    setTitle(post.title);
+    setContent(post.content);
+    setCategory(newsCategory(post));
+    setIsEditing(true);
+  };
+
+  // Writes show up in the post straight away and queue while offline, so nothing waits for the
+  // server; if it rejects the write, say so when it does
+  const writePost = (saved, failure) => {
+    setWriteError('');
+    saved.catch((error) => setWriteError(`${failure}: ${error.message}`));
+  };
+
+  const handleSaveEdit = () => {
+    if (!title || !content) {
+      setWriteError('Title and content cannot be empty.');
+      return;
+    }
+    writePost(repository.editNews(post.id, { title, content, category }), "Couldn't save your edit");
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${post.title}"?`)) {
+      return;
+    }
+    writePost(repository.deleteNews(post.id), "Couldn't delete the post");
+  };
+
+  const handleTogglePin = () => writePost(repository.setNewsPinned(post.id, !post.pinned), "Couldn't pin the post");
+
+  const handleToggleReaction = (emoji) => writePost(
+    repository.setNewsReaction(post.id, emoji, userId, !hasReacted(post, emoji, userId)),
+    "Couldn't update your reaction"
+  );
+
+  const errorMessage = writeError && <p className="mt-3 text-sm text-red-600" role="alert">{writeError}</p>;
+
+  if (isEditing) {
+    return (
+      <div className="bg-blue-50 p-6 rounded-lg shadow-md border border-blue-200">
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          rows="4"
+          className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+        ></textarea>
+        <select value={category} onChange={(e) => setCategory(e.target.value)} className="p-2 mb-3 border border-blue-300 rounded-md">
+          {NEWS_CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+        </select>
+        <div className="flex space-x-4">
+          <button onClick={handleSaveEdit} className="flex-1 bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 font-bold">Save</button>
+          <button onClick={() => setIsEditing(false)} className="flex-1 bg-gray-400 text-white py-2 rounded-md hover:bg-gray-500 font-bold">Cancel</button>
+        </div>
+        {errorMessage}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`bg-gray-50 p-6 rounded-lg shadow-md border ${post.pinned ? 'border-yellow-400' : 'border-gray-200'}`}>
+      <div className="flex justify-between items-start mb-2">
+        <h3 className="text-xl font-semibold text-gray-800">
+          {post.pinned && <span className="mr-2" title="Pinned">📌</span>}
+          <Link to={`/news/${post.id}`} className="hover:underline">{post.title}</Link>
+        </h3>
+        <span className="px-2 py-1 bg-gray-200 text-gray-700 rounded text-xs whitespace-nowrap">
+          {categoryLabel(newsCategory(post))}
+        </span>
+      </div>
+      <p className="text-gray-700 mb-3 whitespace-pre-wrap">{post.content}</p>
+      <p className="text-sm text-gray-500">
+        {post.authorName && <>By {post.authorName} · </>}
+        Published: {formatDate(post.timestamp)}
+        {post.editedAt && <> · Edited {formatDate(post.editedAt)}</>}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        {REACTION_EMOJI.map(emoji => {
+          const count = reactionCounts(post)[emoji] || 0;
+          const reacted = hasReacted(post, emoji, userId);
+          if (!canPublishNews(member) && count === 0) {
+            return null;
+          }
+          return (
+            <button
+              key={emoji}
+              onClick={() => handleToggleReaction(emoji)}
+              disabled={!canPublishNews(member)}
+              className={`px-2 py-1 rounded-full text-sm border ${reacted ? 'bg-blue-100 border-blue-400' : 'bg-white border-gray-200'}`}
+            >
+              {emoji} {count > 0 && count}
+            </button>
+          );
+        })}
+        <button onClick={() => setIsShowingComments(!isShowingComments)} className="ml-auto text-sm text-blue-600 hover:underline">
+          {isShowingComments ? 'Hide comments' : 'Comments'}
+        </button>
+      </div>
+
+      {(canManagePost(member, post, userId) || canPinNews(member)) && (
+        <div className="flex space-x-3 mt-3 text-sm">
+          {canManagePost(member, post, userId) && (
+            <>
+              <button onClick={startEditing} className="text-blue-600 hover:underline">Edit</button>
+              <button onClick={handleDelete} className="text-red-600 hover:underline">Delete</button>
+            </>
+          )}
+          {canPinNews(member) && (
+            <button onClick={handleTogglePin} className="text-yellow-700 hover:underline">{post.pinned ? 'Unpin' : 'Pin'}</button>
+          )}
+        </div>
+      )}
+
+      {errorMessage}
+
+      {isShowingComments && <CommentThread repository={repository} post={post} member={member} userId={userId} />}
+    </div>
+  );
+};
+
+export default NewsPost;
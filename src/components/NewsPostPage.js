@@ -0,0 +1,30 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useLiveData } from '../data/useLiveData';
+import DataStatus from './DataStatus';
+import NewsPost from './NewsPost';
+
+// Detail page for a single news post, e.g. /news/abc123, with its comment thread open
+const NewsPostPage = ({ repository, member, userId, notFound }) => {
+  const { postId } = useParams();
+  const { data: post, ...postStatus } = useLiveData(repository, (repo, onData, onError) => (
+    repo.watchNewsPost(postId, onData, onError)
+  ), null, postId);
+
+  if (!postStatus.isLoading && !postStatus.error && !post) {
+    return notFound;
+  }
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/news" className="text-sm text-blue-600 hover:underline">&larr; All news</Link>
+      <div className="mt-4">
+        <DataStatus status={postStatus} label="this post">
+          {post && <NewsPost key={post.id} repository={repository} post={post} member={member} userId={userId} defaultShowComments />}
+        </DataStatus>
+      </div>
+    </div>
+  );
+};
+
+export default NewsPostPage;
@@ -0,0 +1,13 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Shown for unknown routes and for detail pages whose team, season or post doesn't exist
+const NotFound = () => (
+  <div className="p-6 bg-white rounded-b-lg shadow-lg text-center">
+    <h2 className="text-3xl font-semibold text-gray-800 mb-4">Page Not Found</h2>
+    <p className="text-gray-600 mb-6">That page isn't part of the league site (anymore).</p>
+    <Link to="/" className="text-blue-600 hover:underline">Back to the Dashboard</Link>
+  </div>
+);
+
+export default NotFound;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { PLATFORM_ADAPTERS, getAdapter, mapLeagueImport, fetchPlatformFiles } from '../lib/platforms';
+
+// Commissioner tool for loading a season exported from the league's fantasy platform, from saved
+// JSON files or a URL serving them. The season can update the current teams and schedule, or be
+// saved to League History.
+const PlatformImporter = ({ repository, teams, seasons }) => {
+  const [platformId, setPlatformId] = useState(PLATFORM_ADAPTERS[0].id);
+  const [files, setFiles] = useState({});
+  const [baseUrl, setBaseUrl] = useState('');
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const adapter = getAdapter(platformId);
+  const hasAllFiles = adapter.files.every(file => files[file]);
+
+  let result = null;
+  let mapError = '';
+  if (hasAllFiles) {
+    try {
+      const league = adapter.normalize(files);
+      result = { league, ...mapLeagueImport(league, teams) };
+    } catch (e) {
+      mapError = `These files don't look like a ${adapter.label} export (${e.message}).`;
+    }
+  }
+
+  const handlePlatformChange = (e) => {
+    setPlatformId(e.target.value);
+    setFiles({});
+    setError('');
+    setStatus('');
+  };
+
+  const handleFile = (file) => async (e) => {
+    const upload = e.target.files[0];
+    if (!upload) {
+      return;
+    }
+    try {
+      const data = JSON.parse(await upload.text());
+      setFiles(prev => ({ ...prev, [file]: data }));
+      setError('');
+    } catch (e) {
+      setError(`${upload.name} is not valid JSON.`);
+    }
+  };
+
+  const handleFetch = async () => {
+    try {
+      setFiles(await fetchPlatformFiles(adapter, baseUrl));
+      setError('');
+    } catch (e) {
+      setError(`Couldn't load the files: ${e.message}`);
+    }
+  };
+
+  const handleUpdateCurrentSeason = async () => {
+    try {
+      await repository.importCurrentSeason(result.teams.map(({ isNew, ...team }) => team), result.schedule);
+      setStatus(`Updated ${result.teams.length} teams and ${result.schedule.length} games.`);
+    } catch (e) {
+      setStatus(`Import failed; nothing was saved. ${e.message}`);
+    }
+  };
+
+  const handleSaveToHistory = async () => {
+    const existing = seasons.find(season => Number(season.year) === result.season.year);
+    try {
+      await repository.saveSeasons([{ id: existing ? existing.id : String(result.season.year), doc: result.season }]);
+      setStatus(`Saved the ${result.season.year} season to League History.`);
+    } catch (e) {
+      setStatus(`Import failed; nothing was saved. ${e.message}`);
+    }
+  };
+
+  const yearExists = result && seasons.some(season => Number(season.year) === result.season.year);
+
+  return (
+    <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h3 className="text-2xl font-semibold text-blue-800 mb-2">Import from a Fantasy Platform</h3>
+      <p className="text-sm text-gray-700 mb-4">
+        Managers are matched by their platform account, so importing the same league again updates the
+        existing teams and games. The first import links managers to existing teams with the same name.
+      </p>
+      <select value={platformId} onChange={handlePlatformChange} className="mb-4 p-2 border border-blue-300 rounded-md">
+        {PLATFORM_ADAPTERS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+      </select>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+        {adapter.files.map(file => (
+          <label key={`${platformId}-${file}`} className="text-sm text-gray-700">
+            {file}.json {files[file] && <span className="text-green-700">✓</span>}
+            <input type="file" accept=".json,application/json" onChange={handleFile(file)} className="block mt-1" />
+          </label>
+        ))}
+      </div>
+      <div className="flex space-x-2 mb-4">
+        <input
+          type="url"
+          value={baseUrl}
+          onChange={(e) => setBaseUrl(e.target.value)}
+          placeholder="...or a URL serving these files, e.g. http://localhost:4000/sleeper"
+          className="flex-1 p-2 border border-blue-300 rounded-md text-sm"
+        />
+        <button onClick={handleFetch} disabled={!baseUrl} className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-800 disabled:opacity-50">
+          Load
+        </button>
+      </div>
+      {(error || mapError) && <p className="text-sm text-red-700 mb-3">{error || mapError}</p>}
+
+      {result && (
+        <div className="bg-white p-4 rounded-md border border-blue-200">
+          <h4 className="font-semibold text-gray-800 mb-2">
+            {result.league.name} &middot; {result.season.year}
+            {result.season.championshipTeam && <span className="ml-2 text-green-600">Champion: {result.season.championshipTeam}</span>}
+          </h4>
+          <table className="min-w-full text-sm mb-3">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pr-3">Team</th>
+                <th className="pr-3">Manager</th>
+                <th className="pr-3">W-L-T</th>
+                <th className="pr-3">Team id</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {result.teams.map((team, index) => (
+                <tr key={team.managerId}>
+                  <td className="pr-3">{team.name}</td>
+                  <td className="pr-3">{team.manager}</td>
+                  <td className="pr-3">{result.season.standings[index].wins}-{result.season.standings[index].losses}-{result.season.standings[index].ties}</td>
+                  <td className="pr-3 font-mono text-xs">{team.id}{team.isNew && <span className="ml-1 text-blue-700">(new)</span>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-sm text-gray-600 mb-3">{result.schedule.length} games, {result.season.games.length} with final scores.</p>
+          <div className="space-x-2">
+            <button onClick={handleUpdateCurrentSeason} className="py-2 px-4 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-bold">
+              Update Current Teams &amp; Schedule
+            </button>
+            <button onClick={handleSaveToHistory} className="py-2 px-4 bg-gray-700 text-white rounded-md hover:bg-gray-800 font-bold">
+              {yearExists ? `Replace ${result.season.year} in League History` : 'Save to League History'}
+            </button>
+          </div>
+        </div>
+      )}
+      {status && <p className="mt-3 text-sm font-semibold text-gray-800">{status}</p>}
+    </div>
+  );
+};
+
+export default PlatformImporter;
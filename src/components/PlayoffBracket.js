@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+
+// Score entry for one playoff match (commissioner only)
+const MatchScoreForm = ({ match, onSubmit }) => {
+  const [topScore, setTopScore] = useState(match.topScore ?? '');
+  const [bottomScore, setBottomScore] = useState(match.bottomScore ?? '');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (topScore === '' || bottomScore === '') {
+      setError('Both scores are required.');
+      return;
+    }
+    setError('');
+    await onSubmit(Number(topScore), Number(bottomScore));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center space-x-1 mt-2">
+      <input
+        type="number"
+        step="0.01"
+        value={topScore}
+        onChange={(e) => setTopScore(e.target.value)}
+        aria-label={`${match.top.name} score`}
+        className="w-16 p-1 text-xs border border-gray-300 rounded"
+      />
+      <input
+        type="number"
+        step="0.01"
+        value={bottomScore}
+        onChange={(e) => setBottomScore(e.target.value)}
+        aria-label={`${match.bottom.name} score`}
+        className="w-16 p-1 text-xs border border-gray-300 rounded"
+      />
+      <button type="submit" className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700">Save</button>
+      {error && <p className="w-full mt-1 text-xs text-red-600" role="alert">{error}</p>}
+    </form>
+  );
+};
+
+const BracketSlot = ({ entry, score, isAdvancing }) => (
+  <div className={`flex justify-between px-2 py-1 text-sm ${isAdvancing ? 'font-bold text-gray-900' : 'text-gray-600'}`}>
+    <span>
+      {entry ? (
+        <>
+          <span className="text-xs text-gray-400 mr-1">{entry.seed}</span>
+          {entry.name}
+        </>
+      ) : 'TBD'}
+    </span>
+    <span>{score ?? ''}</span>
+  </div>
+);
+
+// Renders a bracket snapshot (see snapshotBracket) as one column per round. Pass onRecordScore
+// to let the commissioner enter results for matches whose teams are known.
+const PlayoffBracket = ({ bracket, title, onRecordScore }) => (
+  <div className="mb-8">
+    <h3 className="text-2xl font-semibold text-gray-800 mb-2">{title}</h3>
+    {bracket.champion && (
+      <p className="mb-3 text-green-600 font-bold">Winner: {bracket.champion.name}</p>
+    )}
+    <div className="flex space-x-4 overflow-x-auto pb-2">
+      {bracket.rounds.map(round => (
+        <div key={round.round} className="flex flex-col justify-around min-w-[12rem] space-y-4">
+          <h4 className="text-sm font-semibold text-gray-500 uppercase">{round.label}</h4>
+          {round.matches.map(match => (
+            <div key={match.id} className="bg-gray-50 border border-gray-200 rounded-md shadow-sm">
+              <BracketSlot
+                entry={match.top}
+                score={match.topScore}
+                isAdvancing={Boolean(match.advancing && match.top && match.advancing.teamId === match.top.teamId)}
+              />
+              <div className="border-t border-gray-200" />
+              {match.isBye && !match.bottom ? (
+                <div className="px-2 py-1 text-sm text-gray-400 italic">Bye</div>
+              ) : (
+                <BracketSlot
+                  entry={match.bottom}
+                  score={match.bottomScore}
+                  isAdvancing={Boolean(match.advancing && match.bottom && match.advancing.teamId === match.bottom.teamId)}
+                />
+              )}
+              {onRecordScore && match.top && match.bottom && (
+                <div className="px-2 pb-2">
+                  <MatchScoreForm match={match} onSubmit={(topScore, bottomScore) => onRecordScore(bracket.id, match, topScore, bottomScore)} />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default PlayoffBracket;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { isGameFinal } from '../lib/records';
+import { FORCED_RESULTS, DEFAULT_ITERATIONS, formatOdds } from '../lib/playoffOdds';
+import { runPlayoffOdds } from '../workers/runPlayoffOdds';
+
+// Playoff odds detail view (/standings/odds). Starts from the league-wide odds and re-runs the
+// simulation whenever a "what if" result is forced on an unplayed game.
+const PlayoffOddsView = ({ teams, standings, schedule, settings, odds: baseOdds }) => {
+  const [forcedResults, setForcedResults] = useState({});
+  const [whatIfOdds, setWhatIfOdds] = useState(null);
+  const hasWhatIfs = Object.keys(forcedResults).length > 0;
+
+  useEffect(() => {
+    if (!hasWhatIfs) {
+      setWhatIfOdds(null);
+      return undefined;
+    }
+    setWhatIfOdds(null);
+    return runPlayoffOdds({ teams, schedule, settings, options: { forcedResults } }, setWhatIfOdds);
+  }, [forcedResults, hasWhatIfs, teams, schedule, settings]);
+
+  const odds = hasWhatIfs ? whatIfOdds : baseOdds;
+  const teamNameById = Object.fromEntries(standings.map(team => [team.id, team.name]));
+  const remaining = schedule.filter(game => !game.playoffRound && !isGameFinal(game));
+  const weeks = [...new Set(remaining.map(game => game.week))].sort((a, b) => a - b);
+
+  const setResult = (gameId, result) => {
+    setForcedResults(prev => {
+      const next = { ...prev };
+      if (result) next[gameId] = result;
+      else delete next[gameId];
+      return next;
+    });
+  };
+
+  const ResultButton = ({ game, result, label }) => {
+    const isActive = (forcedResults[game.id] || null) === result;
+    return (
+      <button
+        onClick={() => setResult(game.id, result)}
+        className={`px-2 py-1 text-xs rounded-md border ${isActive ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  const sorted = odds ? [...standings].sort((a, b) => odds[b.id].playoffs - odds[a.id].playoffs || a.rank - b.rank) : standings;
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/standings" className="text-sm text-blue-600 hover:underline">&larr; Standings</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-2 mb-2 border-b pb-3">Playoff Odds</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        From {DEFAULT_ITERATIONS.toLocaleString()} simulated seasons, drawing each team's weekly scores from its
+        scoring so far. {hasWhatIfs && 'Including your what-if results.'}
+      </p>
+
+      <div className="overflow-x-auto mb-8">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-6 text-left">Team</th>
+              <th className="py-3 px-6 text-left">Record</th>
+              <th className="py-3 px-6 text-left">Playoffs</th>
+              <th className="py-3 px-6 text-left">Bye</th>
+              <th className="py-3 px-6 text-left">Title</th>
+              <th className="py-3 px-6 text-left">Avg Seed</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {sorted.map(team => (
+              <tr key={team.id} className="border-b border-gray-200 hover:bg-gray-50">
+                <td className="py-3 px-6 text-left"><Link to={`/teams/${team.id}`} className="hover:underline">{team.name}</Link></td>
+                <td className="py-3 px-6 text-left">{team.wins}-{team.losses}-{team.ties}</td>
+                <td className="py-3 px-6 text-left font-bold">{odds ? formatOdds(odds[team.id].playoffs) : '…'}</td>
+                <td className="py-3 px-6 text-left">{odds ? formatOdds(odds[team.id].bye) : '…'}</td>
+                <td className="py-3 px-6 text-left">{odds ? formatOdds(odds[team.id].championship) : '…'}</td>
+                <td className="py-3 px-6 text-left">{odds && odds[team.id].averageSeed ? odds[team.id].averageSeed.toFixed(1) : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-2xl font-semibold text-gray-800">What If?</h3>
+        {hasWhatIfs && (
+          <button onClick={() => setForcedResults({})} className="text-sm text-blue-600 hover:underline">Reset</button>
+        )}
+      </div>
+      {weeks.length > 0 ? weeks.map(week => (
+        <div key={week} className="mb-4">
+          <h4 className="font-semibold text-gray-700 mb-2">Week {week}</h4>
+          <ul className="space-y-2">
+            {remaining.filter(game => game.week === week).map(game => (
+              <li key={game.id} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <ResultButton game={game} result={FORCED_RESULTS.HOME} label={`${teamNameById[game.homeTeamId] || 'TBD'} win`} />
+                <ResultButton game={game} result={null} label="Simulate" />
+                <ResultButton game={game} result={FORCED_RESULTS.AWAY} label={`${teamNameById[game.awayTeamId] || 'TBD'} win`} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )) : (
+        <p className="text-gray-600">The regular season is over; only the playoff games are left to simulate.</p>
+      )}
+    </div>
+  );
+};
+
+export default PlayoffOddsView;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import PlayoffBracket from './PlayoffBracket';
+import { canManageLeague } from '../lib/permissions';
+import {
+  BRACKETS, BRACKET_LABELS, buildBracket, resolveBracket, seedBrackets, snapshotBracket, playoffWeek, byeCount,
+} from '../lib/playoffs';
+
+const playoffGameId = (slot) => `playoff-${slot}`;
+
+// Resolves every bracket for the season against the recorded playoff games
+const resolveSeasonBrackets = (seeds, games, teamsById) => Object.values(BRACKETS)
+  .filter(bracketId => seeds[bracketId] && seeds[bracketId].length >= 2)
+  .map(bracketId => {
+    const resolved = resolveBracket(buildBracket(bracketId, seeds[bracketId]), games, {
+      losersAdvance: bracketId === BRACKETS.TOILET_BOWL,
+    });
+    return { resolved, snapshot: snapshotBracket(resolved, teamsById) };
+  });
+
+// Playoffs tab: a projected bracket from the current standings until the commissioner locks the
+// seeds, then the live bracket, which advances teams as playoff scores are recorded.
+const Playoffs = ({ repository, teams, schedule, standings, settings, member, playoffBrackets }) => {
+  const season = settings.season;
+  const [writeError, setWriteError] = useState('');
+  const stored = playoffBrackets.find(bracket => String(bracket.season) === String(season));
+  const isCommissioner = canManageLeague(member);
+  const teamsById = Object.fromEntries(teams.map(team => [team.id, team]));
+
+  const seeds = stored ? stored.seeds : seedBrackets(standings, settings);
+  const playoffGames = schedule.filter(game => game.playoffRound);
+  const brackets = resolveSeasonBrackets(seeds, playoffGames, teamsById);
+  const championship = brackets.find(({ resolved }) => resolved.id === BRACKETS.CHAMPIONSHIP);
+  const isDecided = Boolean(championship && championship.resolved.champion);
+
+  // Creates schedule entries for every match whose two teams are now known, so each round
+  // shows up on the Schedule as soon as the previous one is decided
+  const scheduleReadyMatches = async (games) => {
+    const existing = new Set(games.map(game => game.bracketSlot));
+    const ready = [];
+
+    resolveSeasonBrackets(seeds, games, teamsById).forEach(({ resolved }) => {
+      resolved.rounds.flat()
+        .filter(match => match.top && match.bottom && !existing.has(match.id))
+        .forEach(match => {
+          ready.push({
+            id: playoffGameId(match.id),
+            week: playoffWeek(match.round, settings, schedule),
+            homeTeamId: match.top.teamId,
+            awayTeamId: match.bottom.teamId,
+            homeScore: null,
+            awayScore: null,
+            playoffRound: match.round,
+            bracket: resolved.id,
+            bracketSlot: match.id,
+          });
+        });
+    });
+
+    if (ready.length > 0) {
+      await repository.saveGames(ready);
+    }
+  };
+
+  const handleLockSeeds = async () => {
+    setWriteError('');
+    try {
+      await repository.startPlayoffs(season, seeds);
+      await scheduleReadyMatches(playoffGames);
+    } catch (error) {
+      setWriteError(`Couldn't start the playoffs: ${error.message}`);
+    }
+  };
+
+  const handleRecordScore = async (bracketId, match, topScore, bottomScore) => {
+    const game = playoffGames.find(g => g.bracketSlot === match.id);
+    // Scores are stored home/away; the higher seed is home unless the game was created otherwise
+    const topIsHome = !game || game.homeTeamId === match.top.teamId;
+    const result = {
+      homeTeamId: topIsHome ? match.top.teamId : match.bottom.teamId,
+      awayTeamId: topIsHome ? match.bottom.teamId : match.top.teamId,
+      homeScore: topIsHome ? topScore : bottomScore,
+      awayScore: topIsHome ? bottomScore : topScore,
+    };
+    const recorded = {
+      week: game ? game.week : playoffWeek(match.round, settings, schedule),
+      ...result,
+      playoffRound: match.round,
+      bracket: bracketId,
+      bracketSlot: match.id,
+    };
+
+    setWriteError('');
+    try {
+      await repository.saveGames([{ id: playoffGameId(match.id), ...recorded }]);
+      await scheduleReadyMatches([...playoffGames.filter(g => g.bracketSlot !== match.id), recorded]);
+    } catch (error) {
+      setWriteError(`Couldn't record the score: ${error.message}`);
+    }
+  };
+
+  // Keeps the finished brackets with team names so League History can show how the title was won
+  const handleArchive = async () => {
+    setWriteError('');
+    try {
+      await repository.completePlayoffs(season, {
+        champion: championship.snapshot.champion.name,
+        brackets: Object.fromEntries(brackets.map(({ snapshot }) => [snapshot.id, snapshot])),
+      });
+    } catch (error) {
+      setWriteError(`Couldn't archive the bracket: ${error.message}`);
+    }
+  };
+
+  const playoffTeams = seeds[BRACKETS.CHAMPIONSHIP].length;
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-2 border-b pb-3">{season} Playoffs</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        {playoffTeams} teams{byeCount(playoffTeams) > 0 && `, top ${byeCount(playoffTeams)} seeds get a first-round bye`}.
+        {' '}{stored ? 'Seeds are locked.' : 'Projected from the current standings.'}
+      </p>
+      {writeError && <p className="mb-6 text-sm text-red-600" role="alert">{writeError}</p>}
+
+      {isCommissioner && !stored && (
+        <button
+          onClick={handleLockSeeds}
+          className="mb-6 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+        >
+          Lock Seeds &amp; Start Playoffs
+        </button>
+      )}
+      {isCommissioner && stored && stored.status !== 'complete' && isDecided && (
+        <button
+          onClick={handleArchive}
+          className="mb-6 bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 transition-colors duration-200 font-bold shadow-md"
+        >
+          Archive Bracket to League History
+        </button>
+      )}
+
+      {brackets.length > 0 ? brackets.map(({ snapshot }) => (
+        <PlayoffBracket
+          key={snapshot.id}
+          bracket={snapshot}
+          title={BRACKET_LABELS[snapshot.id]}
+          onRecordScore={isCommissioner && stored && stored.status !== 'complete' ? handleRecordScore : null}
+        />
+      )) : (
+        <p className="text-gray-600">Not enough teams for a playoff bracket yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default Playoffs;
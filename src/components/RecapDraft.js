@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { DEFAULT_RECAP_TEMPLATES, RECAP_TEMPLATE_FIELDS, recapWeeks, recapData, buildRecap } from '../lib/recap';
+
+const inputClass = 'w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Commissioner form for the recap templates. Only templates that differ from the defaults are
+// saved, so later changes to the defaults still reach the league.
+const RecapTemplatesForm = ({ repository, templates, onDone }) => {
+  const [values, setValues] = useState({ ...DEFAULT_RECAP_TEMPLATES, ...templates });
+  const [writeError, setWriteError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const overrides = Object.fromEntries(
+      Object.entries(values).filter(([key, value]) => value !== DEFAULT_RECAP_TEMPLATES[key])
+    );
+    setWriteError('');
+    try {
+      await repository.saveRecapTemplates(overrides);
+      onDone();
+    } catch (error) {
+      setWriteError(`Couldn't save the templates: ${error.message}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h3 className="text-xl font-semibold text-blue-800 mb-4">Recap Templates</h3>
+      {RECAP_TEMPLATE_FIELDS.map(field => (
+        <label key={field.key} className="block text-sm text-gray-700">
+          {field.label} <span className="text-xs text-gray-500">{field.placeholders}</span>
+          <input
+            type="text"
+            value={values[field.key]}
+            onChange={(e) => setValues({ ...values, [field.key]: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+      ))}
+      <div className="flex gap-2">
+        <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+          Save Templates
+        </button>
+        <button type="button" onClick={() => setValues({ ...DEFAULT_RECAP_TEMPLATES })} className="bg-gray-200 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-300">
+          Reset to Defaults
+        </button>
+        <button type="button" onClick={onDone} className="text-gray-600 py-2 px-4 hover:underline">
+          Cancel
+        </button>
+      </div>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+    </form>
+  );
+};
+
+// The editable draft for one week, started from the generated recap
+const RecapEditor = ({ draft, onPublish, onRegenerate }) => {
+  const [title, setTitle] = useState(draft.title);
+  const [content, setContent] = useState(draft.content);
+
+  return (
+    <div className="p-6 bg-blue-50 rounded-lg shadow-inner">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        className={inputClass}
+      />
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        rows="18"
+        className={`${inputClass} font-mono text-sm resize-y`}
+      />
+      <div className="flex gap-2">
+        <button
+          onClick={() => onPublish(title, content)}
+          disabled={!title.trim() || !content.trim()}
+          className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md disabled:opacity-50"
+        >
+          Publish to League News
+        </button>
+        <button onClick={onRegenerate} className="bg-gray-200 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-300">
+          Regenerate
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Weekly recap drafts (/news/recap): the commissioner picks a completed week, edits the generated
+// recap and publishes it as a League News post
+const RecapDraft = ({ repository, teams, schedule, settings, member, userId }) => {
+  const weeks = recapWeeks(schedule);
+  const [week, setWeek] = useState(weeks.length > 0 ? weeks[weeks.length - 1] : null);
+  const [draftVersion, setDraftVersion] = useState(0);
+  const [isEditingTemplates, setIsEditingTemplates] = useState(false);
+  const [published, setPublished] = useState(null);
+  const [publishError, setPublishError] = useState('');
+
+  const templates = settings.recapTemplates || {};
+  const draft = week !== null ? buildRecap(recapData(week, { teams, schedule, settings }), templates) : null;
+
+  const handlePublish = (title, content) => {
+    const { id, saved } = repository.addNews({
+      title: title.trim(),
+      content: content.trim(),
+      category: draft.category,
+      recapWeek: week,
+      season: Number(settings.season),
+      pinned: false,
+      authorId: userId,
+      authorName: member.displayName || member.id,
+    });
+    setPublished({ id, week });
+    setPublishError('');
+    saved.catch((error) => setPublishError(`Couldn't publish the recap: ${error.message}`));
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/news" className="text-sm text-blue-600 hover:underline">&larr; League News</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-6 border-b pb-3">Weekly Recap</h2>
+
+      {isEditingTemplates ? (
+        <RecapTemplatesForm repository={repository} templates={templates} onDone={() => { setIsEditingTemplates(false); setDraftVersion(draftVersion + 1); }} />
+      ) : (
+        <button onClick={() => setIsEditingTemplates(true)} className="mb-6 text-sm text-blue-600 hover:underline">
+          Customize recap templates
+        </button>
+      )}
+
+      {week === null ? (
+        <p className="text-gray-600">No week has final scores yet.</p>
+      ) : (
+        <>
+          <label className="block mb-4 text-sm text-gray-700">
+            Week{' '}
+            <select
+              value={week}
+              onChange={(e) => { setWeek(Number(e.target.value)); setPublished(null); }}
+              className="p-2 border border-blue-300 rounded-md"
+            >
+              {weeks.map(w => <option key={w} value={w}>Week {w}</option>)}
+            </select>
+          </label>
+
+          {publishError && (
+            <p className="mb-4 p-3 bg-red-50 border border-red-300 rounded-md text-sm text-red-700" role="alert">{publishError}</p>
+          )}
+
+          {published && published.week === week && (
+            <p className="mb-4 p-3 bg-green-50 border border-green-300 rounded-md text-sm text-gray-800">
+              Published. <Link to={`/news/${published.id}`} className="text-blue-600 hover:underline">View the post</Link>
+            </p>
+          )}
+
+          <RecapEditor
+            key={`${week}-${draftVersion}`}
+            draft={draft}
+            onPublish={handlePublish}
+            onRegenerate={() => setDraftVersion(draftVersion + 1)}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecapDraft;
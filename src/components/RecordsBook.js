@@ -0,0 +1,141 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatWinPct } from '../lib/standings';
+import { managerRecords, seasonExtremes, weeklyScoreExtremes, headToHead } from '../lib/history';
+import { managerPath } from './ManagerProfile';
+
+export const headToHeadPath = (managerId, opponentId) =>
+  `/records/head-to-head/${encodeURIComponent(managerId)}/${encodeURIComponent(opponentId)}`;
+
+const ManagerLink = ({ id, name }) => <Link to={managerPath(id)} className="hover:underline">{name}</Link>;
+
+const recordText = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+
+const Section = ({ title, children }) => (
+  <div className="mb-8">
+    <h3 className="text-2xl font-semibold text-gray-800 mb-4">{title}</h3>
+    <div className="overflow-x-auto">{children}</div>
+  </div>
+);
+
+const SeasonList = ({ rows }) => (
+  <ol className="list-decimal list-inside space-y-1 text-gray-700">
+    {rows.map(row => (
+      <li key={`${row.year}-${row.name}`}>
+        <Link to={`/history/${row.year}`} className="hover:underline">{row.year}</Link> {row.name} (<ManagerLink id={row.managerId} name={row.manager} />):{' '}
+        {recordText(row)}, {formatWinPct(row.winPct)}{row.champion && ' 🏆'}
+      </li>
+    ))}
+  </ol>
+);
+
+const ScoreList = ({ scores }) => (
+  <ol className="list-decimal list-inside space-y-1 text-gray-700">
+    {scores.map(entry => (
+      <li key={`${entry.year}-${entry.week}-${entry.team}`}>
+        <span className="font-bold">{entry.score}</span> {entry.team} (<ManagerLink id={entry.managerId} name={entry.manager} />) vs {entry.opponent},{' '}
+        <Link to={`/history/${entry.year}`} className="hover:underline">{entry.year}</Link> week {entry.week}
+      </li>
+    ))}
+  </ol>
+);
+
+// Records page: all-time numbers computed from every historicalStandings season, grouped by
+// manager with identify (see createManagerIdentifier)
+const RecordsBook = ({ seasons, identify }) => {
+  if (seasons.length === 0) {
+    return (
+      <div className="p-6 bg-white rounded-b-lg shadow-lg">
+        <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Records Book</h2>
+        <p className="text-gray-600">No past seasons yet. Records appear once League History has a season.</p>
+      </div>
+    );
+  }
+
+  const records = managerRecords(seasons, identify);
+  const { best, worst } = seasonExtremes(seasons, 5, identify);
+  const { highest, lowest } = weeklyScoreExtremes(seasons, 5, identify);
+  const { managers, names, cells } = headToHead(seasons, identify);
+  const hasGames = highest.length > 0;
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Records Book</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Across {seasons.length} season{seasons.length === 1 ? '' : 's'} of League History.
+      </p>
+
+      <Section title="All-Time Records">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-6 text-left">Manager</th>
+              <th className="py-3 px-6 text-left">Seasons</th>
+              <th className="py-3 px-6 text-left">W-L-T</th>
+              <th className="py-3 px-6 text-left">Pct</th>
+              <th className="py-3 px-6 text-left">Titles</th>
+              <th className="py-3 px-6 text-left">Runner-up</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {records.map(record => (
+              <tr key={record.managerId} className="border-b border-gray-200 hover:bg-gray-50">
+                <td className="py-3 px-6 text-left font-medium"><ManagerLink id={record.managerId} name={record.manager} /></td>
+                <td className="py-3 px-6 text-left">{record.seasons}</td>
+                <td className="py-3 px-6 text-left">{record.wins}-{record.losses}-{record.ties}</td>
+                <td className="py-3 px-6 text-left">{formatWinPct(record.winPct)}</td>
+                <td className="py-3 px-6 text-left">{record.championships}</td>
+                <td className="py-3 px-6 text-left">{record.runnerUps}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Section>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Section title="Best Seasons"><SeasonList rows={best} /></Section>
+        <Section title="Worst Seasons"><SeasonList rows={worst} /></Section>
+        {hasGames && <Section title="Highest Weekly Scores"><ScoreList scores={highest} /></Section>}
+        {hasGames && <Section title="Lowest Weekly Scores"><ScoreList scores={lowest} /></Section>}
+      </div>
+
+      {hasGames ? (
+        <Section title="Head-to-Head">
+          <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+            <thead>
+              <tr className="bg-gray-100 text-gray-600">
+                <th className="py-2 px-3 text-left">vs</th>
+                {managers.map(opponent => <th key={opponent} className="py-2 px-3 text-center">{names[opponent]}</th>)}
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {managers.map(manager => (
+                <tr key={manager} className="border-b border-gray-200">
+                  <th className="py-2 px-3 text-left font-medium"><ManagerLink id={manager} name={names[manager]} /></th>
+                  {managers.map(opponent => {
+                    const cell = cells[manager][opponent];
+                    if (!cell) {
+                      return <td key={opponent} className="py-2 px-3 text-center bg-gray-100">&mdash;</td>;
+                    }
+                    return (
+                      <td key={opponent} className="py-2 px-3 text-center">
+                        {cell.games.length > 0
+                          ? <Link to={headToHeadPath(manager, opponent)} className="text-blue-600 hover:underline">{recordText(cell)}</Link>
+                          : <span className="text-gray-400">0-0</span>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">Each row manager's record against the column manager.</p>
+        </Section>
+      ) : (
+        <p className="text-gray-600">Add a season's games to League History to see weekly scores and head-to-head records.</p>
+      )}
+    </div>
+  );
+};
+
+export default RecordsBook;
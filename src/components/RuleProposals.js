@@ -0,0 +1,242 @@
+import React, { useState, useMemo } from 'react';
+import { listSections, getSectionBody } from '../lib/constitution';
+import { diffLines } from '../lib/diff';
+import {
+  DEFAULT_PROPOSAL_THRESHOLD,
+  DEFAULT_PROPOSAL_VOTING_DAYS,
+  PROPOSAL_STATUS,
+  proposalOutcome,
+} from '../lib/proposals';
+import { canProposeAmendments, canVoteOnProposals } from '../lib/permissions';
+
+const statusStyles = {
+  [PROPOSAL_STATUS.OPEN]: 'bg-blue-100 text-blue-800',
+  [PROPOSAL_STATUS.PASSED]: 'bg-green-100 text-green-800',
+  [PROPOSAL_STATUS.FAILED]: 'bg-red-100 text-red-800',
+};
+
+const formatDate = (value) => (value ? new Date(value.toDate()).toLocaleString() : 'N/A');
+
+// Form for drafting an amendment to one article or section of the constitution
+const ProposalForm = ({ repository, constitutionContent, member, userId, settings, onDone }) => {
+  const sections = useMemo(
+    () => listSections(constitutionContent),
+    [constitutionContent]
+  );
+  const [sectionAnchor, setSectionAnchor] = useState(sections.length > 0 ? sections[0].anchor : '');
+  const [title, setTitle] = useState('');
+  const [proposedText, setProposedText] = useState(
+    sections.length > 0 ? getSectionBody(constitutionContent, sections[0].anchor) : ''
+  );
+  const [rationale, setRationale] = useState('');
+  const [writeError, setWriteError] = useState('');
+  // Both come from the league settings; the security rules reject a proposal with any others
+  const votingDays = settings.proposalVotingDays || DEFAULT_PROPOSAL_VOTING_DAYS;
+  const threshold = settings.proposalThreshold || DEFAULT_PROPOSAL_THRESHOLD;
+
+  const handleSectionChange = (anchor) => {
+    setSectionAnchor(anchor);
+    setProposedText(getSectionBody(constitutionContent, anchor) || '');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const section = sections.find(s => s.anchor === sectionAnchor);
+    if (!title || !section) {
+      setWriteError('Title and section cannot be empty.');
+      return;
+    }
+
+    const deadline = new Date(Date.now() + Number(votingDays) * 24 * 60 * 60 * 1000);
+    setWriteError('');
+    try {
+      await repository.addProposal({
+        title,
+        sectionAnchor: section.anchor,
+        sectionLabel: section.label,
+        sectionTitle: section.title,
+        articleTitle: section.articleTitle,
+        originalText: getSectionBody(constitutionContent, section.anchor) || '',
+        proposedText,
+        rationale,
+        threshold,
+        deadline,
+        status: PROPOSAL_STATUS.OPEN,
+        authorId: userId,
+        authorName: member.displayName || member.id,
+        teamId: member.teamId || null,
+      }).saved;
+      onDone();
+    } catch (error) {
+      setWriteError(`Couldn't submit the proposal: ${error.message}`);
+    }
+  };
+
+  if (sections.length === 0) {
+    return <p className="text-gray-600 mb-4">Add articles to the constitution before proposing amendments.</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h4 className="text-xl font-semibold text-blue-800 mb-4">Propose an Amendment</h4>
+      <input
+        type="text"
+        placeholder="Proposal title, e.g. Move the trade deadline to week 12"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <select
+        value={sectionAnchor}
+        onChange={(e) => handleSectionChange(e.target.value)}
+        className="w-full p-3 mb-3 border border-blue-300 rounded-md"
+      >
+        {sections.map(section => (
+          <option key={section.anchor} value={section.anchor}>{section.label}: {section.title}</option>
+        ))}
+      </select>
+      <textarea
+        value={proposedText}
+        onChange={(e) => setProposedText(e.target.value)}
+        rows="6"
+        className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y font-mono text-sm"
+        placeholder="New text for this section (Markdown)"
+      ></textarea>
+      <textarea
+        value={rationale}
+        onChange={(e) => setRationale(e.target.value)}
+        rows="2"
+        className="w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+        placeholder="Why should the league adopt this? (optional)"
+      ></textarea>
+      <p className="text-sm text-gray-700 mb-4">
+        Voting closes {votingDays} days after you submit, and {Math.round(threshold * 100)}% of teams must vote yes for it to pass.
+      </p>
+      <button
+        type="submit"
+        className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+      >
+        Submit Proposal
+      </button>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+    </form>
+  );
+};
+
+// Rule-change proposals and owner voting, shown next to the constitution.
+// Passing proposals are written into the constitution by App (see handleResolveProposal).
+const RuleProposals = ({ repository, constitutionContent, proposals, votesByProposal, teams, member, userId, settings }) => {
+  const [isDrafting, setIsDrafting] = useState(false);
+  const [writeError, setWriteError] = useState('');
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+
+  const handleVote = async (proposal, vote) => {
+    if (!canVoteOnProposals(member)) {
+      setWriteError('Only team owners can vote.');
+      return;
+    }
+
+    setWriteError('');
+    try {
+      await repository.setProposalVote(proposal.id, member.teamId, vote, userId);
+    } catch (error) {
+      setWriteError(`Couldn't record your vote: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-2xl font-semibold text-gray-800">Rule Change Proposals</h3>
+        {canProposeAmendments(member) && !isDrafting && (
+          <button
+            onClick={() => setIsDrafting(true)}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+          >
+            New Proposal
+          </button>
+        )}
+      </div>
+
+      {isDrafting && (
+        <ProposalForm
+          repository={repository}
+          constitutionContent={constitutionContent}
+          member={member}
+          userId={userId}
+          settings={settings}
+          onDone={() => setIsDrafting(false)}
+        />
+      )}
+
+      {writeError && <p className="mb-4 text-sm text-red-600" role="alert">{writeError}</p>}
+      {proposals.length === 0 && <p className="text-gray-600">No proposals yet.</p>}
+
+      <div className="space-y-4">
+        {proposals.map(proposal => {
+          const votes = votesByProposal[proposal.id] || [];
+          const outcome = proposalOutcome(proposal, votes, teams.length);
+          const status = proposal.status === PROPOSAL_STATUS.OPEN ? outcome.status : proposal.status;
+          const myVote = member && votes.find(vote => vote.teamId === member.teamId);
+          const isVotingOpen = proposal.status === PROPOSAL_STATUS.OPEN && outcome.status === PROPOSAL_STATUS.OPEN;
+
+          return (
+            <div key={proposal.id} id={`proposal-${proposal.id}`} className="p-6 bg-gray-50 rounded-lg shadow-md border border-gray-200 scroll-mt-4">
+              <div className="flex justify-between items-start mb-2">
+                <h4 className="text-xl font-semibold text-gray-800">{proposal.title}</h4>
+                <span className={`px-2 py-1 rounded text-xs uppercase font-bold ${statusStyles[status]}`}>{status}</span>
+              </div>
+              <p className="text-sm text-gray-600 mb-3">
+                Amends <a href={`#${proposal.sectionAnchor}`} className="text-blue-600 hover:underline">{proposal.sectionLabel}: {proposal.sectionTitle}</a>
+                {' · '}Proposed by {proposal.authorName}
+                {proposal.teamId && teamNameById[proposal.teamId] && ` (${teamNameById[proposal.teamId]})`}
+                {' · '}Voting closes {formatDate(proposal.deadline)}
+              </p>
+              {proposal.rationale && <p className="text-gray-700 italic mb-3">{proposal.rationale}</p>}
+              <pre className="bg-white border border-gray-200 rounded p-3 text-xs overflow-x-auto mb-3">
+                {diffLines(proposal.originalText, proposal.proposedText).map((line, index) => (
+                  <div key={index} className={line.type === 'added' ? 'bg-green-100' : line.type === 'removed' ? 'bg-red-100 line-through' : ''}>
+                    {line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '} {line.text}
+                  </div>
+                ))}
+              </pre>
+              <p className="text-sm text-gray-700 mb-3">
+                Yes: <span className="font-bold">{outcome.yes}</span> · No: <span className="font-bold">{outcome.no}</span>
+                {' · '}{outcome.needed} of {teams.length} teams needed to pass
+              </p>
+              {votes.length > 0 && (
+                <ul className="text-xs text-gray-500 mb-3">
+                  {votes.map(vote => (
+                    <li key={vote.id}>{teamNameById[vote.teamId] || vote.teamId}: {vote.vote}</li>
+                  ))}
+                </ul>
+              )}
+              {proposal.appliedRevision && (
+                <p className="text-sm text-green-700">Applied to the constitution as revision {proposal.appliedRevision}.</p>
+              )}
+              {proposal.applyError && <p className="text-sm text-red-700">{proposal.applyError}</p>}
+              {isVotingOpen && canVoteOnProposals(member) && (
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => handleVote(proposal, 'yes')}
+                    className={`px-4 py-2 rounded-md font-bold ${myVote && myVote.vote === 'yes' ? 'bg-green-600 text-white' : 'bg-green-100 text-green-800 hover:bg-green-200'}`}
+                  >
+                    Vote Yes
+                  </button>
+                  <button
+                    onClick={() => handleVote(proposal, 'no')}
+                    className={`px-4 py-2 rounded-md font-bold ${myVote && myVote.vote === 'no' ? 'bg-red-600 text-white' : 'bg-red-100 text-red-800 hover:bg-red-200'}`}
+                  >
+                    Vote No
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RuleProposals;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import CalendarExport from './CalendarExport';
+import { TeamLink } from './LeagueLinks';
+import { canManageLeague } from '../lib/permissions';
+
+// Current season's schedule and results, with the calendar export and the commissioner's tools
+const Schedule = ({ leagueId, teams, schedule, settings, member }) => {
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Current Schedule & Results</h2>
+      <CalendarExport leagueId={leagueId} teams={teams} schedule={schedule} settings={settings} />
+      {canManageLeague(member) && (
+        <div className="mb-6 space-x-2">
+          <Link
+            to="/schedule/generate"
+            className="inline-block bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md"
+          >
+            Generate a Schedule
+          </Link>
+          <Link
+            to="/schedule/lineups"
+            className="inline-block bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md"
+          >
+            Import Lineups
+          </Link>
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-6 text-left">Week</th>
+              <th className="py-3 px-6 text-left">Home Team</th>
+              <th className="py-3 px-6 text-left">Score</th>
+              <th className="py-3 px-6 text-left">Away Team</th>
+              <th className="py-3 px-6 text-left">Score</th>
+              <th className="py-3 px-6 text-left"></th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {schedule.map((game) => (
+              <tr key={game.id} className="border-b border-gray-200 hover:bg-gray-50">
+                <td className="py-3 px-6 text-left">
+                  {game.week}
+                  {game.playoffRound && <span className="ml-2 text-xs text-blue-600 font-semibold">Playoffs</span>}
+                </td>
+                <td className="py-3 px-6 text-left"><TeamLink teamId={game.homeTeamId} teamNameById={teamNameById} /></td>
+                <td className="py-3 px-6 text-left font-bold">{game.homeScore ?? '-'}</td>
+                <td className="py-3 px-6 text-left"><TeamLink teamId={game.awayTeamId} teamNameById={teamNameById} /></td>
+                <td className="py-3 px-6 text-left font-bold">{game.awayScore ?? '-'}</td>
+                <td className="py-3 px-6 text-left">
+                  <Link to={`/schedule/${game.id}`} className="text-blue-600 hover:underline">Box Score</Link>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Schedule;
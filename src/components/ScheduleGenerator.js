@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { isGameFinal } from '../lib/records';
+import { generateSchedule, checkSchedule, DEFAULT_MIN_REPEAT_GAP } from '../lib/scheduleGenerator';
+
+// Weeks for one round robin, plus a second round against division rivals when that's on
+const suggestedWeeks = (teams, divisionDoublePlay) => {
+  const roundRobin = teams.length % 2 ? teams.length : teams.length - 1;
+  if (!divisionDoublePlay) {
+    return roundRobin;
+  }
+  const largest = Math.max(0, ...Object.values(teams.reduce((sizes, team) => (
+    team.division ? { ...sizes, [team.division]: (sizes[team.division] || 0) + 1 } : sizes
+  ), {})));
+  return roundRobin + (largest % 2 ? largest : largest - 1);
+};
+
+// Commissioner tool for building the regular-season schedule from the team list. The options used
+// are saved with the league settings, so the same seed reproduces the schedule later.
+const ScheduleGenerator = ({ repository, teams, schedule, settings }) => {
+  const saved = settings.scheduleOptions || {};
+  const hasDivisions = teams.some(team => team.division);
+  const [weeks, setWeeks] = useState(String(saved.weeks || suggestedWeeks(teams, hasDivisions)));
+  const [seed, setSeed] = useState(saved.seed ?? String(settings.season || ''));
+  const [divisionDoublePlay, setDivisionDoublePlay] = useState(saved.divisionDoublePlay ?? hasDivisions);
+  const [rivalries, setRivalries] = useState(saved.rivalries ? saved.rivalries.map(({ home, away }) => [home, away]) : []);
+  const [rivalryWeeks, setRivalryWeeks] = useState((saved.rivalryWeeks || []).join(', '));
+  const [minRepeatGap, setMinRepeatGap] = useState(String(saved.minRepeatGap || DEFAULT_MIN_REPEAT_GAP));
+  const [status, setStatus] = useState('');
+  const [writeError, setWriteError] = useState('');
+
+  const teamNames = Object.fromEntries(teams.map(team => [team.id, team.name]));
+  const options = {
+    weeks: Number(weeks),
+    seed,
+    divisionDoublePlay,
+    rivalries: rivalries.filter(([a, b]) => a && b),
+    rivalryWeeks: rivalryWeeks.split(',').map(week => week.trim()).filter(Boolean).map(Number),
+    minRepeatGap: Number(minRepeatGap) || DEFAULT_MIN_REPEAT_GAP,
+  };
+
+  let result = null;
+  let report = null;
+  let error = '';
+  try {
+    result = generateSchedule(teams, options);
+    report = checkSchedule(teams, result.games, { ...options, teamNames });
+  } catch (e) {
+    error = e.message;
+  }
+  const hasErrors = Boolean(report) && report.issues.some(issue => issue.type === 'error');
+
+  const existing = schedule.filter(game => !game.playoffRound);
+  const scored = existing.filter(isGameFinal).length;
+
+  const updateRivalry = (index, side, teamId) => {
+    setRivalries(rivalries.map((pair, i) => {
+      if (i !== index) return pair;
+      return side === 0 ? [teamId, pair[1]] : [pair[0], teamId];
+    }));
+  };
+
+  const handleSave = async () => {
+    if (existing.length > 0 && !window.confirm(
+      `Replace the ${existing.length} regular-season games already scheduled${scored ? ` (${scored} with scores)` : ''}?`,
+    )) {
+      return;
+    }
+    const newIds = new Set(result.games.map(game => game.id));
+    setWriteError('');
+    try {
+      await repository.saveGames(
+        result.games.map(game => ({ ...game, homeScore: null, awayScore: null })),
+        existing.filter(game => !newIds.has(game.id)).map(game => game.id),
+        // Firestore can't store nested arrays, so rivalries are saved as objects
+        { scheduleOptions: { ...options, rivalries: options.rivalries.map(([home, away]) => ({ home, away })) } }
+      );
+      setStatus(`Saved ${result.games.length} games over ${options.weeks} weeks.`);
+    } catch (e) {
+      setStatus('');
+      setWriteError(`Saving failed; the schedule was not changed. ${e.message}`);
+    }
+  };
+
+  const gameWeeks = result ? [...new Set(result.games.map(game => game.week))] : [];
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/schedule" className="text-sm text-blue-600 hover:underline">&larr; Schedule</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-6 border-b pb-3">Generate the Schedule</h2>
+
+      <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <label className="text-sm text-gray-700">
+            Regular-season weeks
+            <input type="number" min="1" value={weeks} onChange={(e) => setWeeks(e.target.value)} className="block w-full mt-1 p-2 border border-blue-300 rounded-md" />
+          </label>
+          <label className="text-sm text-gray-700">
+            Seed
+            <input type="text" value={seed} onChange={(e) => setSeed(e.target.value)} className="block w-full mt-1 p-2 border border-blue-300 rounded-md" />
+          </label>
+          <label className="text-sm text-gray-700">
+            Minimum weeks between rematches
+            <input type="number" min="1" value={minRepeatGap} onChange={(e) => setMinRepeatGap(e.target.value)} className="block w-full mt-1 p-2 border border-blue-300 rounded-md" />
+          </label>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 mb-4">
+          <input type="checkbox" checked={divisionDoublePlay} disabled={!hasDivisions} onChange={(e) => setDivisionDoublePlay(e.target.checked)} />
+          <span>Play division rivals twice{!hasDivisions && ' (no teams have a division)'}</span>
+        </label>
+
+        <h3 className="font-semibold text-blue-800 mb-2">Rivalries</h3>
+        {rivalries.map((pair, index) => (
+          <div key={index} className="flex items-center space-x-2 mb-2">
+            {[0, 1].map(side => (
+              <select key={side} value={pair[side] || ''} onChange={(e) => updateRivalry(index, side, e.target.value)} className="p-2 border border-blue-300 rounded-md text-sm">
+                <option value="">Choose a team</option>
+                {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+              </select>
+            ))}
+            <button onClick={() => setRivalries(rivalries.filter((_, i) => i !== index))} className="text-sm text-red-600 hover:underline">Remove</button>
+          </div>
+        ))}
+        <button onClick={() => setRivalries([...rivalries, ['', '']])} className="text-sm text-blue-600 hover:underline mb-3">Add a rivalry</button>
+        <label className="block text-sm text-gray-700">
+          Rivalry weeks (comma-separated)
+          <input type="text" value={rivalryWeeks} onChange={(e) => setRivalryWeeks(e.target.value)} placeholder="e.g. 7, 13" className="block w-full md:w-1/3 mt-1 p-2 border border-blue-300 rounded-md" />
+        </label>
+      </div>
+
+      {error && <p className="mb-6 text-red-700">{error}</p>}
+
+      {report && (
+        <div className="mb-8">
+          <h3 className="text-2xl font-semibold text-gray-800 mb-3">Balance Checks</h3>
+          {report.issues.length > 0 ? (
+            <ul className="mb-4 space-y-1 text-sm">
+              {report.issues.map((issue, index) => (
+                <li key={index} className={issue.type === 'error' ? 'text-red-700' : 'text-yellow-700'}>{issue.message}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mb-4 text-sm text-green-700">No problems found.</p>
+          )}
+          <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+            <thead>
+              <tr className="bg-gray-100 text-left text-gray-600 uppercase leading-normal">
+                <th className="py-2 px-4">Team</th>
+                <th className="py-2 px-4">Games</th>
+                <th className="py-2 px-4">Home</th>
+                <th className="py-2 px-4">Away</th>
+                <th className="py-2 px-4">Byes</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {report.teams.map(team => (
+                <tr key={team.teamId} className="border-b border-gray-200">
+                  <td className="py-2 px-4">{teamNames[team.teamId]}</td>
+                  <td className="py-2 px-4">{team.games}</td>
+                  <td className="py-2 px-4">{team.home}</td>
+                  <td className="py-2 px-4">{team.away}</td>
+                  <td className="py-2 px-4">{team.byes}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {result && (
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-2xl font-semibold text-gray-800">Preview</h3>
+            <button
+              onClick={handleSave}
+              disabled={hasErrors}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md disabled:opacity-50"
+            >
+              Save Schedule
+            </button>
+          </div>
+          {status && <p className="mb-3 text-sm font-semibold text-gray-800">{status}</p>}
+          {writeError && <p className="mb-3 text-sm text-red-600" role="alert">{writeError}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {gameWeeks.map(week => (
+              <div key={week} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <h4 className="font-semibold text-gray-800 mb-2">Week {week}</h4>
+                <ul className="text-sm text-gray-700 space-y-1">
+                  {result.games.filter(game => game.week === week).map(game => (
+                    <li key={game.id}>
+                      {teamNames[game.homeTeamId]} vs {teamNames[game.awayTeamId]}
+                      {game.rivalry && <span className="ml-2 text-xs text-red-600 font-semibold">Rivalry</span>}
+                    </li>
+                  ))}
+                  {result.byes.filter(bye => bye.week === week).map(bye => (
+                    <li key={bye.teamId} className="text-gray-500">{teamNames[bye.teamId]} on bye</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleGenerator;
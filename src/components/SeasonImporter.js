@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CSV_COLUMNS, prepareImport, seasonsToCsv, seasonsToJson } from '../lib/seasonData';
+import { downloadFile } from '../lib/csv';
+import PlatformImporter from './PlatformImporter';
+
+// One season in the import preview, with each standings row's errors beside it
+const SeasonPreview = ({ season }) => (
+  <div className={`mb-4 p-4 rounded-md border ${season.isValid ? 'border-green-300 bg-green-50' : 'border-red-300 bg-red-50'}`}>
+    <h4 className="font-semibold text-gray-800">
+      {String(season.year)}
+      {season.isValid && <span className="ml-2 text-sm text-green-700">Ready to import</span>}
+      {season.exists && <span className="ml-2 text-sm text-yellow-700">Already in League History</span>}
+    </h4>
+    {season.errors.map(error => <p key={error} className="text-sm text-red-700">{error}</p>)}
+    <table className="min-w-full mt-2 text-sm">
+      <thead>
+        <tr className="text-left text-gray-600">
+          {season.lines && <th className="pr-3">Line</th>}
+          <th className="pr-3">Team</th>
+          <th className="pr-3">Manager</th>
+          <th className="pr-3">W-L-T</th>
+          <th className="pr-3">Problems</th>
+        </tr>
+      </thead>
+      <tbody>
+        {/* Rows that aren't objects show as blanks beside their error */}
+        {season.standings.map(row => (row && typeof row === 'object' ? row : {})).map((row, index) => (
+          <tr key={index} className={season.rowErrors[index] ? 'text-red-700' : 'text-gray-700'}>
+            {season.lines && <td className="pr-3">{season.lines[index]}</td>}
+            <td className="pr-3">{String(row.name ?? '')}{row.championship && ' 🏆'}</td>
+            <td className="pr-3">{String(row.manager ?? '')}</td>
+            <td className="pr-3">{String(row.wins ?? '')}-{String(row.losses ?? '')}-{String(row.ties || 0)}</td>
+            <td className="pr-3">{(season.rowErrors[index] || []).join(' ')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Commissioner screen for loading past seasons into historicalStandings from CSV or JSON (or from
+// a fantasy platform's export), and for exporting stored seasons in the same formats
+const SeasonImporter = ({ repository, seasons, teams }) => {
+  const [text, setText] = useState('');
+  const [filename, setFilename] = useState('');
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [status, setStatus] = useState('');
+  const [exportYears, setExportYears] = useState([]);
+
+  const preview = text.trim() ? prepareImport(text, filename, seasons.map(season => season.year)) : null;
+  const canImport = Boolean(preview) && preview.errors.length === 0 && preview.seasons.length > 0
+    && preview.seasons.every(season => season.isValid)
+    && (replaceExisting || preview.seasons.every(season => !season.exists));
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setFilename(file.name);
+      setText(await file.text());
+      setStatus('');
+    }
+  };
+
+  const handleImport = async () => {
+    const docIdByYear = Object.fromEntries(seasons.map(season => [season.year, season.id]));
+    try {
+      await repository.saveSeasons(preview.seasons.map(season => ({
+        id: docIdByYear[season.year] || String(season.year),
+        doc: season.doc,
+      })));
+      setStatus(`Imported ${preview.seasons.length} season${preview.seasons.length === 1 ? '' : 's'}.`);
+      setText('');
+      setFilename('');
+    } catch (error) {
+      setStatus(`Import failed; nothing was saved. ${error.message}`);
+    }
+  };
+
+  const toggleExportYear = (year) => {
+    setExportYears(exportYears.includes(year) ? exportYears.filter(y => y !== year) : [...exportYears, year]);
+  };
+  const selectedSeasons = seasons.filter(season => exportYears.includes(season.year));
+  const exportName = selectedSeasons.length === 1 ? `${selectedSeasons[0].year}-season` : 'seasons';
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/history" className="text-sm text-blue-600 hover:underline">&larr; League History</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-6 border-b pb-3">Import &amp; Export Seasons</h2>
+
+      <div className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner">
+        <h3 className="text-2xl font-semibold text-blue-800 mb-2">Import</h3>
+        <p className="text-sm text-gray-700 mb-4">
+          Upload a CSV with the columns <code className="bg-white px-1 rounded">{CSV_COLUMNS.join(',')}</code> (one
+          row per team per season; mark the champion and runner-up with <code className="bg-white px-1 rounded">true</code>),
+          or a JSON season document or list of them. You can also paste the contents below.
+        </p>
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="mb-3 block text-sm" />
+        <textarea
+          value={text}
+          onChange={(e) => { setText(e.target.value); setFilename(''); setStatus(''); }}
+          placeholder="...or paste CSV or JSON here"
+          rows="6"
+          className="w-full p-2 border border-blue-300 rounded-md font-mono text-xs"
+        />
+
+        {preview && (
+          <div className="mt-4">
+            {preview.errors.map(error => <p key={error} className="text-sm text-red-700">{error}</p>)}
+            {preview.seasons.map((season, index) => <SeasonPreview key={index} season={season} />)}
+            {preview.seasons.some(season => season.exists) && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700 mb-3">
+                <input type="checkbox" checked={replaceExisting} onChange={(e) => setReplaceExisting(e.target.checked)} />
+                <span>Replace seasons that are already in League History</span>
+              </label>
+            )}
+            <button
+              onClick={handleImport}
+              disabled={!canImport}
+              className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md disabled:opacity-50"
+            >
+              Import {preview.seasons.length} Season{preview.seasons.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        )}
+        {status && <p className="mt-3 text-sm font-semibold text-gray-800">{status}</p>}
+      </div>
+
+      <PlatformImporter repository={repository} teams={teams} seasons={seasons} />
+
+      <div className="p-6 bg-gray-50 rounded-lg shadow-inner">
+        <h3 className="text-2xl font-semibold text-gray-800 mb-4">Export</h3>
+        {seasons.length > 0 ? (
+          <>
+            <div className="flex flex-wrap gap-3 mb-4">
+              {seasons.map(season => (
+                <label key={season.id} className="flex items-center space-x-1 text-sm text-gray-700">
+                  <input type="checkbox" checked={exportYears.includes(season.year)} onChange={() => toggleExportYear(season.year)} />
+                  <span>{season.year}</span>
+                </label>
+              ))}
+              <button onClick={() => setExportYears(seasons.map(season => season.year))} className="text-sm text-blue-600 hover:underline">
+                Select all
+              </button>
+            </div>
+            <div className="space-x-2">
+              <button
+                onClick={() => downloadFile(`${exportName}.csv`, seasonsToCsv(selectedSeasons))}
+                disabled={selectedSeasons.length === 0}
+                className="py-2 px-4 bg-gray-700 text-white rounded-md hover:bg-gray-800 disabled:opacity-50"
+              >
+                Export CSV
+              </button>
+              <button
+                onClick={() => downloadFile(`${exportName}.json`, seasonsToJson(selectedSeasons), 'application/json')}
+                disabled={selectedSeasons.length === 0}
+                className="py-2 px-4 bg-gray-700 text-white rounded-md hover:bg-gray-800 disabled:opacity-50"
+              >
+                Export JSON
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="text-gray-600">No seasons to export yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SeasonImporter;
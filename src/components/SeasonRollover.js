@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { archiveSeason } from '../lib/seasonData';
+
+// Commissioner screen for rolling the league over to the next season. The current season is archived
+// into historicalStandings, its schedule and lineups are cleared, and the season number moves on.
+// Teams, members and managers carry over.
+const SeasonRollover = ({ repository, teams, schedule, settings, playoffBrackets, seasons, constitution }) => {
+  const [status, setStatus] = useState('');
+  const [writeError, setWriteError] = useState('');
+  const [isRolling, setIsRolling] = useState(false);
+
+  const year = Number(settings.season);
+  const { doc: seasonDoc, warnings } = archiveSeason({ teams, schedule, settings, playoffBrackets, constitution });
+  const existing = seasons.find(season => Number(season.year) === year);
+
+  const handleRollover = async () => {
+    const replacing = existing ? ` This replaces the ${year} season already in League History.` : '';
+    if (!window.confirm(`Archive the ${year} season and start ${year + 1}? The schedule and lineups will be cleared.${replacing}`)) {
+      return;
+    }
+
+    setIsRolling(true);
+    setWriteError('');
+    try {
+      await repository.rollOverSeason({
+        seasonId: existing ? existing.id : String(year),
+        seasonDoc,
+        season: settings.season,
+        gameIds: schedule.map(game => game.id),
+        nextSeason: year + 1,
+      });
+      setStatus(`Archived ${year}. Welcome to the ${year + 1} season!`);
+    } catch (error) {
+      setStatus('');
+      setWriteError(`Rollover failed; nothing was changed. ${error.message}`);
+    }
+    setIsRolling(false);
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/history" className="text-sm text-blue-600 hover:underline">&larr; League History</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-4 mb-6 border-b pb-3">Start the {year + 1} Season</h2>
+
+      <div className="p-6 bg-blue-50 rounded-lg shadow-inner">
+        <p className="text-gray-700 mb-3">
+          The {year} season will be archived to League History with {seasonDoc.standings.length} teams
+          and {seasonDoc.games.length} games
+          {seasonDoc.championshipTeam ? <>, and <span className="font-semibold">{seasonDoc.championshipTeam}</span> as champion</> : ''}.
+          {seasonDoc.constitution && ' The current constitution is archived with it.'}
+        </p>
+        {warnings.map(warning => <p key={warning} className="text-sm text-yellow-800">{warning}</p>)}
+        <button
+          onClick={handleRollover}
+          disabled={isRolling || teams.length === 0}
+          className="mt-4 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md disabled:opacity-50"
+        >
+          Archive {year} and Start {year + 1}
+        </button>
+        {status && <p className="mt-3 text-sm font-semibold text-gray-800">{status}</p>}
+        {writeError && <p className="mt-3 text-sm text-red-600" role="alert">{writeError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default SeasonRollover;
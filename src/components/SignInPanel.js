@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { sendSignInLinkToEmail, signOut } from 'firebase/auth';
+
+// Key used to remember which email a sign-in link was sent to, so the link can be completed on return
+export const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+
+// Sign-in / sign-out controls shown in the Navbar.
+// Visitors browse anonymously; league members sign in with an email link to get edit access.
+const SignInPanel = ({ auth, userEmail, member }) => {
+  const [email, setEmail] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSendLink = async (e) => {
+    e.preventDefault();
+    if (!auth || !email) {
+      return;
+    }
+
+    setError('');
+    try {
+      await sendSignInLinkToEmail(auth, email, {
+        url: window.location.href,
+        handleCodeInApp: true,
+      });
+      window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+      setStatus(`Sign-in link sent to ${email}. Check your inbox!`);
+      setEmail('');
+    } catch (error) {
+      setStatus('');
+      setError(`Could not send the sign-in link. Please try again. ${error.message}`);
+    }
+  };
+
+  const handleSignOut = async () => {
+    setError('');
+    try {
+      await signOut(auth);
+    } catch (error) {
+      setError(`Couldn't sign out: ${error.message}`);
+    }
+  };
+
+  if (userEmail) {
+    return (
+      <div className="flex items-center space-x-3 text-sm text-gray-300">
+        <span>
+          {member ? member.displayName || userEmail : userEmail}
+          {member && <span className="ml-2 px-2 py-1 bg-gray-700 rounded text-xs uppercase">{member.role}</span>}
+        </span>
+        <button onClick={handleSignOut} className="px-3 py-1 rounded-md hover:bg-gray-700 hover:text-white">
+          Sign out
+        </button>
+        {error && <span className="text-red-300" role="alert">{error}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative text-sm">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-3 py-1 rounded-md text-gray-300 hover:bg-gray-700 hover:text-white"
+      >
+        Owner sign in
+      </button>
+      {isOpen && (
+        <form
+          onSubmit={handleSendLink}
+          className="absolute right-0 mt-2 w-72 p-4 bg-white rounded-lg shadow-xl z-10"
+        >
+          <input
+            type="email"
+            placeholder="you@example.com"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full p-2 mb-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            className="w-full bg-blue-600 text-white py-2 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold"
+          >
+            Email me a sign-in link
+          </button>
+          {status && <p className="text-gray-600 mt-2">{status}</p>}
+          {error && <p className="text-red-600 mt-2" role="alert">{error}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SignInPanel;
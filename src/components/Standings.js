@@ -0,0 +1,93 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatWinPct, standingsToCsv, DEFAULT_TIEBREAKERS, TIEBREAKER_LABELS } from '../lib/standings';
+import { formatOdds } from '../lib/playoffOdds';
+import { downloadFile } from '../lib/csv';
+
+// Clinched/eliminated marker shown after a team's name in the standings
+const StandingsMarker = ({ team }) => {
+  const marker = team.clinchedDivision ? 'y' : team.clinchedPlayoffs ? 'x' : team.eliminated ? 'e' : null;
+  if (!marker) {
+    return null;
+  }
+  return (
+    <span className={`ml-2 text-xs font-bold ${marker === 'e' ? 'text-red-500' : 'text-green-600'}`}>{marker}</span>
+  );
+};
+
+// Current standings with tiebreaker notes, clinching markers and each team's simulated playoff odds
+// (null while they're still running)
+const Standings = ({ standings, settings, playoffOdds }) => {
+  const hasDivisions = standings.some(team => team.division);
+  const tiebreakers = settings.tiebreakers || DEFAULT_TIEBREAKERS;
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6 border-b pb-3">
+        <h2 className="text-3xl font-semibold text-gray-800">Current League Standings</h2>
+        <button
+          onClick={() => downloadFile(`standings-${settings.season}.csv`, standingsToCsv(standings, playoffOdds))}
+          className="bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md"
+        >
+          Export CSV
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-6 text-left">Rank</th>
+              <th className="py-3 px-6 text-left">Team Name</th>
+              <th className="py-3 px-6 text-left">Manager</th>
+              {hasDivisions && <th className="py-3 px-6 text-left">Div</th>}
+              <th className="py-3 px-6 text-left">W</th>
+              <th className="py-3 px-6 text-left">L</th>
+              <th className="py-3 px-6 text-left">T</th>
+              <th className="py-3 px-6 text-left">Pct</th>
+              <th className="py-3 px-6 text-left">PF</th>
+              <th className="py-3 px-6 text-left">PA</th>
+              <th className="py-3 px-6 text-left">Seed</th>
+              <th className="py-3 px-6 text-left">
+                <Link to="/standings/odds" className="hover:underline" title="Simulated playoff odds">Playoff %</Link>
+              </th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {standings.map((team) => (
+              <tr key={team.id} className="border-b border-gray-200 hover:bg-gray-50">
+                <td
+                  className="py-3 px-6 text-left whitespace-nowrap"
+                  title={team.decidedBy ? `Tiebreaker: ${TIEBREAKER_LABELS[team.decidedBy]}` : undefined}
+                >
+                  {team.rank}{team.decidedBy && '*'}
+                </td>
+                <td className="py-3 px-6 text-left">
+                  <Link to={`/teams/${team.id}`} className="hover:underline">{team.name}</Link>
+                  <StandingsMarker team={team} />
+                </td>
+                <td className="py-3 px-6 text-left">{team.manager}</td>
+                {hasDivisions && <td className="py-3 px-6 text-left">{team.division}</td>}
+                <td className="py-3 px-6 text-left">{team.wins}</td>
+                <td className="py-3 px-6 text-left">{team.losses}</td>
+                <td className="py-3 px-6 text-left">{team.ties}</td>
+                <td className="py-3 px-6 text-left">{formatWinPct(team.winPct)}</td>
+                <td className="py-3 px-6 text-left">{team.pointsFor}</td>
+                <td className="py-3 px-6 text-left">{team.pointsAgainst}</td>
+                <td className="py-3 px-6 text-left">{team.seed || '-'}</td>
+                <td className="py-3 px-6 text-left">
+                  <Link to="/standings/odds" className="hover:underline">{playoffOdds && playoffOdds[team.id] ? formatOdds(playoffOdds[team.id].playoffs) : '…'}</Link>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        x: clinched playoffs · y: clinched division · e: eliminated · *: placed by tiebreaker.
+        Ties count as half a win. Tiebreakers, in order: {tiebreakers.map(name => TIEBREAKER_LABELS[name]).join(', ')}.
+      </p>
+    </div>
+  );
+};
+
+export default Standings;
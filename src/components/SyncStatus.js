@@ -0,0 +1,28 @@
+import React from 'react';
+
+const plural = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+// Offline/syncing banner under the navbar. Offline, pages show what Firestore has cached and every
+// write waits in its queue; once back online the queue drains and the banner goes away. Changes
+// saved in a transaction read the latest data first, so they fail offline instead of queueing.
+const SyncStatus = ({ isOnline, pendingWrites }) => {
+  if (!isOnline) {
+    return (
+      <p className="px-4 py-2 bg-yellow-100 border-b border-yellow-300 text-sm text-yellow-900" role="status">
+        You're offline. Showing the league data saved on this device
+        {pendingWrites > 0 && <>; {plural(pendingWrites)} will sync when you reconnect</>}.
+        {' '}Draft picks and constitution edits need a connection.
+      </p>
+    );
+  }
+  if (pendingWrites > 0) {
+    return (
+      <p className="px-4 py-2 bg-blue-50 border-b border-blue-200 text-sm text-blue-900" role="status">
+        Syncing {plural(pendingWrites)}...
+      </p>
+    );
+  }
+  return null;
+};
+
+export default SyncStatus;
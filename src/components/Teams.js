@@ -0,0 +1,88 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import MemberManager from './MemberManager';
+import ManagerDirectory from './ManagerDirectory';
+import { TeamLink, ManagerLink } from './LeagueLinks';
+import { canManageLeague } from '../lib/permissions';
+
+// Teams tab: every team's record and manager, plus the commissioner's member and manager panels.
+// `teams` carry their records (see computeTeamRecords).
+const Teams = ({ repository, teams, member, managers, seasons, identify }) => (
+  <div className="p-6 bg-white rounded-b-lg shadow-lg">
+    <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Teams & Managers</h2>
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {teams.map(team => (
+        <div key={team.id} className="bg-gray-50 p-6 rounded-lg shadow-md border border-gray-200">
+          <h3 className="text-xl font-semibold text-gray-800 mb-2">
+            <Link to={`/teams/${team.id}`} className="hover:underline">{team.name}</Link>
+            {member && member.teamId === team.id && (
+              <span className="ml-2 text-sm text-blue-600 font-medium">(Your team)</span>
+            )}
+          </h3>
+          <p className="text-gray-700">Manager: <ManagerLink entry={team} identify={identify} /></p>
+          <p className="text-gray-600 text-sm mt-2">
+            Record: {team.wins}-{team.losses}-{team.ties}
+          </p>
+          <p className="text-gray-600 text-sm">
+            Points For: {team.pointsFor}, Points Against: {team.pointsAgainst}
+          </p>
+        </div>
+      ))}
+    </div>
+    {canManageLeague(member) && <MemberManager repository={repository} teams={teams} />}
+    {canManageLeague(member) && (
+      <ManagerDirectory repository={repository} managers={managers} teams={teams} seasons={seasons} identify={identify} />
+    )}
+  </div>
+);
+
+// Team detail page: record and every game on the team's schedule
+export const TeamDetail = ({ teams, schedule, identify, notFound }) => {
+  const { teamId } = useParams();
+  const team = teams.find(t => t.id === teamId);
+  if (!team) {
+    return notFound;
+  }
+  const teamNameById = Object.fromEntries(teams.map(t => [t.id, t.name]));
+  const games = schedule.filter(game => game.homeTeamId === teamId || game.awayTeamId === teamId);
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <Link to="/teams" className="text-sm text-blue-600 hover:underline">&larr; All teams</Link>
+      <h2 className="text-3xl font-semibold text-gray-800 mt-2 mb-2">{team.name}</h2>
+      <p className="text-gray-700 mb-1">Manager: <ManagerLink entry={team} identify={identify} /></p>
+      <p className="text-gray-600 mb-6">
+        Record: {team.wins}-{team.losses}-{team.ties} · PF {team.pointsFor} · PA {team.pointsAgainst}
+        {' · '}<Link to={`/transactions?team=${team.id}`} className="text-blue-600 hover:underline">Transactions</Link>
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+          <thead>
+            <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+              <th className="py-3 px-6 text-left">Week</th>
+              <th className="py-3 px-6 text-left">Opponent</th>
+              <th className="py-3 px-6 text-left">Score</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 text-sm font-light">
+            {games.map(game => {
+              const isHome = game.homeTeamId === teamId;
+              const opponentId = isHome ? game.awayTeamId : game.homeTeamId;
+              const teamScore = isHome ? game.homeScore : game.awayScore;
+              const opponentScore = isHome ? game.awayScore : game.homeScore;
+              return (
+                <tr key={game.id} className="border-b border-gray-200 hover:bg-gray-50">
+                  <td className="py-3 px-6 text-left">{game.week}</td>
+                  <td className="py-3 px-6 text-left">{isHome ? 'vs' : '@'} <TeamLink teamId={opponentId} teamNameById={teamNameById} /></td>
+                  <td className="py-3 px-6 text-left font-bold">{teamScore ?? '-'} - {opponentScore ?? '-'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Teams;
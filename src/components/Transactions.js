@@ -0,0 +1,322 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  TRANSACTION_TYPES,
+  TRANSACTION_TYPE_LABELS,
+  TRANSACTION_STATUS,
+  DEFAULT_TRADE_REVIEW_DAYS,
+  DEFAULT_TRADE_VETO_THRESHOLD,
+  tradeOutcome,
+  transactionLog,
+  transactionSeasons,
+  describeTransaction,
+  parsePlayers,
+} from '../lib/transactions';
+import { canMakeTransactions, isCommissioner } from '../lib/permissions';
+
+const formatDate = (value) => (value ? new Date(value.toDate()).toLocaleString() : 'N/A');
+
+const inputClass = 'w-full p-3 mb-3 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Form for offering a trade to another team
+const TradeForm = ({ repository, teams, member, userId, settings, onDone }) => {
+  const [counterpartyTeamId, setCounterpartyTeamId] = useState('');
+  const [gives, setGives] = useState('');
+  const [receives, setReceives] = useState('');
+  const [note, setNote] = useState('');
+  const [writeError, setWriteError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!counterpartyTeamId || (parsePlayers(gives).length === 0 && parsePlayers(receives).length === 0)) {
+      setWriteError('Choose a team and at least one player.');
+      return;
+    }
+
+    setWriteError('');
+    try {
+      await repository.addTransaction({
+        type: TRANSACTION_TYPES.TRADE,
+        season: settings.season,
+        status: TRANSACTION_STATUS.PROPOSED,
+        teamId: member.teamId,
+        counterpartyTeamId,
+        players: parsePlayers(gives),
+        receives: parsePlayers(receives),
+        note,
+        vetoThreshold: settings.tradeVetoThreshold || DEFAULT_TRADE_VETO_THRESHOLD,
+        proposedBy: userId,
+        proposedByName: member.displayName || member.id,
+      }).saved;
+      onDone();
+    } catch (error) {
+      setWriteError(`Couldn't send the offer: ${error.message}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h4 className="text-xl font-semibold text-blue-800 mb-4">Propose a Trade</h4>
+      <select value={counterpartyTeamId} onChange={(e) => setCounterpartyTeamId(e.target.value)} className={inputClass}>
+        <option value="">Trade with...</option>
+        {teams.filter(team => team.id !== member.teamId).map(team => (
+          <option key={team.id} value={team.id}>{team.name}</option>
+        ))}
+      </select>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <textarea value={gives} onChange={(e) => setGives(e.target.value)} rows="3" className={inputClass} placeholder="You give (one player per line)"></textarea>
+        <textarea value={receives} onChange={(e) => setReceives(e.target.value)} rows="3" className={inputClass} placeholder="You receive (one player per line)"></textarea>
+      </div>
+      <input type="text" value={note} onChange={(e) => setNote(e.target.value)} className={inputClass} placeholder="Note for the league (optional)" />
+      <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+        Send Offer
+      </button>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+    </form>
+  );
+};
+
+// Form for logging an add, drop or waiver claim. The commissioner can log moves for any team.
+const MoveForm = ({ repository, teams, member, userId, settings, onDone }) => {
+  const [type, setType] = useState(TRANSACTION_TYPES.ADD);
+  const [teamId, setTeamId] = useState(member.teamId || '');
+  const [players, setPlayers] = useState('');
+  const [writeError, setWriteError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!teamId || parsePlayers(players).length === 0) {
+      setWriteError('Choose a team and at least one player.');
+      return;
+    }
+
+    setWriteError('');
+    try {
+      await repository.addTransaction({
+        type,
+        season: settings.season,
+        status: TRANSACTION_STATUS.COMPLETED,
+        teamId,
+        players: parsePlayers(players),
+        proposedBy: userId,
+        proposedByName: member.displayName || member.id,
+      }).saved;
+      onDone();
+    } catch (error) {
+      setWriteError(`Couldn't log the move: ${error.message}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 p-6 bg-blue-50 rounded-lg shadow-inner">
+      <h4 className="text-xl font-semibold text-blue-800 mb-4">Log a Roster Move</h4>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+          {[TRANSACTION_TYPES.ADD, TRANSACTION_TYPES.WAIVER, TRANSACTION_TYPES.DROP].map(option => (
+            <option key={option} value={option}>{TRANSACTION_TYPE_LABELS[option]}</option>
+          ))}
+        </select>
+        {isCommissioner(member) && (
+          <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className={inputClass}>
+            <option value="">Team...</option>
+            {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+          </select>
+        )}
+      </div>
+      <textarea value={players} onChange={(e) => setPlayers(e.target.value)} rows="2" className={inputClass} placeholder="Players (one per line)"></textarea>
+      <button type="submit" className="w-full bg-blue-600 text-white py-3 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+        Log Move
+      </button>
+      {writeError && <p className="mt-2 text-sm text-red-600" role="alert">{writeError}</p>}
+    </form>
+  );
+};
+
+// Transactions tab: trade offers, the league's veto review and the completed-transaction log.
+// Trades that finish review are resolved by App (see handleResolveTrade).
+const Transactions = ({ repository, teams, member, userId, settings, transactions, votesByTransaction }) => {
+  const [form, setForm] = useState(null);
+  const [writeError, setWriteError] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const teamFilter = searchParams.get('team') || '';
+  const seasonFilter = searchParams.get('season') || '';
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+  const myTeamId = member && member.teamId;
+
+  const pending = transactions.filter(transaction => (
+    transaction.type === TRANSACTION_TYPES.TRADE
+    && [TRANSACTION_STATUS.PROPOSED, TRANSACTION_STATUS.REVIEW].includes(transaction.status)
+  ));
+  const log = transactionLog(transactions, { teamId: teamFilter, season: seasonFilter });
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    setSearchParams(next);
+  };
+
+  const updateTrade = async (trade, changes) => {
+    setWriteError('');
+    try {
+      await repository.respondToTrade(trade.id, changes);
+    } catch (error) {
+      setWriteError(`Couldn't update the trade: ${error.message}`);
+    }
+  };
+
+  // The security rules hold the deadline to the league's review period from now
+  const handleAccept = (trade) => {
+    const days = Number(settings.tradeReviewDays) || DEFAULT_TRADE_REVIEW_DAYS;
+    updateTrade(trade, {
+      status: TRANSACTION_STATUS.REVIEW,
+      reviewDeadline: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+  };
+
+  const handleVote = async (trade, vote) => {
+    if (!canMakeTransactions(member)) {
+      setWriteError('Only team owners can vote.');
+      return;
+    }
+
+    setWriteError('');
+    try {
+      await repository.setTradeVote(trade.id, myTeamId, vote, userId);
+    } catch (error) {
+      setWriteError(`Couldn't record your vote: ${error.message}`);
+    }
+  };
+
+  const formProps = { repository, teams, member, userId, settings, onDone: () => setForm(null) };
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6 border-b pb-3">
+        <h2 className="text-3xl font-semibold text-gray-800">Transactions</h2>
+        {(canMakeTransactions(member) || isCommissioner(member)) && !form && (
+          <div className="space-x-2">
+            {canMakeTransactions(member) && (
+              <button onClick={() => setForm('trade')} className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors duration-200 font-bold shadow-md">
+                Propose a Trade
+              </button>
+            )}
+            <button onClick={() => setForm('move')} className="bg-gray-700 text-white py-2 px-4 rounded-md hover:bg-gray-800 transition-colors duration-200 font-bold shadow-md">
+              Log a Move
+            </button>
+          </div>
+        )}
+      </div>
+
+      {form === 'trade' && <TradeForm {...formProps} />}
+      {form === 'move' && <MoveForm {...formProps} />}
+
+      {pending.length > 0 && (
+        <div className="mb-8">
+          <h3 className="text-2xl font-semibold text-gray-800 mb-4">Pending Trades</h3>
+          {writeError && <p className="mb-4 text-sm text-red-600" role="alert">{writeError}</p>}
+          <div className="space-y-4">
+            {pending.map(trade => {
+              const votes = votesByTransaction[trade.id] || [];
+              const outcome = tradeOutcome(trade, votes, teams.length);
+              const isInvolved = [trade.teamId, trade.counterpartyTeamId].includes(myTeamId);
+              const myVote = votes.find(vote => vote.teamId === myTeamId);
+              const isReviewOpen = trade.status === TRANSACTION_STATUS.REVIEW && outcome.status === TRANSACTION_STATUS.REVIEW;
+
+              return (
+                <div key={trade.id} className="p-6 bg-gray-50 rounded-lg shadow-md border border-gray-200">
+                  <div className="flex justify-between items-start mb-2">
+                    <h4 className="text-lg font-semibold text-gray-800">{describeTransaction(trade, teamNameById)}</h4>
+                    <span className="px-2 py-1 rounded text-xs uppercase font-bold bg-blue-100 text-blue-800">
+                      {trade.status === TRANSACTION_STATUS.PROPOSED ? 'Awaiting reply' : 'League review'}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 mb-3">
+                    Proposed by {trade.proposedByName} · {formatDate(trade.createdAt)}
+                    {trade.reviewDeadline && <> · Review ends {formatDate(trade.reviewDeadline)}</>}
+                  </p>
+                  {trade.note && <p className="text-gray-700 italic mb-3">{trade.note}</p>}
+
+                  {trade.status === TRANSACTION_STATUS.PROPOSED && myTeamId === trade.counterpartyTeamId && (
+                    <div className="flex space-x-3">
+                      <button onClick={() => handleAccept(trade)} className="px-4 py-2 rounded-md font-bold bg-green-600 text-white hover:bg-green-700">Accept</button>
+                      <button onClick={() => updateTrade(trade, { status: TRANSACTION_STATUS.REJECTED })} className="px-4 py-2 rounded-md font-bold bg-red-100 text-red-800 hover:bg-red-200">Decline</button>
+                    </div>
+                  )}
+                  {trade.status === TRANSACTION_STATUS.PROPOSED && myTeamId === trade.teamId && (
+                    <button onClick={() => updateTrade(trade, { status: TRANSACTION_STATUS.CANCELLED })} className="text-sm text-red-600 hover:underline">
+                      Withdraw offer
+                    </button>
+                  )}
+
+                  {trade.status === TRANSACTION_STATUS.REVIEW && (
+                    <p className="text-sm text-gray-700 mb-3">
+                      Veto: <span className="font-bold">{outcome.vetoes}</span> · Allow: <span className="font-bold">{outcome.allows}</span>
+                      {' · '}{outcome.needed} of {outcome.eligible} other teams needed to veto
+                    </p>
+                  )}
+                  {isReviewOpen && canMakeTransactions(member) && !isInvolved && (
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => handleVote(trade, 'allow')}
+                        className={`px-4 py-2 rounded-md font-bold ${myVote && myVote.vote === 'allow' ? 'bg-green-600 text-white' : 'bg-green-100 text-green-800 hover:bg-green-200'}`}
+                      >
+                        Allow
+                      </button>
+                      <button
+                        onClick={() => handleVote(trade, 'veto')}
+                        className={`px-4 py-2 rounded-md font-bold ${myVote && myVote.vote === 'veto' ? 'bg-red-600 text-white' : 'bg-red-100 text-red-800 hover:bg-red-200'}`}
+                      >
+                        Veto
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <h3 className="text-2xl font-semibold text-gray-800 mr-auto">Transaction Log</h3>
+        <select value={teamFilter} onChange={(e) => setFilter('team', e.target.value)} className="p-2 border border-gray-300 rounded-md text-sm">
+          <option value="">All teams</option>
+          {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+        </select>
+        <select value={seasonFilter} onChange={(e) => setFilter('season', e.target.value)} className="p-2 border border-gray-300 rounded-md text-sm">
+          <option value="">All seasons</option>
+          {transactionSeasons(transactions).map(season => <option key={season} value={season}>{season}</option>)}
+        </select>
+      </div>
+      {log.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+            <thead>
+              <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+                <th className="py-3 px-6 text-left">Date</th>
+                <th className="py-3 px-6 text-left">Season</th>
+                <th className="py-3 px-6 text-left">Type</th>
+                <th className="py-3 px-6 text-left">Details</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700 text-sm font-light">
+              {log.map(transaction => (
+                <tr key={transaction.id} className="border-b border-gray-200 hover:bg-gray-50">
+                  <td className="py-3 px-6 text-left">{formatDate(transaction.resolvedAt || transaction.createdAt)}</td>
+                  <td className="py-3 px-6 text-left">{transaction.season}</td>
+                  <td className="py-3 px-6 text-left">{TRANSACTION_TYPE_LABELS[transaction.type] || transaction.type}</td>
+                  <td className="py-3 px-6 text-left">{describeTransaction(transaction, teamNameById)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-600">No transactions yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default Transactions;
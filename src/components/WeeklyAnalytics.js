@@ -0,0 +1,121 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { formatWinPct } from '../lib/standings';
+import { AWARDS, AWARD_LABELS, completedWeeks, powerRankings, weeklyAwards } from '../lib/analytics';
+
+const AWARD_ICONS = {
+  [AWARDS.HIGH_SCORER]: '🔥',
+  [AWARDS.BIGGEST_BLOWOUT]: '💥',
+  [AWARDS.NARROWEST_WIN]: '😅',
+  [AWARDS.HEARTBREAK_LOSS]: '💔',
+};
+
+const Movement = ({ entry }) => {
+  if (!entry.previousRank || entry.movement === 0) {
+    return <span className="text-gray-400">&ndash;</span>;
+  }
+  return entry.movement > 0
+    ? <span className="text-green-600">▲{entry.movement}</span>
+    : <span className="text-red-600">▼{-entry.movement}</span>;
+};
+
+// Power rankings through a week; `limit` shows only the top of the table
+export const PowerRankingsTable = ({ teams, schedule, week, limit }) => {
+  const rankings = powerRankings(teams, schedule, week).slice(0, limit);
+  const recordText = ({ wins, losses, ties }) => `${wins}-${losses}${ties ? `-${ties}` : ''}`;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+        <thead>
+          <tr className="bg-gray-100 text-left text-gray-600 uppercase text-sm leading-normal">
+            <th className="py-3 px-4 text-left">Rank</th>
+            <th className="py-3 px-4 text-left">Move</th>
+            <th className="py-3 px-4 text-left">Team</th>
+            <th className="py-3 px-4 text-left">Power</th>
+            <th className="py-3 px-4 text-left">Record</th>
+            <th className="py-3 px-4 text-left">All-Play</th>
+            <th className="py-3 px-4 text-left" title="Actual wins minus the wins the all-play record predicts">Luck</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-700 text-sm font-light">
+          {rankings.map(entry => (
+            <tr key={entry.teamId} className="border-b border-gray-200 hover:bg-gray-50">
+              <td className="py-3 px-4 text-left font-bold">{entry.rank}</td>
+              <td className="py-3 px-4 text-left"><Movement entry={entry} /></td>
+              <td className="py-3 px-4 text-left"><Link to={`/teams/${entry.teamId}`} className="hover:underline">{entry.name}</Link></td>
+              <td className="py-3 px-4 text-left">{entry.powerScore.toFixed(1)}</td>
+              <td className="py-3 px-4 text-left">{recordText(entry.record)}</td>
+              <td className="py-3 px-4 text-left">{recordText(entry.allPlay)} ({formatWinPct(entry.allPlay.pct)})</td>
+              <td className={`py-3 px-4 text-left ${entry.luck > 0 ? 'text-green-600' : entry.luck < 0 ? 'text-red-600' : ''}`}>
+                {entry.luck > 0 ? '+' : ''}{entry.luck.toFixed(1)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// The four awards for one completed week
+export const AwardsPanel = ({ schedule, week, teamNameById }) => {
+  const awards = weeklyAwards(schedule, week);
+  const name = (teamId) => teamNameById[teamId] || 'TBD';
+  const describe = {
+    [AWARDS.HIGH_SCORER]: (award) => `${name(award.teamId)} put up ${award.score}`,
+    [AWARDS.BIGGEST_BLOWOUT]: (award) => `${name(award.teamId)} beat ${name(award.opponentId)} by ${award.margin}`,
+    [AWARDS.NARROWEST_WIN]: (award) => `${name(award.teamId)} edged ${name(award.opponentId)} by ${award.margin}`,
+    [AWARDS.HEARTBREAK_LOSS]: (award) => `${name(award.teamId)} scored ${award.score} and still lost to ${name(award.opponentId)}`,
+  };
+
+  return (
+    <div id={`week-${week}`} className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      {Object.values(AWARDS).map(award => (
+        <div key={award} className="p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm text-gray-500">{AWARD_ICONS[award]} {AWARD_LABELS[award]}</p>
+          <p className="font-semibold text-gray-800">{awards[award] ? describe[award](awards[award]) : 'Not awarded'}</p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Power Rankings page: this week's rankings plus an awards panel for every completed week
+const WeeklyAnalytics = ({ teams, schedule }) => {
+  const weeks = completedWeeks(schedule);
+  const regularWeeks = completedWeeks(schedule.filter(game => !game.playoffRound));
+  const latestRegularWeek = regularWeeks[regularWeeks.length - 1];
+  const teamNameById = Object.fromEntries(teams.map(team => [team.id, team.name]));
+
+  return (
+    <div className="p-6 bg-white rounded-b-lg shadow-lg">
+      <h2 className="text-3xl font-semibold text-gray-800 mb-6 border-b pb-3">Power Rankings & Weekly Awards</h2>
+      {weeks.length === 0 ? (
+        <p className="text-gray-600">Rankings and awards show up once the first week's scores are in.</p>
+      ) : (
+        <>
+          {latestRegularWeek && (
+            <div className="mb-8">
+              <h3 className="text-2xl font-semibold text-gray-800 mb-4">Through Week {latestRegularWeek}</h3>
+              <PowerRankingsTable teams={teams} schedule={schedule} week={latestRegularWeek} />
+            </div>
+          )}
+          <h3 className="text-2xl font-semibold text-gray-800 mb-4">Awards</h3>
+          <div className="space-y-4">
+            {[...weeks].reverse().map((week, index) => (
+              <details key={week} open={index === 0} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <summary className="cursor-pointer font-semibold text-gray-800">Week {week}</summary>
+                <div className="mt-3">
+                  <AwardsPanel schedule={schedule} week={week} teamNameById={teamNameById} />
+                </div>
+              </details>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WeeklyAnalytics;
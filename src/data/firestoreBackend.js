@@ -0,0 +1,69 @@
+import {
+  collection, doc, query, where, orderBy, limit, onSnapshot, getDoc, getDocs, setDoc, updateDoc, deleteDoc,
+  writeBatch, runTransaction, serverTimestamp, arrayUnion, arrayRemove,
+} from 'firebase/firestore';
+import { createPendingWrites } from './pendingWrites';
+
+// Firestore storage for the repository (see ./repository). A league's collections live under
+// artifacts/{appId}/public/data, so each league gets its own backend.
+//
+// Writes return promises that settle once the server has acknowledged them. With offline persistence
+// they are applied to the local cache first, so screens update (and offline writes queue) without
+// waiting on those promises.
+export const createFirestoreBackend = (db, appId) => {
+  const collectionRef = (name) => collection(db, `artifacts/${appId}/public/data/${name}`);
+  const docRef = (name, id) => doc(db, `artifacts/${appId}/public/data/${name}/${id}`);
+  const withId = (snap) => (snap.exists() ? { id: snap.id, ...snap.data() } : null);
+  const pending = createPendingWrites();
+  const buildQuery = (name, { filters = [], order = [], max = null } = {}) => query(
+    collectionRef(name),
+    ...filters.map(([field, op, value]) => where(field, op, value)),
+    ...order.map(([field, direction = 'asc']) => orderBy(field, direction)),
+    ...(max ? [limit(max)] : [])
+  );
+
+  return {
+    watchQuery: (name, options, onData, onError) => onSnapshot(
+      buildQuery(name, options),
+      (snapshot) => onData(snapshot.docs.map(withId)),
+      onError
+    ),
+    watchDoc: (name, id, onData, onError) => onSnapshot(docRef(name, id), (snap) => onData(withId(snap)), onError),
+    get: async (name, id) => withId(await getDoc(docRef(name, id))),
+    // One-off read of a query (from the local cache when offline)
+    query: async (name, options) => (await getDocs(buildQuery(name, options))).docs.map(withId),
+    // The new document's id is known before the server acknowledges it: { id, saved }
+    add: (name, data) => {
+      const ref = doc(collectionRef(name));
+      return { id: ref.id, saved: pending.track(setDoc(ref, data)) };
+    },
+    // A fresh document id, for documents created inside a transaction
+    newId: (name) => doc(collectionRef(name)).id,
+    set: (name, id, data, options = {}) => pending.track(setDoc(docRef(name, id), data, options)),
+    update: (name, id, fields) => pending.track(updateDoc(docRef(name, id), fields)),
+    remove: (name, id) => pending.track(deleteDoc(docRef(name, id))),
+
+    // Writes [{ type: 'set' | 'update' | 'delete', name, id, data, options }] all at once
+    batch: (writes) => {
+      const batch = writeBatch(db);
+      writes.forEach(({ type, name, id, data, options = {} }) => {
+        if (type === 'delete') batch.delete(docRef(name, id));
+        else if (type === 'update') batch.update(docRef(name, id), data);
+        else batch.set(docRef(name, id), data, options);
+      });
+      return pending.track(batch.commit());
+    },
+
+    // Runs work({ get, set, update }) as a transaction and resolves with its result
+    transact: (work) => runTransaction(db, (transaction) => work({
+      get: async (name, id) => withId(await transaction.get(docRef(name, id))),
+      set: (name, id, data, options = {}) => transaction.set(docRef(name, id), data, options),
+      update: (name, id, fields) => transaction.update(docRef(name, id), fields),
+    })),
+    watchPendingWrites: pending.watch,
+
+    now: serverTimestamp,
+    arrayUnion,
+    arrayRemove,
+  };
+};
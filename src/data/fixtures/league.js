@@ -0,0 +1,65 @@
+// A small league for the component tests (App.test.js), in the shape createMemoryRepository seeds.
+// A function so every test gets its own copy to write to.
+export const leagueSeed = () => ({
+  members: [
+    { id: 'commish@example.com', displayName: 'Commish', role: 'commissioner', teamId: 'team-a' },
+    { id: 'owner@example.com', displayName: 'Owner', role: 'owner', teamId: 'team-b' },
+  ],
+  leagueSettings: [
+    { id: 'document', name: 'Test Ponies League', season: 2026, currentWeek: 2, dues: 100 },
+  ],
+  teams: [
+    { id: 'team-a', name: 'Party Ponies', manager: 'Alex' },
+    { id: 'team-b', name: 'Gridiron Gurus', manager: 'Blake' },
+    { id: 'team-c', name: 'Sharks', manager: 'Casey' },
+    { id: 'team-d', name: 'Taco Corp', manager: 'Devon' },
+  ],
+  schedule: [
+    { id: 'week-1-game-1', week: 1, homeTeamId: 'team-a', awayTeamId: 'team-b', homeScore: 130.5, awayScore: 90.2 },
+    { id: 'week-1-game-2', week: 1, homeTeamId: 'team-c', awayTeamId: 'team-d', homeScore: 110, awayScore: 101.4 },
+    { id: 'week-2-game-1', week: 2, homeTeamId: 'team-a', awayTeamId: 'team-c', homeScore: null, awayScore: null },
+    { id: 'week-2-game-2', week: 2, homeTeamId: 'team-b', awayTeamId: 'team-d', homeScore: null, awayScore: null },
+  ],
+  news: [
+    {
+      id: 'post-1', title: 'Trade Deadline Moved', content: 'The deadline is now week 10.', category: 'general',
+      season: 2026, pinned: true, timestamp: new Date('2026-09-10T12:00:00Z'), authorId: 'commish-uid', authorName: 'Commish', reactions: {},
+    },
+    {
+      id: 'post-2', title: 'Week 1 Thoughts', content: 'Party Ponies look scary.', category: 'trash-talk',
+      season: 2026, pinned: false, timestamp: new Date('2026-09-12T12:00:00Z'), authorId: 'owner-uid', authorName: 'Owner', reactions: { 'commish-uid': ['🔥'] },
+    },
+  ],
+  newsComments: [
+    { id: 'comment-1', postId: 'post-2', parentId: null, content: 'Bold take.', authorId: 'commish-uid', authorName: 'Commish', timestamp: new Date('2026-09-12T13:00:00Z') },
+  ],
+  leagueConstitution: [
+    { id: 'document', content: '# Purpose\n\n## Fun\n\nWe play for the trophy.', revision: 1, lastUpdated: new Date('2026-08-01T12:00:00Z') },
+  ],
+  constitutionRevisions: [
+    { id: '1', revision: 1, content: '# Purpose\n\n## Fun\n\nWe play for the trophy.', summary: 'First draft', authorId: 'commish-uid', authorName: 'Commish', timestamp: new Date('2026-08-01T12:00:00Z') },
+  ],
+  historicalStandings: [
+    {
+      id: '2025',
+      year: 2025,
+      championshipTeam: 'Sharks',
+      standings: [
+        { id: 'team-c', name: 'Sharks', manager: 'Casey', wins: 10, losses: 4, ties: 0, pointsFor: 1650.2 },
+        { id: 'team-a', name: 'Party Ponies', manager: 'Alex', wins: 8, losses: 6, ties: 0, pointsFor: 1580.9 },
+      ],
+    },
+  ],
+  transactions: [
+    {
+      id: 'transaction-1', type: 'add', season: 2026, status: 'completed', teamId: 'team-b', players: ['Rookie Receiver'],
+      createdAt: new Date('2026-09-14T12:00:00Z'), proposedBy: 'owner-uid', proposedByName: 'Owner',
+    },
+  ],
+  ledger: [
+    { id: 'entry-1', season: 2026, teamId: 'team-a', type: 'payment', amount: 100, note: 'Venmo', createdAt: new Date('2026-08-20T12:00:00Z') },
+  ],
+});
+
+// Signed in as the commissioner
+export const commissionerSession = { userId: 'commish-uid', email: 'commish@example.com' };
@@ -0,0 +1,215 @@
+import { Timestamp } from 'firebase/firestore';
+import { createPendingWrites } from './pendingWrites';
+
+// In-memory storage for the repository (see ./repository), used by the component tests and for
+// running the site without Firestore. It follows the Firestore backend closely: live queries with
+// where/orderBy/limit, dotted-path updates, arrayUnion/arrayRemove, merges (merge and mergeFields),
+// batches and transactions.
+// Dates are stored as Firestore Timestamps, as Firestore does.
+//
+// The seed maps collection names to lists of documents with an `id`. `failures` maps collection names
+// to the error their subscriptions should fail with. setOnline(false) holds write acknowledgements
+// back, as Firestore does without a connection, until setOnline(true).
+
+const ARRAY_UNION = Symbol('arrayUnion');
+const ARRAY_REMOVE = Symbol('arrayRemove');
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Copies plain data so stored documents never share objects with callers
+const clone = (value) => {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value) && !value[ARRAY_UNION] && !value[ARRAY_REMOVE]) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// Applies arrayUnion/arrayRemove markers against the current value
+const resolve = (value, current) => {
+  if (value && value[ARRAY_UNION]) {
+    const list = Array.isArray(current) ? current : [];
+    return [...list, ...value[ARRAY_UNION].filter(item => !list.includes(item)).map(clone)];
+  }
+  if (value && value[ARRAY_REMOVE]) {
+    return (Array.isArray(current) ? current : []).filter(item => !value[ARRAY_REMOVE].includes(item));
+  }
+  return clone(value);
+};
+
+// Firestore merges nested maps on set(..., { merge: true })
+const mergeInto = (target, patch) => {
+  const merged = { ...target };
+  Object.entries(patch).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) && !value[ARRAY_UNION] && !value[ARRAY_REMOVE]
+      ? mergeInto(merged[key], value)
+      : resolve(value, merged[key]);
+  });
+  return merged;
+};
+
+// Sets "a.b.c" style field paths, as updateDoc does
+const updatePaths = (target, fields) => {
+  const updated = clone(target);
+  Object.entries(fields).forEach(([path, value]) => {
+    const keys = path.split('.');
+    let node = updated;
+    keys.slice(0, -1).forEach(key => {
+      node[key] = isPlainObject(node[key]) ? { ...node[key] } : {};
+      node = node[key];
+    });
+    const last = keys[keys.length - 1];
+    node[last] = resolve(value, node[last]);
+  });
+  return updated;
+};
+
+const comparable = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : value);
+
+const matches = (data, [field, op, value]) => {
+  const actual = comparable(data[field]);
+  const expected = comparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== undefined && actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case 'in': return expected.includes(actual);
+    case 'array-contains': return Array.isArray(data[field]) && data[field].includes(value);
+    default: throw new Error(`Unsupported query operator ${op}`);
+  }
+};
+
+export const createMemoryBackend = (seed = {}, { failures = {} } = {}) => {
+  const collections = new Map();
+  const listeners = new Set();
+  const pending = createPendingWrites();
+  let nextId = 1;
+  let isOnline = true;
+  let waitingForConnection = [];
+
+  const store = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  Object.entries(seed).forEach(([name, docs]) => {
+    docs.forEach(({ id, ...data }) => store(name).set(String(id), clone(data)));
+  });
+
+  const read = (name, id) => (store(name).has(id) ? { id, ...store(name).get(id) } : null);
+
+  const runQuery = (name, { filters = [], order = [], max = null }) => {
+    // Like Firestore, ordering by a field leaves out documents that don't have it
+    const docs = [...store(name).keys()].map(id => read(name, id))
+      .filter(data => filters.every(filter => matches(data, filter)))
+      .filter(data => order.every(([field]) => data[field] !== undefined));
+    docs.sort((a, b) => {
+      for (const [field, direction = 'asc'] of order) {
+        const x = comparable(a[field]);
+        const y = comparable(b[field]);
+        if (x !== y) return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      }
+      return 0;
+    });
+    return max ? docs.slice(0, max) : docs;
+  };
+
+  // Snapshots arrive asynchronously, as they do from Firestore
+  const deliver = (listener) => {
+    Promise.resolve().then(() => {
+      if (!listeners.has(listener)) return;
+      if (failures[listener.name]) {
+        listener.onError(failures[listener.name]);
+      } else {
+        listener.onData(listener.id !== undefined ? read(listener.name, listener.id) : runQuery(listener.name, listener.options));
+      }
+    });
+  };
+  const notify = (names) => listeners.forEach(listener => names.includes(listener.name) && deliver(listener));
+
+  const watch = (listener) => {
+    listeners.add(listener);
+    deliver(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const write = {
+    set: (name, id, data, options = {}) => {
+      const current = store(name).get(id);
+      if (options.mergeFields) {
+        // Only the listed top-level fields are written, each replaced as a whole
+        const fields = Object.fromEntries(options.mergeFields.map(field => [field, resolve(data[field], (current || {})[field])]));
+        store(name).set(id, { ...(current || {}), ...fields });
+        return;
+      }
+      store(name).set(id, options.merge && current ? mergeInto(current, data) : mergeInto({}, data));
+    },
+    update: (name, id, fields) => {
+      if (!store(name).has(id)) {
+        throw new Error(`No document to update: ${name}/${id}`);
+      }
+      store(name).set(id, updatePaths(store(name).get(id), fields));
+    },
+    delete: (name, id) => store(name).delete(id),
+  };
+
+  // Applies a write locally, then resolves once "the server" has it
+  const commit = (names, apply) => {
+    try {
+      apply();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    notify(names);
+    return pending.track(new Promise(resolve => (isOnline ? resolve() : waitingForConnection.push(resolve))));
+  };
+
+  return {
+    watchQuery: (name, options = {}, onData, onError) => watch({ name, options, onData, onError }),
+    watchDoc: (name, id, onData, onError) => watch({ name, id: String(id), onData, onError }),
+    get: async (name, id) => read(name, String(id)),
+    query: async (name, options = {}) => runQuery(name, options),
+    add: (name, data) => {
+      const id = `${name}-${nextId++}`;
+      return { id, saved: commit([name], () => write.set(name, id, data)) };
+    },
+    newId: (name) => `${name}-${nextId++}`,
+    set: (name, id, data, options) => commit([name], () => write.set(name, String(id), data, options)),
+    update: (name, id, fields) => commit([name], () => write.update(name, String(id), fields)),
+    remove: (name, id) => commit([name], () => write.delete(name, String(id))),
+    batch: (writes) => commit(writes.map(({ name }) => name), () => {
+      writes.forEach(({ type, name, id, data, options }) => write[type](name, String(id), data, options));
+    }),
+    // Writes are held until the work finishes, so a transaction that throws writes nothing. Like
+    // Firestore, transactions need the server and fail while offline.
+    transact: async (work) => {
+      if (!isOnline) {
+        throw new Error('Failed to get document because the client is offline.');
+      }
+      const writes = [];
+      const result = await work({
+        get: async (name, id) => read(name, String(id)),
+        set: (name, id, data, options) => { writes.push({ type: 'set', name, id, data, options }); },
+        update: (name, id, fields) => { writes.push({ type: 'update', name, id, data: fields }); },
+      });
+      writes.forEach(({ type, name, id, data, options }) => write[type](name, String(id), data, options));
+      notify(writes.map(({ name }) => name));
+      return result;
+    },
+    watchPendingWrites: pending.watch,
+    setOnline: (online) => {
+      isOnline = online;
+      if (online) {
+        waitingForConnection.forEach(resolve => resolve());
+        waitingForConnection = [];
+      }
+    },
+
+    now: () => Timestamp.now(),
+    arrayUnion: (...values) => ({ [ARRAY_UNION]: values }),
+    arrayRemove: (...values) => ({ [ARRAY_REMOVE]: values }),
+  };
+};
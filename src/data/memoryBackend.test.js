@@ -0,0 +1,181 @@
+import { createMemoryBackend } from './memoryBackend';
+import { createMemoryRepository } from './repository';
+
+// Collects the snapshots a watch delivers
+const watchAll = (watch) => {
+  const snapshots = [];
+  const errors = [];
+  const unsubscribe = watch((data) => snapshots.push(data), (error) => errors.push(error));
+  return { snapshots, errors, unsubscribe };
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('queries filter, order and limit like Firestore, leaving out documents without the ordered field', async () => {
+  const backend = createMemoryBackend({
+    news: [
+      { id: 'a', season: 2025, timestamp: new Date('2025-09-01') },
+      { id: 'b', season: 2026, timestamp: new Date('2026-09-01') },
+      { id: 'c', season: 2026, timestamp: new Date('2026-09-08') },
+      { id: 'd', season: 2026 },
+    ],
+  });
+  const { snapshots } = watchAll((onData, onError) => backend.watchQuery('news', {
+    filters: [['season', '==', 2026]],
+    order: [['timestamp', 'desc']],
+    max: 5,
+  }, onData, onError));
+  await settle();
+  expect(snapshots[0].map(doc => doc.id)).toEqual(['c', 'b']);
+  expect(snapshots[0][0].timestamp.toDate()).toEqual(new Date('2026-09-08'));
+});
+
+test('writes reach live queries, and unsubscribed ones stop hearing about them', async () => {
+  const repository = createMemoryRepository({ news: [] });
+  const latest = watchAll((onData, onError) => repository.watchLatestNews(3, onData, onError));
+  const pinned = watchAll((onData, onError) => repository.watchPinnedNews(onData, onError));
+  await settle();
+  pinned.unsubscribe();
+
+  const { id: postId, saved } = repository.addNews({ title: 'Hello', content: 'World', pinned: true });
+  await saved;
+  await settle();
+  expect(latest.snapshots.map(snapshot => snapshot.length)).toEqual([0, 1]);
+  expect(latest.snapshots[1][0]).toMatchObject({ id: postId, title: 'Hello', reactions: {} });
+  expect(pinned.snapshots).toEqual([[]]);
+});
+
+test('reactions update through dotted paths with arrayUnion and arrayRemove', async () => {
+  const repository = createMemoryRepository({ news: [{ id: 'post', title: 'Hi', reactions: { u1: ['🔥'] } }] });
+  await repository.setNewsReaction('post', '🔥', 'u2', true);
+  await repository.setNewsReaction('post', '🔥', 'u2', true);
+  await repository.setNewsReaction('post', '😂', 'u1', true);
+  await repository.setNewsReaction('post', '🔥', 'u1', false);
+
+  const { snapshots } = watchAll((onData, onError) => repository.watchNewsPost('post', onData, onError));
+  await settle();
+  expect(snapshots[0].reactions).toEqual({ u1: ['😂'], u2: ['🔥'] });
+});
+
+test('deleting a post deletes its comments with it', async () => {
+  const repository = createMemoryRepository({
+    news: [{ id: 'post', title: 'Hi' }],
+    newsComments: [
+      { id: 'c1', postId: 'post', content: 'First' },
+      { id: 'c2', postId: 'other', content: 'Elsewhere' },
+    ],
+  });
+  await repository.deleteNews('post');
+
+  const post = watchAll((onData, onError) => repository.watchNewsPost('post', onData, onError));
+  const comments = watchAll((onData, onError) => repository.watchComments('post', onData, onError));
+  const others = watchAll((onData, onError) => repository.watchComments('other', onData, onError));
+  await settle();
+  expect(post.snapshots).toEqual([null]);
+  expect(comments.snapshots).toEqual([[]]);
+  expect(others.snapshots[0].map(comment => comment.id)).toEqual(['c2']);
+});
+
+test('constitution revisions are numbered in a transaction', async () => {
+  const repository = createMemoryRepository({ leagueConstitution: [{ id: 'document', content: 'v1', revision: 1 }] });
+  const author = { authorId: 'uid', authorName: 'Commish' };
+  expect(await repository.saveConstitutionRevision({ content: 'v2', summary: 'Second' }, author)).toBe(2);
+  expect(await repository.saveConstitutionRevision({ content: 'v1', restoredFrom: 1 }, author)).toBe(3);
+
+  const { snapshots } = watchAll((onData, onError) => repository.watchConstitutionRevisions(onData, onError));
+  await settle();
+  expect(snapshots[0].map(({ revision, content, restoredFrom }) => [revision, content, restoredFrom])).toEqual([
+    [3, 'v1', 1],
+    [2, 'v2', null],
+  ]);
+});
+
+test('resolving a trade publishes its news post once, in the same transaction', async () => {
+  const repository = createMemoryRepository({ transactions: [{ id: 'trade', status: 'review', createdAt: new Date('2026-10-01') }], news: [] });
+  const decide = () => ({ resolution: { status: 'approved' }, newsPost: { title: 'Trade approved' } });
+  expect(await repository.resolveTrade('trade', decide)).toBe(true);
+  expect(await repository.resolveTrade('trade', decide)).toBe(false);
+
+  const news = watchAll((onData, onError) => repository.watchLatestNews(5, onData, onError));
+  const trades = watchAll((onData, onError) => repository.watchTransactions(onData, onError));
+  await settle();
+  expect(news.snapshots[0]).toHaveLength(1);
+  expect(news.snapshots[0][0]).toMatchObject({ title: 'Trade approved', transactionId: 'trade', reactions: {} });
+  expect(trades.snapshots[0][0]).toMatchObject({ status: 'approved', newsPostId: news.snapshots[0][0].id });
+});
+
+test('a transaction that throws writes nothing, and transactions fail offline', async () => {
+  const repository = createMemoryRepository({ drafts: [{ id: '2026', season: 2026, status: 'live', picks: [] }] });
+  await expect(repository.updateLiveDraft(2026, () => { throw new Error('The draft is not live.'); })).rejects.toThrow('The draft is not live.');
+  repository.setOnline(false);
+  await expect(repository.updateLiveDraft(2026, () => ({ picks: ['x'] }))).rejects.toThrow('offline');
+  repository.setOnline(true);
+  expect(await repository.updateLiveDraft(2026, (draft) => (draft.picks.length ? null : { picks: ['Josh Allen'] }))).toBe(true);
+
+  const { snapshots } = watchAll((onData, onError) => repository.watchDrafts(onData, onError));
+  await settle();
+  expect(snapshots[0][0].picks).toEqual(['Josh Allen']);
+});
+
+test('rolling over a season archives it and clears its schedule and lineups', async () => {
+  const repository = createMemoryRepository({
+    schedule: [{ id: 'g1', week: 1 }, { id: 'g2', week: 2 }],
+    lineups: [{ id: 'g1', season: 2026 }, { id: 'old', season: 2025 }],
+    leagueSettings: [{ id: 'document', name: 'League', season: 2026, currentWeek: 14 }],
+  });
+  await repository.rollOverSeason({ seasonId: '2026', seasonDoc: { year: 2026 }, season: 2026, gameIds: ['g1', 'g2'], nextSeason: 2027 });
+
+  const schedule = watchAll((onData, onError) => repository.watchSchedule(onData, onError));
+  const old = watchAll((onData, onError) => repository.watchLineup('old', onData, onError));
+  const current = watchAll((onData, onError) => repository.watchLineup('g1', onData, onError));
+  const settings = watchAll((onData, onError) => repository.watchSettings(onData, onError));
+  const seasons = watchAll((onData, onError) => repository.watchSeasons(onData, onError));
+  await settle();
+  expect(schedule.snapshots[0]).toEqual([]);
+  expect(current.snapshots[0]).toBeNull();
+  expect(old.snapshots[0]).toMatchObject({ season: 2025 });
+  expect(settings.snapshots[0]).toEqual({ id: 'document', name: 'League', season: 2027, currentWeek: 1 });
+  expect(seasons.snapshots[0]).toEqual([{ id: '2026', year: 2026 }]);
+});
+
+test('recap templates replace the saved map as a whole', async () => {
+  const repository = createMemoryRepository({
+    leagueSettings: [{ id: 'document', season: 2026, recapTemplates: { intro: 'Old intro', outro: 'Old outro' } }],
+  });
+  await repository.saveRecapTemplates({ intro: 'New intro' });
+
+  const { snapshots } = watchAll((onData, onError) => repository.watchSettings(onData, onError));
+  await settle();
+  expect(snapshots[0]).toEqual({ id: 'document', season: 2026, recapTemplates: { intro: 'New intro' } });
+});
+
+test('offline writes show up locally at once and count as pending until the connection returns', async () => {
+  const repository = createMemoryRepository({ news: [{ id: 'post', title: 'Hi', reactions: {}, timestamp: new Date('2026-09-01') }] });
+  const counts = [];
+  repository.watchPendingWrites(count => counts.push(count));
+  const latest = watchAll((onData, onError) => repository.watchLatestNews(5, onData, onError));
+  await settle();
+
+  repository.setOnline(false);
+  const acknowledged = [];
+  repository.addNews({ title: 'Offline post' }).saved.then(() => acknowledged.push('add'));
+  repository.editNews('post', { title: 'Hi again', content: '', category: 'general' }).then(() => acknowledged.push('edit'));
+  await settle();
+  expect(latest.snapshots[latest.snapshots.length - 1].map(post => post.title).sort()).toEqual(['Hi again', 'Offline post']);
+  expect(acknowledged).toEqual([]);
+  expect(counts).toEqual([0, 1, 2]);
+
+  repository.setOnline(true);
+  await settle();
+  expect(acknowledged).toEqual(['add', 'edit']);
+  expect(counts).toEqual([0, 1, 2, 1, 0]);
+});
+
+test('failing collections report errors to their subscribers', async () => {
+  const failure = new Error('Missing or insufficient permissions.');
+  const repository = createMemoryRepository({}, { failures: { ledger: failure } });
+  const { snapshots, errors } = watchAll((onData, onError) => repository.watchLedger(onData, onError));
+  await settle();
+  expect(snapshots).toEqual([]);
+  expect(errors).toEqual([failure]);
+});
@@ -0,0 +1,26 @@
+// Counts writes the server hasn't acknowledged yet. Firestore applies a write to its local cache
+// straight away (so live queries show it) and queues it while offline; the write's promise settles
+// once the server has it. The sync indicator shows this count.
+export const createPendingWrites = () => {
+  let count = 0;
+  const listeners = new Set();
+  const emit = () => listeners.forEach(listener => listener(count));
+
+  return {
+    // Returns the same outcome as `saved`, counting it as pending until it settles
+    track: (saved) => {
+      count += 1;
+      emit();
+      return saved.finally(() => {
+        count -= 1;
+        emit();
+      });
+    },
+    // Calls onChange with the current count now and whenever it changes
+    watch: (onChange) => {
+      listeners.add(onChange);
+      onChange(count);
+      return () => listeners.delete(onChange);
+    },
+  };
+};
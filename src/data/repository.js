@@ -0,0 +1,250 @@
+import { createFirestoreBackend } from './firestoreBackend';
+import { createMemoryBackend } from './memoryBackend';
+import { PROPOSAL_STATUS, voteDocId } from '../lib/proposals';
+import { TRANSACTION_STATUS } from '../lib/transactions';
+
+// Data access for everything the league site stores. Screens read and write through these methods
+// instead of calling Firestore themselves, so the same code runs against Firestore
+// (createFirestoreRepository) or in memory (createMemoryRepository, used by the tests).
+//
+// Every watch* method takes (onData, onError) callbacks and returns an unsubscribe function. Writes
+// return promises that settle once the server has them; offline, Firestore queues them and live
+// queries show them straight away. add* methods return { id, saved } so the new id is known at once.
+// Transactions (resolve*, updateLiveDraft, saveConstitutionRevision) need a connection and fail
+// offline instead of queueing.
+
+// Documents for a new numbered constitution revision: the revision itself and the constitution
+// document, which holds the revision counter so the two are always written together
+export const constitutionRevisionDocs = (current, { content, summary, restoredFrom = null, proposalId = null }, { authorId, authorName }, at) => {
+  const revision = ((current && current.revision) || 0) + 1;
+  return {
+    revision,
+    revisionDoc: { revision, content, summary: summary || '', restoredFrom, proposalId, authorId, authorName, timestamp: at },
+    constitutionDoc: { content, revision, lastUpdated: at, updatedBy: authorId },
+  };
+};
+
+export const createRepository = (backend) => ({
+  // Members and league settings
+  watchMember: (memberId, onData, onError) => backend.watchDoc('members', memberId, onData, onError),
+  watchMembers: (onData, onError) => backend.watchQuery('members', {}, onData, onError),
+  saveMember: (memberId, member) => backend.set('members', memberId, member),
+  removeMember: (memberId) => backend.remove('members', memberId),
+  watchSettings: (onData, onError) => backend.watchDoc('leagueSettings', 'document', onData, onError),
+  // Merges fields into the settings document, creating it if needed
+  updateSettings: (fields) => backend.set('leagueSettings', 'document', fields, { merge: true }),
+  // Replaces the whole recapTemplates map, so templates reset to the default are removed
+  saveRecapTemplates: (overrides) => backend.set('leagueSettings', 'document', { recapTemplates: overrides }, { mergeFields: ['recapTemplates'] }),
+
+  // Current season
+  watchTeams: (onData, onError) => backend.watchQuery('teams', { order: [['name']] }, onData, onError),
+  // Each document is one matchup: { week, homeTeamId, awayTeamId, homeScore, awayScore }
+  watchSchedule: (onData, onError) => backend.watchQuery('schedule', { order: [['week']] }, onData, onError),
+  // Writes schedule games ({ id, ...game }) and deletes the games in removedIds, in one batch.
+  // settingsFields, when given, are merged into the settings in the same batch.
+  saveGames: (games, removedIds = [], settingsFields = null) => backend.batch([
+    ...removedIds.map(id => ({ type: 'delete', name: 'schedule', id })),
+    ...games.map(({ id, ...game }) => ({ type: 'set', name: 'schedule', id, data: game })),
+    ...(settingsFields ? [{ type: 'set', name: 'leagueSettings', id: 'document', data: settingsFields, options: { merge: true } }] : []),
+  ]),
+  // Box scores, one document per schedule game
+  watchLineup: (gameId, onData, onError) => backend.watchDoc('lineups', gameId, onData, onError),
+  // Replaces each game's lineups and adds `point` to its score progression
+  importLineups: (lineups) => backend.batch(lineups.map(({ gameId, point, ...lineup }) => ({
+    type: 'set',
+    name: 'lineups',
+    id: gameId,
+    data: { gameId, ...lineup, progression: backend.arrayUnion(point), updatedAt: backend.now() },
+    options: { merge: true },
+  }))),
+
+  // Managers
+  watchManagers: (onData, onError) => backend.watchQuery('managers', { order: [['name']] }, onData, onError),
+  saveManager: (managerId, manager) => backend.set('managers', managerId, manager),
+  updateManager: (managerId, fields) => backend.update('managers', managerId, fields),
+  deleteManager: (managerId) => backend.remove('managers', managerId),
+  // Adds names, platform ids and teams to a manager's lists, and sets teamId when given
+  linkManager: (managerId, { aliases = [], platformIds = [], teams = [], teamId = null }) => backend.update('managers', managerId, {
+    ...(aliases.length > 0 ? { aliases: backend.arrayUnion(...aliases) } : {}),
+    ...(platformIds.length > 0 ? { platformIds: backend.arrayUnion(...platformIds) } : {}),
+    ...(teams.length > 0 ? { teams: backend.arrayUnion(...teams) } : {}),
+    ...(teamId ? { teamId } : {}),
+  }),
+
+  // Playoffs, one bracket document per season
+  watchPlayoffBrackets: (onData, onError) => backend.watchQuery('playoffBrackets', {}, onData, onError),
+  startPlayoffs: (season, seeds) => backend.set('playoffBrackets', String(season), {
+    season, seeds, status: 'inProgress', createdAt: backend.now(),
+  }),
+  // Keeps the finished brackets ({ champion, brackets }) on the season's document
+  completePlayoffs: (season, result) => backend.update('playoffBrackets', String(season), {
+    ...result, status: 'complete', completedAt: backend.now(),
+  }),
+
+  // Rule change proposals and the teams' votes on them
+  watchProposals: (onData, onError) => backend.watchQuery('proposals', { order: [['createdAt', 'desc']] }, onData, onError),
+  watchProposalVotes: (onData, onError) => backend.watchQuery('proposalVotes', {}, onData, onError),
+  addProposal: (proposal) => backend.add('proposals', { ...proposal, createdAt: backend.now() }),
+  // One vote per team, so voting again replaces the team's vote
+  setProposalVote: (proposalId, teamId, vote, voterId) => backend.set('proposalVotes', voteDocId(proposalId, teamId), {
+    proposalId, teamId, vote, voterId, timestamp: backend.now(),
+  }),
+  // Records the outcome of an open proposal. decide(proposal, constitution) returns { resolution,
+  // amendment } from the stored documents; an amendment ({ content, summary }) is saved as a new
+  // constitution revision in the same transaction and the proposal links to it. Resolves with false
+  // when the proposal was no longer open (e.g. resolved from another tab).
+  resolveProposal: (proposalId, decide, author) => backend.transact(async (transaction) => {
+    const proposal = await transaction.get('proposals', proposalId);
+    const current = await transaction.get('leagueConstitution', 'document');
+    if (!proposal || proposal.status !== PROPOSAL_STATUS.OPEN) {
+      return false;
+    }
+    const { resolution, amendment } = decide(proposal, current);
+    const fields = { ...resolution, resolvedAt: backend.now() };
+    if (amendment) {
+      const { revision, revisionDoc, constitutionDoc } = constitutionRevisionDocs(current, { ...amendment, proposalId }, author, backend.now());
+      transaction.set('constitutionRevisions', String(revision), revisionDoc);
+      transaction.set('leagueConstitution', 'document', constitutionDoc);
+      fields.appliedRevision = revision;
+    }
+    transaction.update('proposals', proposalId, fields);
+    return true;
+  }),
+
+  // Trades, adds and drops
+  watchTransactions: (onData, onError) => backend.watchQuery('transactions', { order: [['createdAt', 'desc']] }, onData, onError),
+  watchTransactionVotes: (onData, onError) => backend.watchQuery('transactionVotes', {}, onData, onError),
+  addTransaction: (transaction) => backend.add('transactions', { ...transaction, createdAt: backend.now() }),
+  respondToTrade: (tradeId, changes) => backend.update('transactions', tradeId, { ...changes, respondedAt: backend.now() }),
+  setTradeVote: (tradeId, teamId, vote, voterId) => backend.set('transactionVotes', voteDocId(tradeId, teamId), {
+    transactionId: tradeId, teamId, vote, voterId, timestamp: backend.now(),
+  }),
+  // Records the outcome of a trade under review. decide(trade) returns { resolution, newsPost } from
+  // the stored trade; a news post announcing it is published in the same transaction and the trade
+  // links to it. Resolves with false when the trade was no longer under review.
+  resolveTrade: (tradeId, decide) => backend.transact(async (transaction) => {
+    const trade = await transaction.get('transactions', tradeId);
+    if (!trade || trade.status !== TRANSACTION_STATUS.REVIEW) {
+      return false;
+    }
+    const { resolution, newsPost } = decide(trade);
+    const fields = { ...resolution, resolvedAt: backend.now() };
+    if (newsPost) {
+      const newsPostId = backend.newId('news');
+      transaction.set('news', newsPostId, { ...newsPost, timestamp: backend.now(), reactions: {}, transactionId: tradeId });
+      fields.newsPostId = newsPostId;
+    }
+    transaction.update('transactions', tradeId, fields);
+    return true;
+  }),
+
+  // Drafts, one per season, newest first
+  watchDrafts: (onData, onError) => backend.watchQuery('drafts', {}, (drafts) => (
+    onData([...drafts].sort((a, b) => Number(b.season) - Number(a.season)))
+  ), onError),
+  // Saves the draft's setup, or starts it with the clock running from now
+  saveDraft: (season, draft, { start = false } = {}) => backend.set('drafts', String(season), {
+    ...draft,
+    createdAt: draft.createdAt || backend.now(),
+    ...(start ? { clockStartedAt: backend.now(), startedAt: backend.now() } : {}),
+  }),
+  // Changes the draft in a transaction, so two people picking at once can't both take the same slot.
+  // change(draft, now) returns the fields to update, or null to leave the draft alone; `now` is the
+  // server's time. Resolves with whether the draft was changed.
+  updateLiveDraft: (season, change) => backend.transact(async (transaction) => {
+    const draft = await transaction.get('drafts', String(season));
+    const fields = change(draft, backend.now());
+    if (!fields) {
+      return false;
+    }
+    transaction.update('drafts', String(season), fields);
+    return true;
+  }),
+  // Each team's autopick queue, at draftQueues/{season}_{teamId}. Only the commissioner can read
+  // every team's queue; an owner watches their own.
+  watchDraftQueues: (season, onData, onError) => backend.watchQuery('draftQueues', { filters: [['season', '==', season]] }, onData, onError),
+  watchDraftQueue: (season, teamId, onData, onError) => backend.watchDoc('draftQueues', `${season}_${teamId}`, onData, onError),
+  saveDraftQueue: (season, teamId, players) => backend.set('draftQueues', `${season}_${teamId}`, { season, teamId, players }),
+
+  // Dues and payouts
+  watchLedger: (onData, onError) => backend.watchQuery('ledger', {}, onData, onError),
+  addLedgerEntry: (entry) => backend.add('ledger', { ...entry, createdAt: backend.now() }),
+  deleteLedgerEntry: (entryId) => backend.remove('ledger', entryId),
+
+  // Number of writes still waiting for the server, for the sync indicator
+  watchPendingWrites: (onChange) => backend.watchPendingWrites(onChange),
+
+  // News
+  watchLatestNews: (count, onData, onError) => backend.watchQuery('news', { order: [['timestamp', 'desc']], max: count }, onData, onError),
+  watchPinnedNews: (onData, onError) => backend.watchQuery('news', { filters: [['pinned', '==', true]] }, onData, onError),
+  // A page of the News tab, optionally narrowed to one season and one category
+  watchNews: ({ season = null, category = 'all', max }, onData, onError) => backend.watchQuery('news', {
+    filters: [
+      ...(season !== null ? [['season', '==', season]] : []),
+      ...(category !== 'all' ? [['category', '==', category]] : []),
+    ],
+    order: [['timestamp', 'desc']],
+    max,
+  }, onData, onError),
+  watchNewsPost: (postId, onData, onError) => backend.watchDoc('news', postId, onData, onError),
+  addNews: (post) => backend.add('news', { ...post, timestamp: backend.now(), reactions: {} }),
+  editNews: (postId, { title, content, category }) => backend.update('news', postId, { title, content, category, editedAt: backend.now() }),
+  setNewsPinned: (postId, pinned) => backend.update('news', postId, { pinned }),
+  // Reactions are kept per member (reactions.{uid} lists their emoji), so each member only ever
+  // writes their own key
+  setNewsReaction: (postId, emoji, userId, reacted) => backend.update('news', postId, {
+    [`reactions.${userId}`]: reacted ? backend.arrayUnion(emoji) : backend.arrayRemove(emoji),
+  }),
+  // Deletes a post together with its comments
+  deleteNews: async (postId) => {
+    const comments = await backend.query('newsComments', { filters: [['postId', '==', postId]] });
+    return backend.batch([
+      { type: 'delete', name: 'news', id: postId },
+      ...comments.map(comment => ({ type: 'delete', name: 'newsComments', id: comment.id })),
+    ]);
+  },
+  watchComments: (postId, onData, onError) => backend.watchQuery('newsComments', { filters: [['postId', '==', postId]] }, onData, onError),
+  addComment: (comment) => backend.add('newsComments', { ...comment, timestamp: backend.now() }),
+  deleteComment: (commentId) => backend.remove('newsComments', commentId),
+
+  // Constitution
+  watchConstitution: (onData, onError) => backend.watchDoc('leagueConstitution', 'document', onData, onError),
+  watchConstitutionRevisions: (onData, onError) => backend.watchQuery('constitutionRevisions', { order: [['revision', 'desc']] }, onData, onError),
+  // Saves the constitution as a new numbered revision and resolves with its number
+  saveConstitutionRevision: (fields, author) => backend.transact(async (transaction) => {
+    const current = await transaction.get('leagueConstitution', 'document');
+    const { revision, revisionDoc, constitutionDoc } = constitutionRevisionDocs(current, fields, author, backend.now());
+    transaction.set('constitutionRevisions', String(revision), revisionDoc);
+    transaction.set('leagueConstitution', 'document', constitutionDoc);
+    return revision;
+  }),
+
+  // History
+  watchSeasons: (onData, onError) => backend.watchQuery('historicalStandings', { order: [['year', 'desc']] }, onData, onError),
+  // Writes season documents ({ id, doc }) in one batch
+  saveSeasons: (seasons) => backend.batch(seasons.map(({ id, doc }) => ({ type: 'set', name: 'historicalStandings', id, data: doc }))),
+  // Archives the season and starts the next one in one batch: the season document is saved, the
+  // schedule (gameIds) and the season's lineups are deleted and the settings move on to nextSeason
+  rollOverSeason: async ({ seasonId, seasonDoc, season, gameIds, nextSeason }) => {
+    const lineups = await backend.query('lineups', { filters: [['season', '==', season]] });
+    return backend.batch([
+      { type: 'set', name: 'historicalStandings', id: seasonId, data: seasonDoc },
+      ...gameIds.map(id => ({ type: 'delete', name: 'schedule', id })),
+      ...lineups.map(lineup => ({ type: 'delete', name: 'lineups', id: lineup.id })),
+      { type: 'set', name: 'leagueSettings', id: 'document', data: { season: nextSeason, currentWeek: 1 }, options: { merge: true } },
+    ]);
+  },
+  // Current-season teams (merged into the existing ones) and games from a platform import, in one batch
+  importCurrentSeason: (teams, games) => backend.batch([
+    ...teams.map(({ id, ...team }) => ({ type: 'set', name: 'teams', id, data: team, options: { merge: true } })),
+    ...games.map(({ id, ...game }) => ({ type: 'set', name: 'schedule', id, data: game })),
+  ]),
+});
+
+export const createFirestoreRepository = (db, appId) => createRepository(createFirestoreBackend(db, appId));
+
+// setOnline is passed through so tests can drop and restore the connection
+export const createMemoryRepository = (seed, options) => {
+  const backend = createMemoryBackend(seed, options);
+  return { ...createRepository(backend), setOnline: backend.setOnline };
+};
@@ -0,0 +1,42 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Keeps { data, isLoading, error } for a live repository subscription. `watch(repository, onData,
+// onError)` starts it and returns the unsubscribe function, or null when there is nothing to watch.
+// It resubscribes whenever the repository or `key` changes; `initial` is shown until data arrives.
+// A new repository (another league) starts over from `initial`, so the last league's data never shows
+// under the new one; a new key keeps the current data until the new results arrive, but reports it
+// as loading from the first render with that key, so callers never act on the old key's results.
+export const useLiveData = (repository, watch, initial, key = '') => {
+  const [state, setState] = useState({ data: initial, isLoading: true, error: null, key });
+  const watchRef = useRef(watch);
+  const initialRef = useRef(initial);
+  const repositoryRef = useRef(repository);
+  watchRef.current = watch;
+
+  useEffect(() => {
+    if (!repository) {
+      return undefined;
+    }
+    const isNewRepository = repositoryRef.current !== repository;
+    repositoryRef.current = repository;
+    setState(prev => ({ data: isNewRepository ? initialRef.current : prev.data, isLoading: true, error: null, key }));
+    const unsubscribe = watchRef.current(
+      repository,
+      (data) => setState({ data, isLoading: false, error: null, key }),
+      (error) => setState({ data: initialRef.current, isLoading: false, error, key })
+    );
+    if (!unsubscribe) {
+      setState({ data: initialRef.current, isLoading: false, error: null, key });
+      return undefined;
+    }
+    return () => unsubscribe();
+  }, [repository, key]);
+
+  return { data: state.data, isLoading: state.isLoading || state.key !== key, error: state.error };
+};
+
+// Combined loading/error state of several subscriptions, for screens that need all of them
+export const combineStatus = (...statuses) => ({
+  isLoading: statuses.some(status => status.isLoading),
+  error: (statuses.find(status => status.error) || {}).error || null,
+});
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+// Whether the browser is online and how many of this visitor's writes are still waiting for the
+// server, for the offline/syncing indicator
+export const useSyncStatus = (repository) => {
+  const [isOnline, setIsOnline] = useState(() => window.navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState(0);
+
+  useEffect(() => {
+    const update = () => setIsOnline(window.navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  useEffect(() => (repository ? repository.watchPendingWrites(setPendingWrites) : undefined), [repository]);
+
+  return { isOnline, pendingWrites };
+};
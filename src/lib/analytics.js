@@ -0,0 +1,121 @@
+import { isGameFinal } from './records';
+import { winPercentage } from './standings';
+
+// Weekly analytics computed from schedule scores: all-play records, luck, power rankings and
+// weekly awards. All-play, luck and power rankings use regular-season games only; awards are
+// handed out for every completed week, playoffs included.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A week is complete once every game scheduled in it has a final score
+export const completedWeeks = (schedule) => {
+  const weeks = new Map();
+  schedule.forEach(game => {
+    weeks.set(game.week, (weeks.get(game.week) !== false) && isGameFinal(game));
+  });
+  return [...weeks.entries()].filter(([, isComplete]) => isComplete).map(([week]) => week).sort((a, b) => a - b);
+};
+
+// One entry per team per final game: { week, teamId, score, opponentId, opponentScore }
+const teamScores = (games) => games.filter(isGameFinal).flatMap(game => [
+  { week: game.week, teamId: game.homeTeamId, score: game.homeScore, opponentId: game.awayTeamId, opponentScore: game.awayScore },
+  { week: game.week, teamId: game.awayTeamId, score: game.awayScore, opponentId: game.homeTeamId, opponentScore: game.homeScore },
+]);
+
+// Per team: actual record, all-play record (every week's score against every other team's score
+// that week), luck (actual wins minus the wins the all-play percentage predicts) and the scores
+// behind the power score
+export const weeklyAnalytics = (teams, schedule, throughWeek = Infinity) => {
+  const games = schedule.filter(game => !game.playoffRound && game.week <= throughWeek);
+  const scores = teamScores(games);
+  const byWeek = new Map();
+  scores.forEach(entry => byWeek.set(entry.week, [...(byWeek.get(entry.week) || []), entry]));
+
+  return teams.map(team => {
+    const own = scores.filter(entry => entry.teamId === team.id);
+    const record = { wins: 0, losses: 0, ties: 0 };
+    const allPlay = { wins: 0, losses: 0, ties: 0 };
+    own.forEach(entry => {
+      if (entry.score > entry.opponentScore) record.wins += 1;
+      else if (entry.score < entry.opponentScore) record.losses += 1;
+      else record.ties += 1;
+
+      byWeek.get(entry.week).filter(other => other.teamId !== team.id).forEach(other => {
+        if (entry.score > other.score) allPlay.wins += 1;
+        else if (entry.score < other.score) allPlay.losses += 1;
+        else allPlay.ties += 1;
+      });
+    });
+
+    const points = own.map(entry => entry.score);
+    const allPlayPct = winPercentage(allPlay);
+    const expectedWins = allPlayPct * own.length;
+    const average = points.length > 0 ? points.reduce((sum, score) => sum + score, 0) / points.length : 0;
+    // Points-based power score: six parts scoring average, two parts best and worst week, four parts winning
+    const powerScore = points.length > 0
+      ? (average * 6 + (Math.max(...points) + Math.min(...points)) * 2 + winPercentage(record) * 400) / 10
+      : 0;
+
+    return {
+      teamId: team.id,
+      name: team.name,
+      gamesPlayed: own.length,
+      record,
+      allPlay: { ...allPlay, pct: allPlayPct },
+      luck: round2(record.wins + record.ties / 2 - expectedWins),
+      averageScore: round2(average),
+      powerScore: round2(powerScore),
+    };
+  });
+};
+
+// Teams ordered by power score through a week, each with { rank, previousRank, movement }. Movement
+// is positive when a team climbed since the previous completed week.
+export const powerRankings = (teams, schedule, throughWeek) => {
+  const rank = (week) => weeklyAnalytics(teams, schedule, week)
+    .sort((a, b) => b.powerScore - a.powerScore || a.name.localeCompare(b.name))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+  const regularWeeks = completedWeeks(schedule.filter(game => !game.playoffRound)).filter(week => week <= throughWeek);
+  const current = rank(throughWeek);
+  const previousWeek = regularWeeks.filter(week => week < regularWeeks[regularWeeks.length - 1]).pop();
+  const previous = previousWeek ? Object.fromEntries(rank(previousWeek).map(entry => [entry.teamId, entry.rank])) : {};
+
+  return current.map(entry => ({
+    ...entry,
+    previousRank: previous[entry.teamId] || null,
+    movement: previous[entry.teamId] ? previous[entry.teamId] - entry.rank : 0,
+  }));
+};
+
+export const AWARDS = {
+  HIGH_SCORER: 'highScorer',
+  BIGGEST_BLOWOUT: 'biggestBlowout',
+  NARROWEST_WIN: 'narrowestWin',
+  HEARTBREAK_LOSS: 'heartbreakLoss',
+};
+
+export const AWARD_LABELS = {
+  [AWARDS.HIGH_SCORER]: 'High Scorer',
+  [AWARDS.BIGGEST_BLOWOUT]: 'Biggest Blowout',
+  [AWARDS.NARROWEST_WIN]: 'Narrowest Win',
+  [AWARDS.HEARTBREAK_LOSS]: 'Heartbreak Loss',
+};
+
+// Awards for one week's final games. Each award is { teamId, opponentId, score, opponentScore,
+// margin } or null when the week has no qualifying game (e.g. only ties).
+export const weeklyAwards = (schedule, week) => {
+  const scores = teamScores(schedule.filter(game => game.week === week));
+  const wins = scores.filter(entry => entry.score > entry.opponentScore)
+    .map(entry => ({ ...entry, margin: round2(entry.score - entry.opponentScore) }));
+  const losses = scores.filter(entry => entry.score < entry.opponentScore)
+    .map(entry => ({ ...entry, margin: round2(entry.opponentScore - entry.score) }));
+  const pick = (entries, better) => entries.reduce((best, entry) => (!best || better(entry, best) ? entry : best), null);
+
+  return {
+    [AWARDS.HIGH_SCORER]: pick(scores.map(entry => ({ ...entry, margin: round2(entry.score - entry.opponentScore) })), (a, b) => a.score > b.score),
+    [AWARDS.BIGGEST_BLOWOUT]: pick(wins, (a, b) => a.margin > b.margin),
+    [AWARDS.NARROWEST_WIN]: pick(wins, (a, b) => a.margin < b.margin),
+    [AWARDS.HEARTBREAK_LOSS]: pick(losses, (a, b) => a.score > b.score),
+  };
+};
@@ -0,0 +1,47 @@
+import { completedWeeks, weeklyAnalytics, powerRankings, weeklyAwards } from './analytics';
+
+const teams = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id.toUpperCase() }));
+const game = (week, homeTeamId, awayTeamId, homeScore, awayScore) => ({ week, homeTeamId, awayTeamId, homeScore, awayScore });
+
+const schedule = [
+  game(1, 'a', 'b', 130, 90),
+  game(1, 'c', 'd', 120, 125),
+  game(2, 'a', 'c', 100, 99.5),
+  game(2, 'b', 'd', 140, 80),
+  game(3, 'a', 'd', null, null),
+  game(3, 'b', 'c', 110, 100),
+];
+
+test('only counts weeks where every game is final', () => {
+  expect(completedWeeks(schedule)).toEqual([1, 2]);
+});
+
+test('computes all-play records and luck', () => {
+  const analytics = Object.fromEntries(weeklyAnalytics(teams, schedule, 2).map(entry => [entry.teamId, entry]));
+
+  // Week 1: C scored the second most (beats B, loses to A and D); week 2: beats D, loses to A and B
+  expect(analytics.c.allPlay).toMatchObject({ wins: 2, losses: 4, ties: 0 });
+  expect(analytics.c.record).toEqual({ wins: 0, losses: 2, ties: 0 });
+  expect(analytics.c.luck).toBeCloseTo(-0.67, 2);
+  // D won week 1 with the second-highest score and lost week 2 with the lowest
+  expect(analytics.d.allPlay).toMatchObject({ wins: 2, losses: 4 });
+  expect(analytics.d.luck).toBeCloseTo(0.33, 2);
+});
+
+test('ranks teams by power score with movement since the previous week', () => {
+  const rankings = powerRankings(teams, schedule, 2);
+
+  expect(rankings.map(entry => entry.teamId)).toEqual(['a', 'b', 'd', 'c']);
+  expect(rankings[1]).toMatchObject({ teamId: 'b', rank: 2, previousRank: 4, movement: 2 });
+  expect(rankings[3]).toMatchObject({ teamId: 'c', previousRank: 3, movement: -1 });
+});
+
+test('hands out weekly awards', () => {
+  const awards = weeklyAwards(schedule, 2);
+
+  expect(awards.highScorer).toMatchObject({ teamId: 'b', score: 140 });
+  expect(awards.biggestBlowout).toMatchObject({ teamId: 'b', opponentId: 'd', margin: 60 });
+  expect(awards.narrowestWin).toMatchObject({ teamId: 'a', opponentId: 'c', margin: 0.5 });
+  expect(awards.heartbreakLoss).toMatchObject({ teamId: 'c', score: 99.5 });
+  expect(weeklyAwards([game(1, 'a', 'b', 100, 100)], 1).narrowestWin).toBeNull();
+});
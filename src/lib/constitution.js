@@ -0,0 +1,235 @@
+// Parses the Markdown constitution into numbered articles and sections.
+//
+//   # Scoring              -> Article I (anchor "article-1")
+//   ## Passing touchdowns  -> Article I §1 (anchor "article-1-section-1")
+//
+// Any numbering the author typed ("Article IV:", "Section 2.") is dropped and
+// replaced by the automatic numbering, so inserting an article renumbers the rest.
+// The result is plain data; ConstitutionDocument renders it as React elements, so
+// nothing in the Markdown is ever injected as raw HTML.
+
+const ROMAN_NUMERALS = [
+  [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+  [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I'],
+];
+
+export const toRoman = (number) => {
+  let remaining = number;
+  let result = '';
+  ROMAN_NUMERALS.forEach(([value, numeral]) => {
+    while (remaining >= value) {
+      result += numeral;
+      remaining -= value;
+    }
+  });
+  return result;
+};
+
+export const articleAnchor = (articleNumber) => `article-${articleNumber}`;
+export const sectionAnchor = (articleNumber, sectionNumber) => `article-${articleNumber}-section-${sectionNumber}`;
+
+// Human-readable reference, e.g. "Article IV" or "Article IV §2"
+export const sectionLabel = (articleNumber, sectionNumber) =>
+  sectionNumber ? `Article ${toRoman(articleNumber)} §${sectionNumber}` : `Article ${toRoman(articleNumber)}`;
+
+const ARTICLE_PREFIX = /^article\s+([ivxlcdm]+|\d+)\s*[.:\-–—]?\s*/i;
+const SECTION_PREFIX = /^(section\s+|§\s*)[\d.]+\s*[.:\-–—]?\s*/i;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+// Splits inline Markdown into tokens: text, strong, em, code and link
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|__[^_]+__|\*[^*\s][^*]*\*|_[^_\s][^_]*_|`[^`]+`|\[[^\]]+\]\([^)\s]+\))/;
+const SAFE_HREF = /^(https?:|mailto:|#)/i;
+
+export const parseInline = (text) =>
+  text.split(INLINE_PATTERN).filter(part => part !== '').map(part => {
+    if (/^(\*\*|__).+(\*\*|__)$/.test(part)) {
+      return { type: 'strong', text: part.slice(2, -2) };
+    }
+    if (/^`.+`$/.test(part)) {
+      return { type: 'code', text: part.slice(1, -1) };
+    }
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+    if (link) {
+      // Only allow web, mail and in-page links; anything else (e.g. javascript:) stays plain text
+      return SAFE_HREF.test(link[2]) ? { type: 'link', text: link[1], href: link[2] } : { type: 'text', text: link[1] };
+    }
+    if (/^(\*|_).+(\*|_)$/.test(part) && part.length > 2) {
+      return { type: 'em', text: part.slice(1, -1) };
+    }
+    return { type: 'text', text: part };
+  });
+
+export const parseConstitution = (markdown) => {
+  const doc = { preamble: [], articles: [] };
+  let currentArticle = null;
+  let currentSection = null;
+  let paragraph = [];
+  let list = null;
+
+  const currentBlocks = () => {
+    if (currentSection) return currentSection.blocks;
+    if (currentArticle) return currentArticle.blocks;
+    return doc.preamble;
+  };
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      currentBlocks().push({ type: 'paragraph', inline: parseInline(paragraph.join(' ')) });
+      paragraph = [];
+    }
+    if (list) {
+      currentBlocks().push(list);
+      list = null;
+    }
+  };
+
+  (markdown || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trimEnd();
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const listItem = line.match(LIST_ITEM);
+
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      const text = heading[2].trim();
+
+      if (level === 1) {
+        const number = doc.articles.length + 1;
+        currentArticle = {
+          number,
+          title: text.replace(ARTICLE_PREFIX, ''),
+          anchor: articleAnchor(number),
+          label: sectionLabel(number),
+          blocks: [],
+          sections: [],
+        };
+        currentSection = null;
+        doc.articles.push(currentArticle);
+      } else if (level === 2 && currentArticle) {
+        const number = currentArticle.sections.length + 1;
+        currentSection = {
+          number,
+          title: text.replace(SECTION_PREFIX, ''),
+          anchor: sectionAnchor(currentArticle.number, number),
+          label: sectionLabel(currentArticle.number, number),
+          blocks: [],
+        };
+        currentArticle.sections.push(currentSection);
+      } else {
+        currentBlocks().push({ type: 'heading', inline: parseInline(text) });
+      }
+    } else if (listItem) {
+      if (paragraph.length > 0) {
+        flush();
+      }
+      const ordered = /\d/.test(listItem[1]);
+      if (!list || list.ordered !== ordered) {
+        flush();
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push(parseInline(listItem[2]));
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      if (list) {
+        flush();
+      }
+      paragraph.push(line.trim());
+    }
+  });
+  flush();
+
+  return doc;
+};
+
+// Every article and section of the constitution in document order, each with the title of the
+// article it belongs to (null for the articles themselves), for pickers and proposal matching
+export const listSections = (markdown) => parseConstitution(markdown).articles.flatMap(article => [
+  { ...article, articleTitle: null },
+  ...article.sections.map(section => ({ ...section, articleTitle: article.title })),
+]);
+
+// Counts case-insensitive occurrences of term in the visible text of a parsed constitution
+export const countMatches = (doc, term) => {
+  if (!term) {
+    return 0;
+  }
+  const needle = term.toLowerCase();
+  const countIn = (text) => text.toLowerCase().split(needle).length - 1;
+  const countInline = (inline) => inline.reduce((sum, token) => sum + countIn(token.text), 0);
+  const countBlocks = (blocks) => blocks.reduce((sum, block) => (
+    sum + (block.type === 'list'
+      ? block.items.reduce((itemSum, item) => itemSum + countInline(item), 0)
+      : countInline(block.inline))
+  ), 0);
+
+  return countBlocks(doc.preamble) + doc.articles.reduce((sum, article) => (
+    sum + countIn(article.title) + countBlocks(article.blocks)
+      + article.sections.reduce((sectionSum, section) => (
+        sectionSum + countIn(section.title) + countBlocks(section.blocks)
+      ), 0)
+  ), 0);
+};
+
+// Finds the raw Markdown lines that make up the body of an article or section, identified by
+// its anchor. Returns { headingLine, start, end } (body is lines start..end-1) or null.
+export const findSectionRange = (markdown, anchor) => {
+  const lines = (markdown || '').split('\n');
+  let articleNumber = 0;
+  let sectionNumber = 0;
+  let target = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const heading = lines[index].match(/^(#{1,6})\s+/);
+    if (!heading) {
+      continue;
+    }
+    const level = heading[1].length;
+
+    // The body ends at the next article or section heading, so an article's body is only
+    // its introduction and never swallows its sections
+    if (target && level <= 2) {
+      return { headingLine: target.headingLine, start: target.headingLine + 1, end: index };
+    }
+
+    if (level === 1) {
+      articleNumber += 1;
+      sectionNumber = 0;
+      if (articleAnchor(articleNumber) === anchor) {
+        target = { headingLine: index };
+      }
+    } else if (level === 2 && articleNumber > 0) {
+      sectionNumber += 1;
+      if (sectionAnchor(articleNumber, sectionNumber) === anchor) {
+        target = { headingLine: index };
+      }
+    }
+  }
+
+  return target ? { headingLine: target.headingLine, start: target.headingLine + 1, end: lines.length } : null;
+};
+
+// Returns the Markdown body of an article or section (without its heading)
+export const getSectionBody = (markdown, anchor) => {
+  const range = findSectionRange(markdown, anchor);
+  if (!range) {
+    return null;
+  }
+  return markdown.split('\n').slice(range.start, range.end).join('\n').trim();
+};
+
+// Returns the constitution with one article or section body replaced, or null if the anchor no longer exists
+export const replaceSectionBody = (markdown, anchor, newBody) => {
+  const range = findSectionRange(markdown, anchor);
+  if (!range) {
+    return null;
+  }
+  const lines = markdown.split('\n');
+  const trailingBlank = range.end < lines.length ? [''] : [];
+  return [
+    ...lines.slice(0, range.start),
+    ...newBody.trim().split('\n'),
+    ...trailingBlank,
+    ...lines.slice(range.end),
+  ].join('\n');
+};
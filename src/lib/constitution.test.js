@@ -0,0 +1,81 @@
+import { parseConstitution, parseInline, countMatches, toRoman, sectionLabel, getSectionBody, replaceSectionBody } from './constitution';
+
+const bylaws = `Welcome to the league.
+
+# Article I: Membership
+Twelve teams.
+
+## Section 1. Dues
+Dues are **$100**.
+
+## Payment deadline
+- Paid before the draft
+- Late fees apply
+
+# Scoring
+## Passing
+1. 4 points per TD
+2. -2 per interception`;
+
+test('numbers articles and sections automatically', () => {
+  const doc = parseConstitution(bylaws);
+
+  expect(doc.articles.map(article => article.title)).toEqual(['Membership', 'Scoring']);
+  expect(doc.articles[0].sections.map(section => section.title)).toEqual(['Dues', 'Payment deadline']);
+  expect(doc.articles[0].sections[1]).toMatchObject({ anchor: 'article-1-section-2', label: 'Article I §2' });
+  expect(doc.articles[1]).toMatchObject({ anchor: 'article-2', label: 'Article II' });
+});
+
+test('parses paragraphs and lists into the right section', () => {
+  const doc = parseConstitution(bylaws);
+
+  expect(doc.preamble).toEqual([{ type: 'paragraph', inline: [{ type: 'text', text: 'Welcome to the league.' }] }]);
+  expect(doc.articles[0].sections[1].blocks[0]).toMatchObject({ type: 'list', ordered: false });
+  expect(doc.articles[0].sections[1].blocks[0].items).toHaveLength(2);
+  expect(doc.articles[1].sections[0].blocks[0]).toMatchObject({ type: 'list', ordered: true });
+});
+
+test('parses inline formatting and drops unsafe links', () => {
+  expect(parseInline('Pay **now** or see [rules](#article-1) and `code`')).toEqual([
+    { type: 'text', text: 'Pay ' },
+    { type: 'strong', text: 'now' },
+    { type: 'text', text: ' or see ' },
+    { type: 'link', text: 'rules', href: '#article-1' },
+    { type: 'text', text: ' and ' },
+    { type: 'code', text: 'code' },
+  ]);
+  expect(parseInline('[click](javascript:alert(1))')[0].type).not.toBe('link');
+});
+
+test('counts search matches in visible text', () => {
+  const doc = parseConstitution(bylaws);
+  expect(countMatches(doc, 'paid')).toBe(1);
+  expect(countMatches(doc, 'PASSING')).toBe(1);
+  expect(countMatches(doc, '')).toBe(0);
+});
+
+test('formats roman numerals and section labels', () => {
+  expect(toRoman(4)).toBe('IV');
+  expect(toRoman(14)).toBe('XIV');
+  expect(sectionLabel(4, 2)).toBe('Article IV §2');
+});
+
+test('reads and replaces a single section body', () => {
+  expect(getSectionBody(bylaws, 'article-1-section-1')).toBe('Dues are **$100**.');
+
+  const amended = replaceSectionBody(bylaws, 'article-1-section-1', 'Dues are **$150**.');
+  expect(getSectionBody(amended, 'article-1-section-1')).toBe('Dues are **$150**.');
+  expect(getSectionBody(amended, 'article-1-section-2')).toBe(getSectionBody(bylaws, 'article-1-section-2'));
+  expect(amended.split('\n')).toHaveLength(bylaws.split('\n').length);
+});
+
+test('replacing an article body keeps its sections', () => {
+  const amended = replaceSectionBody(bylaws, 'article-1', 'Fourteen teams.');
+  expect(getSectionBody(amended, 'article-1')).toMatch(/^Fourteen teams\./);
+  expect(parseConstitution(amended).articles[0].sections).toHaveLength(2);
+});
+
+test('returns null for sections that do not exist', () => {
+  expect(replaceSectionBody(bylaws, 'article-9', 'text')).toBeNull();
+  expect(getSectionBody(bylaws, 'article-1-section-5')).toBeNull();
+});
@@ -0,0 +1,14 @@
+import { parseCsv, toCsv } from './csv';
+
+test('parses quoted fields, escaped quotes and CRLF line endings', () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\nlast,\n')).toEqual([
+    ['a', 'b'],
+    ['x, y', 'say "hi"'],
+    ['last', ''],
+  ]);
+});
+
+test('round-trips values through toCsv', () => {
+  const rows = [['year', 'name'], [2023, 'Ponies, "The"'], [2024, null]];
+  expect(parseCsv(toCsv(rows))).toEqual([['year', 'name'], ['2023', 'Ponies, "The"'], ['2024', '']]);
+});
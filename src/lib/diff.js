@@ -0,0 +1,44 @@
+// Line-level diff between two texts, used to compare constitution revisions.
+
+// Returns a list of { type: 'same' | 'added' | 'removed', text } entries that turn
+// oldText into newText, based on the longest common subsequence of lines.
+export const diffLines = (oldText, newText) => {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  // lcs[i][j] = length of the longest common subsequence of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', text: newLines[j] });
+      j++;
+    }
+  }
+  while (i < n) {
+    result.push({ type: 'removed', text: oldLines[i++] });
+  }
+  while (j < m) {
+    result.push({ type: 'added', text: newLines[j++] });
+  }
+  return result;
+};
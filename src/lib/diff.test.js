@@ -0,0 +1,20 @@
+import { diffLines } from './diff';
+
+test('marks added, removed and unchanged lines', () => {
+  const oldText = 'Article I\nTrades close week 10\nArticle II';
+  const newText = 'Article I\nTrades close week 12\nArticle II\nArticle III';
+
+  expect(diffLines(oldText, newText)).toEqual([
+    { type: 'same', text: 'Article I' },
+    { type: 'removed', text: 'Trades close week 10' },
+    { type: 'added', text: 'Trades close week 12' },
+    { type: 'same', text: 'Article II' },
+    { type: 'added', text: 'Article III' },
+  ]);
+});
+
+test('handles empty revisions', () => {
+  expect(diffLines('', 'New rule')).toEqual([{ type: 'added', text: 'New rule' }]);
+  expect(diffLines('Old rule', '')).toEqual([{ type: 'removed', text: 'Old rule' }]);
+  expect(diffLines('', '')).toEqual([]);
+});
@@ -0,0 +1,212 @@
+import { createRandom, hashSeed } from './playoffOdds';
+import { rankSeasonStandings } from './standings';
+import { isChampion, isRunnerUp } from './history';
+
+// Draft room helpers.
+//
+// A draft document lives at drafts/{season}: { season, status, teams: [{ id, name }] in first-round
+// order, rounds, snake, pickSeconds, keepers: [{ teamId, player, round }], lottery, picks: [{ pick,
+// round, teamId, player, keeper?, auto?, skipped? }], onClockTeamId, clockStartedAt }. Status goes setup ->
+// live -> complete, and the completed document is that season's archived draft grid. Picks are kept
+// in the order they were made; keepers are filled in when the draft starts.
+//
+// A live draft also stores pickOrder (each pick's team, by pick number) and openPicks (the pick
+// numbers still to be made, in order), so the security rules can check an owner's pick against
+// the slot on the clock without working out the snake order themselves.
+
+export const DRAFT_STATUS = {
+  SETUP: 'setup',
+  LIVE: 'live',
+  COMPLETE: 'complete',
+};
+
+export const DEFAULT_DRAFT_ROUNDS = 15;
+export const DEFAULT_PICK_SECONDS = 90;
+
+const normalize = (player) => String(player || '').trim().toLowerCase();
+
+// A past season's final finish: champion, runner-up, then everyone else by regular-season rank
+export const finalFinish = (season, settings = {}) => {
+  const ranked = rankSeasonStandings(season.standings, settings);
+  const champions = ranked.filter(row => isChampion(season, row));
+  const runnersUp = ranked.filter(row => !isChampion(season, row) && isRunnerUp(season, row));
+  return [...champions, ...runnersUp, ...ranked.filter(row => !champions.includes(row) && !runnersUp.includes(row))];
+};
+
+// First-round order (team ids) from the previous season: the reverse of its final finish, so the
+// champion picks last. Current teams are matched to last season's rows by manager (see
+// lib/managers) or team name; teams that weren't in the league last season pick first.
+export const draftOrderFromStandings = (teams, season, { identify = null, settings = {} } = {}) => {
+  if (!season) {
+    return teams.map(team => team.id);
+  }
+  const managerOf = (entry) => (identify ? identify(entry).id : null);
+  const remaining = [...teams];
+  const ordered = [];
+  [...finalFinish(season, settings)].reverse().forEach(row => {
+    const rowManager = managerOf({ ...row, id: undefined });
+    const index = remaining.findIndex(team => team.name === row.name || (rowManager && managerOf(team) === rowManager));
+    if (index >= 0) {
+      ordered.push(remaining.splice(index, 1)[0].id);
+    }
+  });
+  return [...remaining.map(team => team.id), ...ordered];
+};
+
+// Weighted lottery for the first `teamCount` picks. The team at the top of the order gets
+// teamCount chances, the next one fewer, down to one; picks are drawn without replacement.
+// Deterministic from the seed, so the result can be reproduced. Returns the new order and the draws.
+export const runLottery = (order, teamCount, seed) => {
+  const count = Math.min(Math.max(Math.floor(Number(teamCount)) || 0, 0), order.length);
+  if (count < 2) {
+    return { order: [...order], draws: [] };
+  }
+  const random = createRandom(hashSeed(seed));
+  const pool = order.slice(0, count).map((teamId, index) => ({ teamId, chances: count - index, previousPick: index + 1 }));
+  const draws = [];
+  while (pool.length) {
+    let ticket = random() * pool.reduce((sum, entry) => sum + entry.chances, 0);
+    const index = pool.findIndex(entry => (ticket -= entry.chances) < 0);
+    draws.push({ pick: draws.length + 1, ...pool.splice(index === -1 ? pool.length - 1 : index, 1)[0] });
+  }
+  return { order: [...draws.map(draw => draw.teamId), ...order.slice(count)], draws };
+};
+
+// Every pick in the draft: { pick, round, roundPick, teamId }. In a snake draft even rounds run in
+// reverse order.
+export const draftSlots = (order, rounds, snake = true) => {
+  const slots = [];
+  for (let round = 1; round <= rounds; round++) {
+    const roundOrder = snake && round % 2 === 0 ? [...order].reverse() : order;
+    roundOrder.forEach((teamId, index) => {
+      slots.push({ pick: slots.length + 1, round, roundPick: index + 1, teamId });
+    });
+  }
+  return slots;
+};
+
+const slotsOf = (draft) => draftSlots(draft.teams.map(team => team.id), draft.rounds, draft.snake !== false);
+
+// Each pick's team by pick number (index pick - 1), stored when the draft starts
+export const pickOrder = (draft) => slotsOf(draft).map(slot => slot.teamId);
+
+// The clock fields to write with a draft's picks: the picks, the pick numbers still open and who is on
+// the clock (null once every pick is made)
+export const pickState = (draft, picks) => {
+  const slots = slotsOf(draft);
+  const filled = new Set(picks.map(pick => pick.pick));
+  const openPicks = slots.filter(slot => !filled.has(slot.pick)).map(slot => slot.pick);
+  return { picks, openPicks, onClockTeamId: openPicks.length > 0 ? slots[openPicks[0] - 1].teamId : null };
+};
+
+// Problems with keeper designations: unknown teams, rounds outside the draft, a team keeping two
+// players with the same round cost, blank or repeated players
+export const validateKeepers = (keepers, teamIds, rounds) => {
+  const errors = [];
+  const seenSlots = new Set();
+  const seenPlayers = new Set();
+  keepers.forEach(keeper => {
+    const round = Number(keeper.round);
+    if (!teamIds.includes(keeper.teamId)) {
+      errors.push(`Keeper ${keeper.player || '(no player)'} has no team.`);
+    }
+    if (!normalize(keeper.player)) {
+      errors.push('Every keeper needs a player.');
+    } else if (seenPlayers.has(normalize(keeper.player))) {
+      errors.push(`${keeper.player} is kept twice.`);
+    }
+    if (!Number.isInteger(round) || round < 1 || round > rounds) {
+      errors.push(`${keeper.player || 'A keeper'} costs round ${keeper.round}, but the draft has ${rounds} rounds.`);
+    } else if (seenSlots.has(`${keeper.teamId}:${round}`)) {
+      errors.push(`A team has two keepers costing round ${round}.`);
+    }
+    seenSlots.add(`${keeper.teamId}:${round}`);
+    seenPlayers.add(normalize(keeper.player));
+  });
+  return errors;
+};
+
+// Keepers as picks: each takes its team's pick in the round it costs
+export const keeperPicks = (draft) => {
+  const slots = slotsOf(draft);
+  return (draft.keepers || []).map(keeper => {
+    const slot = slots.find(s => s.teamId === keeper.teamId && s.round === Number(keeper.round));
+    return { pick: slot.pick, round: slot.round, teamId: slot.teamId, player: keeper.player.trim(), keeper: true };
+  });
+};
+
+// Every slot with its selection (or null), in pick order
+export const draftBoard = (draft) => {
+  const byPick = new Map((draft.picks || []).map(pick => [pick.pick, pick]));
+  return slotsOf(draft).map(slot => ({ ...slot, selection: byPick.get(slot.pick) || null }));
+};
+
+// The first pick still to be made, or null when the draft is done
+export const currentSlot = (draft) => draftBoard(draft).find(slot => !slot.selection) || null;
+
+export const isPlayerTaken = (draft, player) =>
+  (draft.picks || []).some(pick => normalize(pick.player) === normalize(player));
+
+// First player in a team's queue who is still available
+export const autopickPlayer = (queue, draft) => (queue || []).find(player => !isPlayerTaken(draft, player)) || null;
+
+// Picks after `player` is taken with the current pick, with the open picks and who is on the clock
+// next (null when that was the last pick). Throws if the player is gone or the draft is over.
+export const applyPick = (draft, player, extra = {}) => {
+  const slot = currentSlot(draft);
+  if (!slot) {
+    throw new Error('Every pick has been made.');
+  }
+  if (!normalize(player)) {
+    throw new Error('Enter a player.');
+  }
+  if (isPlayerTaken(draft, player)) {
+    throw new Error(`${player.trim()} has already been drafted.`);
+  }
+  const picks = [...(draft.picks || []), { pick: slot.pick, round: slot.round, teamId: slot.teamId, player: player.trim(), ...extra }];
+  return { slot, ...pickState(draft, picks) };
+};
+
+// Passes on the current pick, for when the clock ran out and the team's queue has no one left: the
+// slot is recorded as skipped, with no player, and the clock moves on. Throws if the draft is over.
+export const skipPick = (draft) => {
+  const slot = currentSlot(draft);
+  if (!slot) {
+    throw new Error('Every pick has been made.');
+  }
+  const picks = [...(draft.picks || []), { pick: slot.pick, round: slot.round, teamId: slot.teamId, player: null, auto: true, skipped: true }];
+  return { slot, ...pickState(draft, picks) };
+};
+
+// Takes back the most recent pick (keepers stay). Returns null when there is nothing to undo.
+export const undoLastPick = (draft) => {
+  const picks = draft.picks || [];
+  const index = picks.map(pick => !pick.keeper).lastIndexOf(true);
+  if (index === -1) {
+    return null;
+  }
+  return { undone: picks[index], ...pickState(draft, picks.filter((_, i) => i !== index)) };
+};
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime());
+
+// Whole seconds left on the pick clock
+export const secondsLeft = (draft, now = Date.now()) => {
+  const seconds = draft.pickSeconds || DEFAULT_PICK_SECONDS;
+  if (!draft.clockStartedAt) {
+    return seconds;
+  }
+  return Math.max(0, Math.ceil((toMillis(draft.clockStartedAt) + seconds * 1000 - now) / 1000));
+};
+
+// The board as a grid: one row per round with each team's selection, in first-round team order
+export const draftGrid = (draft) => {
+  const board = draftBoard(draft);
+  return Array.from({ length: draft.rounds }, (_, index) => {
+    const round = index + 1;
+    return {
+      round,
+      cells: draft.teams.map(team => board.find(slot => slot.round === round && slot.teamId === team.id)),
+    };
+  });
+};
@@ -0,0 +1,147 @@
+import {
+  draftOrderFromStandings,
+  runLottery,
+  draftSlots,
+  validateKeepers,
+  keeperPicks,
+  currentSlot,
+  applyPick,
+  skipPick,
+  undoLastPick,
+  pickOrder,
+  autopickPlayer,
+  secondsLeft,
+  draftGrid,
+} from './draft';
+import { createManagerIdentifier } from './managers';
+
+const teams = [
+  { id: 'a', name: 'Party Ponies', manager: 'Jordan' },
+  { id: 'b', name: 'Gridiron Gurus', manager: 'Sam' },
+  { id: 'c', name: 'Renamed Sharks', manager: 'Alex' },
+  { id: 'd', name: 'Expansion Team', manager: 'Newbie' },
+];
+
+const lastSeason = {
+  year: 2025,
+  championshipTeam: 'Gridiron Gurus',
+  runnerUpTeam: 'Taco Corp',
+  standings: [
+    { name: 'Party Ponies', manager: 'Jordan', wins: 10, losses: 4, ties: 0 },
+    { name: 'Gridiron Gurus', manager: 'Sam', wins: 8, losses: 6, ties: 0 },
+    { name: 'Taco Corp', manager: 'Riley', wins: 7, losses: 7, ties: 0 },
+    { name: 'Sharks', manager: 'Alex', wins: 3, losses: 11, ties: 0 },
+  ],
+};
+
+const draft = (overrides = {}) => ({
+  teams: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }],
+  rounds: 3,
+  snake: true,
+  pickSeconds: 60,
+  keepers: [],
+  picks: [],
+  ...overrides,
+});
+
+test('orders the draft in reverse of the final finish, matching teams by manager', () => {
+  const identify = createManagerIdentifier([]);
+  // The champion picks last and the runner-up (no longer in the league) drops out; the new team picks first
+  expect(draftOrderFromStandings(teams, lastSeason, { identify })).toEqual(['d', 'c', 'a', 'b']);
+  expect(draftOrderFromStandings(teams, null)).toEqual(['a', 'b', 'c', 'd']);
+});
+
+test('the lottery is weighted, covers only the lottery picks and is reproducible', () => {
+  const order = ['a', 'b', 'c', 'd', 'e'];
+  const result = runLottery(order, 3, '2026');
+  expect(result).toEqual(runLottery(order, 3, '2026'));
+  expect([...result.order.slice(0, 3)].sort()).toEqual(['a', 'b', 'c']);
+  expect(result.order.slice(3)).toEqual(['d', 'e']);
+  expect(result.draws[0]).toMatchObject({ pick: 1 });
+  expect(runLottery(order, 0, 'x').order).toEqual(order);
+
+  // Over many seeds, the worst team wins the top pick most often
+  const wins = { a: 0, b: 0, c: 0 };
+  for (let seed = 0; seed < 600; seed++) wins[runLottery(order, 3, seed).order[0]] += 1;
+  expect(wins.a).toBeGreaterThan(wins.b);
+  expect(wins.b).toBeGreaterThan(wins.c);
+});
+
+test('snake drafts reverse every other round', () => {
+  expect(draftSlots(['a', 'b', 'c'], 2).map(slot => slot.teamId)).toEqual(['a', 'b', 'c', 'c', 'b', 'a']);
+  expect(draftSlots(['a', 'b', 'c'], 2, false).map(slot => slot.teamId)).toEqual(['a', 'b', 'c', 'a', 'b', 'c']);
+});
+
+test('keepers use up their team\'s pick in the round they cost', () => {
+  const keepers = [{ teamId: 'c', player: 'Bijan Robinson', round: 2 }];
+  expect(validateKeepers(keepers, ['a', 'b', 'c'], 3)).toEqual([]);
+  expect(keeperPicks(draft({ keepers }))).toEqual([{ pick: 4, round: 2, teamId: 'c', player: 'Bijan Robinson', keeper: true }]);
+
+  expect(validateKeepers([
+    { teamId: 'a', player: 'X', round: 4 },
+    { teamId: 'b', player: 'Y', round: 1 },
+    { teamId: 'b', player: 'Z', round: 1 },
+    { teamId: 'c', player: 'y', round: 2 },
+  ], ['a', 'b', 'c'], 3)).toEqual([
+    'X costs round 4, but the draft has 3 rounds.',
+    'A team has two keepers costing round 1.',
+    'y is kept twice.',
+  ]);
+});
+
+test('picks skip keeper slots and move the clock along', () => {
+  let state = draft({ picks: [{ pick: 4, round: 2, teamId: 'c', player: 'Kept Guy', keeper: true }] });
+  ['P1', 'P2'].forEach(player => {
+    state = { ...state, ...applyPick(state, player) };
+  });
+  const { slot, picks, openPicks, onClockTeamId } = applyPick(state, 'P3');
+  expect(slot).toMatchObject({ pick: 3, teamId: 'c' });
+  // Pick 4 is the keeper, so B is up next with pick 5
+  expect(onClockTeamId).toBe('b');
+  expect(openPicks).toEqual([5, 6, 7, 8, 9]);
+  expect(pickOrder(state)).toEqual(['a', 'b', 'c', 'c', 'b', 'a', 'a', 'b', 'c']);
+  expect(currentSlot({ ...state, picks })).toMatchObject({ pick: 5, round: 2 });
+  expect(() => applyPick(state, 'kept guy')).toThrow('already been drafted');
+});
+
+test('undo takes back the latest pick but never a keeper', () => {
+  const state = draft({ picks: [{ pick: 4, round: 2, teamId: 'c', player: 'Kept Guy', keeper: true }, { pick: 1, round: 1, teamId: 'a', player: 'P1' }] });
+  const undone = undoLastPick(state);
+  expect(undone.undone.player).toBe('P1');
+  expect(undone.onClockTeamId).toBe('a');
+  expect(undoLastPick({ ...state, picks: undone.picks })).toBeNull();
+});
+
+test('autopick takes the first available player in the queue', () => {
+  const state = draft({ picks: [{ pick: 1, round: 1, teamId: 'a', player: 'CeeDee Lamb' }] });
+  expect(autopickPlayer(['ceedee lamb', 'Puka Nacua'], state)).toBe('Puka Nacua');
+  expect(autopickPlayer(['CeeDee Lamb'], state)).toBeNull();
+  expect(autopickPlayer(undefined, state)).toBeNull();
+});
+
+test('an autopick with nobody left in the queue skips the slot', () => {
+  const state = draft({ picks: [{ pick: 1, round: 1, teamId: 'a', player: 'CeeDee Lamb' }] });
+  const { slot, picks, openPicks, onClockTeamId } = skipPick(state);
+  expect(slot).toMatchObject({ pick: 2, teamId: 'b' });
+  expect(picks[1]).toEqual({ pick: 2, round: 1, teamId: 'b', player: null, auto: true, skipped: true });
+  expect(onClockTeamId).toBe('c');
+  expect(openPicks).toEqual([3, 4, 5, 6, 7, 8, 9]);
+  // A skipped slot can be undone and picked by hand
+  expect(undoLastPick({ ...state, picks }).undone).toMatchObject({ pick: 2, skipped: true });
+  expect(() => skipPick(draft({ rounds: 0 }))).toThrow('Every pick has been made.');
+});
+
+test('counts down the pick clock', () => {
+  const start = new Date('2026-08-30T18:00:00Z');
+  const state = draft({ clockStartedAt: start });
+  expect(secondsLeft(state, start.getTime() + 15500)).toBe(45);
+  expect(secondsLeft(state, start.getTime() + 90000)).toBe(0);
+  expect(secondsLeft(draft())).toBe(60);
+});
+
+test('lays the board out as a grid of rounds by team', () => {
+  const grid = draftGrid(draft({ picks: [{ pick: 6, round: 2, teamId: 'a', player: 'Late Pick' }] }));
+  expect(grid).toHaveLength(3);
+  expect(grid[1].cells.map(cell => cell.pick)).toEqual([6, 5, 4]);
+  expect(grid[1].cells[0].selection.player).toBe('Late Pick');
+});
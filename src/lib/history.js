@@ -0,0 +1,127 @@
+import { winPercentage } from './standings';
+
+// All-time records computed from the historicalStandings season documents.
+//
+// A season document holds { year, standings: [{ name, manager, wins, losses, ties, pointsFor?,
+// championship?, runnerUp? }], championshipTeam?, runnerUpTeam?, games? }. The optional games list
+// ({ week, home, away, homeScore, awayScore, playoffRound? }, teams by name) feeds the weekly score
+// records and the head-to-head matrix.
+//
+// Rows are grouped by manager with an identify(row) -> { id, name } function (see
+// createManagerIdentifier in ./managers); by default a manager is the name stored on the row.
+
+const byManagerName = (row) => ({ id: row.manager || row.name, name: row.manager || row.name });
+
+export const isChampion = (season, row) => Boolean(row.championship) || Boolean(season.championshipTeam && season.championshipTeam === row.name);
+export const isRunnerUp = (season, row) => Boolean(row.runnerUp) || Boolean(season.runnerUpTeam && season.runnerUpTeam === row.name);
+
+const hasScores = (game) => typeof game.homeScore === 'number' && typeof game.awayScore === 'number';
+
+// A season's games with each side's manager looked up from the season's standings rows
+export const seasonGames = (season, identify = byManagerName) => {
+  const managerByTeam = Object.fromEntries((season.standings || []).map(row => [row.name, identify(row)]));
+  const managerOf = (team) => managerByTeam[team] || { id: team, name: team };
+  return (season.games || []).filter(hasScores).map((game, index) => ({
+    ...game,
+    id: `${season.year}-${index}`,
+    year: season.year,
+    homeManager: managerOf(game.home).name,
+    awayManager: managerOf(game.away).name,
+    homeManagerId: managerOf(game.home).id,
+    awayManagerId: managerOf(game.away).id,
+  }));
+};
+
+// All-time record per manager, best win percentage first
+export const managerRecords = (seasons, identify = byManagerName) => {
+  const records = new Map();
+  seasons.forEach(season => {
+    (season.standings || []).forEach(row => {
+      const { id, name } = identify(row);
+      if (!records.has(id)) {
+        records.set(id, { managerId: id, manager: name, seasons: 0, wins: 0, losses: 0, ties: 0, pointsFor: 0, championships: 0, runnerUps: 0 });
+      }
+      const record = records.get(id);
+      record.seasons += 1;
+      record.wins += row.wins || 0;
+      record.losses += row.losses || 0;
+      record.ties += row.ties || 0;
+      record.pointsFor += row.pointsFor || 0;
+      if (isChampion(season, row)) record.championships += 1;
+      if (isRunnerUp(season, row)) record.runnerUps += 1;
+    });
+  });
+
+  return [...records.values()]
+    .map(record => ({ ...record, pointsFor: Math.round(record.pointsFor * 100) / 100, winPct: winPercentage(record) }))
+    .sort((a, b) => b.winPct - a.winPct || b.championships - a.championships || a.manager.localeCompare(b.manager));
+};
+
+// Best and worst individual seasons by win percentage (points for breaks ties)
+export const seasonExtremes = (seasons, count = 5, identify = byManagerName) => {
+  const rows = seasons.flatMap(season => (season.standings || []).map(row => ({
+    year: season.year,
+    name: row.name,
+    manager: identify(row).name,
+    managerId: identify(row).id,
+    wins: row.wins || 0,
+    losses: row.losses || 0,
+    ties: row.ties || 0,
+    pointsFor: row.pointsFor || 0,
+    winPct: winPercentage(row),
+    champion: Boolean(isChampion(season, row)),
+  })));
+  const byRecord = (a, b) => b.winPct - a.winPct || b.pointsFor - a.pointsFor || a.year - b.year;
+  const sorted = [...rows].sort(byRecord);
+  return {
+    best: sorted.slice(0, count),
+    worst: sorted.reverse().slice(0, count),
+  };
+};
+
+// Highest and lowest single-week team scores across all recorded games
+export const weeklyScoreExtremes = (seasons, count = 5, identify = byManagerName) => {
+  const scores = seasons.flatMap(season => seasonGames(season, identify)).flatMap(game => [
+    { year: game.year, week: game.week, team: game.home, manager: game.homeManager, managerId: game.homeManagerId, opponent: game.away, score: game.homeScore },
+    { year: game.year, week: game.week, team: game.away, manager: game.awayManager, managerId: game.awayManagerId, opponent: game.home, score: game.awayScore },
+  ]);
+  const byScore = (a, b) => b.score - a.score || a.year - b.year || a.week - b.week;
+  const sorted = [...scores].sort(byScore);
+  return {
+    highest: sorted.slice(0, count),
+    lowest: sorted.reverse().slice(0, count),
+  };
+};
+
+// Manager-vs-manager results. Returns { managers, names, cells } where managers are ids sorted by
+// name, names maps id to name, and cells[a][b] is a's record against b with the games behind it
+// ({ wins, losses, ties, games }).
+export const headToHead = (seasons, identify = byManagerName) => {
+  const games = seasons.flatMap(season => seasonGames(season, identify));
+  const names = Object.fromEntries(seasons.flatMap(season => (season.standings || []).map(row => {
+    const { id, name } = identify(row);
+    return [id, name];
+  })));
+  const managers = Object.keys(names).sort((a, b) => names[a].localeCompare(names[b]));
+  const cells = Object.fromEntries(managers.map(a => [a, Object.fromEntries(
+    managers.filter(b => b !== a).map(b => [b, { wins: 0, losses: 0, ties: 0, games: [] }])
+  )]));
+
+  const record = (manager, opponent, teamScore, opponentScore, game) => {
+    const cell = cells[manager] && cells[manager][opponent];
+    if (!cell) {
+      return;
+    }
+    cell.games.push(game);
+    if (teamScore > opponentScore) cell.wins += 1;
+    else if (teamScore < opponentScore) cell.losses += 1;
+    else cell.ties += 1;
+  };
+
+  games.forEach(game => {
+    record(game.homeManagerId, game.awayManagerId, game.homeScore, game.awayScore, game);
+    record(game.awayManagerId, game.homeManagerId, game.awayScore, game.homeScore, game);
+  });
+
+  return { managers, names, cells };
+};
@@ -0,0 +1,72 @@
+import { managerRecords, seasonExtremes, weeklyScoreExtremes, headToHead, seasonGames } from './history';
+
+const seasons = [
+  {
+    year: 2023,
+    championshipTeam: 'Party Ponies',
+    runnerUpTeam: 'Gridiron Gurus',
+    standings: [
+      { name: 'Party Ponies', manager: 'Jordan', wins: 10, losses: 3, ties: 0, pointsFor: 1500.5 },
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 9, losses: 4, ties: 0, pointsFor: 1450 },
+      { name: 'Bench Warmers', manager: 'Sam', wins: 2, losses: 11, ties: 0, pointsFor: 1100 },
+    ],
+    games: [
+      { week: 1, home: 'Party Ponies', away: 'Gridiron Gurus', homeScore: 120, awayScore: 100 },
+      { week: 2, home: 'Gridiron Gurus', away: 'Bench Warmers', homeScore: 150.2, awayScore: 60.4 },
+      { week: 3, home: 'Bench Warmers', away: 'Party Ponies', homeScore: null, awayScore: null },
+    ],
+  },
+  {
+    year: 2024,
+    standings: [
+      { name: 'Pony Express', manager: 'Jordan', wins: 5, losses: 8, ties: 0 },
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 8, losses: 4, ties: 1, championship: true },
+    ],
+    games: [
+      { week: 1, home: 'Gridiron Gurus', away: 'Pony Express', homeScore: 110, awayScore: 110 },
+    ],
+  },
+];
+
+test('aggregates all-time records by manager across team names', () => {
+  const records = managerRecords(seasons);
+
+  expect(records.map(record => record.manager)).toEqual(['Alex', 'Jordan', 'Sam']);
+  expect(records[0]).toMatchObject({ seasons: 2, wins: 17, losses: 8, ties: 1, championships: 1, runnerUps: 1 });
+  expect(records[1]).toMatchObject({ seasons: 2, wins: 15, losses: 11, championships: 1, pointsFor: 1500.5 });
+});
+
+test('finds the best and worst seasons', () => {
+  const { best, worst } = seasonExtremes(seasons, 2);
+
+  expect(best.map(row => `${row.year} ${row.name}`)).toEqual(['2023 Party Ponies', '2023 Gridiron Gurus']);
+  expect(worst[0]).toMatchObject({ year: 2023, name: 'Bench Warmers', manager: 'Sam' });
+});
+
+test('finds the highest and lowest weekly scores, skipping unplayed games', () => {
+  const { highest, lowest } = weeklyScoreExtremes(seasons, 1);
+
+  expect(highest[0]).toMatchObject({ year: 2023, week: 2, team: 'Gridiron Gurus', score: 150.2 });
+  expect(lowest[0]).toMatchObject({ team: 'Bench Warmers', opponent: 'Gridiron Gurus', score: 60.4 });
+  expect(seasonGames(seasons[0])).toHaveLength(2);
+});
+
+test('builds a head-to-head matrix by manager with the games behind each cell', () => {
+  const { managers, cells } = headToHead(seasons);
+
+  expect(managers).toEqual(['Alex', 'Jordan', 'Sam']);
+  expect(cells.Jordan.Alex).toMatchObject({ wins: 1, losses: 0, ties: 1 });
+  expect(cells.Alex.Jordan).toMatchObject({ wins: 0, losses: 1, ties: 1 });
+  expect(cells.Jordan.Alex.games.map(game => game.year)).toEqual([2023, 2024]);
+  expect(cells.Sam.Jordan.games).toHaveLength(0);
+});
+
+test('groups renamed managers with an identify function', () => {
+  const identify = (row) => (row.manager === 'Jordan' || row.manager === 'Alex'
+    ? { id: 'ja', name: 'Jordan & Alex' }
+    : { id: row.manager, name: row.manager });
+  const records = managerRecords(seasons, identify);
+
+  expect(records.find(record => record.managerId === 'ja')).toMatchObject({ seasons: 4, wins: 32, championships: 2 });
+  expect(headToHead(seasons, identify).names).toEqual({ ja: 'Jordan & Alex', Sam: 'Sam' });
+});
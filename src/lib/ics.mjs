@@ -0,0 +1,162 @@
+// iCalendar (RFC 5545) export of the schedule: one event per matchup week, plus the draft and the trade
+// deadline. Used by the Schedule tab's download and by scripts/build-calendars.mjs, which writes each
+// team's subscribable feed at build time, so this module imports nothing and is an .mjs file Node loads
+// as-is.
+//
+// Games are dated from the league's `seasonStartDate` (the first day of week 1): week N starts
+// 7 * (N - 1) days later and its event covers that whole week. Dates are all-day, and `draftDate`
+// may carry a local time ("2026-08-30T19:00"), so no event depends on the viewer's time zone.
+
+const PRODUCT_ID = '-//Party Ponies FF//League Calendar//EN';
+const DRAFT_HOURS = 3;
+
+// Escapes a TEXT value: backslashes, semicolons, commas and newlines
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+// Splits a content line into lines of at most 75 octets, continuations starting with a space,
+// without cutting a character in half
+export const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = lines.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// "YYYY-MM-DD" → a UTC Date, or null when the text isn't a date
+const parseDate = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text || '');
+  return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+const formatDate = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+const formatStamp = (date) => `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// The first day of a week of the season, or null without a season start date
+export const weekStartDate = (seasonStartDate, week) => {
+  const start = parseDate(seasonStartDate);
+  return start ? addDays(start, 7 * (Number(week) - 1)) : null;
+};
+
+// An all-day event from `start` for `days` days
+const allDay = (start, days = 1) => [
+  `DTSTART;VALUE=DATE:${formatDate(start)}`,
+  `DTEND;VALUE=DATE:${formatDate(addDays(start, days))}`,
+];
+
+// The draft: an evening block at its local time when one is given, otherwise all day
+const draftTimes = (draftDate) => {
+  const date = parseDate(draftDate);
+  const time = /T(\d{2}):(\d{2})/.exec(draftDate);
+  if (!time) {
+    return allDay(date);
+  }
+  const start = `${formatDate(date)}T${time[1]}${time[2]}00`;
+  const endHour = Number(time[1]) + DRAFT_HOURS;
+  const end = endHour < 24
+    ? `${formatDate(date)}T${pad(endHour)}${time[2]}00`
+    : `${formatDate(addDays(date, 1))}T${pad(endHour - 24)}${time[2]}00`;
+  return [`DTSTART:${start}`, `DTEND:${end}`];
+};
+
+const finalScore = (game, home, away) => (
+  game.homeScore !== null && game.homeScore !== undefined && game.awayScore !== null && game.awayScore !== undefined
+    ? `Final: ${home} ${game.homeScore}, ${away} ${game.awayScore}`
+    : null
+);
+
+// Calendar events for the schedule in its on-screen order, limited to one team's games when teamId is
+// given. Each event is { uid, summary, description, times } with `times` its DTSTART/DTEND lines.
+// Games are left out when the league has no season start date.
+export const scheduleEvents = ({ teams, schedule, settings = {}, leagueId, teamId = null }) => {
+  const season = settings.season;
+  const teamName = (id) => (teams.find(team => team.id === id) || {}).name || 'TBD';
+  const uid = (key) => `${season}-${key}.${leagueId}@party-ponies-ff`;
+  const events = [];
+
+  const draftDate = parseDate(settings.draftDate);
+  if (draftDate) {
+    events.push({ uid: uid('draft'), summary: `${season} Draft`, description: null, times: draftTimes(settings.draftDate) });
+  }
+
+  if (settings.seasonStartDate && parseDate(settings.seasonStartDate)) {
+    schedule
+      .filter(game => !teamId || game.homeTeamId === teamId || game.awayTeamId === teamId)
+      .forEach(game => {
+        const home = teamName(game.homeTeamId);
+        const away = teamName(game.awayTeamId);
+        const label = game.playoffRound ? `Week ${game.week} (Playoffs)` : `Week ${game.week}`;
+        events.push({
+          uid: uid(game.id),
+          summary: `${label}: ${home} vs ${away}`,
+          description: finalScore(game, home, away),
+          times: allDay(weekStartDate(settings.seasonStartDate, game.week), 7),
+        });
+      });
+  }
+
+  const tradeDeadline = parseDate(settings.tradeDeadline);
+  if (tradeDeadline) {
+    events.push({ uid: uid('trade-deadline'), summary: 'Trade Deadline', description: null, times: allDay(tradeDeadline) });
+  }
+  return events;
+};
+
+// The calendar file: CRLF line endings, long lines folded. `now` stamps every event.
+export const toIcs = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // How often subscribed calendar apps should check for changes
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatStamp(now)}`,
+      ...event.times,
+      `SUMMARY:${escapeText(event.summary)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+      'END:VEVENT',
+    ]),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Where the build puts a team's feed, relative to the site root
+export const teamCalendarPath = (leagueId, teamId) => `calendars/${leagueId}/${teamId}.ics`;
+
+// Calendar name shown in calendar apps: the league's season, or one team's games in it
+export const calendarName = (leagueName, season, team = null) => (
+  team ? `${team.name} – ${leagueName} ${season}` : `${leagueName} ${season}`
+);
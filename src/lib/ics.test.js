@@ -0,0 +1,77 @@
+import { escapeText, foldLine, weekStartDate, scheduleEvents, toIcs } from './ics.mjs';
+
+const teams = [
+  { id: 'a', name: 'Party Ponies' },
+  { id: 'b', name: 'Gridiron Gurus' },
+  { id: 'c', name: 'Sharks' },
+  { id: 'd', name: 'Taco Corp' },
+];
+
+const schedule = [
+  { id: 'week-1-game-1', week: 1, homeTeamId: 'a', awayTeamId: 'b', homeScore: 130.5, awayScore: 90.2 },
+  { id: 'week-1-game-2', week: 1, homeTeamId: 'c', awayTeamId: 'd', homeScore: null, awayScore: null },
+  { id: 'week-15-game-1', week: 15, homeTeamId: 'c', awayTeamId: 'a', playoffRound: 1 },
+];
+
+const settings = { season: 2026, seasonStartDate: '2026-09-10', draftDate: '2026-08-30T22:30', tradeDeadline: '2026-11-18' };
+
+test('escapes text values and folds long lines at 75 octets without splitting characters', () => {
+  expect(escapeText('Tacos, beer; and\\more\nlater')).toBe('Tacos\\, beer\\; and\\\\more\\nlater');
+
+  const folded = foldLine(`SUMMARY:${'🏈'.repeat(30)}`).split('\r\n');
+  expect(folded.map(line => Buffer.byteLength(line)).every(length => length <= 75)).toBe(true);
+  expect(folded.slice(1).every(line => line.startsWith(' '))).toBe(true);
+  expect(folded.map((line, index) => (index ? line.slice(1) : line)).join('')).toBe(`SUMMARY:${'🏈'.repeat(30)}`);
+});
+
+test('weeks are counted from the season start date', () => {
+  expect(weekStartDate('2026-09-10', 1)).toEqual(new Date('2026-09-10T00:00:00Z'));
+  expect(weekStartDate('2026-09-10', 9)).toEqual(new Date('2026-11-05T00:00:00Z'));
+  expect(weekStartDate(undefined, 3)).toBeNull();
+});
+
+test('a team feed has its games in schedule order between the draft and the trade deadline', () => {
+  const events = scheduleEvents({ teams, schedule, settings, leagueId: 'party-ponies', teamId: 'a' });
+  expect(events.map(event => event.summary)).toEqual([
+    '2026 Draft',
+    'Week 1: Party Ponies vs Gridiron Gurus',
+    'Week 15 (Playoffs): Sharks vs Party Ponies',
+    'Trade Deadline',
+  ]);
+  expect(events[0].times).toEqual(['DTSTART:20260830T223000', 'DTEND:20260831T013000']);
+  expect(events[1]).toMatchObject({
+    uid: '2026-week-1-game-1.party-ponies@party-ponies-ff',
+    description: 'Final: Party Ponies 130.5, Gridiron Gurus 90.2',
+    times: ['DTSTART;VALUE=DATE:20260910', 'DTEND;VALUE=DATE:20260917'],
+  });
+  expect(events[2].times[0]).toBe('DTSTART;VALUE=DATE:20261217');
+  expect(events[3].times).toEqual(['DTSTART;VALUE=DATE:20261118', 'DTEND;VALUE=DATE:20261119']);
+});
+
+test('games need a season start date', () => {
+  const events = scheduleEvents({ teams, schedule, settings: { season: 2026 }, leagueId: 'party-ponies' });
+  expect(events).toEqual([]);
+});
+
+test('writes a calendar with CRLF line endings', () => {
+  const events = scheduleEvents({ teams, schedule: schedule.slice(1, 2), settings: { season: 2026, seasonStartDate: '2026-09-10' }, leagueId: 'party-ponies' });
+  expect(toIcs({ name: 'Party Ponies, 2026', events, now: new Date('2026-09-01T12:00:00Z') }).split('\r\n')).toEqual([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Party Ponies FF//League Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Party Ponies\\, 2026',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    'BEGIN:VEVENT',
+    'UID:2026-week-1-game-2.party-ponies@party-ponies-ff',
+    'DTSTAMP:20260901T120000Z',
+    'DTSTART;VALUE=DATE:20260910',
+    'DTEND;VALUE=DATE:20260917',
+    'SUMMARY:Week 1: Sharks vs Taco Corp',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    '',
+  ]);
+});
@@ -0,0 +1,52 @@
+// Leagues hosted on this site. Each league keeps all of its data (members, settings, teams, news,
+// history, ...) under artifacts/{id}/public/data in Firestore, so switching leagues only changes that
+// id. `name` is shown until the league's own settings document loads. scripts/build-calendars.mjs
+// reads the list too, hence an .mjs file.
+const BUILT_IN_LEAGUES = [
+  { id: 'party-ponies', name: 'Party Ponies FF League' },
+];
+
+// Reads the REACT_APP_LEAGUES build setting, a JSON list of { id, name }. Entries without an id are
+// dropped; a missing or unreadable setting means the built-in list.
+export const parseLeagues = (config) => {
+  if (!config) {
+    return BUILT_IN_LEAGUES;
+  }
+  try {
+    const leagues = JSON.parse(config)
+      .filter(league => league && typeof league.id === 'string' && league.id)
+      .map(league => ({ id: league.id, name: league.name || league.id }));
+    return leagues.length > 0 ? leagues : BUILT_IN_LEAGUES;
+  } catch (error) {
+    console.error("Error reading REACT_APP_LEAGUES:", error);
+    return BUILT_IN_LEAGUES;
+  }
+};
+
+export const LEAGUES = parseLeagues(process.env.REACT_APP_LEAGUES);
+
+export const DEFAULT_LEAGUE_ID = LEAGUES[0].id;
+
+// localStorage key remembering the league a visitor last picked
+export const SELECTED_LEAGUE_KEY = 'selectedLeague';
+
+export const findLeague = (leagueId, leagues = LEAGUES) => leagues.find(league => league.id === leagueId) || null;
+
+// The league to open: a ?league= link first, then the visitor's last pick, then the first league
+export const initialLeagueId = (search = '', stored = null, leagues = LEAGUES) => {
+  const requested = new URLSearchParams(search).get('league');
+  return [requested, stored].find(leagueId => findLeague(leagueId, leagues)) || leagues[0].id;
+};
+
+// Settings used until (or unless) the league's settings document exists
+export const defaultLeagueSettings = (leagueId, leagues = LEAGUES) => ({
+  name: (findLeague(leagueId, leagues) || leagues[0]).name,
+  currentWeek: 1,
+  season: new Date().getFullYear(),
+});
+
+// Seasons the season selector offers: the current season, then every archived one, newest first
+export const seasonOptions = (currentSeason, archivedSeasons) => [...new Set([
+  Number(currentSeason),
+  ...archivedSeasons.map(season => Number(season.year)),
+])].sort((a, b) => b - a);
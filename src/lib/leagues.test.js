@@ -0,0 +1,23 @@
+import { DEFAULT_LEAGUE_ID, parseLeagues, initialLeagueId, defaultLeagueSettings, seasonOptions } from './leagues.mjs';
+
+test('opens a linked league, then the last pick, then the default', () => {
+  expect(initialLeagueId(`?league=${DEFAULT_LEAGUE_ID}`, 'unknown')).toBe(DEFAULT_LEAGUE_ID);
+  expect(initialLeagueId('?league=unknown', DEFAULT_LEAGUE_ID)).toBe(DEFAULT_LEAGUE_ID);
+  expect(initialLeagueId('', null)).toBe(DEFAULT_LEAGUE_ID);
+  expect(defaultLeagueSettings('unknown')).toMatchObject({ name: 'Party Ponies FF League', currentWeek: 1 });
+});
+
+test('lists the current season and every archived season, newest first', () => {
+  expect(seasonOptions('2025', [{ year: 2023 }, { year: 2024 }, { year: 2025 }])).toEqual([2025, 2024, 2023]);
+  expect(seasonOptions(2025, [])).toEqual([2025]);
+});
+
+test('reads the hosted leagues from the build setting', () => {
+  const leagues = parseLeagues('[{ "id": "party-ponies", "name": "Party Ponies" }, { "id": "dynasty" }, { "name": "No id" }]');
+  expect(leagues).toEqual([{ id: 'party-ponies', name: 'Party Ponies' }, { id: 'dynasty', name: 'dynasty' }]);
+  expect(initialLeagueId('?league=dynasty', null, leagues)).toBe('dynasty');
+  expect(initialLeagueId('', 'dynasty', leagues)).toBe('dynasty');
+  expect(defaultLeagueSettings('dynasty', leagues)).toMatchObject({ name: 'dynasty' });
+  expect(parseLeagues(undefined)).toEqual([{ id: 'party-ponies', name: 'Party Ponies FF League' }]);
+  expect(parseLeagues('[]')).toEqual([{ id: 'party-ponies', name: 'Party Ponies FF League' }]);
+});
@@ -0,0 +1,191 @@
+import { completedWeeks } from './analytics';
+import { isGameFinal } from './records';
+import { toCsv } from './csv';
+
+// League dues and payouts.
+//
+// The rules live in leagueSettings: `dues` (per team per season), `weeklyHighScoreBonus` (paid to each
+// regular-season week's top scorer, split on a tie) and `payouts`: [{ label, basis, place, amount }].
+// Everything else is a `ledger` document the commissioner records: { season, teamId, type, amount,
+// pot?, note, createdAt }. Amounts are signed from the manager's side: a positive balance means the
+// league owes the manager, a negative one means the manager still owes the league.
+
+export const LEDGER_ENTRY_TYPES = {
+  PAYMENT: 'payment',
+  SIDE_POT: 'sidePot',
+  SIDE_POT_WIN: 'sidePotWin',
+  PAID_OUT: 'paidOut',
+  ADJUSTMENT: 'adjustment',
+};
+
+export const LEDGER_ENTRY_LABELS = {
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'Payment received',
+  [LEDGER_ENTRY_TYPES.SIDE_POT]: 'Side-pot buy-in',
+  [LEDGER_ENTRY_TYPES.SIDE_POT_WIN]: 'Side-pot winnings',
+  [LEDGER_ENTRY_TYPES.PAID_OUT]: 'Paid out',
+  [LEDGER_ENTRY_TYPES.ADJUSTMENT]: 'Adjustment',
+};
+
+// Which way each entry type moves the balance; adjustments keep the sign they were entered with
+const ENTRY_SIGNS = {
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 1,
+  [LEDGER_ENTRY_TYPES.SIDE_POT]: -1,
+  [LEDGER_ENTRY_TYPES.SIDE_POT_WIN]: 1,
+  [LEDGER_ENTRY_TYPES.PAID_OUT]: -1,
+  [LEDGER_ENTRY_TYPES.ADJUSTMENT]: 1,
+};
+
+export const PAYOUT_BASES = {
+  FINAL: 'final',
+  REGULAR_SEASON: 'regularSeason',
+  POINTS_FOR: 'pointsFor',
+};
+
+export const PAYOUT_BASIS_LABELS = {
+  [PAYOUT_BASES.FINAL]: 'Final finish',
+  [PAYOUT_BASES.REGULAR_SEASON]: 'Regular-season finish',
+  [PAYOUT_BASES.POINTS_FOR]: 'Most points for',
+};
+
+// Ledger columns, in table and CSV order; balance is the sum of the rest
+export const LEDGER_CATEGORIES = ['dues', 'sidePots', 'paid', 'highScore', 'payouts', 'sidePotWinnings', 'paidOut', 'adjustments'];
+
+export const LEDGER_CATEGORY_LABELS = {
+  dues: 'Dues',
+  sidePots: 'Side Pots',
+  paid: 'Paid',
+  highScore: 'High-Score Bonuses',
+  payouts: 'Payouts',
+  sidePotWinnings: 'Side-Pot Winnings',
+  paidOut: 'Paid Out',
+  adjustments: 'Adjustments',
+};
+
+const ENTRY_CATEGORIES = {
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'paid',
+  [LEDGER_ENTRY_TYPES.SIDE_POT]: 'sidePots',
+  [LEDGER_ENTRY_TYPES.SIDE_POT_WIN]: 'sidePotWinnings',
+  [LEDGER_ENTRY_TYPES.PAID_OUT]: 'paidOut',
+  [LEDGER_ENTRY_TYPES.ADJUSTMENT]: 'adjustments',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+// The top scorer of every completed regular-season week: { week, teamIds, score, amount } where
+// amount is each winner's share of the bonus
+export const highScoreBonuses = (schedule, bonus) => {
+  const regularSeason = schedule.filter(game => !game.playoffRound);
+  return completedWeeks(regularSeason).map(week => {
+    const scores = regularSeason.filter(game => game.week === week && isGameFinal(game)).flatMap(game => [
+      { teamId: game.homeTeamId, score: game.homeScore },
+      { teamId: game.awayTeamId, score: game.awayScore },
+    ]);
+    const score = Math.max(...scores.map(entry => entry.score));
+    const teamIds = scores.filter(entry => entry.score === score).map(entry => entry.teamId);
+    return { week, teamIds, score, amount: round2((Number(bonus) || 0) / teamIds.length) };
+  });
+};
+
+// Who each payout rule pays: { ...rule, teamId } with teamId null until it's decided. Final finish is
+// the champion, the runner-up, then everyone else in regular-season order; it's decided once the
+// championship bracket has a champion. Regular-season places and points for are decided once every
+// regular-season game is final.
+export const awardPayouts = (payouts, { standings, schedule, championId = null, runnerUpId = null }) => {
+  const regularSeason = schedule.filter(game => !game.playoffRound);
+  const regularSeasonOver = regularSeason.length > 0 && regularSeason.every(isGameFinal);
+  const finish = championId
+    ? [championId, runnerUpId, ...standings.map(team => team.id).filter(id => id !== championId && id !== runnerUpId)].filter(Boolean)
+    : [];
+  const byPoints = [...standings].sort((a, b) => b.pointsFor - a.pointsFor).map(team => team.id);
+
+  return (payouts || []).map(rule => {
+    const index = Number(rule.place) - 1;
+    let teamId = null;
+    if (rule.basis === PAYOUT_BASES.FINAL) {
+      teamId = finish[index] || null;
+    } else if (rule.basis === PAYOUT_BASES.REGULAR_SEASON && regularSeasonOver) {
+      teamId = standings[index] ? standings[index].id : null;
+    } else if (rule.basis === PAYOUT_BASES.POINTS_FOR && regularSeasonOver) {
+      teamId = byPoints[index] || null;
+    }
+    return { ...rule, amount: Number(rule.amount) || 0, teamId };
+  });
+};
+
+// Every line of the season's ledger: dues and bonuses derived from the settings and schedule, awarded
+// payouts and the recorded entries. Each line is { teamId, category, label, amount, entryId? }.
+export const ledgerLines = ({ teams, schedule, standings, settings, entries, championId = null, runnerUpId = null }) => {
+  const season = Number(settings.season);
+  const dues = Number(settings.dues) || 0;
+  const lines = [];
+
+  if (dues > 0) {
+    teams.forEach(team => lines.push({ teamId: team.id, category: 'dues', label: `${season} dues`, amount: -dues }));
+  }
+  if (Number(settings.weeklyHighScoreBonus) > 0) {
+    highScoreBonuses(schedule, settings.weeklyHighScoreBonus).forEach(({ week, teamIds, score, amount }) => {
+      teamIds.forEach(teamId => lines.push({
+        teamId,
+        category: 'highScore',
+        label: `Week ${week} high score (${score}${teamIds.length > 1 ? ', shared' : ''})`,
+        amount,
+      }));
+    });
+  }
+  awardPayouts(settings.payouts, { standings, schedule, championId, runnerUpId })
+    .filter(payout => payout.teamId)
+    .forEach(payout => lines.push({ teamId: payout.teamId, category: 'payouts', label: payout.label, amount: payout.amount }));
+
+  entries
+    .filter(entry => Number(entry.season) === season && ENTRY_CATEGORIES[entry.type])
+    .forEach(entry => lines.push({
+      teamId: entry.teamId,
+      category: ENTRY_CATEGORIES[entry.type],
+      label: [entry.pot || LEDGER_ENTRY_LABELS[entry.type], entry.note].filter(Boolean).join(': '),
+      amount: round2(ENTRY_SIGNS[entry.type] * Number(entry.amount)),
+      entryId: entry.id,
+    }));
+
+  return lines;
+};
+
+// One row per team with a total for every category and the balance
+export const ledgerSummary = (teams, lines) => teams.map(team => {
+  const own = lines.filter(line => line.teamId === team.id);
+  const totals = Object.fromEntries(LEDGER_CATEGORIES.map(category => [
+    category,
+    round2(own.filter(line => line.category === category).reduce((sum, line) => sum + line.amount, 0)),
+  ]));
+  return {
+    teamId: team.id,
+    name: team.name,
+    manager: team.manager || '',
+    ...totals,
+    balance: round2(own.reduce((sum, line) => sum + line.amount, 0)),
+  };
+});
+
+// Payout rules that promise more than the dues bring in
+export const payoutWarnings = (settings, teamCount, regularSeasonWeeks) => {
+  const pot = (Number(settings.dues) || 0) * teamCount;
+  const promised = (settings.payouts || []).reduce((sum, rule) => sum + (Number(rule.amount) || 0), 0)
+    + (Number(settings.weeklyHighScoreBonus) || 0) * regularSeasonWeeks;
+  return promised > pot
+    ? [`Payouts and weekly bonuses add up to ${formatMoney(promised)}, more than the ${formatMoney(pot)} collected in dues.`]
+    : [];
+};
+
+// Season summary as CSV: one row per team, then a totals row
+export const ledgerToCsv = (rows, season) => {
+  const totals = Object.fromEntries([...LEDGER_CATEGORIES, 'balance'].map(key => [
+    key,
+    round2(rows.reduce((sum, row) => sum + row[key], 0)),
+  ]));
+  return toCsv([
+    ['season', 'team', 'manager', ...LEDGER_CATEGORIES, 'balance'],
+    ...rows.map(row => [season, row.name, row.manager, ...LEDGER_CATEGORIES.map(key => row[key].toFixed(2)), row.balance.toFixed(2)]),
+    [season, 'Total', '', ...LEDGER_CATEGORIES.map(key => totals[key].toFixed(2)), totals.balance.toFixed(2)],
+  ]);
+};
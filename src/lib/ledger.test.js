@@ -0,0 +1,102 @@
+import {
+  highScoreBonuses,
+  awardPayouts,
+  ledgerLines,
+  ledgerSummary,
+  payoutWarnings,
+  ledgerToCsv,
+  formatMoney,
+} from './ledger';
+
+const teams = [
+  { id: 'a', name: 'Party Ponies', manager: 'Jordan' },
+  { id: 'b', name: 'Gridiron Gurus', manager: 'Sam' },
+  { id: 'c', name: 'Sharks', manager: 'Alex' },
+  { id: 'd', name: 'Taco Corp', manager: 'Riley' },
+];
+
+const schedule = [
+  { week: 1, homeTeamId: 'a', awayTeamId: 'b', homeScore: 130, awayScore: 90 },
+  { week: 1, homeTeamId: 'c', awayTeamId: 'd', homeScore: 110, awayScore: 100 },
+  { week: 2, homeTeamId: 'a', awayTeamId: 'c', homeScore: 95, awayScore: 120 },
+  { week: 2, homeTeamId: 'b', awayTeamId: 'd', homeScore: 120, awayScore: 80 },
+  { week: 3, homeTeamId: 'a', awayTeamId: 'd', homeScore: 140, awayScore: null },
+];
+
+// Regular-season order and points for, as computeStandings would return them
+const standings = [
+  { id: 'c', pointsFor: 230 },
+  { id: 'a', pointsFor: 365 },
+  { id: 'b', pointsFor: 210 },
+  { id: 'd', pointsFor: 180 },
+];
+
+const payouts = [
+  { label: 'Champion', basis: 'final', place: 1, amount: 250 },
+  { label: 'Runner-up', basis: 'final', place: 2, amount: 100 },
+  { label: 'Regular-season winner', basis: 'regularSeason', place: 1, amount: 50 },
+  { label: 'Most points', basis: 'pointsFor', place: 1, amount: 50 },
+];
+
+test('pays each completed week\'s top scorer and splits ties', () => {
+  expect(highScoreBonuses(schedule, 20)).toEqual([
+    { week: 1, teamIds: ['a'], score: 130, amount: 20 },
+    { week: 2, teamIds: ['c', 'b'], score: 120, amount: 10 },
+  ]);
+});
+
+test('awards payouts only once they are decided', () => {
+  const played = schedule.slice(0, 4);
+  expect(awardPayouts(payouts, { standings, schedule }).map(payout => payout.teamId)).toEqual([null, null, null, null]);
+  expect(awardPayouts(payouts, { standings, schedule: played }).map(payout => payout.teamId)).toEqual([null, null, 'c', 'a']);
+  expect(awardPayouts(payouts, { standings, schedule: played, championId: 'b', runnerUpId: 'a' }).map(payout => payout.teamId))
+    .toEqual(['b', 'a', 'c', 'a']);
+});
+
+test('balances dues, payments, bonuses, payouts and side pots per manager', () => {
+  const settings = { season: 2026, dues: 100, weeklyHighScoreBonus: 20, payouts };
+  const entries = [
+    { id: 'e1', season: 2026, teamId: 'a', type: 'payment', amount: 100 },
+    { id: 'e2', season: 2026, teamId: 'b', type: 'payment', amount: 50, note: 'Venmo' },
+    { id: 'e3', season: 2026, teamId: 'b', type: 'sidePot', amount: 20, pot: 'Survivor pool' },
+    { id: 'e4', season: 2026, teamId: 'b', type: 'sidePotWin', amount: 80, pot: 'Survivor pool' },
+    { id: 'e5', season: 2026, teamId: 'c', type: 'adjustment', amount: -5, note: 'Late lineup fine' },
+    { id: 'e6', season: 2025, teamId: 'd', type: 'payment', amount: 100 },
+  ];
+  const lines = ledgerLines({ teams, schedule: schedule.slice(0, 4), standings, settings, entries, championId: 'b', runnerUpId: 'a' });
+  expect(lines.find(line => line.entryId === 'e2').label).toBe('Payment received: Venmo');
+
+  const summary = Object.fromEntries(ledgerSummary(teams, lines).map(row => [row.teamId, row]));
+  // Paid in full, plus a week 1 bonus, the runner-up payout and most points
+  expect(summary.a).toMatchObject({ dues: -100, paid: 100, highScore: 20, payouts: 150, balance: 170 });
+  // Still owes half the dues and the side pot, but won the side pot, a shared bonus and the title
+  expect(summary.b).toMatchObject({ sidePots: -20, sidePotWinnings: 80, highScore: 10, payouts: 250, balance: 270 });
+  expect(summary.c.balance).toBe(-100 + 10 + 50 - 5);
+  // Last season's payment doesn't count toward this season
+  expect(summary.d.balance).toBe(-100);
+});
+
+test('warns when payouts promise more than the dues collect', () => {
+  expect(payoutWarnings({ dues: 150, payouts, weeklyHighScoreBonus: 10 }, 4, 14)).toEqual([]);
+  expect(payoutWarnings({ dues: 150, payouts, weeklyHighScoreBonus: 20 }, 4, 14)).toEqual([
+    'Payouts and weekly bonuses add up to $730.00, more than the $600.00 collected in dues.',
+  ]);
+  expect(formatMoney(-12.5)).toBe('-$12.50');
+});
+
+test('exports the season summary as CSV with a totals row', () => {
+  const rows = ledgerSummary(teams.slice(0, 2), ledgerLines({
+    teams: teams.slice(0, 2),
+    schedule: [],
+    standings: [],
+    settings: { season: 2026, dues: 100 },
+    entries: [{ season: 2026, teamId: 'a', type: 'payment', amount: 100 }],
+  }));
+  expect(ledgerToCsv(rows, 2026).split('\n')).toEqual([
+    'season,team,manager,dues,sidePots,paid,highScore,payouts,sidePotWinnings,paidOut,adjustments,balance',
+    '2026,Party Ponies,Jordan,-100.00,0.00,100.00,0.00,0.00,0.00,0.00,0.00,0.00',
+    '2026,Gridiron Gurus,Sam,-100.00,0.00,0.00,0.00,0.00,0.00,0.00,0.00,-100.00',
+    '2026,Total,,-200.00,0.00,100.00,0.00,0.00,0.00,0.00,0.00,-100.00',
+    '',
+  ]);
+});
@@ -0,0 +1,183 @@
+// Player-level box scores for schedule games.
+//
+// A lineup document lives at lineups/{gameId} (the schedule document's id): { gameId, week, season,
+// home: { teamId, players }, away: { teamId, players }, progression: [{ at, home, away }] }. Each
+// player is { name, position, slot, points }; `slot` is the lineup slot the player started in, or
+// BN/IR (or nothing) for the bench. Every import appends the current totals to `progression`, so
+// importing during the week builds up the score progression.
+
+export const DEFAULT_LINEUP_SLOTS = ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'K', 'DEF'];
+
+export const BENCH_SLOTS = ['BN', 'BENCH', 'IR', 'TAXI'];
+
+// Display order for positions on the bench
+export const POSITION_ORDER = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+// Flex slots and the positions that can fill them; any other slot takes its own position only
+const FLEX_ELIGIBILITY = {
+  FLEX: ['RB', 'WR', 'TE'],
+  'W/R/T': ['RB', 'WR', 'TE'],
+  'W/R': ['RB', 'WR'],
+  'W/T': ['WR', 'TE'],
+  SUPERFLEX: ['QB', 'RB', 'WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  OP: ['QB', 'RB', 'WR', 'TE'],
+};
+
+const POSITION_ALIASES = { 'D/ST': 'DEF', DST: 'DEF', 'D': 'DEF', PK: 'K' };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const normalizePosition = (position) => {
+  const upper = String(position || '').trim().toUpperCase();
+  return POSITION_ALIASES[upper] || upper;
+};
+
+export const isBenchSlot = (slot) => !slot || BENCH_SLOTS.includes(String(slot).toUpperCase());
+
+export const slotEligibility = (slot) => FLEX_ELIGIBILITY[String(slot).toUpperCase()] || [normalizePosition(slot)];
+
+const pointsOf = (player) => (typeof player.points === 'number' ? player.points : 0);
+const sumPoints = (players) => round2(players.reduce((sum, player) => sum + pointsOf(player), 0));
+const positionRank = (player) => {
+  const index = POSITION_ORDER.indexOf(normalizePosition(player.position));
+  return index === -1 ? POSITION_ORDER.length : index;
+};
+
+// The best lineup that could have been started from these players. Single-position slots are filled
+// first, then flex slots from the narrowest to the widest, each with the highest scorer still eligible.
+// Returns { slots: [{ slot, player }], points } with slots in the order given.
+export const optimalLineup = (players, slots = DEFAULT_LINEUP_SLOTS) => {
+  const available = [...players].sort((a, b) => pointsOf(b) - pointsOf(a));
+  const filled = new Array(slots.length).fill(null);
+  slots
+    .map((slot, index) => ({ slot, index }))
+    .sort((a, b) => slotEligibility(a.slot).length - slotEligibility(b.slot).length)
+    .forEach(({ slot, index }) => {
+      const pick = available.findIndex(player => slotEligibility(slot).includes(normalizePosition(player.position)));
+      if (pick !== -1) {
+        filled[index] = available.splice(pick, 1)[0];
+      }
+    });
+  return {
+    slots: slots.map((slot, index) => ({ slot, player: filled[index] })),
+    points: sumPoints(filled.filter(Boolean)),
+  };
+};
+
+// One team's side of a box score: starters in lineup-slot order, bench by position, points started and
+// left on the bench, and how the optimal lineup compares. The slots the team actually started are
+// the ones the optimal lineup fills, so leagues with other roster settings work without configuration.
+export const sideReport = (side) => {
+  const players = (side && side.players) || [];
+  const starters = players.filter(player => !isBenchSlot(player.slot));
+  const bench = players
+    .filter(player => isBenchSlot(player.slot))
+    .sort((a, b) => positionRank(a) - positionRank(b) || pointsOf(b) - pointsOf(a));
+  const slots = starters.length > 0 ? starters.map(player => String(player.slot).toUpperCase()) : DEFAULT_LINEUP_SLOTS;
+  const optimal = optimalLineup(players, slots);
+  const optimalPlayers = optimal.slots.map(entry => entry.player).filter(Boolean);
+  const startersPoints = sumPoints(starters);
+
+  return {
+    teamId: side ? side.teamId : null,
+    starters,
+    bench,
+    startersPoints,
+    benchPoints: sumPoints(bench),
+    optimal,
+    pointsLeft: round2(Math.max(0, optimal.points - startersPoints)),
+    shouldHaveStarted: optimalPlayers.filter(player => !starters.includes(player)),
+    shouldHaveSat: starters.filter(player => !optimalPlayers.includes(player)),
+  };
+};
+
+// Current totals of both sides, as one point of the score progression
+export const progressionPoint = (lineup, at = new Date()) => ({
+  at,
+  home: sumPoints(((lineup.home && lineup.home.players) || []).filter(player => !isBenchSlot(player.slot))),
+  away: sumPoints(((lineup.away && lineup.away.players) || []).filter(player => !isBenchSlot(player.slot))),
+});
+
+const validatePlayers = (players, label) => {
+  if (!Array.isArray(players) || players.length === 0) {
+    return [`${label} has no players.`];
+  }
+  const errors = [];
+  players.forEach((player, index) => {
+    if (!player || typeof player.name !== 'string' || !player.name.trim()) {
+      errors.push(`${label} player ${index + 1} needs a name.`);
+    } else if (!normalizePosition(player.position)) {
+      errors.push(`${label}: ${player.name} needs a position.`);
+    } else if (player.points !== undefined && player.points !== null && typeof player.points !== 'number') {
+      errors.push(`${label}: ${player.name}'s points must be a number.`);
+    }
+  });
+  return errors;
+};
+
+const cleanSide = (side, teamId) => ({
+  teamId,
+  players: side.players.map(player => ({
+    name: player.name.trim(),
+    position: normalizePosition(player.position),
+    slot: isBenchSlot(player.slot) ? 'BN' : String(player.slot).trim().toUpperCase(),
+    points: typeof player.points === 'number' ? round2(player.points) : 0,
+  })),
+});
+
+// Parses lineup JSON: a list of matchups (or { lineups: [...] }), each { gameId } or { week } with
+// home and away sides of { teamId or team name, players }. Matchups are matched to schedule games
+// by id, or by week and the two teams; sides given the wrong way round are swapped to match the
+// game. Returns { lineups: [{ gameId, week, home, away, errors }], errors }.
+export const parseLineupImport = (text, { schedule, teams }) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { lineups: [], errors: ['The file is not valid JSON.'] };
+  }
+  const matchups = Array.isArray(data) ? data : (data && Array.isArray(data.lineups) ? data.lineups : null);
+  if (!matchups) {
+    return { lineups: [], errors: ['Expected a list of matchups, or an object with a "lineups" list.'] };
+  }
+
+  const teamIdOf = (side) => {
+    if (!side) return null;
+    const team = teams.find(t => t.id === side.teamId || (side.team && t.name === side.team));
+    return team ? team.id : null;
+  };
+
+  const seen = new Set();
+  const lineups = matchups.map((matchup, index) => {
+    const label = `Matchup ${index + 1}`;
+    const homeId = teamIdOf(matchup.home);
+    const awayId = teamIdOf(matchup.away);
+    const game = schedule.find(g => (matchup.gameId
+      ? g.id === matchup.gameId
+      : Number(g.week) === Number(matchup.week)
+        && [g.homeTeamId, g.awayTeamId].includes(homeId) && [g.homeTeamId, g.awayTeamId].includes(awayId)));
+
+    if (!game) {
+      return { gameId: matchup.gameId || null, week: matchup.week ?? null, errors: [`${label} doesn't match a game on the schedule.`] };
+    }
+    const swapped = homeId === game.awayTeamId && awayId === game.homeTeamId;
+    const home = swapped ? matchup.away : matchup.home;
+    const away = swapped ? matchup.home : matchup.away;
+    const errors = [
+      ...(seen.has(game.id) ? [`${label} repeats week ${game.week}'s game.`] : []),
+      ...([homeId, awayId].every(id => !id || [game.homeTeamId, game.awayTeamId].includes(id))
+        ? [] : [`${label}'s teams don't play in that game.`]),
+      ...(home && away ? [] : [`${label} needs both a home and an away side.`]),
+      ...(home ? validatePlayers(home.players, `${label} home`) : []),
+      ...(away ? validatePlayers(away.players, `${label} away`) : []),
+    ];
+    seen.add(game.id);
+
+    return errors.length > 0
+      ? { gameId: game.id, week: game.week, errors }
+      : { gameId: game.id, week: game.week, home: cleanSide(home, game.homeTeamId), away: cleanSide(away, game.awayTeamId), errors };
+  });
+
+  return { lineups, errors: lineups.length === 0 ? ['No matchups found.'] : [] };
+};
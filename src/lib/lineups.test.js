@@ -0,0 +1,87 @@
+import { optimalLineup, sideReport, progressionPoint, parseLineupImport } from './lineups';
+
+const side = {
+  teamId: 'a',
+  players: [
+    { name: 'Josh Allen', position: 'QB', slot: 'QB', points: 24.3 },
+    { name: 'Bijan Robinson', position: 'RB', slot: 'RB', points: 18 },
+    { name: 'Rhamondre Stevenson', position: 'RB', slot: 'FLEX', points: 4.2 },
+    { name: 'Puka Nacua', position: 'WR', slot: 'WR', points: 12.5 },
+    { name: 'Sam LaPorta', position: 'TE', slot: 'TE', points: 7 },
+    { name: 'Jaylen Warren', position: 'RB', slot: 'BN', points: 15.1 },
+    { name: 'Jordan Love', position: 'QB', slot: 'BN', points: 30 },
+    { name: 'Brandon Aubrey', position: 'K', slot: 'BN', points: 9 },
+  ],
+};
+
+test('fills single-position slots before flex slots', () => {
+  const players = [
+    { name: 'RB1', position: 'RB', points: 20 },
+    { name: 'WR1', position: 'WR', points: 15 },
+    { name: 'WR2', position: 'WR', points: 5 },
+  ];
+  // Filling FLEX first would spend RB1 there and leave the RB slot empty
+  const optimal = optimalLineup(players, ['FLEX', 'WR', 'RB']);
+  expect(optimal.slots.map(entry => entry.player.name)).toEqual(['WR2', 'WR1', 'RB1']);
+  expect(optimal.points).toBe(40);
+  // A slot nobody can fill stays empty
+  expect(optimalLineup(players, ['QB', 'RB']).slots[0].player).toBeNull();
+});
+
+test('reports bench points and the optimal lineup using the slots the team started', () => {
+  const report = sideReport(side);
+  expect(report.startersPoints).toBe(66);
+  expect(report.benchPoints).toBe(54.1);
+  expect(report.bench.map(player => player.name)).toEqual(['Jordan Love', 'Jaylen Warren', 'Brandon Aubrey']);
+  // Love over Allen at QB and Warren over Stevenson at FLEX; no K slot was started, so Aubrey stays out
+  expect(report.optimal.points).toBe(82.6);
+  expect(report.pointsLeft).toBe(16.6);
+  expect(report.shouldHaveStarted.map(player => player.name)).toEqual(['Jordan Love', 'Jaylen Warren']);
+  expect(report.shouldHaveSat.map(player => player.name)).toEqual(['Josh Allen', 'Rhamondre Stevenson']);
+});
+
+test('totals starters for the score progression', () => {
+  const at = new Date('2026-10-04T20:00:00Z');
+  expect(progressionPoint({ home: side, away: { players: [] } }, at)).toEqual({ at, home: 66, away: 0 });
+});
+
+describe('lineup import', () => {
+  const teams = [{ id: 'a', name: 'Party Ponies' }, { id: 'b', name: 'Gridiron Gurus' }, { id: 'c', name: 'Sharks' }];
+  const schedule = [
+    { id: 'week-3-game-1', week: 3, homeTeamId: 'a', awayTeamId: 'b' },
+    { id: 'week-4-game-1', week: 4, homeTeamId: 'c', awayTeamId: 'a' },
+  ];
+  const players = [{ name: 'Josh Allen', position: 'qb', slot: 'QB', points: 24.333 }, { name: 'Kicker', position: 'PK' }];
+
+  test('matches matchups by game id or by week and teams, swapping sides to fit the game', () => {
+    const text = JSON.stringify({
+      lineups: [
+        { gameId: 'week-3-game-1', home: { teamId: 'a', players }, away: { teamId: 'b', players } },
+        { week: 4, home: { team: 'Party Ponies', players }, away: { teamId: 'c', players: [players[0]] } },
+      ],
+    });
+    const { lineups, errors } = parseLineupImport(text, { schedule, teams });
+    expect(errors).toEqual([]);
+    expect(lineups.map(lineup => lineup.gameId)).toEqual(['week-3-game-1', 'week-4-game-1']);
+    expect(lineups[0].home.players).toEqual([
+      { name: 'Josh Allen', position: 'QB', slot: 'QB', points: 24.33 },
+      { name: 'Kicker', position: 'K', slot: 'BN', points: 0 },
+    ]);
+    expect(lineups[1].home).toMatchObject({ teamId: 'c', players: [{ name: 'Josh Allen' }] });
+    expect(lineups[1].away.teamId).toBe('a');
+  });
+
+  test('reports problems per matchup', () => {
+    const text = JSON.stringify([
+      { week: 9, home: { teamId: 'a', players }, away: { teamId: 'b', players } },
+      { gameId: 'week-3-game-1', home: { teamId: 'a', players: [{ position: 'QB', points: 3 }] }, away: { teamId: 'c', players } },
+    ]);
+    const { lineups } = parseLineupImport(text, { schedule, teams });
+    expect(lineups[0].errors).toEqual(['Matchup 1 doesn\'t match a game on the schedule.']);
+    expect(lineups[1].errors).toEqual([
+      'Matchup 2\'s teams don\'t play in that game.',
+      'Matchup 2 home player 1 needs a name.',
+    ]);
+    expect(parseLineupImport('{', { schedule, teams }).errors).toEqual(['The file is not valid JSON.']);
+  });
+});
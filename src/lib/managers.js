@@ -0,0 +1,150 @@
+import { winPercentage, rankSeasonStandings, DEFAULT_PLAYOFF_TEAMS } from './standings';
+import { isChampion, isRunnerUp } from './history';
+
+// Manager identity. Team and manager names are free text that change over the years, so each
+// person has a managers document linking everything they've been known by:
+//   { name, aliases: [manager names], teams: [{ name, logoUrl? }], platformIds: ['sleeper:339201'], teamId? }
+// Rows and teams that no manager document claims are identified by their manager name's slug,
+// which is also the id a new managers document for them gets, so profile links stay stable.
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+export const managerSlug = (name) => normalize(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Returns identify(entry) -> { id, name, isLinked } for a standings row ({ name, manager, managerId })
+// or a current team ({ id, name, manager, managerId }). Matches by platform identity, current team,
+// manager name or alias, then team name.
+export const createManagerIdentifier = (managers = []) => {
+  const byPlatformId = new Map();
+  const byTeamId = new Map();
+  const byManagerName = new Map();
+  const byTeamName = new Map();
+  managers.forEach(manager => {
+    (manager.platformIds || []).forEach(platformId => byPlatformId.set(platformId, manager));
+    if (manager.teamId) byTeamId.set(manager.teamId, manager);
+    [manager.name, ...(manager.aliases || [])].forEach(name => byManagerName.set(normalize(name), manager));
+    (manager.teams || []).forEach(team => byTeamName.set(normalize(team.name), manager));
+  });
+
+  return (entry) => {
+    const manager = (entry.managerId && byPlatformId.get(entry.managerId))
+      || (entry.id && byTeamId.get(entry.id))
+      || byManagerName.get(normalize(entry.manager))
+      || byTeamName.get(normalize(entry.name));
+    if (manager) {
+      return { id: manager.id, name: manager.name, isLinked: true };
+    }
+    const name = entry.manager || entry.name;
+    return { id: managerSlug(name), name, isLinked: false };
+  };
+};
+
+// Whether a season's row made the playoffs: from the archived bracket when there is one, then an
+// explicit madePlayoffs flag, then the final rank against the playoff team count
+const madePlayoffs = (season, row, rank, archivedBracket, settings) => {
+  const championship = archivedBracket && archivedBracket.brackets && archivedBracket.brackets.championship;
+  if (championship) {
+    return championship.rounds[0].matches.some(match => [match.top, match.bottom].some(slot => slot && slot.name === row.name));
+  }
+  if (typeof row.madePlayoffs === 'boolean') {
+    return row.madePlayoffs;
+  }
+  return rank <= (season.playoffTeams || settings.playoffTeams || DEFAULT_PLAYOFF_TEAMS);
+};
+
+// Career summary for one manager across every historicalStandings season
+export const managerCareer = (managerId, { seasons, identify, manager = null, playoffBrackets = [], settings = {} }) => {
+  const logoByTeamName = Object.fromEntries(((manager && manager.teams) || []).map(team => [normalize(team.name), team.logoUrl || null]));
+
+  const history = seasons
+    .map(season => {
+      const row = (season.standings || []).find(entry => identify(entry).id === managerId);
+      if (!row) {
+        return null;
+      }
+      const ranked = rankSeasonStandings(season.standings, settings);
+      const rank = ranked.find(team => team.name === row.name).rank;
+      const archivedBracket = playoffBrackets.find(bracket => String(bracket.season) === String(season.year));
+      const toiletBowl = archivedBracket && archivedBracket.brackets && archivedBracket.brackets.toiletBowl;
+      return {
+        year: season.year,
+        teamName: row.name,
+        logoUrl: logoByTeamName[normalize(row.name)] || null,
+        wins: row.wins || 0,
+        losses: row.losses || 0,
+        ties: row.ties || 0,
+        pointsFor: row.pointsFor || 0,
+        winPct: winPercentage(row),
+        rank,
+        teamCount: season.standings.length,
+        champion: Boolean(isChampion(season, row)),
+        runnerUp: Boolean(isRunnerUp(season, row)),
+        madePlayoffs: madePlayoffs(season, row, rank, archivedBracket, settings),
+        toiletBowl: Boolean(toiletBowl && toiletBowl.champion && toiletBowl.champion.name === row.name),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.year - b.year);
+
+  const totals = history.reduce((sum, season) => ({
+    wins: sum.wins + season.wins,
+    losses: sum.losses + season.losses,
+    ties: sum.ties + season.ties,
+    pointsFor: sum.pointsFor + season.pointsFor,
+  }), { wins: 0, losses: 0, ties: 0, pointsFor: 0 });
+
+  const trophies = history.flatMap(season => [
+    season.champion && { year: season.year, title: 'League Champion', teamName: season.teamName },
+    season.runnerUp && { year: season.year, title: 'Runner-up', teamName: season.teamName },
+    season.rank === 1 && { year: season.year, title: 'Regular Season Champion', teamName: season.teamName },
+    season.toiletBowl && { year: season.year, title: 'Toilet Bowl', teamName: season.teamName },
+  ].filter(Boolean));
+
+  // Consecutive seasons under the same team name collapse into one timeline entry
+  const timeline = history.reduce((entries, season) => {
+    const last = entries[entries.length - 1];
+    if (last && normalize(last.teamName) === normalize(season.teamName)) {
+      last.to = season.year;
+    } else {
+      entries.push({ teamName: season.teamName, logoUrl: season.logoUrl, from: season.year, to: season.year });
+    }
+    return entries;
+  }, []);
+
+  const byRecord = (a, b) => b.winPct - a.winPct || b.pointsFor - a.pointsFor || a.year - b.year;
+  const ordered = [...history].sort(byRecord);
+
+  return {
+    seasons: history,
+    record: { ...totals, pointsFor: Math.round(totals.pointsFor * 100) / 100, winPct: winPercentage(totals) },
+    playoffAppearances: history.filter(season => season.madePlayoffs).length,
+    championships: history.filter(season => season.champion).length,
+    trophies,
+    best: ordered[0] || null,
+    worst: ordered.length > 1 ? ordered[ordered.length - 1] : null,
+    timeline,
+  };
+};
+
+// Names found in history and current teams that no managers document claims, grouped by the id
+// they'd get, with every team name and platform identity seen for them
+export const unlinkedManagers = (seasons, teams, identify) => {
+  const unlinked = new Map();
+  const note = (entry, year) => {
+    const identity = identify(entry);
+    if (identity.isLinked) {
+      return;
+    }
+    if (!unlinked.has(identity.id)) {
+      unlinked.set(identity.id, { id: identity.id, name: identity.name, teamNames: [], platformIds: [], years: [], teamId: null });
+    }
+    const found = unlinked.get(identity.id);
+    if (entry.name && !found.teamNames.includes(entry.name)) found.teamNames.push(entry.name);
+    if (entry.managerId && !found.platformIds.includes(entry.managerId)) found.platformIds.push(entry.managerId);
+    if (year && !found.years.includes(year)) found.years.push(year);
+    if (!year && entry.id) found.teamId = entry.id;
+  };
+  seasons.forEach(season => (season.standings || []).forEach(row => note(row, season.year)));
+  teams.forEach(team => note(team, null));
+  return [...unlinked.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -0,0 +1,93 @@
+import { createManagerIdentifier, managerCareer, managerSlug, unlinkedManagers } from './managers';
+
+const managers = [
+  {
+    id: 'jordan',
+    name: 'Jordan',
+    aliases: ['jordanm'],
+    teams: [{ name: 'Party Ponies', logoUrl: 'https://example.com/ponies.png' }, { name: 'Pony Express' }],
+    platformIds: ['sleeper:339201'],
+    teamId: 'team-a',
+  },
+];
+
+const seasons = [
+  {
+    year: 2021,
+    championshipTeam: 'Party Ponies',
+    standings: [
+      { name: 'Party Ponies', manager: 'Jordan', wins: 9, losses: 4, ties: 0 },
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 8, losses: 5, ties: 0 },
+      { name: 'Bench Warmers', manager: 'Sam', wins: 2, losses: 11, ties: 0 },
+    ],
+  },
+  {
+    year: 2022,
+    standings: [
+      { name: 'Party Ponies', manager: 'J. M.', wins: 11, losses: 2, ties: 0 },
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 7, losses: 6, ties: 0, championship: true },
+    ],
+  },
+  {
+    year: 2023,
+    playoffTeams: 1,
+    standings: [
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 10, losses: 3, ties: 0 },
+      { name: 'Pony Express', manager: 'jordanm', managerId: 'sleeper:339201', wins: 3, losses: 10, ties: 0, runnerUp: true },
+    ],
+  },
+];
+
+test('identifies managers by platform id, team, alias or team name, and slugs the rest', () => {
+  const identify = createManagerIdentifier(managers);
+
+  expect(identify({ name: 'Whatever', managerId: 'sleeper:339201' })).toEqual({ id: 'jordan', name: 'Jordan', isLinked: true });
+  expect(identify({ id: 'team-a', name: 'New Name', manager: 'Someone' }).id).toBe('jordan');
+  expect(identify({ name: 'Other', manager: 'JORDANM ' }).id).toBe('jordan');
+  // A renamed manager is still found through the team name they used
+  expect(identify({ name: 'Party Ponies', manager: 'J. M.' }).id).toBe('jordan');
+  expect(identify({ name: 'Gridiron Gurus', manager: 'Alex G.' })).toEqual({ id: 'alex-g', name: 'Alex G.', isLinked: false });
+  expect(managerSlug('  Mary-Kate O\'Neil ')).toBe('mary-kate-o-neil');
+});
+
+test('builds a career across team names', () => {
+  const identify = createManagerIdentifier(managers);
+  const career = managerCareer('jordan', { seasons, identify, manager: managers[0], settings: { playoffTeams: 2 } });
+
+  expect(career.seasons.map(season => season.year)).toEqual([2021, 2022, 2023]);
+  expect(career.record).toMatchObject({ wins: 23, losses: 16, ties: 0 });
+  expect(career.playoffAppearances).toBe(2);
+  expect(career.trophies).toEqual([
+    { year: 2021, title: 'League Champion', teamName: 'Party Ponies' },
+    { year: 2021, title: 'Regular Season Champion', teamName: 'Party Ponies' },
+    { year: 2022, title: 'Regular Season Champion', teamName: 'Party Ponies' },
+    { year: 2023, title: 'Runner-up', teamName: 'Pony Express' },
+  ]);
+  expect(career.best.year).toBe(2022);
+  expect(career.worst.year).toBe(2023);
+  expect(career.timeline).toEqual([
+    { teamName: 'Party Ponies', logoUrl: 'https://example.com/ponies.png', from: 2021, to: 2022 },
+    { teamName: 'Pony Express', logoUrl: null, from: 2023, to: 2023 },
+  ]);
+});
+
+test('uses the archived bracket for playoff appearances when there is one', () => {
+  const identify = createManagerIdentifier(managers);
+  const playoffBrackets = [{
+    season: 2021,
+    brackets: { championship: { rounds: [{ matches: [{ top: { name: 'Bench Warmers' }, bottom: { name: 'Gridiron Gurus' } }] }] } },
+  }];
+  const career = managerCareer('jordan', { seasons: seasons.slice(0, 1), identify, playoffBrackets });
+
+  expect(career.seasons[0].madePlayoffs).toBe(false);
+});
+
+test('lists names that no manager document claims', () => {
+  const identify = createManagerIdentifier(managers);
+  const unlinked = unlinkedManagers(seasons, [{ id: 'team-b', name: 'Gridiron Gurus', manager: 'Alex' }], identify);
+
+  expect(unlinked).toEqual([
+    { id: 'alex', name: 'Alex', teamNames: ['Gridiron Gurus'], platformIds: [], years: [2021, 2022, 2023], teamId: 'team-b' },
+    { id: 'sam', name: 'Sam', teamNames: ['Bench Warmers'], platformIds: [], years: [2021], teamId: null },
+  ]);
+});
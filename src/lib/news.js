@@ -0,0 +1,73 @@
+// Helpers for news posts, comments and reactions.
+//
+// A news post looks like { title, content, category, pinned, authorId, authorName, timestamp,
+// editedAt, reactions: { [uid]: ['🔥', ...] } }. Comments live in newsComments as
+// { postId, parentId, content, authorId, authorName, timestamp }; parentId is null for top-level comments.
+
+export const NEWS_CATEGORIES = [
+  { id: 'general', label: 'General' },
+  { id: 'announcement', label: 'Announcement' },
+  { id: 'trade', label: 'Trade' },
+  { id: 'recap', label: 'Weekly Recap' },
+  { id: 'trash-talk', label: 'Trash Talk' },
+];
+
+export const NEWS_PAGE_SIZE = 10;
+
+export const REACTION_EMOJI = ['👍', '😂', '🔥', '😬', '🏆'];
+
+// Posts written before categories existed count as general news
+export const newsCategory = (post) => post.category || 'general';
+
+export const categoryLabel = (categoryId) => {
+  const category = NEWS_CATEGORIES.find(c => c.id === categoryId);
+  return category ? category.label : categoryId;
+};
+
+const timeOf = (post) => (post.timestamp && typeof post.timestamp.toMillis === 'function' ? post.timestamp.toMillis() : 0);
+
+// Pinned posts first, each group newest first. Posts still waiting for a server timestamp sort on top.
+export const sortNewsForFeed = (posts) => [...posts].sort((a, b) => {
+  if (Boolean(a.pinned) !== Boolean(b.pinned)) {
+    return a.pinned ? -1 : 1;
+  }
+  const aTime = a.timestamp ? timeOf(a) : Infinity;
+  const bTime = b.timestamp ? timeOf(b) : Infinity;
+  return bTime - aTime;
+});
+
+// Dashboard feed: every pinned post, followed by the latest unpinned ones
+export const dashboardFeed = (pinnedPosts, latestPosts, count = 3) => {
+  const pinnedIds = new Set(pinnedPosts.map(post => post.id));
+  return [
+    ...sortNewsForFeed(pinnedPosts),
+    ...sortNewsForFeed(latestPosts.filter(post => !pinnedIds.has(post.id) && !post.pinned)).slice(0, count),
+  ];
+};
+
+// Turns a flat list of comments into a tree of { ...comment, replies: [...] }, oldest first
+export const buildCommentTree = (comments) => {
+  const byId = {};
+  comments.forEach(comment => {
+    byId[comment.id] = { ...comment, replies: [] };
+  });
+
+  const roots = [];
+  [...comments]
+    .sort((a, b) => timeOf(a) - timeOf(b))
+    .forEach(comment => {
+      const node = byId[comment.id];
+      const parent = comment.parentId && byId[comment.parentId];
+      (parent ? parent.replies : roots).push(node);
+    });
+  return roots;
+};
+
+export const hasReacted = (post, emoji, userId) =>
+  Boolean(post.reactions && post.reactions[userId] && post.reactions[userId].includes(emoji));
+
+// How many members reacted with each emoji
+export const reactionCounts = (post) => Object.values(post.reactions || {}).reduce((counts, emoji) => {
+  (Array.isArray(emoji) ? emoji : []).forEach(e => { counts[e] = (counts[e] || 0) + 1; });
+  return counts;
+}, {});
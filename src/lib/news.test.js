@@ -0,0 +1,47 @@
+import { sortNewsForFeed, dashboardFeed, buildCommentTree, hasReacted, reactionCounts, newsCategory } from './news';
+
+const at = (millis) => ({ toMillis: () => millis });
+
+test('sorts pinned posts first, then newest first', () => {
+  const posts = [
+    { id: 'old', timestamp: at(1) },
+    { id: 'pinned-old', pinned: true, timestamp: at(0) },
+    { id: 'new', timestamp: at(5) },
+    { id: 'pending', timestamp: null },
+  ];
+  expect(sortNewsForFeed(posts).map(post => post.id)).toEqual(['pinned-old', 'pending', 'new', 'old']);
+});
+
+test('dashboard feed keeps pinned posts and the latest others without duplicates', () => {
+  const pinned = [{ id: 'p', pinned: true, timestamp: at(1) }];
+  const latest = [
+    { id: 'p', pinned: true, timestamp: at(1) },
+    { id: 'a', timestamp: at(4) },
+    { id: 'b', timestamp: at(3) },
+    { id: 'c', timestamp: at(2) },
+    { id: 'd', timestamp: at(0) },
+  ];
+  expect(dashboardFeed(pinned, latest).map(post => post.id)).toEqual(['p', 'a', 'b', 'c']);
+});
+
+test('builds threaded comments', () => {
+  const tree = buildCommentTree([
+    { id: 'reply-2', parentId: 'root', timestamp: at(3) },
+    { id: 'root', parentId: null, timestamp: at(1) },
+    { id: 'reply-1', parentId: 'root', timestamp: at(2) },
+    { id: 'nested', parentId: 'reply-1', timestamp: at(4) },
+    { id: 'orphan', parentId: 'deleted', timestamp: at(5) },
+  ]);
+
+  expect(tree.map(comment => comment.id)).toEqual(['root', 'orphan']);
+  expect(tree[0].replies.map(comment => comment.id)).toEqual(['reply-1', 'reply-2']);
+  expect(tree[0].replies[0].replies[0].id).toBe('nested');
+});
+
+test('checks reactions and defaults the category', () => {
+  const post = { reactions: { u1: ['🔥', '😂'], u2: ['🔥'], u3: [] } };
+  expect(hasReacted(post, '🔥', 'u1')).toBe(true);
+  expect(hasReacted(post, '😂', 'u2')).toBe(false);
+  expect(reactionCounts(post)).toEqual({ '🔥': 2, '😂': 1 });
+  expect(newsCategory({})).toBe('general');
+});
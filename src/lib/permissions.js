@@ -0,0 +1,36 @@
+// Role checks for league members. A member document lives at
+// artifacts/{appId}/public/data/members/{email} and looks like
+// { displayName, role: 'commissioner' | 'owner', teamId }.
+// These only decide what the UI shows; firestore.rules enforces the same checks on writes.
+
+export const ROLES = {
+  COMMISSIONER: 'commissioner',
+  OWNER: 'owner',
+};
+
+// Member documents are keyed by the lower-cased sign-in email
+export const memberDocId = (email) => (email ? email.trim().toLowerCase() : null);
+
+export const isCommissioner = (member) => Boolean(member && member.role === ROLES.COMMISSIONER);
+
+// Any owner or the commissioner can publish news
+export const canPublishNews = (member) =>
+  Boolean(member && (member.role === ROLES.OWNER || member.role === ROLES.COMMISSIONER));
+
+export const canEditConstitution = (member) => isCommissioner(member);
+
+export const canManageLeague = (member) => isCommissioner(member);
+
+// Owners vote and propose amendments on behalf of their team
+export const canVoteOnProposals = (member) => Boolean(canPublishNews(member) && member.teamId);
+
+export const canProposeAmendments = (member) => canPublishNews(member);
+
+// Owners trade, log roster moves and vote on trade vetoes on behalf of their team
+export const canMakeTransactions = (member) => Boolean(canPublishNews(member) && member.teamId);
+
+// Authors manage their own posts and comments; the commissioner can manage everyone's
+export const canManagePost = (member, post, userId) =>
+  isCommissioner(member) || Boolean(canPublishNews(member) && post.authorId === userId);
+
+export const canPinNews = (member) => isCommissioner(member);
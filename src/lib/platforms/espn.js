@@ -0,0 +1,74 @@
+// ESPN adapter. ESPN returns everything from one endpoint, so `league` is the saved response of
+//   GET /apis/v3/games/ffl/seasons/{year}/segments/0/leagues/{id}?view=mTeam&view=mMatchup&view=mSettings
+// (members, teams, schedule and settings). users, rosters and matchups files are optional overrides
+// holding just the members, teams or schedule arrays.
+
+const teamName = (team) => team.name || [team.location, team.nickname].filter(Boolean).join(' ') || team.abbrev;
+
+const espn = {
+  id: 'espn',
+  label: 'ESPN',
+  files: ['league'],
+
+  normalize: ({ league, users, rosters, matchups }) => {
+    const members = users || league.members || [];
+    const espnTeams = rosters || league.teams || [];
+    const schedule = matchups || league.schedule || [];
+    const membersById = Object.fromEntries(members.map(member => [member.id, member]));
+
+    const teams = espnTeams.map(team => {
+      const ownerId = team.primaryOwner || (team.owners || [])[0];
+      const member = membersById[ownerId] || {};
+      const overall = (team.record && team.record.overall) || {};
+      return {
+        key: String(team.id),
+        managerId: `espn:${ownerId || `team-${team.id}`}`,
+        manager: member.displayName || [member.firstName, member.lastName].filter(Boolean).join(' ') || teamName(team),
+        name: teamName(team),
+        wins: overall.wins || 0,
+        losses: overall.losses || 0,
+        ties: overall.ties || 0,
+        pointsFor: overall.pointsFor || 0,
+      };
+    });
+
+    // Playoff rounds count matchup periods from the first winners-bracket game
+    const playoffPeriods = [...new Set(schedule
+      .filter(game => game.playoffTierType && game.playoffTierType !== 'NONE')
+      .map(game => game.matchupPeriodId))].sort((a, b) => a - b);
+
+    const games = schedule
+      .filter(game => game.home && game.away)
+      .map(game => {
+        const isPlayoff = game.playoffTierType && game.playoffTierType !== 'NONE';
+        const isPlayed = game.winner && game.winner !== 'UNDECIDED';
+        return {
+          key: `m${game.id}`,
+          week: game.matchupPeriodId,
+          homeKey: String(game.home.teamId),
+          awayKey: String(game.away.teamId),
+          homeScore: isPlayed ? game.home.totalPoints : null,
+          awayScore: isPlayed ? game.away.totalPoints : null,
+          playoffRound: isPlayoff ? playoffPeriods.indexOf(game.matchupPeriodId) + 1 : null,
+          isChampionship: game.playoffTierType === 'WINNERS_BRACKET' && game.matchupPeriodId === playoffPeriods[playoffPeriods.length - 1],
+          winner: isPlayed ? game.winner : null,
+        };
+      });
+
+    const final = games.find(game => game.isChampionship && game.winner);
+    const championKey = final ? (final.winner === 'HOME' ? final.homeKey : final.awayKey) : null;
+
+    return {
+      platform: 'espn',
+      leagueId: String(league.id),
+      name: league.settings && league.settings.name,
+      season: Number(league.seasonId),
+      isComplete: Boolean(championKey),
+      championKey,
+      teams,
+      games: games.map(({ isChampionship, winner, ...game }) => game),
+    };
+  },
+};
+
+export default espn;
@@ -0,0 +1,109 @@
+import sleeper from './sleeper';
+import espn from './espn';
+import yahoo from './yahoo';
+
+// Fantasy-platform import. Each adapter exposes { id, label, files, normalize(files) } where
+// normalize turns the platform's saved JSON into
+//   { platform, leagueId, name, season, isComplete, championKey,
+//     teams: [{ key, managerId, manager, name, wins, losses, ties, pointsFor }],
+//     games: [{ key, week, homeKey, awayKey, homeScore, awayScore, playoffRound }] }
+// and mapLeagueImport() turns that into our teams, schedule and historicalStandings documents.
+// To support another platform, add an adapter here.
+
+export const PLATFORM_ADAPTERS = [sleeper, espn, yahoo];
+
+export const getAdapter = (platformId) => PLATFORM_ADAPTERS.find(adapter => adapter.id === platformId) || null;
+
+const slug = (value) => String(value).replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Team id for an imported manager. A manager keeps the team they were matched to before (by
+// managerId), so re-imports update rather than duplicate; the first import links to an existing
+// team with the same name, and anyone else gets a new id derived from their platform identity.
+const resolveTeamId = (team, existingTeams, platform) => {
+  const linked = existingTeams.find(existing => existing.managerId === team.managerId);
+  if (linked) {
+    return { id: linked.id, isNew: false };
+  }
+  const sameName = existingTeams.find(existing => !existing.managerId
+    && existing.name && existing.name.trim().toLowerCase() === team.name.trim().toLowerCase());
+  if (sameName) {
+    return { id: sameName.id, isNew: false };
+  }
+  return { id: `${platform}-${slug(team.managerId.split(':').slice(1).join(':'))}`, isNew: true };
+};
+
+// Maps a normalized league onto our documents:
+//   teams: team docs (id, name, manager, managerId) with isNew for the preview
+//   schedule: schedule docs with ids that stay the same between imports
+//   season: a historicalStandings document for the season
+export const mapLeagueImport = (league, existingTeams = []) => {
+  const teams = league.teams.map(team => ({
+    ...resolveTeamId(team, existingTeams, league.platform),
+    name: team.name,
+    manager: team.manager,
+    managerId: team.managerId,
+  }));
+  const teamIdByKey = Object.fromEntries(league.teams.map((team, index) => [team.key, teams[index].id]));
+  const teamByKey = Object.fromEntries(league.teams.map(team => [team.key, team]));
+
+  const schedule = league.games
+    .filter(game => teamIdByKey[game.homeKey] && teamIdByKey[game.awayKey])
+    .map(game => {
+      const scheduled = {
+        id: slug(`${league.platform}-${league.leagueId}-${league.season}-${game.key}`),
+        week: game.week,
+        homeTeamId: teamIdByKey[game.homeKey],
+        awayTeamId: teamIdByKey[game.awayKey],
+        homeScore: game.homeScore ?? null,
+        awayScore: game.awayScore ?? null,
+      };
+      if (game.playoffRound) scheduled.playoffRound = game.playoffRound;
+      return scheduled;
+    });
+
+  const champion = league.championKey ? teamByKey[league.championKey] : null;
+  const season = {
+    year: league.season,
+    standings: league.teams.map(team => ({
+      name: team.name,
+      manager: team.manager,
+      managerId: team.managerId,
+      wins: team.wins,
+      losses: team.losses,
+      ties: team.ties,
+      pointsFor: round2(team.pointsFor),
+      championship: Boolean(champion && champion.key === team.key),
+    })),
+    games: league.games
+      .filter(game => teamByKey[game.homeKey] && teamByKey[game.awayKey]
+        && typeof game.homeScore === 'number' && typeof game.awayScore === 'number')
+      .map(game => {
+        const played = {
+          week: game.week,
+          home: teamByKey[game.homeKey].name,
+          away: teamByKey[game.awayKey].name,
+          homeScore: game.homeScore,
+          awayScore: game.awayScore,
+        };
+        if (game.playoffRound) played.playoffRound = game.playoffRound;
+        return played;
+      }),
+  };
+  if (champion) season.championshipTeam = champion.name;
+
+  return { teams, schedule, season };
+};
+
+// Reads an adapter's files from a base URL, e.g. a local mock server serving league.json, users.json, ...
+export const fetchPlatformFiles = async (adapter, baseUrl) => {
+  const base = baseUrl.replace(/\/+$/, '');
+  const entries = await Promise.all(adapter.files.map(async (file) => {
+    const response = await fetch(`${base}/${file}.json`);
+    if (!response.ok) {
+      throw new Error(`${file}.json: ${response.status} ${response.statusText}`);
+    }
+    return [file, await response.json()];
+  }));
+  return Object.fromEntries(entries);
+};
@@ -0,0 +1,110 @@
+import { getAdapter, mapLeagueImport } from './index';
+import sleeperLeague from './fixtures/sleeper/league.json';
+import sleeperUsers from './fixtures/sleeper/users.json';
+import sleeperRosters from './fixtures/sleeper/rosters.json';
+import sleeperMatchups from './fixtures/sleeper/matchups.json';
+import espnLeague from './fixtures/espn/league.json';
+import yahooLeague from './fixtures/yahoo/league.json';
+import yahooRosters from './fixtures/yahoo/rosters.json';
+import yahooMatchups from './fixtures/yahoo/matchups.json';
+
+const sleeperFiles = { league: sleeperLeague, users: sleeperUsers, rosters: sleeperRosters, matchups: sleeperMatchups };
+
+test('normalizes a Sleeper league', () => {
+  const league = getAdapter('sleeper').normalize(sleeperFiles);
+
+  expect(league).toMatchObject({ platform: 'sleeper', season: 2024, isComplete: true, championKey: '2' });
+  expect(league.teams[0]).toEqual({
+    key: '1', managerId: 'sleeper:339201', manager: 'jordanm', name: 'Party Ponies', wins: 2, losses: 0, ties: 0, pointsFor: 245.3,
+  });
+  // A user without a team name falls back to their display name
+  expect(league.teams[2].name).toBe('samb');
+  // Week 3 teams without a matchup_id had no game
+  expect(league.games).toHaveLength(5);
+  expect(league.games[4]).toMatchObject({ week: 3, homeKey: '1', awayKey: '2', playoffRound: 1 });
+});
+
+test('leaves Sleeper weeks that have not been played without scores', () => {
+  const league = getAdapter('sleeper').normalize({
+    ...sleeperFiles,
+    league: { ...sleeperLeague, status: 'in_season', settings: { ...sleeperLeague.settings, leg: 2 } },
+    matchups: {
+      ...sleeperMatchups,
+      2: sleeperMatchups[2].map(entry => ({ ...entry, points: 0, starters_points: [0, 0] })),
+    },
+  });
+  expect(league.games.map(game => [game.week, game.homeScore, game.awayScore])).toEqual([
+    [1, 120.5, 110.25],
+    [1, 101.4, 88],
+    // Current week, nothing scored yet
+    [2, null, null],
+    [2, null, null],
+    // After the current week
+    [3, null, null],
+  ]);
+});
+
+test('leaves the current Sleeper week without scores while its games are still being played', () => {
+  const league = getAdapter('sleeper').normalize({
+    ...sleeperFiles,
+    league: { ...sleeperLeague, status: 'in_season', settings: { ...sleeperLeague.settings, leg: 2 } },
+    matchups: {
+      ...sleeperMatchups,
+      2: sleeperMatchups[2].map((entry, index) => (index === 0
+        ? { ...entry, points: 14.2, starters_points: [14.2, 0] }
+        : { ...entry, points: 0, starters_points: [0, 0] })),
+    },
+  });
+  expect(league.games.map(game => [game.week, game.homeScore, game.awayScore])).toEqual([
+    [1, 120.5, 110.25],
+    [1, 101.4, 88],
+    // Current week, partly scored: live points aren't final
+    [2, null, null],
+    [2, null, null],
+    [3, null, null],
+  ]);
+});
+
+test('normalizes an ESPN league', () => {
+  const league = getAdapter('espn').normalize({ league: espnLeague });
+
+  expect(league).toMatchObject({ platform: 'espn', season: 2023, championKey: '1' });
+  expect(league.teams[0]).toMatchObject({ name: 'Party Ponies', manager: 'jordanm', managerId: 'espn:{A1B2C3D4-0001}' });
+  expect(league.games.filter(game => game.playoffRound)).toHaveLength(2);
+});
+
+test('normalizes a Yahoo league', () => {
+  const league = getAdapter('yahoo').normalize({ league: yahooLeague, rosters: yahooRosters, matchups: yahooMatchups });
+
+  expect(league).toMatchObject({ platform: 'yahoo', season: 2022, isComplete: true, championKey: '423.l.55120.t.2' });
+  expect(league.teams[3]).toMatchObject({ manager: 'Casey', managerId: 'yahoo:CKX4WIRE', wins: 0, losses: 2, pointsFor: 180.25 });
+  expect(league.games[0]).toMatchObject({ week: 1, homeScore: 118, awayScore: 100.5, playoffRound: null });
+});
+
+test('maps a league onto teams, schedule and a historical season', () => {
+  const league = getAdapter('sleeper').normalize(sleeperFiles);
+  const { teams, schedule, season } = mapLeagueImport(league, [{ id: 'team-a', name: 'party ponies' }]);
+
+  expect(teams[0]).toEqual({ id: 'team-a', isNew: false, name: 'Party Ponies', manager: 'jordanm', managerId: 'sleeper:339201' });
+  expect(teams[1]).toMatchObject({ id: 'sleeper-339202', isNew: true });
+  expect(schedule[0]).toEqual({
+    id: 'sleeper-1048273650298466304-2024-w1-m1', week: 1, homeTeamId: 'team-a', awayTeamId: 'sleeper-339202', homeScore: 120.5, awayScore: 110.25,
+  });
+  expect(schedule[4].playoffRound).toBe(1);
+  expect(season).toMatchObject({ year: 2024, championshipTeam: 'Gridiron Gurus' });
+  expect(season.standings[1]).toMatchObject({ name: 'Gridiron Gurus', managerId: 'sleeper:339202', championship: true, pointsFor: 231.05 });
+  expect(season.games[4]).toEqual({ week: 3, home: 'Party Ponies', away: 'Gridiron Gurus', homeScore: 101.2, awayScore: 115.6, playoffRound: 1 });
+});
+
+test('re-imports update the same teams and games instead of duplicating them', () => {
+  const league = getAdapter('sleeper').normalize(sleeperFiles);
+  const first = mapLeagueImport(league, []);
+  // A manager renamed their team on the platform since the first import
+  const renamed = { ...league, teams: league.teams.map(team => (team.key === '1' ? { ...team, name: 'Pony Express' } : team)) };
+  const second = mapLeagueImport(renamed, first.teams.map(({ isNew, ...team }) => team));
+
+  expect(second.teams.map(team => team.id)).toEqual(first.teams.map(team => team.id));
+  expect(second.teams.every(team => !team.isNew)).toBe(true);
+  expect(second.teams[0].name).toBe('Pony Express');
+  expect(second.schedule.map(game => game.id)).toEqual(first.schedule.map(game => game.id));
+});
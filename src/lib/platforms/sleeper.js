@@ -0,0 +1,79 @@
+// Sleeper adapter. Expects the saved responses of the Sleeper API:
+//   league:   GET /league/{league_id}
+//   users:    GET /league/{league_id}/users
+//   rosters:  GET /league/{league_id}/rosters
+//   matchups: GET /league/{league_id}/matchups/{week}, saved as an object keyed by week
+//             ({ "1": [...], "2": [...] }) or as an array of weeks
+
+const points = (value, decimal) => (value || 0) + (decimal || 0) / 100;
+
+// Sleeper lists every week of the season with 0 points until it's played. A week is unplayed when it's
+// the league's current week (`settings.leg`) or later in a season in progress, since the current week's
+// points are live and not final yet, or when both sides are still at 0 with no starter scoring anything.
+const hasScored = (entry) => Boolean(entry.points) || (entry.starters_points || []).some(Boolean);
+
+const matchupWeeks = (matchups) => (Array.isArray(matchups)
+  ? matchups.map((entries, index) => [index + 1, entries])
+  : Object.entries(matchups || {}).map(([week, entries]) => [Number(week), entries]));
+
+const sleeper = {
+  id: 'sleeper',
+  label: 'Sleeper',
+  files: ['league', 'users', 'rosters', 'matchups'],
+
+  normalize: ({ league, users = [], rosters = [], matchups = {} }) => {
+    const usersById = Object.fromEntries(users.map(user => [user.user_id, user]));
+    const playoffWeekStart = (league.settings && league.settings.playoff_week_start) || null;
+    const winnerRosterId = league.metadata && league.metadata.latest_league_winner_roster_id;
+    const currentWeek = league.status !== 'complete' && league.settings && league.settings.leg;
+    const isPlayed = (week, home, away) => !(currentWeek && week >= currentWeek) && (hasScored(home) || hasScored(away));
+
+    const teams = rosters.map(roster => {
+      const user = usersById[roster.owner_id] || {};
+      const settings = roster.settings || {};
+      const manager = user.display_name || `Roster ${roster.roster_id}`;
+      return {
+        key: String(roster.roster_id),
+        managerId: `sleeper:${roster.owner_id || `roster-${roster.roster_id}`}`,
+        manager,
+        name: (user.metadata && user.metadata.team_name) || manager,
+        wins: settings.wins || 0,
+        losses: settings.losses || 0,
+        ties: settings.ties || 0,
+        pointsFor: points(settings.fpts, settings.fpts_decimal),
+      };
+    });
+
+    // Both sides of a game share a matchup_id within the week
+    const games = matchupWeeks(matchups).flatMap(([week, entries]) => {
+      const byMatchup = new Map();
+      (entries || []).filter(entry => entry.matchup_id).forEach(entry => {
+        byMatchup.set(entry.matchup_id, [...(byMatchup.get(entry.matchup_id) || []), entry]);
+      });
+      return [...byMatchup.entries()]
+        .filter(([, pair]) => pair.length === 2)
+        .map(([matchupId, [home, away]]) => ({
+          key: `w${week}-m${matchupId}`,
+          week,
+          homeKey: String(home.roster_id),
+          awayKey: String(away.roster_id),
+          homeScore: isPlayed(week, home, away) ? home.points ?? 0 : null,
+          awayScore: isPlayed(week, home, away) ? away.points ?? 0 : null,
+          playoffRound: playoffWeekStart && week >= playoffWeekStart ? week - playoffWeekStart + 1 : null,
+        }));
+    });
+
+    return {
+      platform: 'sleeper',
+      leagueId: String(league.league_id),
+      name: league.name,
+      season: Number(league.season),
+      isComplete: league.status === 'complete',
+      championKey: winnerRosterId ? String(winnerRosterId) : null,
+      teams,
+      games,
+    };
+  },
+};
+
+export default sleeper;
@@ -0,0 +1,70 @@
+// Yahoo adapter. Yahoo's raw API responses are deeply nested, so this reads the flattened JSON
+// that the yahoo-fantasy client library returns:
+//   league:   league.meta(league_key)       { league_key, name, season, end_week, is_finished }
+//   rosters:  league.standings(league_key)  { standings: [{ team_key, name, managers, standings }] }
+//   matchups: league.scoreboard per week, saved as an array of { week, matchups: [...] }
+// Managers come from each team's `managers` list, so no separate users file is needed.
+
+const yahoo = {
+  id: 'yahoo',
+  label: 'Yahoo',
+  files: ['league', 'rosters', 'matchups'],
+
+  normalize: ({ league, rosters, matchups = [] }) => {
+    const standings = (rosters && rosters.standings) || [];
+
+    const teams = standings.map(team => {
+      const manager = (team.managers || [])[0] || {};
+      const totals = (team.standings && team.standings.outcome_totals) || {};
+      return {
+        key: team.team_key,
+        managerId: `yahoo:${manager.guid || manager.manager_id || team.team_key}`,
+        manager: manager.nickname || team.name,
+        name: team.name,
+        wins: Number(totals.wins) || 0,
+        losses: Number(totals.losses) || 0,
+        ties: Number(totals.ties) || 0,
+        pointsFor: Number(team.standings && team.standings.points_for) || 0,
+      };
+    });
+
+    const playoffWeeks = [...new Set(matchups.flatMap(scoreboard => (scoreboard.matchups || [])
+      .filter(matchup => matchup.is_playoffs === '1')
+      .map(() => Number(scoreboard.week))))].sort((a, b) => a - b);
+
+    let championKey = null;
+    const games = matchups.flatMap(scoreboard => (scoreboard.matchups || [])
+      .filter(matchup => (matchup.teams || []).length === 2)
+      .map((matchup, index) => {
+        const week = Number(scoreboard.week);
+        const [home, away] = matchup.teams;
+        const isPlayed = matchup.status === 'postevent';
+        const isPlayoff = matchup.is_playoffs === '1';
+        if (isPlayed && isPlayoff && matchup.is_consolation !== '1' && week === playoffWeeks[playoffWeeks.length - 1]) {
+          championKey = matchup.winner_team_key || null;
+        }
+        return {
+          key: `w${week}-m${index + 1}`,
+          week,
+          homeKey: home.team_key,
+          awayKey: away.team_key,
+          homeScore: isPlayed ? Number(home.points.total) : null,
+          awayScore: isPlayed ? Number(away.points.total) : null,
+          playoffRound: isPlayoff ? playoffWeeks.indexOf(week) + 1 : null,
+        };
+      }));
+
+    return {
+      platform: 'yahoo',
+      leagueId: league.league_key,
+      name: league.name,
+      season: Number(league.season),
+      isComplete: league.is_finished === 1 || league.is_finished === '1',
+      championKey,
+      teams,
+      games,
+    };
+  },
+};
+
+export default yahoo;
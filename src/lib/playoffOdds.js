@@ -0,0 +1,151 @@
+import { computeTeamRecords, isGameFinal } from './records';
+import { rankTeams, seedPlayoffs, DEFAULT_TIEBREAKERS, DEFAULT_PLAYOFF_TEAMS } from './standings';
+import { BRACKETS, buildBracket, resolveBracket, byeCount } from './playoffs';
+
+// Monte Carlo playoff odds. Each simulated season plays out the remaining regular-season games by
+// drawing both teams' scores from a normal distribution fitted to that team's final scores so far,
+// seeds the playoffs with the real tiebreakers, then plays out the championship bracket the same way.
+// Runs in a Web Worker from the UI (see src/workers); it is plain code so tests can call it directly.
+
+export const DEFAULT_ITERATIONS = 5000;
+
+// Result a "what if" can force on an unplayed game, keyed by game id
+export const FORCED_RESULTS = { HOME: 'home', AWAY: 'away' };
+
+// Small seeded PRNG (mulberry32), so a run is reproducible
+export const createRandom = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a hash of a seed string, for seeding createRandom from text such as a season or a word
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Standard normal draw (Box-Muller)
+const normal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const meanAndDeviation = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(values.length - 1, 1);
+  return { mean, deviation: Math.sqrt(variance) };
+};
+
+// Scoring model per team: mean and standard deviation of its final scores. Teams with fewer than
+// two games borrow the league-wide numbers (or 100 ± 20 before any scores exist).
+export const scoringModels = (teams, schedule) => {
+  const scores = new Map(teams.map(team => [team.id, []]));
+  schedule.filter(isGameFinal).forEach(game => {
+    if (scores.has(game.homeTeamId)) scores.get(game.homeTeamId).push(game.homeScore);
+    if (scores.has(game.awayTeamId)) scores.get(game.awayTeamId).push(game.awayScore);
+  });
+  const all = [...scores.values()].flat();
+  const league = all.length >= 2 ? meanAndDeviation(all) : { mean: 100, deviation: 20 };
+
+  return Object.fromEntries(teams.map(team => {
+    const own = scores.get(team.id);
+    return [team.id, own.length >= 2 ? meanAndDeviation(own) : league];
+  }));
+};
+
+const drawScore = (model, random) => Math.max(0, Math.round((model.mean + model.deviation * normal(random)) * 100) / 100);
+
+// Plays a game: both scores drawn, then swapped if a forced result says the other team won
+const playGame = (game, models, random, forced) => {
+  let homeScore = drawScore(models[game.homeTeamId], random);
+  let awayScore = drawScore(models[game.awayTeamId], random);
+  if ((forced === FORCED_RESULTS.HOME && homeScore < awayScore) || (forced === FORCED_RESULTS.AWAY && awayScore < homeScore)) {
+    [homeScore, awayScore] = [awayScore, homeScore];
+  }
+  if (forced && homeScore === awayScore) {
+    if (forced === FORCED_RESULTS.HOME) homeScore += 0.01;
+    else awayScore += 0.01;
+  }
+  return { ...game, homeScore, awayScore };
+};
+
+// Odds per team id: { playoffs, bye, championship, averageSeed } as fractions of the iterations
+export const simulatePlayoffOdds = (teams, schedule, settings = {}, options = {}) => {
+  const iterations = options.iterations || DEFAULT_ITERATIONS;
+  const forcedResults = options.forcedResults || {};
+  const random = createRandom(options.seed || 1);
+  const regularSeason = schedule.filter(game => !game.playoffRound);
+  const played = regularSeason.filter(isGameFinal);
+  const remaining = regularSeason.filter(game => !isGameFinal(game));
+  const playoffGames = schedule.filter(game => game.playoffRound && game.bracket === BRACKETS.CHAMPIONSHIP && isGameFinal(game));
+  const models = scoringModels(teams, regularSeason);
+  const rankOptions = {
+    tiebreakers: settings.tiebreakers || DEFAULT_TIEBREAKERS,
+    seed: settings.coinFlipSeed || '',
+    playoffTeams: settings.playoffTeams || DEFAULT_PLAYOFF_TEAMS,
+    divisionWinnersSeededFirst: Boolean(settings.divisionWinnersSeededFirst),
+  };
+  const byes = byeCount(Math.min(rankOptions.playoffTeams, teams.length));
+
+  const totals = Object.fromEntries(teams.map(team => [team.id, { playoffs: 0, bye: 0, championship: 0, seedSum: 0 }]));
+
+  for (let i = 0; i < iterations; i++) {
+    const season = [...played, ...remaining.map(game => playGame(game, models, random, forcedResults[game.id]))];
+    const ranked = rankTeams(computeTeamRecords(teams, season), season, rankOptions);
+    const seeds = seedPlayoffs(ranked, season, rankOptions);
+    const seeded = [...seeds.entries()].sort((a, b) => a[1] - b[1]).map(([teamId]) => teamId);
+
+    seeded.forEach((teamId, index) => {
+      totals[teamId].playoffs += 1;
+      totals[teamId].seedSum += index + 1;
+      if (index < byes) totals[teamId].bye += 1;
+    });
+
+    // Play the bracket round by round, keeping any playoff results already recorded
+    const bracket = buildBracket(BRACKETS.CHAMPIONSHIP, seeded);
+    const bracketGames = [...playoffGames];
+    let resolved = resolveBracket(bracket, bracketGames);
+    while (seeded.length > 1 && !resolved.champion) {
+      const recorded = new Set(bracketGames.map(game => game.bracketSlot));
+      resolved.rounds.flat()
+        .filter(match => match.top && match.bottom && !match.isBye && !recorded.has(match.id))
+        .forEach(match => {
+          bracketGames.push(playGame({ homeTeamId: match.top.teamId, awayTeamId: match.bottom.teamId, bracketSlot: match.id }, models, random));
+        });
+      resolved = resolveBracket(bracket, bracketGames);
+    }
+    const champion = seeded.length === 1 ? { teamId: seeded[0] } : resolved.champion;
+    if (champion) totals[champion.teamId].championship += 1;
+  }
+
+  return Object.fromEntries(teams.map(team => {
+    const total = totals[team.id];
+    return [team.id, {
+      playoffs: total.playoffs / iterations,
+      bye: total.bye / iterations,
+      championship: total.championship / iterations,
+      averageSeed: total.playoffs > 0 ? total.seedSum / total.playoffs : null,
+    }];
+  }));
+};
+
+// 0.8734 -> "87.3%", with the ends shown as certain only when they really are
+export const formatOdds = (value) => {
+  if (value === 1) return '100%';
+  if (value === 0) return '0%';
+  if (value > 0.999) return '>99.9%';
+  if (value < 0.001) return '<0.1%';
+  return `${(value * 100).toFixed(1)}%`;
+};
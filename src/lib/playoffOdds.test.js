@@ -0,0 +1,60 @@
+import { simulatePlayoffOdds, scoringModels, createRandom, formatOdds } from './playoffOdds';
+
+const teams = ['a', 'b', 'c', 'd'].map(id => ({ id, name: id.toUpperCase() }));
+const game = (id, week, homeTeamId, awayTeamId, homeScore = null, awayScore = null) => ({ id, week, homeTeamId, awayTeamId, homeScore, awayScore });
+
+const schedule = [
+  game('g1', 1, 'a', 'b', 150, 80),
+  game('g2', 1, 'c', 'd', 100, 99),
+  game('g3', 2, 'a', 'c', 140, 90),
+  game('g4', 2, 'b', 'd', 85, 95),
+  game('g5', 3, 'a', 'd'),
+  game('g6', 3, 'b', 'c'),
+];
+
+test('fits a scoring model per team', () => {
+  const models = scoringModels(teams, schedule);
+  expect(models.a.mean).toBe(145);
+  expect(models.a.deviation).toBeCloseTo(7.07, 2);
+});
+
+test('the seeded random generator is reproducible', () => {
+  const first = createRandom(42);
+  const second = createRandom(42);
+  expect([first(), first()]).toEqual([second(), second()]);
+});
+
+test('simulates playoff, bye and championship odds', () => {
+  const odds = simulatePlayoffOdds(teams, schedule, { playoffTeams: 2 }, { iterations: 500, seed: 7 });
+
+  // A is 2-0 with by far the best scoring: always in and usually the champion
+  expect(odds.a.playoffs).toBe(1);
+  expect(odds.a.championship).toBeGreaterThan(0.8);
+  // B is 0-2; even winning out leaves it behind A and the winner of C vs D's head-to-head
+  expect(odds.b.playoffs).toBe(0);
+  const playoffShare = teams.reduce((sum, team) => sum + odds[team.id].playoffs, 0);
+  const titleShare = teams.reduce((sum, team) => sum + odds[team.id].championship, 0);
+  expect(playoffShare).toBeCloseTo(2, 5);
+  expect(titleShare).toBeCloseTo(1, 5);
+  // With two playoff teams nobody gets a bye
+  expect(odds.a.bye).toBe(0);
+});
+
+test('forced results change the odds', () => {
+  const settings = { playoffTeams: 2 };
+  const cWins = simulatePlayoffOdds(teams, schedule, settings, { iterations: 300, forcedResults: { g6: 'away', g5: 'home' } });
+  const bWins = simulatePlayoffOdds(teams, schedule, settings, { iterations: 300, forcedResults: { g6: 'home', g5: 'home' } });
+
+  // C at 2-1 is in. If B beats C, B, C and D finish 1-2 with circular head-to-head results,
+  // so points for decides the second spot and D has a chance
+  expect(cWins.c.playoffs).toBe(1);
+  expect(cWins.d.playoffs).toBe(0);
+  expect(bWins.c.playoffs).toBeLessThan(1);
+  expect(bWins.d.playoffs).toBeGreaterThan(0);
+});
+
+test('formats odds', () => {
+  expect(formatOdds(0.8734)).toBe('87.3%');
+  expect(formatOdds(0.9999)).toBe('>99.9%');
+  expect(formatOdds(0)).toBe('0%');
+});
@@ -0,0 +1,213 @@
+import { isGameFinal } from './records';
+
+// Playoff brackets.
+//
+// A bracket is built from an ordered list of seeded team ids. When the team count isn't a power of
+// two, the top seeds get first-round byes. Playoff games are ordinary schedule documents tagged with
+// { bracket, bracketSlot, playoffRound }; resolveBracket() reads their scores to advance teams, so
+// recording a score is all it takes to move a winner (or, in a toilet bowl, a loser) forward.
+
+export const BRACKETS = {
+  CHAMPIONSHIP: 'championship',
+  CONSOLATION: 'consolation',
+  TOILET_BOWL: 'toiletBowl',
+};
+
+export const BRACKET_LABELS = {
+  [BRACKETS.CHAMPIONSHIP]: 'Championship Bracket',
+  [BRACKETS.CONSOLATION]: 'Consolation Bracket',
+  [BRACKETS.TOILET_BOWL]: 'Toilet Bowl',
+};
+
+// Smallest power of two that fits every team
+export const bracketSize = (teamCount) => {
+  let size = 1;
+  while (size < teamCount) {
+    size *= 2;
+  }
+  return size;
+};
+
+export const byeCount = (teamCount) => (teamCount > 1 ? bracketSize(teamCount) - teamCount : 0);
+
+// Seed numbers in bracket order, so 1 meets the lowest seed and 1 and 2 can only meet in the final
+// (size 8: 1, 8, 4, 5, 2, 7, 3, 6)
+export const seedOrder = (size) => {
+  if (size <= 1) {
+    return [1];
+  }
+  let order = [1, 2];
+  while (order.length < size) {
+    const nextSize = order.length * 2;
+    order = order.flatMap(seed => [seed, nextSize + 1 - seed]);
+  }
+  return order;
+};
+
+export const roundLabel = (round, totalRounds) => {
+  const fromEnd = totalRounds - round;
+  if (fromEnd === 0) return 'Final';
+  if (fromEnd === 1) return 'Semifinals';
+  if (fromEnd === 2) return 'Quarterfinals';
+  return `Round ${round}`;
+};
+
+export const matchId = (bracketId, round, index) => `${bracketId}-r${round}m${index + 1}`;
+
+// Builds the empty bracket for seeded teams (team ids, best seed first)
+export const buildBracket = (bracketId, seededTeamIds) => {
+  const teamCount = seededTeamIds.length;
+  if (teamCount < 2) {
+    return { id: bracketId, rounds: [] };
+  }
+
+  const size = bracketSize(teamCount);
+  const order = seedOrder(size);
+  const slotFor = (seed) => (seed <= teamCount ? { seed, teamId: seededTeamIds[seed - 1] } : null);
+
+  const rounds = [];
+  const firstRound = [];
+  for (let i = 0; i < order.length; i += 2) {
+    firstRound.push({
+      id: matchId(bracketId, 1, i / 2),
+      round: 1,
+      top: slotFor(order[i]),
+      bottom: slotFor(order[i + 1]),
+    });
+  }
+  rounds.push(firstRound);
+
+  while (rounds[rounds.length - 1].length > 1) {
+    const previous = rounds[rounds.length - 1];
+    const round = rounds.length + 1;
+    const matches = [];
+    for (let i = 0; i < previous.length; i += 2) {
+      matches.push({
+        id: matchId(bracketId, round, i / 2),
+        round,
+        topFrom: previous[i].id,
+        bottomFrom: previous[i + 1].id,
+      });
+    }
+    rounds.push(matches);
+  }
+
+  return { id: bracketId, rounds };
+};
+
+// Fills a bracket with teams and results from recorded playoff games. Each resolved match has
+// { id, round, label, top, bottom, game, winner, loser, advancing, isBye } where top/bottom are
+// { seed, teamId } or null. In a toilet bowl the loser advances. A tied playoff game goes to the better seed.
+export const resolveBracket = (bracket, games, { losersAdvance = false } = {}) => {
+  const gamesBySlot = new Map(games.filter(game => game.bracketSlot).map(game => [game.bracketSlot, game]));
+  const resolved = new Map();
+  const totalRounds = bracket.rounds.length;
+
+  const rounds = bracket.rounds.map(matches => matches.map(match => {
+    const top = match.round === 1 ? match.top : (resolved.get(match.topFrom) || {}).advancing || null;
+    const bottom = match.round === 1 ? match.bottom : (resolved.get(match.bottomFrom) || {}).advancing || null;
+    const feedersDone = match.round === 1
+      || (resolved.get(match.topFrom).advancing && resolved.get(match.bottomFrom).advancing);
+    const isBye = feedersDone && Boolean(top) !== Boolean(bottom);
+    const game = gamesBySlot.get(match.id) || null;
+
+    let winner = null;
+    let loser = null;
+    if (isBye) {
+      winner = top || bottom;
+    } else if (top && bottom && game && isGameFinal(game)) {
+      const topScore = game.homeTeamId === top.teamId ? game.homeScore : game.awayScore;
+      const bottomScore = game.homeTeamId === top.teamId ? game.awayScore : game.homeScore;
+      const topWins = topScore > bottomScore || (topScore === bottomScore && top.seed < bottom.seed);
+      winner = topWins ? top : bottom;
+      loser = topWins ? bottom : top;
+    }
+
+    const result = {
+      id: match.id,
+      round: match.round,
+      label: roundLabel(match.round, totalRounds),
+      top: top || null,
+      bottom: bottom || null,
+      game,
+      winner,
+      loser,
+      isBye,
+      // A bye always moves the lone team on, even in a toilet bowl
+      advancing: isBye ? winner : (losersAdvance ? loser : winner),
+    };
+    resolved.set(match.id, result);
+    return result;
+  }));
+
+  const final = rounds.length > 0 ? rounds[rounds.length - 1][0] : null;
+  return {
+    id: bracket.id,
+    rounds,
+    // The team the bracket is played for: the champion, or the toilet bowl "winner"
+    champion: final ? final.advancing : null,
+    runnerUp: final && final.advancing ? (final.advancing === final.winner ? final.loser : final.winner) : null,
+  };
+};
+
+// Seeded team ids for each bracket, from ranked standings (best first) and the playoff settings
+export const seedBrackets = (standings, settings = {}) => {
+  const seeded = standings.filter(team => team.seed).sort((a, b) => a.seed - b.seed).map(team => team.id);
+  const rest = standings.filter(team => !team.seed).map(team => team.id);
+  const consolationType = settings.consolationBracket || BRACKETS.TOILET_BOWL;
+
+  const brackets = { [BRACKETS.CHAMPIONSHIP]: seeded };
+  if (consolationType === BRACKETS.CONSOLATION) {
+    brackets[BRACKETS.CONSOLATION] = rest;
+  } else if (consolationType === BRACKETS.TOILET_BOWL) {
+    // The worst team is the top seed of the toilet bowl
+    brackets[BRACKETS.TOILET_BOWL] = [...rest].reverse();
+  }
+  return brackets;
+};
+
+// The schedule week a playoff round is played in
+export const playoffWeek = (round, settings, schedule) => {
+  const lastRegularWeek = schedule
+    .filter(game => !game.playoffRound)
+    .reduce((last, game) => Math.max(last, game.week || 0), 0);
+  return (settings.playoffStartWeek || lastRegularWeek + 1) + round - 1;
+};
+
+// Score of one side of a playoff match, or null before the game is recorded
+export const slotScore = (game, entry) => {
+  if (!game || !entry) {
+    return null;
+  }
+  const score = game.homeTeamId === entry.teamId ? game.homeScore : game.awayScore;
+  return typeof score === 'number' ? score : null;
+};
+
+// Plain-data copy of a resolved bracket with team names, for archiving in Firestore
+// (which can't store nested arrays, so each round is an object)
+export const snapshotBracket = (resolvedBracket, teamsById) => {
+  const slot = (entry) => (entry ? {
+    seed: entry.seed,
+    teamId: entry.teamId,
+    name: teamsById[entry.teamId] ? teamsById[entry.teamId].name : entry.teamId,
+  } : null);
+  return {
+    id: resolvedBracket.id,
+    champion: slot(resolvedBracket.champion),
+    runnerUp: slot(resolvedBracket.runnerUp),
+    rounds: resolvedBracket.rounds.map(matches => ({
+      round: matches[0].round,
+      label: matches[0].label,
+      matches: matches.map(match => ({
+        id: match.id,
+        round: match.round,
+        isBye: match.isBye,
+        top: slot(match.top),
+        bottom: slot(match.bottom),
+        advancing: slot(match.advancing),
+        topScore: slotScore(match.game, match.top),
+        bottomScore: slotScore(match.game, match.bottom),
+      })),
+    })),
+  };
+};
@@ -0,0 +1,78 @@
+import { buildBracket, resolveBracket, seedOrder, byeCount, seedBrackets, snapshotBracket } from './playoffs';
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `t${i + 1}`);
+const playoffGame = (bracketSlot, homeTeamId, awayTeamId, homeScore, awayScore) => (
+  { bracketSlot, homeTeamId, awayTeamId, homeScore, awayScore, playoffRound: 1 }
+);
+
+test('orders seeds so the top two can only meet in the final', () => {
+  expect(seedOrder(4)).toEqual([1, 4, 2, 3]);
+  expect(seedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test('gives the top seeds byes when the team count is not a power of two', () => {
+  expect(byeCount(6)).toBe(2);
+  const bracket = buildBracket('championship', ids(6));
+
+  expect(bracket.rounds.map(round => round.length)).toEqual([4, 2, 1]);
+  expect(bracket.rounds[0][0]).toMatchObject({ top: { seed: 1, teamId: 't1' }, bottom: null });
+  expect(bracket.rounds[0][1]).toMatchObject({ top: { seed: 4 }, bottom: { seed: 5 } });
+});
+
+test('advances winners from recorded games and byes', () => {
+  const bracket = buildBracket('championship', ids(6));
+  const games = [
+    playoffGame('championship-r1m2', 't4', 't5', 100, 110),
+    playoffGame('championship-r1m4', 't3', 't6', 120, 90),
+  ];
+  let resolved = resolveBracket(bracket, games);
+
+  expect(resolved.rounds[0][0]).toMatchObject({ isBye: true, advancing: { teamId: 't1' } });
+  expect(resolved.rounds[1][0]).toMatchObject({ top: { teamId: 't1' }, bottom: { teamId: 't5' } });
+  expect(resolved.rounds[1][1]).toMatchObject({ top: { teamId: 't2' }, bottom: { teamId: 't3' } });
+  expect(resolved.champion).toBeNull();
+
+  games.push(
+    playoffGame('championship-r2m1', 't5', 't1', 130, 100),
+    playoffGame('championship-r2m2', 't2', 't3', 100, 100),
+    playoffGame('championship-r3m1', 't2', 't5', 140, 120),
+  );
+  resolved = resolveBracket(bracket, games);
+
+  // The tied semifinal goes to the better seed
+  expect(resolved.rounds[1][1].winner.teamId).toBe('t2');
+  expect(resolved.rounds[2][0]).toMatchObject({ label: 'Final', top: { teamId: 't5' }, bottom: { teamId: 't2' } });
+  expect(resolved.champion.teamId).toBe('t2');
+  expect(resolved.runnerUp.teamId).toBe('t5');
+});
+
+test('moves losers forward in a toilet bowl', () => {
+  const bracket = buildBracket('toiletBowl', ids(4));
+  const resolved = resolveBracket(bracket, [
+    playoffGame('toiletBowl-r1m1', 't1', 't4', 80, 100),
+    playoffGame('toiletBowl-r1m2', 't2', 't3', 110, 90),
+    playoffGame('toiletBowl-r2m1', 't1', 't3', 70, 95),
+  ], { losersAdvance: true });
+
+  expect(resolved.rounds[1][0]).toMatchObject({ top: { teamId: 't1' }, bottom: { teamId: 't3' } });
+  expect(resolved.champion.teamId).toBe('t1');
+});
+
+test('seeds the championship and a worst-first toilet bowl from standings', () => {
+  const standings = [
+    { id: 'a', seed: 1 }, { id: 'b', seed: 2 }, { id: 'c', seed: null }, { id: 'd', seed: null }, { id: 'e', seed: null },
+  ];
+  expect(seedBrackets(standings)).toEqual({ championship: ['a', 'b'], toiletBowl: ['e', 'd', 'c'] });
+  expect(seedBrackets(standings, { consolationBracket: 'none' })).toEqual({ championship: ['a', 'b'] });
+});
+
+test('snapshots a resolved bracket as plain data', () => {
+  const bracket = buildBracket('championship', ids(2));
+  const resolved = resolveBracket(bracket, [playoffGame('championship-r1m1', 't2', 't1', 120, 100)]);
+  const snapshot = snapshotBracket(resolved, { t1: { name: 'Ponies' }, t2: { name: 'Gurus' } });
+
+  expect(snapshot.champion).toEqual({ seed: 2, teamId: 't2', name: 'Gurus' });
+  expect(snapshot.rounds[0]).toMatchObject({ label: 'Final', matches: [{ topScore: 100, bottomScore: 120 }] });
+  expect(snapshot.rounds.some(Array.isArray)).toBe(false);
+  expect(JSON.stringify(snapshot)).not.toMatch(/undefined/);
+});
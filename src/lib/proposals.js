@@ -0,0 +1,74 @@
+import { listSections, getSectionBody, replaceSectionBody } from './constitution';
+
+// Voting rules for constitution amendment proposals.
+//
+// A proposal document ({ sectionAnchor, proposedText, threshold, deadline, status, ... }) is voted
+// on by teams: one vote per team, stored in proposalVotes/{proposalId}_{teamId}.
+
+export const DEFAULT_PROPOSAL_THRESHOLD = 2 / 3; // Share of all teams that must vote yes
+export const DEFAULT_PROPOSAL_VOTING_DAYS = 7;
+
+export const PROPOSAL_STATUS = {
+  OPEN: 'open',
+  PASSED: 'passed',
+  FAILED: 'failed',
+};
+
+export const voteDocId = (proposalId, teamId) => `${proposalId}_${teamId}`;
+
+// Number of yes votes needed for a proposal to pass
+export const votesNeeded = (threshold, teamCount) =>
+  Math.max(1, Math.ceil((threshold || DEFAULT_PROPOSAL_THRESHOLD) * teamCount - 1e-9));
+
+export const tallyVotes = (votes) => ({
+  yes: votes.filter(vote => vote.vote === 'yes').length,
+  no: votes.filter(vote => vote.vote === 'no').length,
+});
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+// Decides a proposal's outcome from its votes. A proposal passes as soon as enough teams vote yes,
+// fails as soon as it can no longer reach the threshold, and otherwise fails at its deadline.
+export const proposalOutcome = (proposal, votes, teamCount, now = new Date()) => {
+  const { yes, no } = tallyVotes(votes);
+  const needed = votesNeeded(proposal.threshold, teamCount);
+  const result = { yes, no, needed };
+
+  if (yes >= needed) {
+    return { ...result, status: PROPOSAL_STATUS.PASSED };
+  }
+  if (teamCount - no < needed || (proposal.deadline && toDate(proposal.deadline) <= now)) {
+    return { ...result, status: PROPOSAL_STATUS.FAILED };
+  }
+  return { ...result, status: PROPOSAL_STATUS.OPEN };
+};
+
+// Votes grouped by proposal id
+export const groupVotesByProposal = (votes) => votes.reduce((groups, vote) => {
+  (groups[vote.proposalId] = groups[vote.proposalId] || []).push(vote);
+  return groups;
+}, {});
+
+// Applies a passed proposal to the constitution Markdown. The proposal is matched by its section
+// anchor, and by title within the same article if articles were renumbered since it was drafted.
+// Returns null if the section can no longer be found, or if its text was changed after the proposal
+// was made, so the commissioner resolves the conflict by hand instead of it being overwritten.
+export const applyProposal = (markdown, proposal) => {
+  const sections = listSections(markdown);
+  // Proposals made before articleTitle was stored match on the section title alone
+  const isSameSection = (section) => section.title === proposal.sectionTitle
+    && (proposal.articleTitle === undefined || section.articleTitle === proposal.articleTitle);
+  const byAnchor = sections.find(section => section.anchor === proposal.sectionAnchor);
+  const byTitle = sections.filter(isSameSection);
+  const target = byAnchor && (!proposal.sectionTitle || isSameSection(byAnchor))
+    ? byAnchor
+    : byTitle.length === 1 ? byTitle[0] : null;
+
+  if (!target) {
+    return null;
+  }
+  if (proposal.originalText !== undefined && (getSectionBody(markdown, target.anchor) || '') !== proposal.originalText.trim()) {
+    return null;
+  }
+  return replaceSectionBody(markdown, target.anchor, proposal.proposedText);
+};
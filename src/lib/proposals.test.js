@@ -0,0 +1,67 @@
+import { proposalOutcome, votesNeeded, groupVotesByProposal, applyProposal } from './proposals';
+
+const deadline = new Date('2026-09-01T00:00:00Z');
+const before = new Date('2026-08-15T00:00:00Z');
+const after = new Date('2026-09-02T00:00:00Z');
+const votes = (yes, no) => [
+  ...Array.from({ length: yes }, (_, i) => ({ teamId: `y${i}`, vote: 'yes' })),
+  ...Array.from({ length: no }, (_, i) => ({ teamId: `n${i}`, vote: 'no' })),
+];
+
+test('computes the votes needed from the threshold', () => {
+  expect(votesNeeded(2 / 3, 12)).toBe(8);
+  expect(votesNeeded(0.5, 10)).toBe(5);
+  expect(votesNeeded(0.75, 10)).toBe(8);
+});
+
+test('passes as soon as the threshold is reached', () => {
+  const proposal = { threshold: 2 / 3, deadline };
+  expect(proposalOutcome(proposal, votes(8, 0), 12, before)).toMatchObject({ status: 'passed', yes: 8, needed: 8 });
+  expect(proposalOutcome(proposal, votes(7, 0), 12, before).status).toBe('open');
+});
+
+test('fails early once the threshold is out of reach', () => {
+  const proposal = { threshold: 2 / 3, deadline };
+  expect(proposalOutcome(proposal, votes(2, 5), 12, before).status).toBe('failed');
+  expect(proposalOutcome(proposal, votes(2, 4), 12, before).status).toBe('open');
+});
+
+test('fails at the deadline without enough yes votes', () => {
+  expect(proposalOutcome({ threshold: 0.5, deadline }, votes(4, 0), 10, after).status).toBe('failed');
+});
+
+test('groups votes by proposal', () => {
+  const grouped = groupVotesByProposal([
+    { proposalId: 'p1', vote: 'yes' },
+    { proposalId: 'p2', vote: 'no' },
+    { proposalId: 'p1', vote: 'no' },
+  ]);
+  expect(grouped.p1).toHaveLength(2);
+  expect(grouped.p2).toHaveLength(1);
+});
+
+test('applies a proposal to its section, following renumbered articles by title', () => {
+  const constitution = '# Membership\nTen teams.\n\n# Trades\n## Deadline\nWeek 10.';
+  const proposal = { sectionAnchor: 'article-2-section-1', sectionTitle: 'Deadline', proposedText: 'Week 12.' };
+
+  expect(applyProposal(constitution, proposal)).toBe('# Membership\nTen teams.\n\n# Trades\n## Deadline\nWeek 12.');
+
+  const renumbered = '# Preamble\n\n' + constitution;
+  expect(applyProposal(renumbered, proposal)).toMatch(/## Deadline\nWeek 12\.$/);
+  expect(applyProposal('# Membership', proposal)).toBeNull();
+});
+
+test('matches a section by title within its article and refuses to overwrite edits made since', () => {
+  const constitution = '# Regular Season\n## Scoring\nHalf PPR.\n\n# Playoffs\n## Scoring\nFull PPR.';
+  const proposal = {
+    sectionAnchor: 'article-2-section-1', sectionTitle: 'Scoring', articleTitle: 'Playoffs',
+    originalText: 'Full PPR.', proposedText: 'Double points.',
+  };
+
+  // An article inserted at the top renumbers both; the Playoffs one is still found
+  const renumbered = '# Preamble\n\n' + constitution;
+  expect(applyProposal(renumbered, proposal)).toMatch(/## Scoring\nHalf PPR\.\n\n# Playoffs\n## Scoring\nDouble points\.$/);
+
+  const edited = constitution.replace('Full PPR.', 'Full PPR, no kickers.');
+  expect(applyProposal(edited, proposal)).toBeNull();
+});
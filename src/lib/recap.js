@@ -0,0 +1,164 @@
+import { AWARDS, AWARD_LABELS, completedWeeks, weeklyAwards } from './analytics';
+import { computeStandings } from './standings';
+import { isGameFinal } from './records';
+
+// Weekly recap drafts for League News.
+//
+// recapData() gathers what happened in a week from the schedule: every final game, the week's
+// awards, how the standings moved and the rivalry games coming up. buildRecap() turns that into a
+// post's title and content with templates, where {placeholders} are filled from each item. The
+// commissioner can override any template in leagueSettings.recapTemplates.
+
+export const BLOWOUT_MARGIN = 40;
+export const CLOSE_GAME_MARGIN = 5;
+
+export const DEFAULT_RECAP_TEMPLATES = {
+  title: 'Week {week} Recap',
+  intro: 'Week {week} is in the books. Here\'s how it went down.',
+  win: '{winner} beat {loser} {winnerScore}-{loserScore}.',
+  blowout: '{winner} ran {loser} off the field, {winnerScore}-{loserScore}.',
+  closeGame: '{winner} held off {loser} {winnerScore}-{loserScore}, a {margin}-point thriller.',
+  tie: '{home} and {away} tied at {homeScore}.',
+  [AWARDS.HIGH_SCORER]: '{award}: {team} with {score} points',
+  [AWARDS.BIGGEST_BLOWOUT]: '{award}: {team} by {margin} over {opponent}',
+  [AWARDS.NARROWEST_WIN]: '{award}: {team} by {margin} over {opponent}',
+  [AWARDS.HEARTBREAK_LOSS]: '{award}: {team} scored {score} and still lost to {opponent}',
+  riser: '{team} climbed {places} to {rank}.',
+  faller: '{team} slipped {places} to {rank}.',
+  rivalry: 'Week {week}: {home} vs {away}',
+  outro: '',
+};
+
+// Template names with a short description, in the order the editor lists them
+export const RECAP_TEMPLATE_FIELDS = [
+  { key: 'title', label: 'Title', placeholders: '{week}' },
+  { key: 'intro', label: 'Intro', placeholders: '{week}' },
+  { key: 'win', label: 'Win', placeholders: '{winner} {loser} {winnerScore} {loserScore} {margin}' },
+  { key: 'blowout', label: `Win by ${BLOWOUT_MARGIN}+`, placeholders: '{winner} {loser} {winnerScore} {loserScore} {margin}' },
+  { key: 'closeGame', label: `Win by under ${CLOSE_GAME_MARGIN}`, placeholders: '{winner} {loser} {winnerScore} {loserScore} {margin}' },
+  { key: 'tie', label: 'Tie', placeholders: '{home} {away} {homeScore} {awayScore}' },
+  ...Object.values(AWARDS).map(award => ({ key: award, label: AWARD_LABELS[award], placeholders: '{award} {team} {opponent} {score} {opponentScore} {margin}' })),
+  { key: 'riser', label: 'Standings riser', placeholders: '{team} {places} {rank} {previousRank}' },
+  { key: 'faller', label: 'Standings faller', placeholders: '{team} {places} {rank} {previousRank}' },
+  { key: 'rivalry', label: 'Upcoming rivalry', placeholders: '{week} {home} {away}' },
+  { key: 'outro', label: 'Sign-off', placeholders: '{week}' },
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const ordinal = (number) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = number % 100;
+  return `${number}${(lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[number % 10] || 'th')}`;
+};
+
+// Fills {placeholders} from values; unknown placeholders are left as written
+export const fillTemplate = (template, values) =>
+  String(template || '').replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+// Weeks that have a recap to write: completed regular-season and playoff weeks
+export const recapWeeks = (schedule) => completedWeeks(schedule);
+
+// Everything the recap covers for one week. Standings movement compares regular-season ranks after this
+// week with ranks after the week before; rivalry games are the next week that has any, marked on the
+// schedule or between teams paired in scheduleOptions.rivalries.
+export const recapData = (week, { teams, schedule, settings = {} }) => {
+  const teamName = (teamId) => (teams.find(team => team.id === teamId) || {}).name || 'Unknown Team';
+  const rivalryPairs = ((settings.scheduleOptions && settings.scheduleOptions.rivalries) || [])
+    .map(({ home, away }) => [home, away].sort().join(':'));
+  const isRivalry = (game) => Boolean(game.rivalry) || rivalryPairs.includes([game.homeTeamId, game.awayTeamId].sort().join(':'));
+
+  const games = schedule
+    .filter(game => game.week === week && isGameFinal(game))
+    .map(game => {
+      const homeWon = game.homeScore >= game.awayScore;
+      return {
+        id: game.id,
+        home: teamName(game.homeTeamId),
+        away: teamName(game.awayTeamId),
+        homeScore: game.homeScore,
+        awayScore: game.awayScore,
+        isTie: game.homeScore === game.awayScore,
+        winner: teamName(homeWon ? game.homeTeamId : game.awayTeamId),
+        loser: teamName(homeWon ? game.awayTeamId : game.homeTeamId),
+        winnerScore: homeWon ? game.homeScore : game.awayScore,
+        loserScore: homeWon ? game.awayScore : game.homeScore,
+        margin: round2(Math.abs(game.homeScore - game.awayScore)),
+        rivalry: isRivalry(game),
+      };
+    })
+    .sort((a, b) => b.margin - a.margin);
+
+  const awards = Object.entries(weeklyAwards(schedule, week))
+    .filter(([, award]) => award)
+    .map(([key, award]) => ({
+      key,
+      award: AWARD_LABELS[key],
+      team: teamName(award.teamId),
+      opponent: teamName(award.opponentId),
+      score: award.score,
+      opponentScore: award.opponentScore,
+      margin: award.margin,
+    }));
+
+  const ranksThrough = (lastWeek) => Object.fromEntries(
+    computeStandings(teams, schedule.filter(game => !game.playoffRound && game.week <= lastWeek), settings)
+      .map(team => [team.id, team.rank])
+  );
+  const isRegularWeek = schedule.some(game => game.week === week && !game.playoffRound);
+  const previousWeeks = schedule.filter(game => !game.playoffRound && game.week < week && isGameFinal(game));
+  const movers = [];
+  if (isRegularWeek && previousWeeks.length > 0) {
+    const before = ranksThrough(week - 1);
+    const after = ranksThrough(week);
+    teams.forEach(team => {
+      const change = before[team.id] - after[team.id];
+      if (change !== 0) {
+        movers.push({ team: team.name, change, places: Math.abs(change), rank: ordinal(after[team.id]), previousRank: ordinal(before[team.id]) });
+      }
+    });
+    movers.sort((a, b) => b.change - a.change || a.team.localeCompare(b.team));
+  }
+
+  const upcoming = schedule.filter(game => game.week > week && !isGameFinal(game) && isRivalry(game));
+  const nextRivalryWeek = upcoming.length > 0 ? Math.min(...upcoming.map(game => game.week)) : null;
+  const rivalries = upcoming
+    .filter(game => game.week === nextRivalryWeek)
+    .map(game => ({ week: game.week, home: teamName(game.homeTeamId), away: teamName(game.awayTeamId) }));
+
+  return { week, games, awards, movers, rivalries };
+};
+
+// A heading and its bullet lines; sections whose templates are all blank are left out
+const section = (heading, lines) => {
+  const filled = lines.filter(line => line.trim());
+  return filled.length > 0 ? [heading, ...filled.map(line => `- ${line}`), ''] : [];
+};
+
+// Title and content for a news post from the recap data and the league's templates
+export const buildRecap = (data, customTemplates = {}) => {
+  const templates = { ...DEFAULT_RECAP_TEMPLATES, ...customTemplates };
+  const gameLine = (game) => {
+    if (game.isTie) return fillTemplate(templates.tie, game);
+    if (game.margin >= BLOWOUT_MARGIN) return fillTemplate(templates.blowout, game);
+    if (game.margin < CLOSE_GAME_MARGIN) return fillTemplate(templates.closeGame, game);
+    return fillTemplate(templates.win, game);
+  };
+  const intro = fillTemplate(templates.intro, data);
+  const outro = fillTemplate(templates.outro, data);
+
+  const content = [
+    ...(intro ? [intro, ''] : []),
+    ...section('RESULTS', data.games.map(gameLine)),
+    ...section('AWARDS', data.awards.map(award => fillTemplate(templates[award.key], award))),
+    ...section('STANDINGS MOVERS', data.movers.map(mover => fillTemplate(mover.change > 0 ? templates.riser : templates.faller, mover))),
+    ...section('UPCOMING RIVALRIES', data.rivalries.map(rivalry => fillTemplate(templates.rivalry, rivalry))),
+    ...(outro ? [outro] : []),
+  ].join('\n').trim();
+
+  return {
+    title: fillTemplate(templates.title, data),
+    content,
+    category: 'recap',
+  };
+};
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import league from './fixtures/recap/league.json';
+import { recapData, buildRecap, fillTemplate, ordinal, recapWeeks } from './recap';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'recap', name), 'utf8').trim();
+
+test('drafts the week 3 recap from the fixture league', () => {
+  const recap = buildRecap(recapData(3, league));
+  expect(recap.title).toBe('Week 3 Recap');
+  expect(recap.category).toBe('recap');
+  expect(recap.content).toBe(fixture('week-3.txt'));
+});
+
+test('only weeks with every game final get a recap', () => {
+  expect(recapWeeks(league.schedule)).toEqual([1, 2, 3]);
+});
+
+test('the first week has no standings movers, and the rivalry comes from scheduleOptions too', () => {
+  const data = recapData(1, league);
+  expect(data.movers).toEqual([]);
+  // The week 1 meeting of Party Ponies and Gridiron Gurus is a rivalry game by scheduleOptions
+  expect(data.games.find(game => game.winner === 'Party Ponies').rivalry).toBe(true);
+  expect(data.rivalries).toEqual([{ week: 5, home: 'Gridiron Gurus', away: 'Party Ponies' }]);
+});
+
+test('custom templates replace the defaults and empty ones drop out', () => {
+  const recap = buildRecap(recapData(3, league), {
+    title: 'Week {week}: The Damage',
+    intro: '',
+    blowout: '{winner} by {margin}. Ouch, {loser}.',
+    outro: 'See you in week 4.',
+  });
+  expect(recap.title).toBe('Week 3: The Damage');
+  expect(recap.content.split('\n').slice(0, 3)).toEqual(['RESULTS', '- Taco Corp by 53.5. Ouch, Party Ponies.', '- Gridiron Gurus held off Sharks 104.2-101.7, a 2.5-point thriller.']);
+  expect(recap.content.endsWith('See you in week 4.')).toBe(true);
+});
+
+test('fills placeholders and formats ranks', () => {
+  expect(fillTemplate('{team} is {rank} ({unknown})', { team: 'Sharks', rank: ordinal(2) })).toBe('Sharks is 2nd ({unknown})');
+  expect([1, 3, 11, 12, 22, 113].map(ordinal)).toEqual(['1st', '3rd', '11th', '12th', '22nd', '113th']);
+});
@@ -0,0 +1,48 @@
+// Helpers for deriving team records from recorded game scores.
+
+// A game counts toward the standings once both sides have a numeric score.
+export const isGameFinal = (game) =>
+  typeof game.homeScore === 'number' && typeof game.awayScore === 'number';
+
+// Returns a copy of each team with wins, losses, ties, pointsFor and pointsAgainst
+// computed from the final games in the schedule. Games are matched to teams by id.
+export const computeTeamRecords = (teams, schedule) => {
+  const records = {};
+  teams.forEach(team => {
+    records[team.id] = { ...team, wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0 };
+  });
+
+  schedule.filter(isGameFinal).forEach(game => {
+    const home = records[game.homeTeamId];
+    const away = records[game.awayTeamId];
+    if (!home || !away) {
+      return;
+    }
+
+    home.pointsFor += game.homeScore;
+    home.pointsAgainst += game.awayScore;
+    away.pointsFor += game.awayScore;
+    away.pointsAgainst += game.homeScore;
+
+    if (game.homeScore > game.awayScore) {
+      home.wins += 1;
+      away.losses += 1;
+    } else if (game.homeScore < game.awayScore) {
+      away.wins += 1;
+      home.losses += 1;
+    } else {
+      home.ties += 1;
+      away.ties += 1;
+    }
+  });
+
+  // Keep point totals readable when scores carry decimals (e.g. 112.38)
+  return teams.map(team => {
+    const record = records[team.id];
+    return {
+      ...record,
+      pointsFor: Math.round(record.pointsFor * 100) / 100,
+      pointsAgainst: Math.round(record.pointsAgainst * 100) / 100,
+    };
+  });
+};
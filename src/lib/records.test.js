@@ -0,0 +1,31 @@
+import { computeTeamRecords, isGameFinal } from './records';
+
+const teams = [
+  { id: 'a', name: 'Team A', manager: 'Alice' },
+  { id: 'b', name: 'Team B', manager: 'Bob' },
+  { id: 'c', name: 'Team C', manager: 'Charlie' },
+];
+
+test('computes wins, losses, ties and points from final scores', () => {
+  const schedule = [
+    { week: 1, homeTeamId: 'a', awayTeamId: 'b', homeScore: 120.5, awayScore: 95.25 },
+    { week: 2, homeTeamId: 'b', awayTeamId: 'c', homeScore: 100, awayScore: 100 },
+    { week: 3, homeTeamId: 'c', awayTeamId: 'a', homeScore: 130, awayScore: 90 },
+  ];
+
+  const [a, b, c] = computeTeamRecords(teams, schedule);
+
+  expect(a).toMatchObject({ wins: 1, losses: 1, ties: 0, pointsFor: 210.5, pointsAgainst: 225.25 });
+  expect(b).toMatchObject({ wins: 0, losses: 1, ties: 1, pointsFor: 195.25, pointsAgainst: 220.5 });
+  expect(c).toMatchObject({ wins: 1, losses: 0, ties: 1, pointsFor: 230, pointsAgainst: 190 });
+  expect(a.name).toBe('Team A');
+});
+
+test('ignores games that have not been played yet', () => {
+  const schedule = [
+    { week: 1, homeTeamId: 'a', awayTeamId: 'b', homeScore: null, awayScore: null },
+  ];
+
+  expect(isGameFinal(schedule[0])).toBe(false);
+  expect(computeTeamRecords(teams, schedule)[0]).toMatchObject({ wins: 0, losses: 0, pointsFor: 0 });
+});
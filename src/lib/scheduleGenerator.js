@@ -0,0 +1,375 @@
+import { createRandom, hashSeed } from './playoffOdds';
+
+// Regular-season schedule generator. A schedule is built from whole rounds (every team plays once a
+// week): a round robin, then optional division rounds so division rivals meet twice, cycling again if
+// the season is longer. Rivalry weeks pair the fixed rivals and match everyone else with the opponents
+// they've seen least. Everything random comes from the seed, so the same seed and options always
+// produce the same schedule.
+
+export const DEFAULT_MIN_REPEAT_GAP = 3;
+
+const shuffle = (items, random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Circle-method round robin: one round per opponent, each a list of [a, b] pairs.
+// With an odd number of teams a null opponent stands for a bye.
+export const roundRobinRounds = (ids) => {
+  const list = ids.length % 2 ? [...ids, null] : [...ids];
+  const rounds = [];
+  let rotation = list.slice(1);
+  for (let round = 0; round < list.length - 1; round++) {
+    const order = [list[0], ...rotation];
+    const pairs = [];
+    for (let i = 0; i < order.length / 2; i++) {
+      pairs.push([order[i], order[order.length - 1 - i]]);
+    }
+    rounds.push(pairs);
+    rotation = [rotation[rotation.length - 1], ...rotation.slice(0, -1)];
+  }
+  return rounds;
+};
+
+// Pairs up teams that have no opponent this week, each with the available team it has met least
+const pairLeftovers = (ids, meetings) => {
+  const pairs = [];
+  const remaining = [...ids];
+  while (remaining.length > 1) {
+    const team = remaining.shift();
+    let best = 0;
+    remaining.forEach((other, index) => {
+      if ((meetings.get(pairKey(team, other)) || 0) < (meetings.get(pairKey(team, remaining[best])) || 0)) {
+        best = index;
+      }
+    });
+    pairs.push([team, remaining.splice(best, 1)[0]]);
+  }
+  if (remaining.length) {
+    pairs.push([remaining[0], null]);
+  }
+  return pairs;
+};
+
+// Rounds in which every team plays a division rival. Divisions with an odd number of teams leave one
+// team over each round; those are paired across divisions.
+const divisionRounds = (teams, random) => {
+  const divisions = [...new Set(teams.map(team => team.division).filter(Boolean))].sort();
+  const perDivision = divisions.map(division => (
+    roundRobinRounds(shuffle(teams.filter(team => team.division === division).map(team => team.id), random))
+  ));
+  const withoutDivision = teams.filter(team => !team.division).map(team => team.id);
+  const count = Math.max(0, ...perDivision.map(rounds => rounds.length));
+
+  return Array.from({ length: count }, (_, index) => {
+    const pairs = [];
+    const leftovers = [...withoutDivision];
+    perDivision.forEach(rounds => {
+      (rounds[index] || []).forEach(([a, b]) => {
+        if (a && b) pairs.push([a, b]);
+        else leftovers.push(a || b);
+      });
+      // A division with fewer rounds than the longest sits the round out
+      if (!rounds[index]) {
+        rounds[0].flat().filter(Boolean).forEach(id => leftovers.push(id));
+      }
+    });
+    return [...pairs, ...pairLeftovers(leftovers, new Map())];
+  });
+};
+
+const divisionPairs = (round, divisionOf) => (
+  round.filter(([a, b]) => a && b && divisionOf[a] && divisionOf[a] === divisionOf[b]).length
+);
+
+// How far a week order falls short of the minimum gap between rematches, summed over every pair
+const spacingPenalty = (orderedRounds, minRepeatGap) => {
+  const lastWeek = new Map();
+  let penalty = 0;
+  orderedRounds.forEach((round, week) => round.forEach(([a, b]) => {
+    if (!a || !b) return;
+    const key = pairKey(a, b);
+    if (lastWeek.has(key)) penalty += Math.max(0, minRepeatGap - (week - lastWeek.get(key)));
+    lastWeek.set(key, week);
+  }));
+  return penalty;
+};
+
+// Swaps whole rounds between regular weeks while that spreads rematches further apart. Rivalry weeks
+// stay where they are.
+const spreadRematches = (orderedRounds, movable, minRepeatGap) => {
+  const order = [...orderedRounds];
+  let penalty = spacingPenalty(order, minRepeatGap);
+  let improved = penalty > 0;
+  while (improved) {
+    improved = false;
+    for (let a = 0; a < movable.length; a++) {
+      for (let b = a + 1; b < movable.length; b++) {
+        const [i, j] = [movable[a], movable[b]];
+        [order[i], order[j]] = [order[j], order[i]];
+        const next = spacingPenalty(order, minRepeatGap);
+        if (next < penalty) {
+          penalty = next;
+          improved = true;
+        } else {
+          [order[i], order[j]] = [order[j], order[i]];
+        }
+      }
+    }
+  }
+  return order;
+};
+
+// Evens out home and away games by flipping the venue of pairs that only meet once. Flipping a chain
+// of games (A hosts B, B hosts C, ...) moves one home game from the first team to the last and leaves
+// everyone in between unchanged.
+const balanceVenues = (games, teams) => {
+  const balance = Object.fromEntries(teams.map(team => [team.id, 0]));
+  const meetings = new Map();
+  games.forEach(game => {
+    balance[game.homeTeamId] += 1;
+    balance[game.awayTeamId] -= 1;
+    const key = pairKey(game.homeTeamId, game.awayTeamId);
+    meetings.set(key, (meetings.get(key) || 0) + 1);
+  });
+  const flippable = games.filter(game => meetings.get(pairKey(game.homeTeamId, game.awayTeamId)) === 1);
+
+  // Shortest chain of flippable games from a team with extra home games to one with extra away games
+  const findChain = (start) => {
+    const via = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length) {
+      const team = queue.shift();
+      if (balance[team] < 0 && balance[start] - balance[team] > 2) {
+        const chain = [];
+        for (let game = via.get(team); game; game = via.get(game.homeTeamId)) chain.push(game);
+        return chain;
+      }
+      flippable.filter(game => game.homeTeamId === team && !via.has(game.awayTeamId)).forEach(game => {
+        via.set(game.awayTeamId, game);
+        queue.push(game.awayTeamId);
+      });
+    }
+    return null;
+  };
+
+  let flipped = true;
+  while (flipped) {
+    flipped = false;
+    for (const team of teams.map(({ id }) => id).filter(id => balance[id] > 0)) {
+      const chain = findChain(team);
+      if (chain) {
+        balance[chain[0].awayTeamId] += 2;
+        balance[team] -= 2;
+        chain.forEach(game => {
+          [game.homeTeamId, game.awayTeamId] = [game.awayTeamId, game.homeTeamId];
+        });
+        flipped = true;
+        break;
+      }
+    }
+  }
+  return games;
+};
+
+const validateOptions = (teams, { weeks, rivalries, rivalryWeeks }) => {
+  if (teams.length < 2) {
+    throw new Error('At least two teams are needed to build a schedule.');
+  }
+  if (!Number.isInteger(weeks) || weeks < 1) {
+    throw new Error('The number of weeks must be a whole number of at least 1.');
+  }
+  const ids = new Set(teams.map(team => team.id));
+  const rivals = new Set();
+  rivalries.forEach(([a, b]) => {
+    if (!ids.has(a) || !ids.has(b) || a === b) {
+      throw new Error('Each rivalry needs two different teams from the league.');
+    }
+    if (rivals.has(a) || rivals.has(b)) {
+      throw new Error('A team can only have one rival.');
+    }
+    rivals.add(a);
+    rivals.add(b);
+  });
+  rivalryWeeks.forEach(week => {
+    if (!Number.isInteger(week) || week < 1 || week > weeks) {
+      throw new Error(`Rivalry week ${week} is outside the ${weeks}-week season.`);
+    }
+  });
+};
+
+// Builds a regular season from teams ({ id, division? }). Options:
+//   weeks               number of regular-season weeks (required)
+//   seed                any string or number; same seed, same schedule
+//   divisionDoublePlay  play division rivals a second time after the round robin
+//   rivalries           [[teamId, teamId], ...] pairs that meet in every rivalry week
+//   rivalryWeeks        week numbers reserved for the rivalry games
+//   minRepeatGap        weeks to keep between rematches where possible (default 3)
+// Returns { games: [{ id, week, homeTeamId, awayTeamId, rivalry? }], byes: [{ week, teamId }] }.
+// Throws with a readable message when the options can't work.
+export const generateSchedule = (teams, options = {}) => {
+  const settings = {
+    weeks: Number(options.weeks),
+    seed: options.seed ?? '',
+    divisionDoublePlay: Boolean(options.divisionDoublePlay),
+    rivalries: options.rivalries || [],
+    rivalryWeeks: [...new Set((options.rivalryWeeks || []).map(Number))].sort((a, b) => a - b),
+    minRepeatGap: options.minRepeatGap ?? DEFAULT_MIN_REPEAT_GAP,
+  };
+  validateOptions(teams, settings);
+
+  const random = createRandom(hashSeed(settings.seed));
+  const divisionOf = Object.fromEntries(teams.map(team => [team.id, team.division || '']));
+
+  // Round robin on a shuffled team order, division-heavy rounds first so rematches are spread out
+  const robin = roundRobinRounds(shuffle(teams.map(team => team.id), random))
+    .map((round, index) => ({ round, index }))
+    .sort((a, b) => (settings.divisionDoublePlay ? divisionPairs(b.round, divisionOf) - divisionPairs(a.round, divisionOf) : 0) || a.index - b.index)
+    .map(({ round }) => round);
+  const cycle = settings.divisionDoublePlay && teams.some(team => team.division)
+    ? [...robin, ...divisionRounds(teams, random)]
+    : robin;
+
+  const regularWeeks = [];
+  for (let week = 1; week <= settings.weeks; week++) {
+    if (!settings.rivalryWeeks.includes(week)) regularWeeks.push(week);
+  }
+  const rounds = new Map(regularWeeks.map((week, index) => [week, cycle[index % cycle.length]]));
+
+  const meetings = new Map();
+  rounds.forEach(round => round.forEach(([a, b]) => {
+    if (a && b) meetings.set(pairKey(a, b), (meetings.get(pairKey(a, b)) || 0) + 1);
+  }));
+  const rivals = new Set(settings.rivalries.flat());
+  settings.rivalryWeeks.forEach(week => {
+    const others = shuffle(teams.map(team => team.id).filter(id => !rivals.has(id)), random);
+    rounds.set(week, [...settings.rivalries.map(pair => [...pair]), ...pairLeftovers(others, meetings)]);
+  });
+  const ordered = spreadRematches(
+    Array.from({ length: settings.weeks }, (_, index) => rounds.get(index + 1)),
+    regularWeeks.map(week => week - 1),
+    settings.minRepeatGap,
+  );
+
+  // Home and away: a rematch flips the previous meeting, otherwise the team with fewer home games hosts
+  const homeGames = Object.fromEntries(teams.map(team => [team.id, 0]));
+  const lastHome = new Map();
+  const games = [];
+  const byes = [];
+  for (let week = 1; week <= settings.weeks; week++) {
+    const isRivalryWeek = settings.rivalryWeeks.includes(week);
+    ordered[week - 1].forEach(([a, b]) => {
+      if (!a || !b) {
+        byes.push({ week, teamId: a || b });
+        return;
+      }
+      const key = pairKey(a, b);
+      let home;
+      if (lastHome.has(key)) {
+        home = lastHome.get(key) === a ? b : a;
+      } else if (homeGames[a] !== homeGames[b]) {
+        home = homeGames[a] < homeGames[b] ? a : b;
+      } else {
+        home = random() < 0.5 ? a : b;
+      }
+      const away = home === a ? b : a;
+      homeGames[home] += 1;
+      lastHome.set(key, home);
+      games.push({
+        week,
+        homeTeamId: home,
+        awayTeamId: away,
+        ...(isRivalryWeek && settings.rivalries.some(pair => pairKey(...pair) === key) ? { rivalry: true } : {}),
+      });
+    });
+  }
+
+  const counts = {};
+  return {
+    games: balanceVenues(games, teams).map(game => {
+      counts[game.week] = (counts[game.week] || 0) + 1;
+      return { id: `week-${game.week}-game-${counts[game.week]}`, ...game };
+    }),
+    byes,
+  };
+};
+
+// Balance report for a generated (or hand-made) schedule: per-team game, home, away and bye counts,
+// plus issues ({ type: 'error' | 'warning', message }) for double-booked teams, home/away imbalance,
+// uneven game counts, rematches closer than minRepeatGap weeks, opponents never played and missing
+// rivalry games. teamNames is used for readable messages.
+export const checkSchedule = (teams, games, options = {}) => {
+  const minRepeatGap = options.minRepeatGap ?? DEFAULT_MIN_REPEAT_GAP;
+  const name = (id) => (options.teamNames && options.teamNames[id]) || id;
+  const weeks = [...new Set(games.map(game => game.week))].sort((a, b) => a - b);
+  const issues = [];
+
+  const summary = Object.fromEntries(teams.map(team => [team.id, { teamId: team.id, games: 0, home: 0, away: 0, byes: 0 }]));
+  const meetingWeeks = new Map();
+  weeks.forEach(week => {
+    const playing = new Map();
+    games.filter(game => game.week === week).forEach(game => {
+      [game.homeTeamId, game.awayTeamId].forEach(id => {
+        if (!summary[id]) {
+          issues.push({ type: 'error', message: `Week ${week} has a game for an unknown team (${id}).` });
+          return;
+        }
+        playing.set(id, (playing.get(id) || 0) + 1);
+      });
+      if (summary[game.homeTeamId] && summary[game.awayTeamId]) {
+        summary[game.homeTeamId].games += 1;
+        summary[game.homeTeamId].home += 1;
+        summary[game.awayTeamId].games += 1;
+        summary[game.awayTeamId].away += 1;
+        const key = pairKey(game.homeTeamId, game.awayTeamId);
+        meetingWeeks.set(key, [...(meetingWeeks.get(key) || []), week]);
+      }
+    });
+    teams.forEach(team => {
+      const count = playing.get(team.id) || 0;
+      if (count === 0) summary[team.id].byes += 1;
+      if (count > 1) issues.push({ type: 'error', message: `${name(team.id)} plays ${count} games in week ${week}.` });
+    });
+  });
+
+  Object.values(summary).forEach(team => {
+    if (Math.abs(team.home - team.away) > 1) {
+      issues.push({ type: 'warning', message: `${name(team.teamId)} has ${team.home} home and ${team.away} away games.` });
+    }
+  });
+  const gameCounts = [...new Set(Object.values(summary).map(team => team.games))];
+  if (gameCounts.length > 1) {
+    issues.push({ type: 'warning', message: `Teams play between ${Math.min(...gameCounts)} and ${Math.max(...gameCounts)} games.` });
+  }
+
+  meetingWeeks.forEach((played, key) => {
+    const [a, b] = key.split('|');
+    for (let i = 1; i < played.length; i++) {
+      if (played[i] - played[i - 1] < minRepeatGap) {
+        issues.push({ type: 'warning', message: `${name(a)} and ${name(b)} meet in weeks ${played[i - 1]} and ${played[i]}.` });
+      }
+    }
+  });
+  // A full round robin fits, so everyone should meet everyone
+  if (weeks.length >= teams.length - (teams.length % 2 ? 0 : 1)) {
+    teams.forEach((team, index) => teams.slice(index + 1).forEach(other => {
+      if (!meetingWeeks.has(pairKey(team.id, other.id))) {
+        issues.push({ type: 'warning', message: `${name(team.id)} and ${name(other.id)} never play.` });
+      }
+    }));
+  }
+
+  (options.rivalryWeeks || []).forEach(week => (options.rivalries || []).forEach(([a, b]) => {
+    if (!(meetingWeeks.get(pairKey(a, b)) || []).includes(Number(week))) {
+      issues.push({ type: 'error', message: `${name(a)} and ${name(b)} don't meet in rivalry week ${week}.` });
+    }
+  }));
+
+  return { teams: teams.map(team => summary[team.id]), issues };
+};
@@ -0,0 +1,83 @@
+import { generateSchedule, checkSchedule, roundRobinRounds } from './scheduleGenerator';
+
+const league = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].map((id, index) => ({
+  id,
+  name: id.toUpperCase(),
+  division: index < 5 ? 'East' : 'West',
+}));
+const noDivisions = league.map(({ id, name }) => ({ id, name }));
+
+const errorsOf = (report) => report.issues.filter(issue => issue.type === 'error');
+
+test('a round robin meets every opponent once, with byes for an odd team count', () => {
+  const rounds = roundRobinRounds(['a', 'b', 'c', 'd', 'e']);
+  expect(rounds).toHaveLength(5);
+  const pairs = rounds.flat().filter(([x, y]) => x && y).map(pair => [...pair].sort().join(''));
+  expect(new Set(pairs).size).toBe(10);
+  rounds.forEach(round => expect(round.filter(pair => pair.includes(null))).toHaveLength(1));
+});
+
+test('the same seed reproduces the same schedule', () => {
+  const options = { weeks: 14, seed: '2025', divisionDoublePlay: true };
+  expect(generateSchedule(league, options)).toEqual(generateSchedule(league, options));
+  expect(generateSchedule(league, { ...options, seed: 'other' }).games).not.toEqual(generateSchedule(league, options).games);
+});
+
+test('a single round robin is balanced', () => {
+  const { games, byes } = generateSchedule(noDivisions, { weeks: 9, seed: 1 });
+  const report = checkSchedule(noDivisions, games);
+  expect(games).toHaveLength(45);
+  expect(byes).toEqual([]);
+  expect(report.issues).toEqual([]);
+  report.teams.forEach(team => {
+    expect(team.games).toBe(9);
+    expect(Math.abs(team.home - team.away)).toBeLessThanOrEqual(1);
+  });
+});
+
+test('division double-plays meet division rivals twice with home and away flipped', () => {
+  const { games } = generateSchedule(league, { weeks: 14, seed: 'divisions', divisionDoublePlay: true });
+  const meetings = games.filter(game => [game.homeTeamId, game.awayTeamId].sort().join('') === 'ab');
+  expect(meetings).toHaveLength(2);
+  expect(meetings[0].homeTeamId).toBe(meetings[1].awayTeamId);
+
+  const crossDivision = games.filter(game => [game.homeTeamId, game.awayTeamId].sort().join('') === 'af');
+  expect(crossDivision.length).toBeGreaterThanOrEqual(1);
+
+  const report = checkSchedule(league, games);
+  expect(report.issues).toEqual([]);
+  report.teams.forEach(team => expect(team.games).toBe(14));
+});
+
+test('rivalry weeks pair the rivals and fill in everyone else', () => {
+  const rivalries = [['a', 'f'], ['b', 'c']];
+  const { games } = generateSchedule(noDivisions, { weeks: 10, seed: 3, rivalries, rivalryWeeks: [5] });
+  const week5 = games.filter(game => game.week === 5);
+  expect(week5).toHaveLength(5);
+  expect(week5.filter(game => game.rivalry)).toHaveLength(2);
+  expect(errorsOf(checkSchedule(noDivisions, games, { rivalries, rivalryWeeks: [5] }))).toEqual([]);
+});
+
+test('rejects options that cannot work', () => {
+  expect(() => generateSchedule([league[0]], { weeks: 3 })).toThrow('At least two teams');
+  expect(() => generateSchedule(league, { weeks: 0 })).toThrow('whole number');
+  expect(() => generateSchedule(league, { weeks: 10, rivalries: [['a', 'b'], ['a', 'c']] })).toThrow('one rival');
+  expect(() => generateSchedule(league, { weeks: 10, rivalryWeeks: [11] })).toThrow('outside');
+});
+
+test('reports double-booked teams, imbalance and quick rematches', () => {
+  const teams = noDivisions.slice(0, 4);
+  const games = [
+    { week: 1, homeTeamId: 'a', awayTeamId: 'b' },
+    { week: 1, homeTeamId: 'a', awayTeamId: 'c' },
+    { week: 2, homeTeamId: 'a', awayTeamId: 'b' },
+    { week: 3, homeTeamId: 'a', awayTeamId: 'd' },
+  ];
+  const report = checkSchedule(teams, games, { teamNames: { a: 'Alpha', b: 'Bravo' } });
+  const messages = report.issues.map(issue => issue.message);
+  expect(messages).toContain('Alpha plays 2 games in week 1.');
+  expect(messages).toContain('Alpha has 4 home and 0 away games.');
+  expect(messages).toContain('Alpha and Bravo meet in weeks 1 and 2.');
+  expect(messages).toContain('c and d never play.');
+  expect(report.teams.find(team => team.teamId === 'd').byes).toBe(2);
+});
@@ -0,0 +1,303 @@
+import { parseCsv, toCsv } from './csv';
+import { computeStandings } from './standings';
+import { isGameFinal } from './records';
+import { BRACKETS } from './playoffs';
+
+// Import and export of historicalStandings seasons (see README, "League history").
+//
+// CSV has one row per team and season, with the columns in CSV_COLUMNS. JSON is a season document
+// or an array of them, and may also carry each season's games.
+
+export const CSV_COLUMNS = ['year', 'name', 'manager', 'wins', 'losses', 'ties', 'pointsFor', 'championship', 'runnerUp'];
+const REQUIRED_COLUMNS = ['year', 'name', 'manager', 'wins', 'losses'];
+
+const MIN_YEAR = 1950;
+const MAX_YEAR = 2100;
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// CSV cells are strings; numbers are converted when they look like numbers so validation can report the rest
+const csvNumber = (value) => (value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value.trim());
+const csvFlag = (value) => ['true', 'yes', 'y', '1', 'x'].includes(value.trim().toLowerCase());
+
+// Checks one season against the historicalStandings schema. Returns season-level errors and, per
+// standings row (by index), that row's errors.
+export const validateSeason = (season) => {
+  const errors = [];
+  const rowErrors = {};
+  const addRowError = (index, message) => {
+    rowErrors[index] = [...(rowErrors[index] || []), message];
+  };
+
+  if (!Number.isInteger(season.year) || season.year < MIN_YEAR || season.year > MAX_YEAR) {
+    errors.push(`Year must be a whole number between ${MIN_YEAR} and ${MAX_YEAR}.`);
+  }
+  if (!Array.isArray(season.standings) || season.standings.length === 0) {
+    errors.push('A season needs at least one standings row.');
+    return { errors, rowErrors };
+  }
+
+  const names = new Set();
+  season.standings.forEach((row, index) => {
+    if (!row || typeof row !== 'object') {
+      addRowError(index, 'Each standings row must be an object.');
+      return;
+    }
+    if (typeof row.name !== 'string' || !row.name.trim()) {
+      addRowError(index, 'Team name is required.');
+    } else if (names.has(row.name)) {
+      addRowError(index, `Team "${row.name}" appears more than once.`);
+    } else {
+      names.add(row.name);
+    }
+    if (typeof row.manager !== 'string' || !row.manager.trim()) {
+      addRowError(index, 'Manager is required.');
+    }
+    ['wins', 'losses', 'ties'].forEach(field => {
+      if (!isBlank(row[field]) && !isWholeNumber(row[field])) {
+        addRowError(index, `${field} must be a whole number.`);
+      }
+    });
+    if (isBlank(row.wins) || isBlank(row.losses)) {
+      addRowError(index, 'Wins and losses are required.');
+    }
+    if (!isBlank(row.pointsFor) && typeof row.pointsFor !== 'number') {
+      addRowError(index, 'pointsFor must be a number.');
+    }
+  });
+
+  const champions = season.standings.filter(row => row && row.championship);
+  if (champions.length > 1) {
+    errors.push('More than one team is marked as champion.');
+  }
+  if (season.championshipTeam && !names.has(season.championshipTeam)) {
+    errors.push(`Champion "${season.championshipTeam}" is not in the standings.`);
+  }
+  if (season.championshipTeam && champions.length === 1 && champions[0].name !== season.championshipTeam) {
+    errors.push('championshipTeam and the row marked as champion disagree.');
+  }
+  if (season.runnerUpTeam && !names.has(season.runnerUpTeam)) {
+    errors.push(`Runner-up "${season.runnerUpTeam}" is not in the standings.`);
+  }
+
+  if (season.games !== undefined) {
+    if (!Array.isArray(season.games)) {
+      errors.push('games must be a list.');
+    } else {
+      season.games.forEach((game, index) => {
+        if (!game || typeof game !== 'object') {
+          errors.push(`Game ${index + 1}: must be an object.`);
+          return;
+        }
+        if (!names.has(game.home) || !names.has(game.away)) {
+          errors.push(`Game ${index + 1}: home and away must be teams in the standings.`);
+        }
+        if (!Number.isInteger(game.week) || game.week < 1) {
+          errors.push(`Game ${index + 1}: week must be a positive whole number.`);
+        }
+        if ((!isBlank(game.homeScore) && typeof game.homeScore !== 'number')
+          || (!isBlank(game.awayScore) && typeof game.awayScore !== 'number')) {
+          errors.push(`Game ${index + 1}: scores must be numbers.`);
+        }
+      });
+    }
+  }
+
+  return { errors, rowErrors };
+};
+
+// Normalizes a parsed season into the stored document shape
+const toSeasonDoc = (season) => {
+  const champion = season.standings.find(row => row.championship);
+  const runnerUp = season.standings.find(row => row.runnerUp);
+  const seasonDoc = {
+    year: season.year,
+    standings: season.standings.map(row => {
+      const stored = {
+        name: row.name.trim(),
+        manager: row.manager.trim(),
+        wins: row.wins,
+        losses: row.losses,
+        ties: isBlank(row.ties) ? 0 : row.ties,
+        championship: Boolean(row.championship) || row.name === season.championshipTeam,
+      };
+      if (!isBlank(row.pointsFor)) stored.pointsFor = row.pointsFor;
+      if (row.runnerUp) stored.runnerUp = true;
+      return stored;
+    }),
+  };
+  const championshipTeam = season.championshipTeam || (champion && champion.name);
+  const runnerUpTeam = season.runnerUpTeam || (runnerUp && runnerUp.name);
+  if (championshipTeam) seasonDoc.championshipTeam = championshipTeam;
+  if (runnerUpTeam) seasonDoc.runnerUpTeam = runnerUpTeam;
+  if (season.games) seasonDoc.games = season.games;
+  return seasonDoc;
+};
+
+// Reads seasons from CSV text. Returns { seasons, errors } where errors are file-level problems;
+// each season keeps the CSV line of every row in `lines` for the preview.
+export const seasonsFromCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { seasons: [], errors: ['The file is empty.'] };
+  }
+  const columns = header.map(column => column.trim());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { seasons: [], errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`] };
+  }
+
+  const errors = [];
+  const byYear = new Map();
+  rows.forEach((cells, index) => {
+    const line = index + 2;
+    if (cells.length !== columns.length) {
+      errors.push(`Line ${line}: expected ${columns.length} fields but found ${cells.length}.`);
+      return;
+    }
+    const values = Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+    const year = csvNumber(values.year);
+    if (!byYear.has(year)) {
+      byYear.set(year, { year, standings: [], lines: [] });
+    }
+    const season = byYear.get(year);
+    season.standings.push({
+      name: values.name.trim(),
+      manager: (values.manager || '').trim(),
+      wins: csvNumber(values.wins),
+      losses: csvNumber(values.losses),
+      ties: csvNumber(values.ties || ''),
+      pointsFor: csvNumber(values.pointsFor || ''),
+      championship: csvFlag(values.championship || ''),
+      runnerUp: csvFlag(values.runnerUp || ''),
+    });
+    season.lines.push(line);
+  });
+
+  return { seasons: [...byYear.values()], errors };
+};
+
+// Reads seasons from JSON text: a single season document or an array of them
+export const seasonsFromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { seasons: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.some(season => !season || typeof season !== 'object')) {
+    return { seasons: [], errors: ['Each season must be a JSON object.'] };
+  }
+  return { seasons: list.map(season => ({ ...season, standings: season.standings || [] })), errors: [] };
+};
+
+// Parses an uploaded file by extension (or by its first character when pasted), then validates
+// every season. Duplicate years within the file are errors; years already in League History are
+// flagged with `exists` so the commissioner can choose to replace them.
+export const prepareImport = (text, filename = '', existingYears = []) => {
+  const isJson = filename.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  const { seasons, errors } = isJson ? seasonsFromJson(text) : seasonsFromCsv(text);
+  const existing = new Set(existingYears.map(Number));
+  const yearCounts = seasons.reduce((counts, season) => counts.set(season.year, (counts.get(season.year) || 0) + 1), new Map());
+
+  const previews = seasons.map(season => {
+    const validation = validateSeason(season);
+    const seasonErrors = [...validation.errors];
+    if (yearCounts.get(season.year) > 1) {
+      seasonErrors.push(`${season.year} appears more than once in the file.`);
+    }
+    const isValid = seasonErrors.length === 0 && Object.keys(validation.rowErrors).length === 0;
+    return {
+      year: season.year,
+      lines: season.lines || null,
+      standings: season.standings,
+      errors: seasonErrors,
+      rowErrors: validation.rowErrors,
+      exists: existing.has(Number(season.year)),
+      isValid,
+      doc: isValid ? toSeasonDoc(season) : null,
+    };
+  });
+
+  return { errors, seasons: previews };
+};
+
+// CSV export, one row per team in each season, in the same format the importer reads
+export const seasonsToCsv = (seasons) => toCsv([
+  CSV_COLUMNS,
+  ...seasons.flatMap(season => (season.standings || []).map(row => [
+    season.year,
+    row.name,
+    row.manager,
+    row.wins,
+    row.losses,
+    row.ties ?? 0,
+    row.pointsFor ?? '',
+    row.championship || row.name === season.championshipTeam ? 'true' : '',
+    row.runnerUp || row.name === season.runnerUpTeam ? 'true' : '',
+  ])),
+]);
+
+// JSON export of season documents without Firestore ids
+export const seasonsToJson = (seasons) => JSON.stringify(
+  seasons.map(({ id, ...season }) => season),
+  null,
+  2
+);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Season document for the current season, archived into historicalStandings when the league rolls
+// over: the final regular-season standings, the champion and runner-up from the completed championship
+// bracket, every final game and the constitution in effect. Returns { doc, warnings }.
+export const archiveSeason = ({ teams, schedule, settings, playoffBrackets = [], constitution = '' }) => {
+  const year = Number(settings.season);
+  const teamName = (teamId) => (teams.find(team => team.id === teamId) || {}).name || teamId;
+  const bracket = playoffBrackets.find(stored => Number(stored.season) === year && stored.status === 'complete');
+  const championship = bracket && bracket.brackets ? bracket.brackets[BRACKETS.CHAMPIONSHIP] : null;
+  const championId = championship && championship.champion ? championship.champion.teamId : null;
+  const runnerUpId = championship && championship.runnerUp ? championship.runnerUp.teamId : null;
+
+  const seasonDoc = {
+    year,
+    standings: computeStandings(teams, schedule, settings).map(team => {
+      const row = {
+        name: team.name,
+        manager: team.manager || '',
+        wins: team.wins,
+        losses: team.losses,
+        ties: team.ties,
+        pointsFor: round2(team.pointsFor),
+        pointsAgainst: round2(team.pointsAgainst),
+        championship: team.id === championId,
+      };
+      if (team.id === runnerUpId) row.runnerUp = true;
+      if (team.managerId) row.managerId = team.managerId;
+      return row;
+    }),
+    games: schedule.filter(isGameFinal).map(game => {
+      const stored = { week: game.week, home: teamName(game.homeTeamId), away: teamName(game.awayTeamId), homeScore: game.homeScore, awayScore: game.awayScore };
+      if (game.playoffRound) stored.playoffRound = game.playoffRound;
+      return stored;
+    }),
+  };
+  if (championId) seasonDoc.championshipTeam = teamName(championId);
+  if (runnerUpId) seasonDoc.runnerUpTeam = teamName(runnerUpId);
+  if (constitution) seasonDoc.constitution = constitution;
+
+  const warnings = [];
+  const unplayed = schedule.filter(game => !isGameFinal(game)).length;
+  if (unplayed > 0) {
+    warnings.push(`${unplayed} game${unplayed === 1 ? ' has' : 's have'} no final score and won't be archived.`);
+  }
+  if (!championId) {
+    warnings.push('The championship bracket is not complete, so no champion will be recorded.');
+  }
+  const { errors, rowErrors } = validateSeason(seasonDoc);
+  Object.values(rowErrors).forEach(messages => errors.push(...messages));
+  warnings.push(...errors);
+
+  return { doc: seasonDoc, warnings: [...new Set(warnings)] };
+};
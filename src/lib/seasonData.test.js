@@ -0,0 +1,123 @@
+import { prepareImport, seasonsToCsv, seasonsToJson, archiveSeason } from './seasonData';
+
+const csv = `year,name,manager,wins,losses,ties,pointsFor,championship,runnerUp
+2022,Party Ponies,Jordan,10,3,0,1500.5,yes,
+2022,Gridiron Gurus,Alex,9,4,0,1450,,yes
+2023,Party Ponies,Jordan,ten,3,0,,,
+2023,Party Ponies,Alex,8,5,,,,
+`;
+
+test('validates CSV seasons row by row', () => {
+  const { errors, seasons } = prepareImport(csv, 'history.csv', [2023]);
+
+  expect(errors).toEqual([]);
+  expect(seasons.map(season => season.year)).toEqual([2022, 2023]);
+  expect(seasons[0]).toMatchObject({ isValid: true, exists: false });
+  expect(seasons[0].doc).toEqual({
+    year: 2022,
+    championshipTeam: 'Party Ponies',
+    runnerUpTeam: 'Gridiron Gurus',
+    standings: [
+      { name: 'Party Ponies', manager: 'Jordan', wins: 10, losses: 3, ties: 0, pointsFor: 1500.5, championship: true },
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 9, losses: 4, ties: 0, pointsFor: 1450, championship: false, runnerUp: true },
+    ],
+  });
+
+  expect(seasons[1]).toMatchObject({ isValid: false, exists: true, lines: [4, 5], doc: null });
+  expect(seasons[1].rowErrors).toEqual({
+    0: ['wins must be a whole number.'],
+    1: ['Team "Party Ponies" appears more than once.'],
+  });
+});
+
+test('reports missing columns and ragged lines', () => {
+  expect(prepareImport('year,name\n2022,Ponies\n', 'x.csv').errors).toEqual(['Missing columns: manager, wins, losses.']);
+  expect(prepareImport('year,name,manager,wins,losses\n2022,Ponies\n', 'x.csv').errors)
+    .toEqual(['Line 2: expected 5 fields but found 2.']);
+});
+
+test('validates JSON seasons and flags duplicate years', () => {
+  const json = JSON.stringify([
+    { year: 2021, championshipTeam: 'Nobody', standings: [{ name: 'A', manager: 'Al', wins: 1, losses: 0 }] },
+    { year: 2021, standings: [{ name: 'A', manager: 'Al', wins: 1, losses: 0 }], games: [{ week: 1, home: 'A', away: 'B', homeScore: 1, awayScore: 2 }] },
+  ]);
+  const { seasons } = prepareImport(json, 'seasons.json');
+
+  expect(seasons[0].errors).toEqual([
+    'Champion "Nobody" is not in the standings.',
+    '2021 appears more than once in the file.',
+  ]);
+  expect(seasons[1].errors[0]).toBe('Game 1: home and away must be teams in the standings.');
+  expect(prepareImport('{ nope', 'x.json').errors[0]).toMatch(/^Invalid JSON/);
+});
+
+test('reports standings rows and games that are not objects instead of throwing', () => {
+  const json = JSON.stringify({
+    year: 2020,
+    standings: [null, { name: 'A', manager: 'Al', wins: 1, losses: 0 }, 7],
+    games: [null],
+  });
+  const [season] = prepareImport(json, 'season.json').seasons;
+
+  expect(season.isValid).toBe(false);
+  expect(season.rowErrors).toEqual({
+    0: ['Each standings row must be an object.'],
+    2: ['Each standings row must be an object.'],
+  });
+  expect(season.errors).toEqual(['Game 1: must be an object.']);
+});
+
+test('exports seasons in the formats the importer reads', () => {
+  const { seasons } = prepareImport(csv, 'history.csv');
+  const stored = [{ id: 'abc', ...seasons[0].doc }];
+
+  const fromCsv = prepareImport(seasonsToCsv(stored), 'export.csv');
+  const fromJson = prepareImport(seasonsToJson(stored), 'export.json');
+
+  expect(fromCsv.seasons[0].doc).toEqual(seasons[0].doc);
+  expect(fromJson.seasons[0].doc).toEqual(seasons[0].doc);
+  expect(seasonsToJson(stored)).not.toMatch(/"id"/);
+});
+
+test('archives the current season with its champion, games and constitution', () => {
+  const teams = [
+    { id: 'a', name: 'Party Ponies', manager: 'Jordan', managerId: 'espn-1' },
+    { id: 'b', name: 'Gridiron Gurus', manager: 'Alex' },
+  ];
+  const schedule = [
+    { id: 'g1', week: 1, homeTeamId: 'a', awayTeamId: 'b', homeScore: 100.1, awayScore: 90.2 },
+    { id: 'g2', week: 2, homeTeamId: 'b', awayTeamId: 'a', homeScore: 110, awayScore: 95 },
+    { id: 'g3', week: 3, homeTeamId: 'a', awayTeamId: 'b', homeScore: 120, awayScore: 80, playoffRound: 1 },
+  ];
+  const playoffBrackets = [{
+    season: 2024,
+    status: 'complete',
+    brackets: { championship: { champion: { teamId: 'a' }, runnerUp: { teamId: 'b' } } },
+  }];
+
+  const { doc, warnings } = archiveSeason({ teams, schedule, settings: { season: '2024' }, playoffBrackets, constitution: '# Rules' });
+
+  expect(warnings).toEqual([]);
+  expect(doc).toEqual({
+    year: 2024,
+    championshipTeam: 'Party Ponies',
+    runnerUpTeam: 'Gridiron Gurus',
+    constitution: '# Rules',
+    standings: [
+      { name: 'Gridiron Gurus', manager: 'Alex', wins: 1, losses: 1, ties: 0, pointsFor: 200.2, pointsAgainst: 195.1, championship: false, runnerUp: true },
+      { name: 'Party Ponies', manager: 'Jordan', managerId: 'espn-1', wins: 1, losses: 1, ties: 0, pointsFor: 195.1, pointsAgainst: 200.2, championship: true },
+    ],
+    games: [
+      { week: 1, home: 'Party Ponies', away: 'Gridiron Gurus', homeScore: 100.1, awayScore: 90.2 },
+      { week: 2, home: 'Gridiron Gurus', away: 'Party Ponies', homeScore: 110, awayScore: 95 },
+      { week: 3, home: 'Party Ponies', away: 'Gridiron Gurus', homeScore: 120, awayScore: 80, playoffRound: 1 },
+    ],
+  });
+  expect(prepareImport(JSON.stringify(doc), 'archive.json').seasons[0].isValid).toBe(true);
+
+  const unfinished = archiveSeason({ teams, schedule: [...schedule, { id: 'g4', week: 4, homeTeamId: 'a', awayTeamId: 'b' }], settings: { season: 2024 } });
+  expect(unfinished.warnings).toEqual([
+    "1 game has no final score and won't be archived.",
+    'The championship bracket is not complete, so no champion will be recorded.',
+  ]);
+});
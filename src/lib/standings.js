@@ -0,0 +1,295 @@
+import { toCsv } from './csv';
+import { computeTeamRecords, isGameFinal } from './records';
+
+// Standings engine: orders teams by win percentage and breaks ties with a configurable chain.
+//
+// Teams tied on win percentage form a group. The first tiebreaker in the chain that separates
+// the group splits it into smaller groups; each smaller group that is still tied starts the chain
+// again from the top (so a three-way tie reduced to two is decided head-to-head between those two).
+// Tiebreakers that can't apply to a group (no games between the tied teams, teams from different
+// divisions, missing point totals) are skipped.
+
+export const TIEBREAKERS = {
+  HEAD_TO_HEAD: 'headToHead',
+  DIVISION_RECORD: 'divisionRecord',
+  POINTS_FOR: 'pointsFor',
+  POINTS_AGAINST: 'pointsAgainst',
+  COIN_FLIP: 'coinFlip',
+};
+
+export const DEFAULT_TIEBREAKERS = [
+  TIEBREAKERS.HEAD_TO_HEAD,
+  TIEBREAKERS.DIVISION_RECORD,
+  TIEBREAKERS.POINTS_FOR,
+  TIEBREAKERS.POINTS_AGAINST,
+  TIEBREAKERS.COIN_FLIP,
+];
+
+export const TIEBREAKER_LABELS = {
+  [TIEBREAKERS.HEAD_TO_HEAD]: 'Head-to-head',
+  [TIEBREAKERS.DIVISION_RECORD]: 'Division record',
+  [TIEBREAKERS.POINTS_FOR]: 'Points for',
+  [TIEBREAKERS.POINTS_AGAINST]: 'Points against',
+  [TIEBREAKERS.COIN_FLIP]: 'Coin flip',
+};
+
+export const DEFAULT_PLAYOFF_TEAMS = 4;
+
+// Ties count as half a win
+export const winPercentage = ({ wins = 0, losses = 0, ties = 0 }) => {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties / 2) / games : 0;
+};
+
+// Formats a win percentage the usual way, e.g. .538 or 1.000
+export const formatWinPct = (pct) => pct.toFixed(3).replace(/^0/, '');
+
+// Win percentage rounded so that equal records compare equal despite floating point
+const pctKey = (team) => Math.round(winPercentage(team) * 1e6);
+
+// Record of one team in final games against a set of opponents
+const recordAgainst = (teamId, opponentIds, games) => {
+  const record = { wins: 0, losses: 0, ties: 0, games: 0 };
+  games.forEach(game => {
+    let teamScore;
+    let opponentScore;
+    if (game.homeTeamId === teamId && opponentIds.includes(game.awayTeamId)) {
+      teamScore = game.homeScore;
+      opponentScore = game.awayScore;
+    } else if (game.awayTeamId === teamId && opponentIds.includes(game.homeTeamId)) {
+      teamScore = game.awayScore;
+      opponentScore = game.homeScore;
+    } else {
+      return;
+    }
+    record.games += 1;
+    if (teamScore > opponentScore) record.wins += 1;
+    else if (teamScore < opponentScore) record.losses += 1;
+    else record.ties += 1;
+  });
+  return record;
+};
+
+// Deterministic "coin flip" in [0, 1) from a seed string (FNV-1a hash), so the order stays stable between renders
+const coinFlip = (seed) => {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+// Each tiebreaker returns one score per team in the group (higher is better), or null if it doesn't apply
+const TIEBREAKER_SCORES = {
+  [TIEBREAKERS.HEAD_TO_HEAD]: (group, context) => {
+    const ids = group.map(team => team.id);
+    const records = group.map(team => recordAgainst(team.id, ids.filter(id => id !== team.id), context.games));
+    return records.some(record => record.games === 0) ? null : records.map(winPercentage);
+  },
+  [TIEBREAKERS.DIVISION_RECORD]: (group, context) => {
+    const division = group[0].division;
+    if (!division || group.some(team => team.division !== division)) {
+      return null;
+    }
+    const divisionIds = context.teams.filter(team => team.division === division).map(team => team.id);
+    const records = group.map(team => recordAgainst(team.id, divisionIds.filter(id => id !== team.id), context.games));
+    return records.some(record => record.games === 0) ? null : records.map(winPercentage);
+  },
+  [TIEBREAKERS.POINTS_FOR]: (group) => (
+    group.some(team => typeof team.pointsFor !== 'number') ? null : group.map(team => team.pointsFor)
+  ),
+  [TIEBREAKERS.POINTS_AGAINST]: (group) => (
+    group.some(team => typeof team.pointsAgainst !== 'number') ? null : group.map(team => -team.pointsAgainst)
+  ),
+  [TIEBREAKERS.COIN_FLIP]: (group, context) => group.map(team => coinFlip(`${context.seed}:${team.id}`)),
+};
+
+// Orders a group of teams tied on win percentage, recording which tiebreaker placed each team
+const orderTiedGroup = (group, context, decidedBy) => {
+  if (group.length <= 1) {
+    return group;
+  }
+
+  for (const name of context.tiebreakers) {
+    const scoreFor = TIEBREAKER_SCORES[name];
+    const scores = scoreFor ? scoreFor(group, context) : null;
+    if (!scores || new Set(scores.map(score => Math.round(score * 1e6))).size === 1) {
+      continue;
+    }
+
+    const buckets = new Map();
+    group.forEach((team, index) => {
+      const key = Math.round(scores[index] * 1e6);
+      buckets.set(key, [...(buckets.get(key) || []), team]);
+    });
+    return [...buckets.keys()]
+      .sort((a, b) => b - a)
+      .flatMap(key => {
+        const bucket = buckets.get(key);
+        bucket.forEach(team => decidedBy.set(team.id, name));
+        return orderTiedGroup(bucket, context, decidedBy);
+      });
+  }
+
+  // Nothing in the chain separates them (e.g. no coin flip configured): keep a stable order
+  return [...group].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+};
+
+// Ranks teams that already carry wins/losses/ties (and optionally pointsFor/pointsAgainst/division).
+// games are used for head-to-head and division records. Returns copies with rank, winPct and
+// decidedBy (the tiebreaker that placed the team, or null if its record alone did).
+export const rankTeams = (teams, games = [], options = {}) => {
+  const context = {
+    teams,
+    games: games.filter(isGameFinal),
+    tiebreakers: options.tiebreakers || DEFAULT_TIEBREAKERS,
+    seed: options.seed || '',
+  };
+  const decidedBy = new Map();
+
+  const groups = new Map();
+  teams.forEach(team => {
+    const key = pctKey(team);
+    groups.set(key, [...(groups.get(key) || []), team]);
+  });
+
+  return [...groups.keys()]
+    .sort((a, b) => b - a)
+    .flatMap(key => orderTiedGroup(groups.get(key), context, decidedBy))
+    .map((team, index) => ({
+      ...team,
+      ties: team.ties || 0,
+      rank: index + 1,
+      winPct: winPercentage(team),
+      decidedBy: decidedBy.get(team.id) || null,
+    }));
+};
+
+const divisionsOf = (teams) => [...new Set(teams.map(team => team.division).filter(Boolean))];
+
+// Playoff seeds keyed by team id. With divisionWinnersSeededFirst, each division winner
+// is seeded ahead of the wild cards.
+export const seedPlayoffs = (ranked, games, options = {}) => {
+  const playoffTeams = options.playoffTeams || DEFAULT_PLAYOFF_TEAMS;
+  const divisions = divisionsOf(ranked);
+  let order = ranked;
+
+  if (options.divisionWinnersSeededFirst && divisions.length > 0) {
+    const winnerIds = new Set(divisions.map(division => (
+      rankTeams(ranked.filter(team => team.division === division), games, options)[0].id
+    )));
+    order = [
+      ...ranked.filter(team => winnerIds.has(team.id)),
+      ...ranked.filter(team => !winnerIds.has(team.id)),
+    ];
+  }
+
+  const seeds = new Map();
+  order.slice(0, playoffTeams).forEach((team, index) => seeds.set(team.id, index + 1));
+  return seeds;
+};
+
+// Full current-season standings: records from the schedule, tiebreakers, division ranks,
+// playoff seeds and clinched/eliminated markers based on the games still to be played.
+export const computeStandings = (teams, schedule, settings = {}) => {
+  const regularSeason = schedule.filter(game => !game.playoffRound);
+  const options = {
+    tiebreakers: settings.tiebreakers || DEFAULT_TIEBREAKERS,
+    seed: settings.coinFlipSeed || '',
+    playoffTeams: settings.playoffTeams || DEFAULT_PLAYOFF_TEAMS,
+    divisionWinnersSeededFirst: Boolean(settings.divisionWinnersSeededFirst),
+  };
+
+  const ranked = rankTeams(computeTeamRecords(teams, regularSeason), regularSeason, options);
+  const seeds = seedPlayoffs(ranked, regularSeason, options);
+
+  const divisionRanks = new Map();
+  divisionsOf(ranked).forEach(division => {
+    rankTeams(ranked.filter(team => team.division === division), regularSeason, options)
+      .forEach(team => divisionRanks.set(team.id, team.rank));
+  });
+
+  // Win points (ties as half) now and at most, if every remaining game is won
+  const remainingGames = regularSeason.filter(game => !isGameFinal(game));
+  const current = new Map(ranked.map(team => [team.id, team.wins + team.ties / 2]));
+  const maximum = new Map(ranked.map(team => [
+    team.id,
+    current.get(team.id) + remainingGames.filter(game => game.homeTeamId === team.id || game.awayTeamId === team.id).length,
+  ]));
+  const seasonOver = remainingGames.length === 0 && regularSeason.length > 0;
+
+  return ranked.map(team => {
+    const others = ranked.filter(other => other.id !== team.id);
+    const rivals = others.filter(other => team.division && other.division === team.division);
+    let clinchedPlayoffs;
+    let eliminated;
+
+    if (seasonOver) {
+      clinchedPlayoffs = seeds.has(team.id);
+      eliminated = !seeds.has(team.id);
+    } else {
+      // Teams that could still finish level with or ahead of this team
+      const threats = others.filter(other => maximum.get(other.id) >= current.get(team.id));
+      let threatCount = threats.length;
+      // A division winner takes a playoff spot whatever its record
+      if (options.divisionWinnersSeededFirst) {
+        divisionsOf(others)
+          .filter(division => division !== team.division && !threats.some(other => other.division === division))
+          .forEach(() => { threatCount += 1; });
+      }
+      clinchedPlayoffs = threatCount < options.playoffTeams;
+
+      const canWinDivision = options.divisionWinnersSeededFirst && team.division
+        && rivals.every(rival => current.get(rival.id) <= maximum.get(team.id));
+      const teamsOutOfReach = others.filter(other => current.get(other.id) > maximum.get(team.id)).length;
+      eliminated = !canWinDivision && teamsOutOfReach >= options.playoffTeams;
+    }
+
+    const clinchedDivision = Boolean(team.division) && rivals.length > 0 && (seasonOver
+      ? divisionRanks.get(team.id) === 1
+      : rivals.every(rival => maximum.get(rival.id) < current.get(team.id)));
+
+    return {
+      ...team,
+      divisionRank: divisionRanks.get(team.id) || null,
+      seed: seeds.get(team.id) || null,
+      clinchedPlayoffs,
+      clinchedDivision,
+      eliminated,
+    };
+  });
+};
+
+// Ranks a past season's stored standings rows ({ name, manager, wins, losses, ties, ... }),
+// which have no game-by-game results, with the same tiebreaker chain
+export const rankSeasonStandings = (rows, settings = {}) => rankTeams(
+  (rows || []).map(row => ({ ...row, id: row.id || row.name })),
+  [],
+  { tiebreakers: settings.tiebreakers || DEFAULT_TIEBREAKERS, seed: settings.coinFlipSeed || '' }
+);
+
+const tiebreakerLabel = (team) => (team.decidedBy ? TIEBREAKER_LABELS[team.decidedBy] : '');
+
+// The Standings tab as CSV, rows in the same order: status is the clinch marker (x, y or e) and
+// tiebreaker the one that placed the team. `odds` are the simulated playoff odds by team id, if run.
+export const standingsToCsv = (standings, odds = null) => {
+  const hasDivisions = standings.some(team => team.division);
+  const status = (team) => (team.clinchedDivision ? 'y' : team.clinchedPlayoffs ? 'x' : team.eliminated ? 'e' : '');
+  return toCsv([
+    ['rank', 'tiebreaker', 'team', 'manager', ...(hasDivisions ? ['division'] : []), 'wins', 'losses', 'ties', 'pct', 'pointsFor', 'pointsAgainst', 'seed', 'status', 'playoffPct'],
+    ...standings.map(team => [
+      team.rank, tiebreakerLabel(team), team.name, team.manager, ...(hasDivisions ? [team.division] : []),
+      team.wins, team.losses, team.ties, formatWinPct(team.winPct), team.pointsFor, team.pointsAgainst, team.seed,
+      status(team), odds && odds[team.id] ? (odds[team.id].playoffs * 100).toFixed(1) : '',
+    ]),
+  ]);
+};
+
+// A League History season's final standings as CSV, ranked as rankSeasonStandings shows them
+export const seasonStandingsToCsv = (year, rows, settings = {}) => toCsv([
+  ['season', 'rank', 'tiebreaker', 'team', 'manager', 'wins', 'losses', 'ties', 'pct', 'pointsFor'],
+  ...rankSeasonStandings(rows, settings).map(team => [
+    year, team.rank, tiebreakerLabel(team), team.name, team.manager, team.wins, team.losses, team.ties, formatWinPct(team.winPct), team.pointsFor,
+  ]),
+]);
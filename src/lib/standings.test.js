@@ -0,0 +1,174 @@
+import {
+  rankTeams, computeStandings, rankSeasonStandings, winPercentage, standingsToCsv, seasonStandingsToCsv, TIEBREAKERS,
+} from './standings';
+
+const team = (id, fields = {}) => ({ id, name: `Team ${id.toUpperCase()}`, ...fields });
+const game = (week, homeTeamId, awayTeamId, homeScore, awayScore) => ({ week, homeTeamId, awayTeamId, homeScore, awayScore });
+const order = (ranked) => ranked.map(t => t.id);
+
+test('counts ties as half a win', () => {
+  expect(winPercentage({ wins: 6, losses: 6, ties: 1 })).toBeCloseTo(6.5 / 13);
+  expect(winPercentage({ wins: 0, losses: 0, ties: 0 })).toBe(0);
+
+  // 7-6-0 (.538) beats 6-6-1 (.500)
+  const ranked = rankTeams([
+    team('a', { wins: 6, losses: 6, ties: 1, pointsFor: 2000 }),
+    team('b', { wins: 7, losses: 6, ties: 0, pointsFor: 1000 }),
+  ]);
+  expect(order(ranked)).toEqual(['b', 'a']);
+  expect(ranked[0].decidedBy).toBeNull();
+});
+
+test('breaks a two-way tie head-to-head before points', () => {
+  const teams = [
+    team('a', { wins: 1, losses: 1, pointsFor: 300, pointsAgainst: 200 }),
+    team('b', { wins: 1, losses: 1, pointsFor: 100, pointsAgainst: 200 }),
+  ];
+  const ranked = rankTeams(teams, [game(1, 'b', 'a', 110, 100)]);
+  expect(order(ranked)).toEqual(['b', 'a']);
+  expect(ranked[0].decidedBy).toBe(TIEBREAKERS.HEAD_TO_HEAD);
+});
+
+test('a circular three-way head-to-head falls through to points for', () => {
+  // A beat B, B beat C, C beat A: head-to-head is 1-1 for everyone
+  const teams = [
+    team('a', { wins: 1, losses: 1, pointsFor: 250, pointsAgainst: 200 }),
+    team('b', { wins: 1, losses: 1, pointsFor: 300, pointsAgainst: 200 }),
+    team('c', { wins: 1, losses: 1, pointsFor: 200, pointsAgainst: 200 }),
+  ];
+  const games = [game(1, 'a', 'b', 120, 100), game(2, 'b', 'c', 120, 100), game(3, 'c', 'a', 120, 100)];
+
+  const ranked = rankTeams(teams, games);
+  expect(order(ranked)).toEqual(['b', 'a', 'c']);
+  expect(ranked.map(t => t.decidedBy)).toEqual(Array(3).fill(TIEBREAKERS.POINTS_FOR));
+});
+
+test('a three-way tie reduced to two restarts the chain with head-to-head', () => {
+  // A swept the group. B and C then split on head-to-head (C beat B) even though B has more points.
+  const teams = [
+    team('a', { wins: 2, losses: 1, pointsFor: 100 }),
+    team('b', { wins: 2, losses: 1, pointsFor: 500 }),
+    team('c', { wins: 2, losses: 1, pointsFor: 300 }),
+  ];
+  const games = [
+    game(1, 'a', 'b', 120, 100),
+    game(2, 'a', 'c', 120, 100),
+    game(3, 'c', 'b', 120, 100),
+    game(4, 'b', 'c', 120, 100),
+    game(5, 'c', 'b', 130, 100),
+  ];
+
+  const ranked = rankTeams(teams, games);
+  expect(order(ranked)).toEqual(['a', 'c', 'b']);
+  expect(ranked[0].decidedBy).toBe(TIEBREAKERS.HEAD_TO_HEAD);
+  expect(ranked[1].decidedBy).toBe(TIEBREAKERS.HEAD_TO_HEAD);
+});
+
+test('skips head-to-head when the tied teams never met and uses division record within a division', () => {
+  const teams = [
+    team('a', { division: 'East', wins: 2, losses: 1, pointsFor: 500 }),
+    team('b', { division: 'East', wins: 2, losses: 1, pointsFor: 100 }),
+    team('c', { division: 'East', wins: 1, losses: 3, pointsFor: 100 }),
+    team('d', { division: 'West', wins: 1, losses: 1, pointsFor: 100 }),
+  ];
+  // A and B never played each other; B went 2-0 in the division, A 1-1
+  const games = [
+    game(1, 'b', 'c', 120, 100),
+    game(2, 'b', 'c', 120, 100),
+    game(3, 'b', 'd', 100, 120),
+    game(1, 'a', 'c', 120, 100),
+    game(2, 'a', 'c', 100, 120),
+    game(3, 'a', 'd', 120, 100),
+  ];
+
+  const eastOnly = rankTeams(teams.filter(t => t.division === 'East'), games);
+  expect(order(eastOnly)).toEqual(['b', 'a', 'c']);
+  expect(eastOnly[0].decidedBy).toBe(TIEBREAKERS.DIVISION_RECORD);
+});
+
+test('follows a custom tiebreaker chain and falls back to a deterministic coin flip', () => {
+  const teams = [
+    team('a', { wins: 1, losses: 1, pointsFor: 100, pointsAgainst: 300 }),
+    team('b', { wins: 1, losses: 1, pointsFor: 200, pointsAgainst: 100 }),
+  ];
+  expect(order(rankTeams(teams, [], { tiebreakers: [TIEBREAKERS.POINTS_AGAINST] }))).toEqual(['b', 'a']);
+
+  const level = [team('a', { wins: 1, losses: 1 }), team('b', { wins: 1, losses: 1 }), team('c', { wins: 1, losses: 1 })];
+  const flipped = rankTeams(level, [], { tiebreakers: [TIEBREAKERS.COIN_FLIP], seed: '2026' });
+  expect(order(rankTeams(level, [], { tiebreakers: [TIEBREAKERS.COIN_FLIP], seed: '2026' }))).toEqual(order(flipped));
+  expect(flipped.every(t => t.decidedBy === TIEBREAKERS.COIN_FLIP)).toBe(true);
+});
+
+test('seeds playoffs and marks clinched and eliminated teams', () => {
+  const teams = ['a', 'b', 'c', 'd'].map(id => team(id));
+  const schedule = [
+    game(1, 'a', 'b', 120, 100), game(1, 'c', 'd', 120, 100),
+    game(2, 'a', 'c', 120, 100), game(2, 'b', 'd', 120, 100),
+    game(3, 'a', 'd', 120, 100), game(3, 'b', 'c', 120, 100),
+    game(4, 'd', 'a', null, null), game(4, 'c', 'b', null, null),
+  ];
+  // After three weeks: A 3-0, B 2-1, C 1-2, D 0-3, one week left; two playoff spots
+  const standings = computeStandings(teams, schedule, { playoffTeams: 2 });
+  const byId = Object.fromEntries(standings.map(t => [t.id, t]));
+
+  expect(byId.a).toMatchObject({ rank: 1, seed: 1, clinchedPlayoffs: true, eliminated: false });
+  expect(byId.d).toMatchObject({ seed: null, clinchedPlayoffs: false, eliminated: true });
+  expect(byId.b.clinchedPlayoffs).toBe(false);
+  expect(byId.b.eliminated).toBe(false);
+});
+
+test('seeds division winners first when configured', () => {
+  const teams = [
+    team('a', { division: 'East' }), team('b', { division: 'East' }),
+    team('c', { division: 'West' }), team('d', { division: 'West' }),
+  ];
+  const schedule = [
+    game(1, 'a', 'c', 120, 100), game(1, 'b', 'd', 120, 100),
+    game(2, 'a', 'd', 120, 100), game(2, 'b', 'c', 120, 100),
+    game(3, 'c', 'd', 120, 100), game(3, 'a', 'b', 120, 100),
+  ];
+  // Final: A 3-0, B 2-1, C 1-2, D 0-3. C wins the West and takes the 2 seed over B.
+  const standings = computeStandings(teams, schedule, { playoffTeams: 2, divisionWinnersSeededFirst: true });
+  const byId = Object.fromEntries(standings.map(t => [t.id, t]));
+
+  expect(byId.a).toMatchObject({ seed: 1, clinchedDivision: true });
+  expect(byId.c).toMatchObject({ seed: 2, clinchedDivision: true, clinchedPlayoffs: true });
+  expect(byId.b).toMatchObject({ seed: null, eliminated: true });
+});
+
+test('ranks past seasons without game data', () => {
+  const ranked = rankSeasonStandings([
+    { name: 'Gridiron Gurus', wins: 9, losses: 4 },
+    { name: 'Party Ponies', wins: 9, losses: 3, ties: 1 },
+    { name: 'Bench Warmers', wins: 2, losses: 11 },
+  ]);
+  expect(ranked.map(t => t.name)).toEqual(['Party Ponies', 'Gridiron Gurus', 'Bench Warmers']);
+});
+
+test('exports the standings in their ranked order with the deciding tiebreaker', () => {
+  const teams = [team('a', { manager: 'Alex' }), team('b', { manager: 'Blake' }), team('c', { manager: 'Casey' })];
+  const schedule = [game(1, 'a', 'b', 90, 120), game(1, 'c', 'a', 80, 100), game(2, 'b', 'c', 100, 110)];
+  const standings = computeStandings(teams, schedule, { playoffTeams: 2, tiebreakers: [TIEBREAKERS.POINTS_FOR] });
+  const odds = { a: { playoffs: 0.5 }, b: { playoffs: 1 }, c: { playoffs: 0.25 } };
+
+  expect(standingsToCsv(standings, odds).split('\n')).toEqual([
+    'rank,tiebreaker,team,manager,wins,losses,ties,pct,pointsFor,pointsAgainst,seed,status,playoffPct',
+    '1,Points for,Team B,Blake,1,1,0,.500,220,200,1,x,100.0',
+    '2,Points for,Team A,Alex,1,1,0,.500,190,200,2,x,50.0',
+    '3,Points for,Team C,Casey,1,1,0,.500,190,200,,e,25.0',
+    '',
+  ]);
+});
+
+test('exports a past season ranked as League History shows it', () => {
+  const rows = [
+    { name: 'Gridiron Gurus', manager: 'Sam', wins: 9, losses: 4, pointsFor: 1500 },
+    { name: 'Party Ponies', manager: 'Jordan', wins: 9, losses: 4, pointsFor: 1600.5 },
+  ];
+  expect(seasonStandingsToCsv(2025, rows).split('\n')).toEqual([
+    'season,rank,tiebreaker,team,manager,wins,losses,ties,pct,pointsFor',
+    '2025,1,Points for,Party Ponies,Jordan,9,4,0,.692,1600.5',
+    '2025,2,Points for,Gridiron Gurus,Sam,9,4,0,.692,1500',
+    '',
+  ]);
+});
@@ -0,0 +1,124 @@
+import { votesNeeded } from './proposals';
+
+// Trades, waiver claims, adds and drops.
+//
+// A transaction document looks like { type, season, status, teamId, players, createdAt, proposedBy,
+// proposedByName }. Trades also carry counterpartyTeamId, receives (players coming back), note,
+// reviewDeadline and vetoThreshold; `players` is what the proposing team gives up. Trades go
+// proposed -> review (once the other team accepts) -> approved or vetoed, and can be rejected by the
+// other team or cancelled by the proposer before that. Adds, drops and waiver claims are logged
+// straight away as completed. Veto votes are stored in transactionVotes/{transactionId}_{teamId}.
+
+export const TRANSACTION_TYPES = {
+  TRADE: 'trade',
+  ADD: 'add',
+  DROP: 'drop',
+  WAIVER: 'waiver',
+};
+
+export const TRANSACTION_TYPE_LABELS = {
+  [TRANSACTION_TYPES.TRADE]: 'Trade',
+  [TRANSACTION_TYPES.ADD]: 'Free-agent add',
+  [TRANSACTION_TYPES.DROP]: 'Drop',
+  [TRANSACTION_TYPES.WAIVER]: 'Waiver claim',
+};
+
+export const TRANSACTION_STATUS = {
+  PROPOSED: 'proposed',
+  REVIEW: 'review',
+  APPROVED: 'approved',
+  VETOED: 'vetoed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+};
+
+export const DEFAULT_TRADE_REVIEW_DAYS = 2;
+export const DEFAULT_TRADE_VETO_THRESHOLD = 0.5; // Share of the teams not in the trade needed to veto
+
+// Statuses that end up in the transaction log
+const LOGGED_STATUSES = [TRANSACTION_STATUS.APPROVED, TRANSACTION_STATUS.COMPLETED];
+
+export const isCompleted = (transaction) => LOGGED_STATUSES.includes(transaction.status);
+
+// "Player A, Player B" or one player per line, as a clean list
+export const parsePlayers = (text) => text.split(/[\n,]/).map(player => player.trim()).filter(Boolean);
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+const toMillis = (value) => (value ? toDate(value).getTime() : 0);
+
+// Decides a trade under review from its veto votes. Only teams outside the trade vote. The trade is
+// vetoed as soon as enough of them vote to veto, approved early once a veto can no longer happen, and
+// otherwise approved when the review period ends.
+export const tradeOutcome = (trade, votes, teamCount, now = new Date()) => {
+  const involved = [trade.teamId, trade.counterpartyTeamId];
+  const eligible = Math.max(teamCount - involved.length, 0);
+  const counted = votes.filter(vote => !involved.includes(vote.teamId));
+  const vetoes = counted.filter(vote => vote.vote === 'veto').length;
+  const allows = counted.filter(vote => vote.vote === 'allow').length;
+  const needed = votesNeeded(trade.vetoThreshold || DEFAULT_TRADE_VETO_THRESHOLD, eligible);
+  const result = { vetoes, allows, needed, eligible };
+
+  if (eligible > 0 && vetoes >= needed) {
+    return { ...result, status: TRANSACTION_STATUS.VETOED };
+  }
+  if (eligible - allows < needed || (trade.reviewDeadline && toDate(trade.reviewDeadline) <= now)) {
+    return { ...result, status: TRANSACTION_STATUS.APPROVED };
+  }
+  return { ...result, status: TRANSACTION_STATUS.REVIEW };
+};
+
+// Votes grouped by transaction id
+export const groupVotesByTransaction = (votes) => votes.reduce((groups, vote) => {
+  (groups[vote.transactionId] = groups[vote.transactionId] || []).push(vote);
+  return groups;
+}, {});
+
+// Completed transactions, newest first, optionally for one team (either side of a trade) and season
+export const transactionLog = (transactions, { teamId = '', season = '' } = {}) => transactions
+  .filter(isCompleted)
+  .filter(transaction => !teamId || transaction.teamId === teamId || transaction.counterpartyTeamId === teamId)
+  .filter(transaction => !season || String(transaction.season) === String(season))
+  .sort((a, b) => toMillis(b.resolvedAt || b.createdAt) - toMillis(a.resolvedAt || a.createdAt));
+
+// Seasons that have transactions, newest first
+export const transactionSeasons = (transactions) =>
+  [...new Set(transactions.map(transaction => transaction.season).filter(Boolean))].sort((a, b) => b - a);
+
+const list = (players) => (players && players.length ? players.join(', ') : 'nothing');
+
+// One-line summary, e.g. "Ponies trade Player A to Gurus for Player B"
+export const describeTransaction = (transaction, teamNameById = {}) => {
+  const team = teamNameById[transaction.teamId] || transaction.teamId;
+  switch (transaction.type) {
+    case TRANSACTION_TYPES.TRADE: {
+      const other = teamNameById[transaction.counterpartyTeamId] || transaction.counterpartyTeamId;
+      return `${team} trade ${list(transaction.players)} to ${other} for ${list(transaction.receives)}`;
+    }
+    case TRANSACTION_TYPES.DROP:
+      return `${team} drop ${list(transaction.players)}`;
+    case TRANSACTION_TYPES.WAIVER:
+      return `${team} claim ${list(transaction.players)} off waivers`;
+    default:
+      return `${team} add ${list(transaction.players)}`;
+  }
+};
+
+// The news post published when a trade is approved
+export const tradeNewsPost = (trade, teamNameById = {}) => {
+  const team = teamNameById[trade.teamId] || trade.teamId;
+  const other = teamNameById[trade.counterpartyTeamId] || trade.counterpartyTeamId;
+  const lines = [
+    `${team} receive: ${list(trade.receives)}`,
+    `${other} receive: ${list(trade.players)}`,
+  ];
+  if (trade.note) {
+    lines.push('', trade.note);
+  }
+  return {
+    title: `Trade approved: ${team} and ${other}`,
+    content: lines.join('\n'),
+    category: 'trade',
+  };
+};
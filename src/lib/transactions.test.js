@@ -0,0 +1,78 @@
+import {
+  tradeOutcome,
+  transactionLog,
+  transactionSeasons,
+  describeTransaction,
+  tradeNewsPost,
+  parsePlayers,
+  groupVotesByTransaction,
+} from './transactions';
+
+const deadline = new Date('2026-10-03T00:00:00Z');
+const before = new Date('2026-10-02T00:00:00Z');
+const after = new Date('2026-10-04T00:00:00Z');
+const trade = {
+  id: 't1',
+  type: 'trade',
+  status: 'review',
+  season: 2026,
+  teamId: 'a',
+  counterpartyTeamId: 'b',
+  players: ['Bijan Robinson'],
+  receives: ['Ja\'Marr Chase', 'Tony Pollard'],
+  vetoThreshold: 0.5,
+  reviewDeadline: deadline,
+};
+const votes = (vetoes, allows, from = ['c', 'd', 'e', 'f', 'g', 'h', 'i', 'j']) => [
+  ...from.slice(0, vetoes).map(teamId => ({ teamId, vote: 'veto' })),
+  ...from.slice(vetoes, vetoes + allows).map(teamId => ({ teamId, vote: 'allow' })),
+];
+const teamNames = { a: 'Ponies', b: 'Gurus', c: 'Sharks' };
+
+test('vetoes once enough of the other teams vote against the trade', () => {
+  // 10 teams: the 8 not in the trade vote, half of them can veto
+  expect(tradeOutcome(trade, votes(4, 0), 10, before)).toMatchObject({ status: 'vetoed', vetoes: 4, needed: 4, eligible: 8 });
+  expect(tradeOutcome(trade, votes(3, 0), 10, before).status).toBe('review');
+});
+
+test('ignores votes from the teams in the trade', () => {
+  const ownVotes = [{ teamId: 'a', vote: 'veto' }, { teamId: 'b', vote: 'veto' }, ...votes(2, 0)];
+  expect(tradeOutcome(trade, ownVotes, 10, before)).toMatchObject({ status: 'review', vetoes: 2 });
+});
+
+test('approves early once a veto is out of reach, or at the end of the review period', () => {
+  expect(tradeOutcome(trade, votes(0, 5), 10, before).status).toBe('approved');
+  expect(tradeOutcome(trade, votes(3, 4), 10, before).status).toBe('review');
+  expect(tradeOutcome(trade, votes(3, 0), 10, after).status).toBe('approved');
+});
+
+test('filters the log by team and season, newest first', () => {
+  const transactions = [
+    trade,
+    { ...trade, id: 't2', status: 'approved', resolvedAt: new Date('2026-10-05') },
+    { id: 'add1', type: 'add', status: 'completed', season: 2026, teamId: 'c', players: ['Puka Nacua'], createdAt: new Date('2026-10-06') },
+    { id: 'drop1', type: 'drop', status: 'completed', season: 2025, teamId: 'b', players: ['Old Guy'], createdAt: new Date('2025-11-01') },
+    { ...trade, id: 't3', status: 'vetoed' },
+  ];
+  expect(transactionLog(transactions).map(t => t.id)).toEqual(['add1', 't2', 'drop1']);
+  expect(transactionLog(transactions, { teamId: 'b' }).map(t => t.id)).toEqual(['t2', 'drop1']);
+  expect(transactionLog(transactions, { teamId: 'b', season: '2026' }).map(t => t.id)).toEqual(['t2']);
+  expect(transactionSeasons(transactions)).toEqual([2026, 2025]);
+});
+
+test('describes transactions and the approved-trade news post', () => {
+  expect(describeTransaction(trade, teamNames)).toBe('Ponies trade Bijan Robinson to Gurus for Ja\'Marr Chase, Tony Pollard');
+  expect(describeTransaction({ type: 'waiver', teamId: 'c', players: ['Puka Nacua'] }, teamNames)).toBe('Sharks claim Puka Nacua off waivers');
+
+  const post = tradeNewsPost({ ...trade, note: 'Blockbuster.' }, teamNames);
+  expect(post).toEqual({
+    title: 'Trade approved: Ponies and Gurus',
+    content: 'Ponies receive: Ja\'Marr Chase, Tony Pollard\nGurus receive: Bijan Robinson\n\nBlockbuster.',
+    category: 'trade',
+  });
+});
+
+test('parses player lists and groups votes', () => {
+  expect(parsePlayers(' Player A,Player B\nPlayer C ,, ')).toEqual(['Player A', 'Player B', 'Player C']);
+  expect(groupVotesByTransaction([{ transactionId: 't1' }, { transactionId: 't2' }, { transactionId: 't1' }]).t1).toHaveLength(2);
+});
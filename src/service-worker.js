@@ -0,0 +1,65 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for the production build (react-scripts compiles this file with Workbox and
+// registers it from serviceWorkerRegistration.js). It caches the app shell, and the Tailwind and
+// Google Fonts files public/index.html loads, so the site opens styled without a connection;
+// league data is cached separately by Firestore's offline persistence.
+
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// The built JS, CSS and index.html. Their URLs are injected at build time.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page of the site is index.html (routing happens in the browser), except real files and
+// the Firebase auth handler
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/_')
+    && !url.pathname.startsWith('/__/')
+    && !url.pathname.match(fileExtension),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and other images from public/, refreshed in the background
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|svg|jpg)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// The Tailwind runtime that styles every page, refreshed in the background. The script tag loads it
+// without CORS, so the cached response is opaque (status 0).
+registerRoute(
+  ({ url }) => url.origin === 'https://cdn.tailwindcss.com',
+  new StaleWhileRevalidate({
+    cacheName: 'tailwind',
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })],
+  })
+);
+
+// The Inter stylesheet, refreshed in the background, and the font files it points to, which never
+// change at a given URL
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' })
+);
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 }),
+    ],
+  })
+);
@@ -0,0 +1,27 @@
+// Registers the service worker (src/service-worker.js) in production builds, so the installed site
+// opens offline. Development builds don't get one, since a cached bundle there only gets in the way.
+// A new version is downloaded in the background and takes over once every tab of the site is closed.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  // The service worker has to come from the same origin as the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((error) => {
+      console.error("Error registering the service worker:", error);
+    });
+  });
+};
+
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch((error) => console.error("Error unregistering the service worker:", error));
+  }
+};
@@ -0,0 +1,4 @@
+// Kept in its own module: import.meta only exists in the webpack build, so tests never load this file
+const createPlayoffOddsWorker = () => new Worker(new URL('./playoffOdds.worker.js', import.meta.url));
+
+export default createPlayoffOddsWorker;
@@ -0,0 +1,8 @@
+/* eslint-disable no-restricted-globals */
+import { simulatePlayoffOdds } from '../lib/playoffOdds';
+
+// Runs the playoff odds simulation off the main thread
+self.onmessage = ({ data }) => {
+  const { teams, schedule, settings, options } = data;
+  self.postMessage(simulatePlayoffOdds(teams, schedule, settings, options));
+};
@@ -0,0 +1,56 @@
+import { simulatePlayoffOdds } from '../lib/playoffOdds';
+
+// Only the fields the simulation reads, so Firestore values never have to cross into the worker
+const simulationInput = ({ teams, schedule, settings, options = {} }) => ({
+  teams: teams.map(({ id, name, division }) => ({ id, name, division: division || null })),
+  schedule: schedule.map(({ id, week, homeTeamId, awayTeamId, homeScore, awayScore, playoffRound, bracket, bracketSlot }) => ({
+    id, week, homeTeamId, awayTeamId, homeScore, awayScore,
+    playoffRound: playoffRound || null,
+    bracket: bracket || null,
+    bracketSlot: bracketSlot || null,
+  })),
+  settings: {
+    playoffTeams: settings.playoffTeams,
+    tiebreakers: settings.tiebreakers,
+    coinFlipSeed: settings.coinFlipSeed,
+    divisionWinnersSeededFirst: settings.divisionWinnersSeededFirst,
+  },
+  options,
+});
+
+// Simulates playoff odds in a Web Worker and calls onResult with them. Where workers aren't
+// available (tests, very old browsers) it runs on the main thread after the current render.
+// Returns a function that cancels the run.
+export const runPlayoffOdds = (input, onResult) => {
+  const message = simulationInput(input);
+
+  if (typeof Worker === 'undefined') {
+    const timer = setTimeout(() => onResult(simulatePlayoffOdds(message.teams, message.schedule, message.settings, message.options)), 0);
+    return () => clearTimeout(timer);
+  }
+
+  let worker = null;
+  let isCancelled = false;
+  import('./createPlayoffOddsWorker').then(({ default: createPlayoffOddsWorker }) => {
+    if (isCancelled) {
+      return;
+    }
+    worker = createPlayoffOddsWorker();
+    worker.onmessage = ({ data }) => {
+      onResult(data);
+      worker.terminate();
+    };
+    worker.onerror = (error) => {
+      console.error("Error simulating playoff odds:", error);
+      worker.terminate();
+    };
+    worker.postMessage(message);
+  });
+
+  return () => {
+    isCancelled = true;
+    if (worker) {
+      worker.terminate();
+    }
+  };
+};
@@ -0,0 +1,497 @@
+// Security rules tests. These run against the local Firestore emulator:
+//   npm run test:rules
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require('@firebase/rules-unit-testing');
+const {
+  doc, getDoc, getDocs, setDoc, addDoc, updateDoc, deleteDoc, collection, query, where, writeBatch, serverTimestamp, Timestamp,
+} = require('firebase/firestore');
+
+const appId = 'party-ponies';
+const dataPath = `artifacts/${appId}/public/data`;
+const inDays = (days) => Timestamp.fromDate(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+
+let testEnv;
+
+// Signed-in contexts. Email-link sign-in always produces a verified email.
+const asCommissioner = () =>
+  testEnv.authenticatedContext('commish-uid', { email: 'commish@example.com', email_verified: true }).firestore();
+const asOwner = () =>
+  testEnv.authenticatedContext('owner-uid', { email: 'Owner@Example.com', email_verified: true }).firestore();
+const asStranger = () =>
+  testEnv.authenticatedContext('stranger-uid', { email: 'stranger@example.com', email_verified: true }).firestore();
+const asAnonymous = () =>
+  testEnv.authenticatedContext('anon-uid', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-party-ponies',
+    firestore: {
+      rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8'),
+    },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  // Seed members and data with rules disabled, the same way the first commissioner is set up in the console
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, `${dataPath}/members/commish@example.com`), { role: 'commissioner', displayName: 'Commish' });
+    await setDoc(doc(db, `${dataPath}/members/owner@example.com`), { role: 'owner', displayName: 'Owner', teamId: 'team-a' });
+    await setDoc(doc(db, `${dataPath}/leagueConstitution/document`), { content: 'Article I' });
+  });
+});
+
+describe('public league data', () => {
+  test('anyone can read the constitution, teams and news', async () => {
+    await assertSucceeds(getDoc(doc(asAnonymous(), `${dataPath}/leagueConstitution/document`)));
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${dataPath}/teams/team-a`)));
+    await assertSucceeds(getDoc(doc(asAnonymous(), `${dataPath}/news/post-1`)));
+  });
+
+  test('only the commissioner can write the constitution', async () => {
+    const path = `${dataPath}/leagueConstitution/document`;
+    await assertSucceeds(setDoc(doc(asCommissioner(), path), { content: 'Article II' }));
+    await assertFails(setDoc(doc(asOwner(), path), { content: 'Owner rewrite' }));
+    await assertFails(setDoc(doc(asStranger(), path), { content: 'Stranger rewrite' }));
+    await assertFails(setDoc(doc(asAnonymous(), path), { content: 'Anonymous rewrite' }));
+  });
+
+  test('only the commissioner can change teams, schedule and settings', async () => {
+    await assertSucceeds(setDoc(doc(asCommissioner(), `${dataPath}/teams/team-a`), { name: 'Team A' }));
+    await assertSucceeds(setDoc(doc(asCommissioner(), `${dataPath}/schedule/game-1`), { week: 1 }));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/teams/team-a`), { name: 'Renamed' }));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/leagueSettings/document`), { currentWeek: 9 }));
+  });
+
+  test('only the commissioner can lock and archive playoff brackets', async () => {
+    const path = `${dataPath}/playoffBrackets/2024`;
+    await assertSucceeds(setDoc(doc(asCommissioner(), path), { season: 2024, status: 'inProgress' }));
+    await assertFails(setDoc(doc(asOwner(), path), { season: 2024, status: 'complete' }));
+    await assertSucceeds(getDoc(doc(asAnonymous(), path)));
+  });
+
+  test('only the commissioner can link managers', async () => {
+    const path = `${dataPath}/managers/jordan`;
+    await assertSucceeds(setDoc(doc(asCommissioner(), path), { name: 'Jordan', teams: [{ name: 'Party Ponies' }] }));
+    await assertFails(setDoc(doc(asOwner(), path), { name: 'Not Jordan' }));
+    await assertSucceeds(getDoc(doc(asAnonymous(), path)));
+  });
+
+  test('only the commissioner can import lineups', async () => {
+    const path = `${dataPath}/lineups/week-1-game-1`;
+    await assertSucceeds(setDoc(doc(asCommissioner(), path), { gameId: 'week-1-game-1', home: { teamId: 'team-a', players: [] } }));
+    await assertFails(setDoc(doc(asOwner(), path), { gameId: 'week-1-game-1', home: { teamId: 'team-a', players: [] } }));
+    await assertSucceeds(getDoc(doc(asAnonymous(), path)));
+  });
+
+  test('unknown collections are not writable', async () => {
+    await assertFails(setDoc(doc(asCommissioner(), `${dataPath}/somethingElse/doc`), { value: 1 }));
+  });
+});
+
+describe('constitution revisions', () => {
+  const revision = (number, authorId) => ({ revision: number, content: 'Article I', authorId });
+
+  test('the commissioner can append a revision', async () => {
+    await assertSucceeds(setDoc(doc(asCommissioner(), `${dataPath}/constitutionRevisions/1`), revision(1, 'commish-uid')));
+  });
+
+  test('revision ids must match the revision number', async () => {
+    await assertFails(setDoc(doc(asCommissioner(), `${dataPath}/constitutionRevisions/7`), revision(1, 'commish-uid')));
+  });
+
+  test('revisions cannot be rewritten or deleted', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${dataPath}/constitutionRevisions/1`), revision(1, 'commish-uid'));
+    });
+    await assertFails(setDoc(doc(asCommissioner(), `${dataPath}/constitutionRevisions/1`), revision(1, 'commish-uid')));
+    await assertFails(deleteDoc(doc(asCommissioner(), `${dataPath}/constitutionRevisions/1`)));
+  });
+
+  test('owners cannot add revisions', async () => {
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/constitutionRevisions/1`), revision(1, 'owner-uid')));
+  });
+});
+
+describe('proposals and votes', () => {
+  const proposal = (overrides) => ({
+    title: 'Trade deadline week 12',
+    authorId: 'owner-uid',
+    status: 'open',
+    threshold: 2 / 3,
+    deadline: inDays(7),
+    ...overrides,
+  });
+  const vote = (overrides) => ({ proposalId: 'p1', teamId: 'team-a', vote: 'yes', voterId: 'owner-uid', ...overrides });
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${dataPath}/proposals/p1`), proposal());
+      await setDoc(doc(db, `${dataPath}/proposals/closed`), proposal({
+        deadline: inDays(-1),
+      }));
+    });
+  });
+
+  test('owners can open proposals with a sensible threshold', async () => {
+    await assertSucceeds(addDoc(collection(asOwner(), `${dataPath}/proposals`), proposal()));
+    await assertFails(addDoc(collection(asOwner(), `${dataPath}/proposals`), proposal({ threshold: 0.1 })));
+    await assertFails(addDoc(collection(asOwner(), `${dataPath}/proposals`), proposal({ status: 'passed' })));
+  });
+
+  test("the pass threshold is the league's", async () => {
+    const proposals = collection(asOwner(), `${dataPath}/proposals`);
+    await assertFails(addDoc(proposals, proposal({ threshold: 0.51 })));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${dataPath}/leagueSettings/document`), { proposalThreshold: 0.75 });
+    });
+    await assertFails(addDoc(proposals, proposal()));
+    await assertSucceeds(addDoc(proposals, proposal({ threshold: 0.75 })));
+  });
+
+  test("voting runs for the league's voting period", async () => {
+    const proposals = collection(asOwner(), `${dataPath}/proposals`);
+    await assertFails(addDoc(proposals, proposal({ deadline: inDays(0.001) })));
+    await assertFails(addDoc(proposals, proposal({ deadline: inDays(30) })));
+    await assertFails(addDoc(proposals, proposal({ deadline: null })));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${dataPath}/leagueSettings/document`), { proposalVotingDays: 3 });
+    });
+    await assertFails(addDoc(proposals, proposal()));
+    await assertSucceeds(addDoc(proposals, proposal({ deadline: inDays(3) })));
+  });
+
+  test('only the commissioner can resolve a proposal', async () => {
+    await assertFails(updateDoc(doc(asOwner(), `${dataPath}/proposals/p1`), { status: 'passed' }));
+    await assertSucceeds(updateDoc(doc(asCommissioner(), `${dataPath}/proposals/p1`), { status: 'passed' }));
+  });
+
+  test('an owner votes once for their own team and can change the vote', async () => {
+    const voteRef = doc(asOwner(), `${dataPath}/proposalVotes/p1_team-a`);
+    await assertSucceeds(setDoc(voteRef, vote()));
+    await assertSucceeds(setDoc(voteRef, vote({ vote: 'no' })));
+  });
+
+  test('votes for another team or under another id are rejected', async () => {
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/proposalVotes/p1_team-b`), vote({ teamId: 'team-b' })));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/proposalVotes/extra-vote`), vote()));
+  });
+
+  test('votes after the deadline are rejected', async () => {
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/proposalVotes/closed_team-a`), vote({ proposalId: 'closed' })));
+  });
+});
+
+describe('trades and transactions', () => {
+  const asOwnerOf = (teamId) => testEnv.authenticatedContext(`${teamId}-uid`, { email: `${teamId}@example.com`, email_verified: true }).firestore();
+  const trade = (overrides) => ({
+    type: 'trade',
+    status: 'proposed',
+    teamId: 'team-a',
+    counterpartyTeamId: 'team-b',
+    players: ['Player A'],
+    receives: ['Player B'],
+    vetoThreshold: 0.5,
+    proposedBy: 'owner-uid',
+    ...overrides,
+  });
+  const vote = (overrides) => ({ transactionId: 'review', teamId: 'team-c', vote: 'veto', voterId: 'team-c-uid', ...overrides });
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${dataPath}/members/team-b@example.com`), { role: 'owner', teamId: 'team-b' });
+      await setDoc(doc(db, `${dataPath}/members/team-c@example.com`), { role: 'owner', teamId: 'team-c' });
+      await setDoc(doc(db, `${dataPath}/transactions/offer`), trade());
+      await setDoc(doc(db, `${dataPath}/transactions/review`), trade({ status: 'review', reviewDeadline: inDays(2) }));
+      await setDoc(doc(db, `${dataPath}/transactions/expired`), trade({ status: 'review', reviewDeadline: inDays(-1) }));
+    });
+  });
+
+  test('owners offer trades and log moves for their own team', async () => {
+    const transactions = collection(asOwner(), `${dataPath}/transactions`);
+    await assertSucceeds(addDoc(transactions, trade()));
+    await assertSucceeds(addDoc(transactions, { type: 'add', status: 'completed', teamId: 'team-a', players: ['X'], proposedBy: 'owner-uid' }));
+    await assertFails(addDoc(transactions, trade({ teamId: 'team-b', counterpartyTeamId: 'team-a' })));
+    await assertFails(addDoc(transactions, trade({ status: 'approved' })));
+    await assertFails(addDoc(transactions, { type: 'drop', status: 'completed', teamId: 'team-b', players: ['X'], proposedBy: 'owner-uid' }));
+    await assertSucceeds(addDoc(collection(asCommissioner(), `${dataPath}/transactions`), {
+      type: 'drop', status: 'completed', teamId: 'team-b', players: ['X'], proposedBy: 'commish-uid',
+    }));
+  });
+
+  test("an offer carries the league's veto threshold", async () => {
+    const transactions = collection(asOwner(), `${dataPath}/transactions`);
+    await assertFails(addDoc(transactions, trade({ vetoThreshold: 100 })));
+    await assertFails(addDoc(transactions, trade({ vetoThreshold: null })));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${dataPath}/leagueSettings/document`), { tradeVetoThreshold: 0.75 });
+    });
+    await assertFails(addDoc(transactions, trade()));
+    await assertSucceeds(addDoc(transactions, trade({ vetoThreshold: 0.75 })));
+  });
+
+  test('only the other team can accept an offer, and only the proposer can withdraw it', async () => {
+    await assertFails(updateDoc(doc(asOwner(), `${dataPath}/transactions/offer`), { status: 'review', reviewDeadline: inDays(2) }));
+    await assertFails(updateDoc(doc(asOwnerOf('team-c'), `${dataPath}/transactions/offer`), { status: 'rejected' }));
+    await assertFails(updateDoc(doc(asOwnerOf('team-b'), `${dataPath}/transactions/offer`), { status: 'review', reviewDeadline: inDays(-1) }));
+    await assertFails(updateDoc(doc(asOwnerOf('team-b'), `${dataPath}/transactions/offer`), { status: 'review', reviewDeadline: inDays(2), receives: [] }));
+    await assertSucceeds(updateDoc(doc(asOwnerOf('team-b'), `${dataPath}/transactions/offer`), { status: 'review', reviewDeadline: inDays(2) }));
+  });
+
+  test('the review deadline is the league review period from when the trade is accepted', async () => {
+    const offer = doc(asOwnerOf('team-b'), `${dataPath}/transactions/offer`);
+    await assertFails(updateDoc(offer, { status: 'review', reviewDeadline: inDays(365) }));
+    await assertFails(updateDoc(offer, { status: 'review', reviewDeadline: inDays(1) }));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${dataPath}/leagueSettings/document`), { tradeReviewDays: 3 });
+    });
+    await assertFails(updateDoc(offer, { status: 'review', reviewDeadline: inDays(2) }));
+    await assertSucceeds(updateDoc(offer, { status: 'review', reviewDeadline: inDays(3) }));
+  });
+
+  test('the proposer can withdraw an open offer', async () => {
+    await assertSucceeds(updateDoc(doc(asOwner(), `${dataPath}/transactions/offer`), { status: 'cancelled' }));
+    await assertFails(updateDoc(doc(asOwner(), `${dataPath}/transactions/review`), { status: 'cancelled' }));
+  });
+
+  test('only the commissioner records the review outcome', async () => {
+    await assertFails(updateDoc(doc(asOwnerOf('team-c'), `${dataPath}/transactions/review`), { status: 'approved' }));
+    await assertSucceeds(updateDoc(doc(asCommissioner(), `${dataPath}/transactions/review`), { status: 'approved' }));
+  });
+
+  test('teams outside the trade vote once during review', async () => {
+    const voteRef = doc(asOwnerOf('team-c'), `${dataPath}/transactionVotes/review_team-c`);
+    await assertSucceeds(setDoc(voteRef, vote()));
+    await assertSucceeds(setDoc(voteRef, vote({ vote: 'allow' })));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/transactionVotes/review_team-a`), vote({ teamId: 'team-a', voterId: 'owner-uid' })));
+    await assertFails(setDoc(doc(asOwnerOf('team-c'), `${dataPath}/transactionVotes/offer_team-c`), vote({ transactionId: 'offer' })));
+    await assertFails(setDoc(doc(asOwnerOf('team-c'), `${dataPath}/transactionVotes/expired_team-c`), vote({ transactionId: 'expired' })));
+  });
+});
+
+describe('draft', () => {
+  const asOwnerOf = (teamId) => testEnv.authenticatedContext(`${teamId}-uid`, { email: `${teamId}@example.com`, email_verified: true }).firestore();
+  const draft = (overrides) => ({
+    season: 2026,
+    status: 'live',
+    teams: [{ id: 'team-a', name: 'A' }, { id: 'team-b', name: 'B' }],
+    rounds: 2,
+    pickOrder: ['team-a', 'team-b', 'team-b', 'team-a'],
+    picks: [],
+    openPicks: [1, 2, 3, 4],
+    onClockTeamId: 'team-a',
+    ...overrides,
+  });
+  const pick = (teamId, number = 1, player = 'Bijan Robinson') => ({ pick: number, round: Math.ceil(number / 2), teamId, player });
+  const nextPick = (fields) => ({ clockStartedAt: serverTimestamp(), ...fields });
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${dataPath}/members/team-b@example.com`), { role: 'owner', teamId: 'team-b' });
+      await setDoc(doc(db, `${dataPath}/drafts/2026`), draft());
+    });
+  });
+
+  test('only the commissioner sets up a draft', async () => {
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/drafts/2027`), draft({ status: 'setup' })));
+    await assertSucceeds(setDoc(doc(asCommissioner(), `${dataPath}/drafts/2027`), draft({ status: 'setup' })));
+  });
+
+  test('the owner on the clock makes one pick for their team', async () => {
+    const path = `${dataPath}/drafts/2026`;
+    await assertFails(updateDoc(doc(asOwnerOf('team-b'), path), nextPick({ picks: [pick('team-b')], openPicks: [2, 3, 4], onClockTeamId: 'team-a' })));
+    await assertFails(updateDoc(doc(asOwner(), path), nextPick({ picks: [pick('team-b')], openPicks: [2, 3, 4], onClockTeamId: 'team-b' })));
+    await assertFails(updateDoc(doc(asOwner(), path), nextPick({ picks: [pick('team-a')], openPicks: [2, 3, 4], onClockTeamId: 'team-b', rounds: 1 })));
+    await assertSucceeds(updateDoc(doc(asOwner(), path), nextPick({ picks: [pick('team-a')], openPicks: [2, 3, 4], onClockTeamId: 'team-b' })));
+  });
+
+  test('an owner cannot rewrite earlier picks, steer the clock or end the draft early', async () => {
+    const path = `${dataPath}/drafts/2026`;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), path), draft({ picks: [pick('team-a')], openPicks: [2, 3, 4], onClockTeamId: 'team-b' }));
+    });
+    const asTeamB = doc(asOwnerOf('team-b'), path);
+    const second = pick('team-b', 2, 'Puka Nacua');
+    await assertFails(updateDoc(asTeamB, nextPick({ picks: [pick('team-b', 1, 'Someone Else'), second], openPicks: [3, 4], onClockTeamId: 'team-b' })));
+    await assertFails(updateDoc(asTeamB, nextPick({ picks: [pick('team-a'), pick('team-b', 3, 'Puka Nacua')], openPicks: [2, 4], onClockTeamId: 'team-b' })));
+    await assertFails(updateDoc(asTeamB, nextPick({ picks: [pick('team-a'), second], openPicks: [3, 4], onClockTeamId: 'team-a' })));
+    await assertFails(updateDoc(asTeamB, nextPick({ picks: [pick('team-a'), second], openPicks: [3, 4], onClockTeamId: null, status: 'complete', completedAt: serverTimestamp() })));
+    await assertSucceeds(updateDoc(asTeamB, nextPick({ picks: [pick('team-a'), second], openPicks: [3, 4], onClockTeamId: 'team-b' })));
+  });
+
+  test('the final pick completes the draft', async () => {
+    const path = `${dataPath}/drafts/2026`;
+    const made = [pick('team-a'), pick('team-b', 2, 'B'), pick('team-b', 3, 'C')];
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), path), draft({ picks: made, openPicks: [4], onClockTeamId: 'team-a' }));
+    });
+    const last = [...made, pick('team-a', 4, 'D')];
+    await assertFails(updateDoc(doc(asOwner(), path), nextPick({ picks: last, openPicks: [], onClockTeamId: 'team-b' })));
+    await assertSucceeds(updateDoc(doc(asOwner(), path), nextPick({ picks: last, openPicks: [], onClockTeamId: null, status: 'complete', completedAt: serverTimestamp() })));
+  });
+
+  test('only the commissioner can undo a pick', async () => {
+    await assertFails(updateDoc(doc(asOwner(), `${dataPath}/drafts/2026`), { picks: [] }));
+    await assertSucceeds(updateDoc(doc(asCommissioner(), `${dataPath}/drafts/2026`), { picks: [] }));
+  });
+
+  test('owners manage only their own autopick queue', async () => {
+    const queue = { season: 2026, teamId: 'team-a', players: ['Puka Nacua'] };
+    await assertSucceeds(setDoc(doc(asOwner(), `${dataPath}/draftQueues/2026_team-a`), queue));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/draftQueues/2026_team-b`), { ...queue, teamId: 'team-b' }));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/draftQueues/other`), queue));
+  });
+
+  test('only the team and the commissioner can read an autopick queue', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${dataPath}/draftQueues/2026_team-a`), { season: 2026, teamId: 'team-a', players: ['Puka Nacua'] });
+    });
+    const path = `${dataPath}/draftQueues/2026_team-a`;
+    await assertSucceeds(getDoc(doc(asOwner(), path)));
+    await assertSucceeds(getDoc(doc(asCommissioner(), path)));
+    await assertSucceeds(getDocs(query(collection(asCommissioner(), `${dataPath}/draftQueues`), where('season', '==', 2026))));
+    await assertFails(getDoc(doc(asOwnerOf('team-b'), path)));
+    await assertFails(getDocs(query(collection(asOwnerOf('team-b'), `${dataPath}/draftQueues`), where('season', '==', 2026))));
+    await assertFails(getDoc(doc(asStranger(), path)));
+    await assertFails(getDoc(doc(asAnonymous(), path)));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), path)));
+  });
+});
+
+describe('news', () => {
+  test('owners and the commissioner can publish under their own uid', async () => {
+    await assertSucceeds(addDoc(collection(asOwner(), `${dataPath}/news`), { title: 'Trade!', authorId: 'owner-uid' }));
+    await assertSucceeds(addDoc(collection(asCommissioner(), `${dataPath}/news`), { title: 'Draft day', authorId: 'commish-uid' }));
+  });
+
+  test('posts cannot be published as someone else', async () => {
+    await assertFails(addDoc(collection(asOwner(), `${dataPath}/news`), { title: 'Fake', authorId: 'commish-uid' }));
+  });
+
+  test('anonymous visitors and non-members cannot publish', async () => {
+    await assertFails(addDoc(collection(asAnonymous(), `${dataPath}/news`), { title: 'Spam', authorId: 'anon-uid' }));
+    await assertFails(addDoc(collection(asStranger(), `${dataPath}/news`), { title: 'Spam', authorId: 'stranger-uid' }));
+  });
+
+  describe('managing posts', () => {
+    const postPath = `${dataPath}/news/post-1`;
+
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), postPath), { title: 'Trade!', content: 'A for B', authorId: 'owner-uid', reactions: {} });
+        await setDoc(doc(context.firestore(), `${dataPath}/members/other@example.com`), { role: 'owner', teamId: 'team-b' });
+      });
+    });
+
+    const asOtherOwner = () =>
+      testEnv.authenticatedContext('other-uid', { email: 'other@example.com', email_verified: true }).firestore();
+
+    test('authors can edit and delete their own posts', async () => {
+      await assertSucceeds(updateDoc(doc(asOwner(), postPath), { content: 'A for C' }));
+      await assertSucceeds(deleteDoc(doc(asOwner(), postPath)));
+    });
+
+    test('other owners cannot edit, delete or pin posts', async () => {
+      await assertFails(updateDoc(doc(asOtherOwner(), postPath), { content: 'Vetoed' }));
+      await assertFails(deleteDoc(doc(asOtherOwner(), postPath)));
+      await assertFails(updateDoc(doc(asOwner(), postPath), { pinned: true }));
+    });
+
+    test('the commissioner can pin and delete any post', async () => {
+      await assertSucceeds(updateDoc(doc(asCommissioner(), postPath), { pinned: true }));
+      await assertSucceeds(deleteDoc(doc(asCommissioner(), postPath)));
+    });
+
+    test('owners cannot create pinned posts', async () => {
+      await assertFails(addDoc(collection(asOwner(), `${dataPath}/news`), { title: 'Me first', authorId: 'owner-uid', pinned: true }));
+    });
+
+    test('any member can react, but reactions cannot carry other changes', async () => {
+      await assertSucceeds(updateDoc(doc(asOtherOwner(), postPath), { 'reactions.other-uid': ['🔥'] }));
+      await assertFails(updateDoc(doc(asOtherOwner(), postPath), { 'reactions.other-uid': ['🔥'], title: 'Hijacked' }));
+      await assertFails(updateDoc(doc(asAnonymous(), postPath), { 'reactions.anon-uid': ['🔥'] }));
+    });
+
+    test("members cannot change or erase each other's reactions", async () => {
+      await assertSucceeds(updateDoc(doc(asOwner(), postPath), { 'reactions.owner-uid': ['😂'] }));
+      await assertFails(updateDoc(doc(asOtherOwner(), postPath), { 'reactions.owner-uid': [] }));
+      await assertFails(updateDoc(doc(asOtherOwner(), postPath), { reactions: { 'other-uid': ['🔥'] } }));
+      await assertFails(updateDoc(doc(asOtherOwner(), postPath), { 'reactions.other-uid': '🔥' }));
+    });
+
+    test('members comment under their own uid and authors delete their comments', async () => {
+      const comments = collection(asOtherOwner(), `${dataPath}/newsComments`);
+      const comment = await assertSucceeds(addDoc(comments, { postId: 'post-1', parentId: null, content: 'Fleeced', authorId: 'other-uid' }));
+      await assertFails(addDoc(comments, { postId: 'post-1', parentId: null, content: 'Fake', authorId: 'owner-uid' }));
+      await assertFails(deleteDoc(doc(asOwner(), `${dataPath}/newsComments/${comment.id}`)));
+      await assertSucceeds(deleteDoc(doc(asOtherOwner(), `${dataPath}/newsComments/${comment.id}`)));
+    });
+
+    test("a post's author deletes its comments along with the post", async () => {
+      const comment = await assertSucceeds(addDoc(collection(asOtherOwner(), `${dataPath}/newsComments`), {
+        postId: 'post-1', parentId: null, content: 'Fleeced', authorId: 'other-uid',
+      }));
+      const db = asOwner();
+      const batch = writeBatch(db);
+      batch.delete(doc(db, postPath));
+      batch.delete(doc(db, `${dataPath}/newsComments/${comment.id}`));
+      await assertSucceeds(batch.commit());
+    });
+  });
+});
+
+describe('ledger', () => {
+  const entry = { season: 2026, teamId: 'team-a', type: 'payment', amount: 100, note: '' };
+
+  test('only members can read the ledger', async () => {
+    await assertSucceeds(getDoc(doc(asOwner(), `${dataPath}/ledger/entry-1`)));
+    await assertFails(getDoc(doc(asAnonymous(), `${dataPath}/ledger/entry-1`)));
+    await assertFails(getDoc(doc(asStranger(), `${dataPath}/ledger/entry-1`)));
+  });
+
+  test('only the commissioner records entries', async () => {
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/ledger/entry-1`), entry));
+    await assertSucceeds(setDoc(doc(asCommissioner(), `${dataPath}/ledger/entry-1`), entry));
+    await assertSucceeds(deleteDoc(doc(asCommissioner(), `${dataPath}/ledger/entry-1`)));
+  });
+});
+
+describe('members', () => {
+  test('a member can read their own document regardless of email case', async () => {
+    await assertSucceeds(getDoc(doc(asOwner(), `${dataPath}/members/owner@example.com`)));
+  });
+
+  test('members cannot read each other or promote themselves', async () => {
+    await assertFails(getDoc(doc(asOwner(), `${dataPath}/members/commish@example.com`)));
+    await assertFails(setDoc(doc(asOwner(), `${dataPath}/members/owner@example.com`), { role: 'commissioner' }));
+  });
+
+  test('the commissioner can manage members', async () => {
+    await assertSucceeds(getDoc(doc(asCommissioner(), `${dataPath}/members/owner@example.com`)));
+    await assertSucceeds(setDoc(doc(asCommissioner(), `${dataPath}/members/new@example.com`), { role: 'owner', teamId: 'team-b' }));
+  });
+
+  test('unverified email accounts are not treated as members', async () => {
+    const unverified = testEnv
+      .authenticatedContext('owner-uid', {
+        email: 'owner@example.com',
+        email_verified: false,
+        firebase: { sign_in_provider: 'password' },
+      })
+      .firestore();
+    await assertFails(addDoc(collection(unverified, `${dataPath}/news`), { title: 'Hi', authorId: 'owner-uid' }));
+  });
+});